@@ -31,6 +31,10 @@ import cron from "node-cron";
 import { scheduledLeads } from "./controllers/lead.controller.js";
 import { Server } from "socket.io";
 import { initCrmSyncCron } from "./services/crmSync.cron.js";
+import { initJobQueueWorker } from "./services/jobQueue.service.js";
+import { initSequenceCron } from "./services/sequence.service.js";
+import { initLeadScoringCron } from "./services/leadScoring.service.js";
+import { initAiUsageMetering } from "./services/aiUsage.service.js";
 
 
 
@@ -109,6 +113,18 @@ cron.schedule("0 0 * * *", scheduledLeads, {
 // CRM leads sync cron job (runs every 15 minutes)
 initCrmSyncCron();
 
+// Background job queue worker (form submission processing, retries)
+initJobQueueWorker();
+
+// Email sequence sender (runs every 5 minutes)
+initSequenceCron();
+
+// Lead score decay (re-scores leads daily at 1 AM)
+initLeadScoringCron();
+
+// AI usage recording and plan quotas for every LLM call
+initAiUsageMetering();
+
 // Multi-mailbox email reply checking (every 5 minutes)
 cron.schedule("*/5 * * * *", async () => {
   console.log("📬 Checking email replies across all connected mailboxes...");
@@ -190,6 +206,16 @@ app.use(
   }
 );
 
+// Raw body for CRM webhooks (signatures cover the exact bytes)
+app.use(
+  "/api/v1/crm-integration/webhooks",
+  express.raw({ type: "*/*" }),
+  (req, res, next) => {
+    req.rawBody = req.body;
+    next();
+  }
+);
+
 // Regular JSON and URL-encoded parsing for other routes
 app.use(express.json({ limit: securityConfig.bodyParser.jsonLimit }));
 app.use(
@@ -325,6 +351,11 @@ import dealHealthService from "./services/dealHealth.service.js";
 import checkAllMailboxes from "./utils/mailbox-reply-checker.js";
 import proposalRouter from "./routes/proposal.routes.js";
 import mailboxRouter from "./routes/mailbox.routes.js";
+import pipelineRouter from "./routes/pipeline.routes.js";
+import leadScoringRouter from "./routes/leadScoring.routes.js";
+import sequenceRouter from "./routes/sequence.routes.js";
+import emailTemplateRouter from "./routes/emailTemplate.routes.js";
+import emailTrackingRouter from "./routes/emailTracking.routes.js";
 import nextBestActionRoutes from "./routes/nextBestAction.routes.js";
 import { Company } from "./models/company.model.js";
 import nextBestActionService from "./services/nextBestAction.service.js";
@@ -355,61 +386,13 @@ app.use("/api/v1/next-best-action", nextBestActionRoutes);
 app.use("/api/v1/proposals", proposalRouter);
 app.use("/api/v1/automation", automationRouter);
 app.use("/api/v1/mailbox", mailboxRouter);
-app.get("/api/email/track/open/:token", async (req, res) => {
-  try {
-    const { token } = req.params;
-    
-    const leadId = token.split("-")[0];
-
-    // Update tracking in database
-    await EngagementHistory.findOneAndUpdate(
-      {
-        leadId,
-        "emailMetrics.messageId": token,
-        engagementType: "email_sent"
-      },
-      {
-        $set: {
-          engagementType: "email_opened",
-          "emailMetrics.openedAt": new Date(),
-          engagementDate: new Date(),
-        },
-        $inc: {
-          "emailMetrics.openCount": 1
-        }
-      },
-      { new: true }
-    );
-
-    console.log(`📬 Email opened with token: ${token}`);
-    console.log(`👤 User Agent: ${req.headers['user-agent']}`);
-    console.log(`🌐 IP: ${req.ip}`);
-
-    // Return a 1x1 transparent GIF pixel
-    const pixel = Buffer.from(
-      'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
-      'base64'
-    );
-
-    res.writeHead(200, {
-      'Content-Type': 'image/gif',
-      'Content-Length': pixel.length,
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
+app.use("/api/v1/pipelines", pipelineRouter);
+app.use("/api/v1/lead-scoring", leadScoringRouter);
+app.use("/api/v1/sequences", sequenceRouter);
+app.use("/api/v1/email-templates", emailTemplateRouter);
 
-    res.end(pixel);
-  } catch (error) {
-    console.error('Error tracking email open:', error);
-    // Still return a pixel even on error to avoid breaking email display
-    const pixel = Buffer.from(
-      'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
-      'base64'
-    );
-    res.type('image/gif').send(pixel);
-  }
-})
+// Public email tracking (opens, clicks) and unsubscribe
+app.use("/api/email", emailTrackingRouter);
 
 // ==========================================================
 // Error handling middleware (must be last)
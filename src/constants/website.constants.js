@@ -1 +1,12 @@
 export const DB_NAME = "jazzaam";
+
+export const LEAD_STATUSES = [
+  "new",
+  "hot",
+  "cold",
+  "warm",
+  "qualified",
+  "assigned",
+  "win",
+  "lost",
+];
@@ -12,14 +12,52 @@ import {
   revokeToken,
   calculateTokenExpiry,
   getConfiguredProviders,
+  ensureFreshTokens,
 } from "../services/crm/oauth.service.js";
-import { testCrmConnection as testCrmConnectionApi } from "../services/crm/api.service.js";
+import {
+  testCrmConnection as testCrmConnectionApi,
+  fetchCrmLeads,
+  getCrmLead,
+  getCrmLeadFields,
+  supportsCrmDeals,
+} from "../services/crm/api.service.js";
+import { getCrmProvider } from "../services/crm/providers/index.js";
+import { getTenantModels } from "../models/index.js";
 import {
   syncLeadsToCrm as syncLeadsService,
   importLeadsFromCrm,
   getSyncStatus,
   retryFailedSyncs,
+  mapLeadToCrmFormat,
+  syncLeadsToRoutedCrms,
 } from "../services/crm/sync.service.js";
+import {
+  ROUTING_CONDITIONS,
+  routeLead,
+  validateRoutingRules,
+} from "../services/crm/routing.service.js";
+import { validateFieldMappings } from "../services/crm/fieldMapping.service.js";
+import {
+  registerCrmWebhook,
+  unregisterCrmWebhook,
+  receiveCrmWebhook,
+} from "../services/crm/webhook.service.js";
+import {
+  getConflicts,
+  getConflict,
+  resolveConflict,
+} from "../services/crm/conflict.service.js";
+import { getSyncRuns, getSyncRun } from "../services/crm/syncRun.service.js";
+import {
+  ENRICHMENT_FIELDS,
+  ACTIVITY_ENGAGEMENT_TYPES,
+  pushEnrichmentToCrm,
+} from "../services/crm/enrichment.service.js";
+import {
+  importDealsFromCrm,
+  getDealStageOptions,
+} from "../services/crm/deal.service.js";
+import pipelineService from "../services/pipeline.service.js";
 
 // ==============================================================
 // OAuth2 Flow
@@ -34,8 +72,10 @@ const getProviders = asyncHandler(async (req, res) => {
 
   const providersWithInfo = providers.map((provider) => ({
     id: provider,
-    name: provider.charAt(0).toUpperCase() + provider.slice(1),
+    name: getCrmProvider(provider).label,
     configured: true,
+    // Providers hosted per account need the account domain in oauth/init
+    requiresDomain: Boolean(getCrmProvider(provider).oauth.requiresDomain),
   }));
 
   return res
@@ -50,7 +90,7 @@ const getProviders = asyncHandler(async (req, res) => {
  * @route POST /api/v1/crm-integration/oauth/init
  */
 const initOAuthFlow = asyncHandler(async (req, res) => {
-  const { provider } = req.body;
+  const { provider, domain } = req.body;
   const company = req.company;
 
   if (!provider) {
@@ -95,7 +135,8 @@ const initOAuthFlow = asyncHandler(async (req, res) => {
   try {
     const { authUrl, state } = generateAuthUrl(
       provider,
-      company._id.toString()
+      company._id.toString(),
+      { domain }
     );
 
     return res.status(200).json(
@@ -150,37 +191,14 @@ const handleOAuthCallback = asyncHandler(async (req, res) => {
     const stateData = tokenData.stateData || {};
     const companyId = stateData.companyId;
 
-    // Prepare credentials based on provider
-    let credentials = {};
-    switch (crmProvider) {
-      case "zoho":
-        credentials = {
-          apiDomain: tokenData.apiDomain,
-        };
-        break;
-      case "salesforce":
-        credentials = {
-          instanceUrl: tokenData.instanceUrl,
-          id: tokenData.id,
-        };
-        break;
-      case "hubspot":
-        credentials = {
-          // HubSpot doesn't require special credentials beyond OAuth tokens
-          portalId: tokenData.portalId || null,
-        };
-        break;
-      case "dynamics":
-        credentials = {
-          resource:
-            process.env.DYNAMICS_RESOURCE ||
-            "https://yourdomain.crm.dynamics.com",
-        };
-        break;
-      default:
-        credentials = {};
+    const crmProviderApi = getCrmProvider(crmProvider);
+    if (!crmProviderApi) {
+      throw new ApiError(400, `Unsupported CRM provider: ${crmProvider}`);
     }
 
+    // Prepare credentials based on provider
+    const credentials = crmProviderApi.getCredentials(tokenData);
+
     // Test connection
     const connectionTest = await testCrmConnectionApi(
       crmProvider,
@@ -211,6 +229,7 @@ const handleOAuthCallback = asyncHandler(async (req, res) => {
         accountId: connectionTest.userInfo?.id,
         accountName: connectionTest.userInfo?.name,
         accountEmail: connectionTest.userInfo?.email,
+        accountDomain: connectionTest.userInfo?.domain,
       },
     });
 
@@ -218,6 +237,14 @@ const handleOAuthCallback = asyncHandler(async (req, res) => {
       `CRM integration created for company ${companyId} with ${crmProvider}`
     );
 
+    // Subscribe to CRM lead changes; polling covers CRMs without webhooks
+    try {
+      await registerCrmWebhook(crmIntegration);
+    } catch (error) {
+      console.warn(`${crmProvider} webhook registration failed:`, error.message);
+      await crmIntegration.addError("webhook", error.message);
+    }
+
     // Redirect to success page
     return res.redirect(
       `${process.env.CLIENT_URL}/super-user/settings?integration=success&provider=${crmProvider}`
@@ -243,6 +270,7 @@ const getCrmIntegration = asyncHandler(async (req, res) => {
   const safeIntegrations = crmIntegrations.map((integration) => ({
     ...integration.toObject(),
     credentials: undefined,
+    webhooks: { ...integration.toObject().webhooks, secret: undefined },
     tokens: {
       hasAccessToken: !!integration.tokens?.accessToken,
       hasRefreshToken: !!integration.tokens?.refreshToken,
@@ -263,7 +291,7 @@ const getCrmIntegration = asyncHandler(async (req, res) => {
 });
 
 const updateCrmIntegration = asyncHandler(async (req, res) => {
-  const { integrationId, settings } = req.body;
+  const { integrationId, settings, rateLimit } = req.body;
 
   if (!integrationId) {
     throw new ApiError(400, "Integration ID is required");
@@ -286,6 +314,22 @@ const updateCrmIntegration = asyncHandler(async (req, res) => {
     };
   }
 
+  // Request budget override ({ requests, window } in seconds), null to reset
+  if (rateLimit !== undefined) {
+    if (
+      rateLimit !== null &&
+      !(rateLimit.requests > 0 && rateLimit.window > 0)
+    ) {
+      throw new ApiError(
+        400,
+        "rateLimit needs positive requests and window (seconds)"
+      );
+    }
+    crmIntegration.metadata.rateLimit = rateLimit
+      ? { requests: rateLimit.requests, window: rateLimit.window }
+      : { requests: undefined, window: undefined };
+  }
+
   await crmIntegration.save();
 
   // Remove sensitive data from response
@@ -293,6 +337,7 @@ const updateCrmIntegration = asyncHandler(async (req, res) => {
     ...crmIntegration.toObject(),
     credentials: undefined,
     tokens: undefined,
+    webhooks: { ...crmIntegration.toObject().webhooks, secret: undefined },
   };
 
   return res
@@ -322,11 +367,19 @@ const deleteCrmIntegration = asyncHandler(async (req, res) => {
     throw new ApiError(404, "CRM integration not found");
   }
 
+  // Unsubscribe from CRM lead changes (needs the tokens, so before revoking)
+  try {
+    await unregisterCrmWebhook(crmIntegration);
+  } catch (error) {
+    console.warn("Webhook unregistration failed:", error);
+  }
+
   // Revoke tokens
   try {
     await revokeToken(
       crmIntegration.provider,
-      crmIntegration.tokens.accessToken
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials
     );
   } catch (error) {
     console.warn("Token revocation failed:", error);
@@ -359,33 +412,8 @@ const fixCrmIntegrationCredentials = asyncHandler(async (req, res) => {
     );
 
     // Set default credentials based on provider
-    let credentials = {};
-    switch (crmIntegration.provider) {
-      case "zoho":
-        credentials = {
-          apiDomain: "https://www.zohoapis.com", // Default Zoho API domain
-        };
-        break;
-      case "salesforce":
-        credentials = {
-          instanceUrl: "https://login.salesforce.com",
-        };
-        break;
-      case "hubspot":
-        credentials = {
-          portalId: null, // HubSpot doesn't require special credentials
-        };
-        break;
-      case "dynamics":
-        credentials = {
-          resource:
-            process.env.DYNAMICS_RESOURCE ||
-            "https://yourdomain.crm.dynamics.com",
-        };
-        break;
-      default:
-        credentials = {};
-    }
+    const credentials =
+      getCrmProvider(crmIntegration.provider)?.defaultCredentials() || {};
 
     // Update the integration with credentials
     crmIntegration.credentials = credentials;
@@ -422,7 +450,8 @@ const testCrmConnection = asyncHandler(async (req, res) => {
     try {
       const refreshedTokens = await refreshAccessToken(
         crmIntegration.provider,
-        crmIntegration.tokens.refreshToken
+        crmIntegration.tokens.refreshToken,
+        crmIntegration.credentials
       );
 
       crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
@@ -463,46 +492,71 @@ const testCrmConnection = asyncHandler(async (req, res) => {
 // Lead Sync
 // ==============================================================
 
+// The company's active integrations, or just the given one
+const findActiveIntegrations = async (req, integrationId) => {
+  const crmIntegrations = await CrmIntegration.find({
+    companyId: req.company._id,
+    status: "active",
+    ...(integrationId && { _id: integrationId }),
+  }).sort({ createdAt: 1 });
+
+  if (crmIntegrations.length === 0) {
+    throw new ApiError(404, "Active CRM integration not found");
+  }
+  return crmIntegrations;
+};
+
+// Body: { leadIds, integrationId? } - without integrationId each lead goes
+// to the integrations its routing picks
 const syncLeadsToCrm = asyncHandler(async (req, res) => {
-  const { leadIds } = req.body;
+  const { leadIds, integrationId } = req.body;
 
   if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
     throw new ApiError(400, "Lead IDs array is required");
   }
 
-  const crmIntegration = await CrmIntegration.findOne({
-    companyId: req.company._id,
-    status: "active",
-  });
-
-  if (!crmIntegration) {
-    throw new ApiError(404, "Active CRM integration not found");
-  }
+  const [crmIntegration] = await findActiveIntegrations(req, integrationId);
 
   // Get tenant connection
   const tenantConnection = await getTenantConnection(req.company._id.toString());
 
-  const results = await syncLeadsService(tenantConnection, leadIds, crmIntegration);
+  const results = integrationId
+    ? await syncLeadsService(tenantConnection, leadIds, crmIntegration)
+    : await syncLeadsToRoutedCrms(tenantConnection, req.company._id, leadIds);
 
   return res
     .status(200)
     .json(new ApiResponse(200, results, "Leads sync completed"));
 });
 
+// Query: { integrationId?, page, limit, cursor } - without integrationId
+// every active integration is imported from
 const importFromCrm = asyncHandler(async (req, res) => {
-  const crmIntegration = await CrmIntegration.findOne({
-    companyId: req.company._id,
-    status: "active",
-  });
+  const { integrationId, ...options } = req.query;
 
-  if (!crmIntegration) {
-    throw new ApiError(404, "Active CRM integration not found");
-  }
+  const crmIntegrations = await findActiveIntegrations(req, integrationId);
 
   // Get tenant connection
   const tenantConnection = await getTenantConnection(req.company._id.toString());
 
-  const results = await importLeadsFromCrm(tenantConnection, crmIntegration, req.query);
+  const runs = [];
+  for (const crmIntegration of crmIntegrations) {
+    runs.push(await importLeadsFromCrm(tenantConnection, crmIntegration, options));
+  }
+
+  const results =
+    runs.length === 1
+      ? runs[0]
+      : {
+          ...["imported", "updated", "skipped", "failed", "total"].reduce(
+            (totals, key) => ({
+              ...totals,
+              [key]: runs.reduce((sum, run) => sum + run[key], 0),
+            }),
+            {}
+          ),
+          runIds: runs.map((run) => run.runId),
+        };
 
   return res
     .status(200)
@@ -520,7 +574,10 @@ const getCrmSyncStatus = asyncHandler(async (req, res) => {
 });
 
 const retryFailedLeads = asyncHandler(async (req, res) => {
-  const results = await retryFailedSyncs(req.company._id);
+  const results = await retryFailedSyncs(
+    req.company._id,
+    req.body?.integrationId
+  );
 
   return res
     .status(200)
@@ -528,19 +585,101 @@ const retryFailedLeads = asyncHandler(async (req, res) => {
 });
 
 // ==============================================================
-// Field Mapping
+// Sync Runs
 // ==============================================================
 
-const updateFieldMapping = asyncHandler(async (req, res) => {
-  const { fieldMapping } = req.body;
+/**
+ * List sync runs (cron, manual sync, import, retry), newest first
+ * @route GET /api/v1/crm-integration/runs
+ * Query: integrationId, leadId, trigger, direction, status, page, limit
+ */
+const getCrmSyncRuns = asyncHandler(async (req, res) => {
+  const { integrationId, leadId, trigger, direction, status, page, limit } =
+    req.query;
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const result = await getSyncRuns(tenantConnection, {
+    integrationId,
+    leadId,
+    trigger,
+    direction,
+    status,
+    page,
+    limit,
+  });
 
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "CRM sync runs fetched successfully"));
+});
+
+/**
+ * A sync run with its per-lead results
+ * @route GET /api/v1/crm-integration/runs/:runId
+ */
+const getCrmSyncRun = asyncHandler(async (req, res) => {
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const run = await getSyncRun(tenantConnection, req.params.runId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, run, "CRM sync run fetched successfully"));
+});
+
+// ==============================================================
+// Field Mapping
+// ==============================================================
+
+// The company's integration by id, or its only/first one when no id is given
+const findMappingIntegration = async (req, integrationId) => {
   const crmIntegration = await CrmIntegration.findOne({
     companyId: req.company._id,
+    ...(integrationId && { _id: integrationId }),
   });
 
   if (!crmIntegration) {
     throw new ApiError(404, "CRM integration not found");
   }
+  return crmIntegration;
+};
+
+// Check custom field mappings against the CRM's field schema
+// Returns null when the schema can't be fetched (the CRM is unreachable)
+const checkFieldMappings = async (crmIntegration, mappings) => {
+  try {
+    const crmFields = await getCrmLeadFields(crmIntegration);
+    return validateFieldMappings(mappings, crmFields);
+  } catch (error) {
+    console.warn(
+      `Field schema unavailable for ${crmIntegration.provider}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+const updateFieldMapping = asyncHandler(async (req, res) => {
+  const { fieldMapping, integrationId } = req.body;
+
+  const crmIntegration = await findMappingIntegration(req, integrationId);
+
+  if (fieldMapping?.customFields) {
+    await ensureFreshTokens(crmIntegration);
+
+    const issues = await checkFieldMappings(
+      crmIntegration,
+      fieldMapping.customFields
+    );
+    const errors = (issues || []).filter((issue) => issue.level === "error");
+
+    if (errors.length > 0) {
+      throw new ApiError(
+        400,
+        "Field mapping doesn't match the CRM's fields",
+        errors
+      );
+    }
+  }
 
   crmIntegration.settings.fieldMapping = {
     ...crmIntegration.settings.fieldMapping,
@@ -560,6 +699,499 @@ const updateFieldMapping = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * The CRM's lead fields, with the saved mappings checked against them
+ * @route GET /api/v1/crm-integration/:integrationId/fields
+ */
+const getCrmFieldSchema = asyncHandler(async (req, res) => {
+  const crmIntegration = await findMappingIntegration(
+    req,
+    req.params.integrationId
+  );
+
+  await ensureFreshTokens(crmIntegration);
+
+  const fields = await getCrmLeadFields(crmIntegration);
+  const issues = validateFieldMappings(
+    crmIntegration.settings.fieldMapping.customFields,
+    fields
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { provider: crmIntegration.provider, fields, issues },
+      "CRM field schema fetched successfully"
+    )
+  );
+});
+
+/**
+ * Dry-run field mappings against a sample lead, without saving or pushing
+ * @route POST /api/v1/crm-integration/field-mapping/preview
+ * Body: { integrationId?, customFields? (defaults to the saved mappings),
+ *         leadId? (defaults to the newest lead), crmId? (record to preview the pull with) }
+ */
+const previewFieldMapping = asyncHandler(async (req, res) => {
+  const { integrationId, customFields, leadId, crmId } = req.body;
+
+  const crmIntegration = await findMappingIntegration(req, integrationId);
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const { Lead } = getTenantModels(tenantConnection);
+
+  // Before the draft mappings are set; a refresh saves the integration
+  await ensureFreshTokens(crmIntegration);
+
+  if (customFields) {
+    crmIntegration.set("settings.fieldMapping.customFields", customFields);
+
+    const validationError = crmIntegration.validateSync([
+      "settings.fieldMapping.customFields",
+    ]);
+    if (validationError) {
+      throw new ApiError(400, validationError.message);
+    }
+  }
+
+  const lead = leadId
+    ? await Lead.findById(leadId)
+    : await Lead.findOne({}).sort({ createdAt: -1 });
+
+  if (!lead) {
+    throw new ApiError(404, "No lead to preview the mapping with");
+  }
+
+  // Pull side: the given CRM record, or the one the lead is linked to
+  const sampleCrmId = crmId || lead.getCrmLink(crmIntegration)?.crmId;
+  const crmLead = sampleCrmId
+    ? await getCrmLead(crmIntegration, sampleCrmId)
+    : null;
+
+  const mappings = crmIntegration.settings.fieldMapping.customFields;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        lead: { _id: lead._id, fullName: lead.fullName, email: lead.email },
+        push: mapLeadToCrmFormat(lead, crmIntegration),
+        pull: crmLead
+          ? { crmId: crmLead.crmId, fields: crmLead.customFields }
+          : null,
+        issues: await checkFieldMappings(crmIntegration, mappings),
+      },
+      "Field mapping preview generated"
+    )
+  );
+});
+
+// ==============================================================
+// Lead Routing
+// ==============================================================
+
+/**
+ * Set which leads an integration receives
+ * @route PATCH /api/v1/crm-integration/:integrationId/routing
+ * Body: { rules?: [{ name, formIds, platforms, bantCategories, statuses, assignedTo }], fallback? }
+ */
+const updateCrmRouting = asyncHandler(async (req, res) => {
+  const { rules, fallback } = req.body;
+
+  const crmIntegration = await findMappingIntegration(
+    req,
+    req.params.integrationId
+  );
+
+  if (rules !== undefined) {
+    const errors = validateRoutingRules(rules);
+
+    if (errors.length > 0) {
+      throw new ApiError(400, "Invalid routing rules", errors);
+    }
+
+    crmIntegration.settings.routing.rules = rules.map((rule) => ({
+      name: rule.name,
+      ...Object.fromEntries(
+        Object.keys(ROUTING_CONDITIONS).map((condition) => [
+          condition,
+          rule[condition] || [],
+        ])
+      ),
+    }));
+  }
+
+  if (fallback !== undefined) {
+    crmIntegration.settings.routing.fallback = Boolean(fallback);
+  }
+
+  await crmIntegration.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        crmIntegration.settings.routing,
+        "CRM routing updated successfully"
+      )
+    );
+});
+
+/**
+ * Which active integrations a lead would be pushed to
+ * @route GET /api/v1/crm-integration/routing/preview?leadId=
+ */
+const previewLeadRouting = asyncHandler(async (req, res) => {
+  const { leadId } = req.query;
+
+  if (!leadId) {
+    throw new ApiError(400, "leadId is required");
+  }
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const { Lead } = getTenantModels(tenantConnection);
+
+  const lead = await Lead.findById(leadId);
+  if (!lead) {
+    throw new ApiError(404, "Lead not found");
+  }
+
+  const crmIntegrations = await CrmIntegration.find({
+    companyId: req.company._id,
+    status: "active",
+  }).sort({ createdAt: 1 });
+
+  const targets = routeLead(
+    lead,
+    crmIntegrations.filter((crmIntegration) => crmIntegration.pushesToCrm())
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        leadId: lead._id,
+        integrations: targets.map((crmIntegration) => ({
+          integrationId: crmIntegration._id,
+          provider: crmIntegration.provider,
+          crmId: lead.getCrmLink(crmIntegration)?.crmId || null,
+        })),
+      },
+      "Lead routing fetched successfully"
+    )
+  );
+});
+
+// ==============================================================
+// Enrichment Push
+// ==============================================================
+
+/**
+ * Enrichment values that can be mapped to CRM fields, and the engagement
+ * types that can be logged as CRM activities
+ * @route GET /api/v1/crm-integration/enrichment/fields
+ */
+const getEnrichmentFields = asyncHandler(async (req, res) => {
+  const fields = Object.entries(ENRICHMENT_FIELDS).map(
+    ([source, { label }]) => ({ source, label })
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { fields, activityTypes: ACTIVITY_ENGAGEMENT_TYPES },
+      "Enrichment fields fetched successfully"
+    )
+  );
+});
+
+/**
+ * Update an integration's enrichment push settings
+ * @route PATCH /api/v1/crm-integration/:integrationId/enrichment
+ * Body: { enabled?, fields?: [{ source, crmField }], logActivities?, activityTypes? }
+ */
+const updateEnrichmentPush = asyncHandler(async (req, res) => {
+  const { enabled, fields, logActivities, activityTypes } = req.body;
+
+  const crmIntegration = await findMappingIntegration(
+    req,
+    req.params.integrationId
+  );
+
+  if (fields !== undefined) {
+    if (!Array.isArray(fields)) {
+      throw new ApiError(400, "fields must be an array");
+    }
+
+    const unknown = fields.filter(
+      (field) => !ENRICHMENT_FIELDS[field?.source] || !field.crmField
+    );
+    if (unknown.length > 0) {
+      throw new ApiError(
+        400,
+        "Each field needs a known source and a crmField",
+        unknown
+      );
+    }
+
+    await ensureFreshTokens(crmIntegration);
+
+    const issues = await checkFieldMappings(
+      crmIntegration,
+      fields.map(({ source, crmField }) => ({
+        formField: source,
+        crmField,
+        direction: "to_crm",
+      }))
+    );
+    const errors = (issues || []).filter((issue) => issue.level === "error");
+
+    if (errors.length > 0) {
+      throw new ApiError(
+        400,
+        "Enrichment fields don't match the CRM's fields",
+        errors
+      );
+    }
+  }
+
+  if (
+    activityTypes !== undefined &&
+    (!Array.isArray(activityTypes) ||
+      activityTypes.some((type) => !ACTIVITY_ENGAGEMENT_TYPES.includes(type)))
+  ) {
+    throw new ApiError(
+      400,
+      `activityTypes must be some of: ${ACTIVITY_ENGAGEMENT_TYPES.join(", ")}`
+    );
+  }
+
+  const enrichmentPush = crmIntegration.settings.enrichmentPush;
+
+  if (enabled !== undefined) enrichmentPush.enabled = Boolean(enabled);
+  if (fields !== undefined) {
+    enrichmentPush.fields = fields.map(({ source, crmField }) => ({
+      source,
+      crmField,
+    }));
+  }
+  if (logActivities !== undefined) {
+    enrichmentPush.logActivities = Boolean(logActivities);
+  }
+  if (activityTypes !== undefined) enrichmentPush.activityTypes = activityTypes;
+
+  await crmIntegration.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        crmIntegration.settings.enrichmentPush,
+        "Enrichment push settings updated successfully"
+      )
+    );
+});
+
+/**
+ * Push enrichment now: for the given leads, or everything changed since
+ * the last push
+ * @route POST /api/v1/crm-integration/enrichment/push
+ * Body: { integrationId?, leadIds? }
+ */
+const pushCrmEnrichment = asyncHandler(async (req, res) => {
+  const { integrationId, leadIds } = req.body;
+
+  if (leadIds !== undefined && !Array.isArray(leadIds)) {
+    throw new ApiError(400, "leadIds must be an array");
+  }
+
+  const crmIntegration = await findMappingIntegration(req, integrationId);
+
+  if (crmIntegration.status !== "active") {
+    throw new ApiError(400, "CRM integration is not active");
+  }
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const result = await pushEnrichmentToCrm(tenantConnection, crmIntegration, {
+    leadIds,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Enrichment pushed to CRM"));
+});
+
+// ==============================================================
+// Deal Import
+// ==============================================================
+
+/**
+ * The CRM's deal stages, the pipeline stages they can be mapped to and the
+ * current mapping
+ * @route GET /api/v1/crm-integration/:integrationId/deal-stages
+ */
+const getCrmDealStages = asyncHandler(async (req, res) => {
+  const crmIntegration = await findMappingIntegration(
+    req,
+    req.params.integrationId
+  );
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const [options, pipelines] = await Promise.all([
+    getDealStageOptions(crmIntegration),
+    pipelineService.getPipelines(tenantConnection),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...options,
+        pipelines: pipelines.map((pipeline) => ({
+          pipelineId: pipeline._id,
+          name: pipeline.name,
+          stages: pipeline.getOrderedStages().map((stage) => ({
+            stageId: stage._id,
+            name: stage.name,
+            isWon: stage.isWon,
+            isLost: stage.isLost,
+          })),
+        })),
+      },
+      "Deal stages fetched successfully"
+    )
+  );
+});
+
+/**
+ * Update an integration's deal import settings
+ * @route PATCH /api/v1/crm-integration/:integrationId/deal-sync
+ * Body: { enabled?, stageMapping?: [{ crmStage, stageId }] }
+ */
+const updateDealSync = asyncHandler(async (req, res) => {
+  const { enabled, stageMapping } = req.body;
+
+  const crmIntegration = await findMappingIntegration(
+    req,
+    req.params.integrationId
+  );
+
+  if (!supportsCrmDeals(crmIntegration)) {
+    throw new ApiError(
+      400,
+      `Deal import is not supported for ${crmIntegration.provider}`
+    );
+  }
+
+  if (stageMapping !== undefined) {
+    if (!Array.isArray(stageMapping)) {
+      throw new ApiError(400, "stageMapping must be an array");
+    }
+
+    const tenantConnection = await getTenantConnection(
+      req.company._id.toString()
+    );
+    const pipelines = await pipelineService.getPipelines(tenantConnection, {
+      includeInactive: true,
+    });
+    const invalid = stageMapping.filter(
+      (mapping) =>
+        !mapping?.crmStage ||
+        !pipelines.some((pipeline) => pipeline.getStage(mapping.stageId))
+    );
+
+    if (invalid.length > 0) {
+      throw new ApiError(
+        400,
+        "Each mapping needs a crmStage and an existing pipeline stageId",
+        invalid
+      );
+    }
+  }
+
+  const dealSync = crmIntegration.settings.dealSync;
+
+  if (enabled !== undefined) dealSync.enabled = Boolean(enabled);
+  if (stageMapping !== undefined) {
+    dealSync.stageMapping = stageMapping.map(({ crmStage, stageId }) => ({
+      crmStage: String(crmStage),
+      stageId,
+    }));
+  }
+
+  await crmIntegration.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        crmIntegration.settings.dealSync,
+        "Deal import settings updated successfully"
+      )
+    );
+});
+
+/**
+ * Import deals now, for the given leads or every lead linked to the CRM
+ * @route POST /api/v1/crm-integration/deals/import
+ * Body: { integrationId?, leadIds? } - without integrationId, every active
+ * integration with deal import enabled
+ */
+const importCrmDeals = asyncHandler(async (req, res) => {
+  const { integrationId, leadIds } = req.body;
+
+  if (leadIds !== undefined && !Array.isArray(leadIds)) {
+    throw new ApiError(400, "leadIds must be an array");
+  }
+
+  const crmIntegrations = (
+    await findActiveIntegrations(req, integrationId)
+  ).filter(
+    (crmIntegration) =>
+      integrationId || crmIntegration.settings.dealSync?.enabled
+  );
+
+  if (crmIntegrations.length === 0) {
+    throw new ApiError(400, "Deal import is not enabled for any CRM integration");
+  }
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+
+  const runs = [];
+  for (const crmIntegration of crmIntegrations) {
+    runs.push(
+      await importDealsFromCrm(tenantConnection, crmIntegration, { leadIds })
+    );
+  }
+
+  const results =
+    runs.length === 1
+      ? runs[0]
+      : {
+          ...[
+            "updated",
+            "unchanged",
+            "failed",
+            "total",
+            "deals",
+            "stageChanges",
+          ].reduce(
+            (totals, key) => ({
+              ...totals,
+              [key]: runs.reduce((sum, run) => sum + run[key], 0),
+            }),
+            {}
+          ),
+          runIds: runs.map((run) => run.runId),
+        };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, results, "Deals imported from CRM"));
+});
+
 // ==============================================================
 // Error Logs
 // ==============================================================
@@ -631,7 +1263,8 @@ const getLeadsFromCrm = asyncHandler(async (req, res) => {
     try {
       const refreshedTokens = await refreshAccessToken(
         crmIntegration.provider,
-        crmIntegration.tokens.refreshToken
+        crmIntegration.tokens.refreshToken,
+        crmIntegration.credentials
       );
 
       crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
@@ -646,120 +1279,21 @@ const getLeadsFromCrm = asyncHandler(async (req, res) => {
     }
   }
 
-  // Get CRM API handler
-  const crmApi = getCrmApi(crmIntegration.provider);
-  if (!crmApi) {
+  if (!getCrmProvider(crmIntegration.provider)) {
     throw new ApiError(400, `Unsupported CRM provider: ${crmIntegration.provider}`);
   }
 
-  // Fetch leads from CRM based on provider
+  // Fetch leads from CRM through the provider adapter
   let crmLeads = [];
   let totalCount = 0;
-  const accessToken = crmIntegration.tokens.accessToken;
 
   try {
-    switch (crmIntegration.provider) {
-      case "hubspot": {
-        const options = {
-          limit: parseInt(limit),
-          after: (parseInt(page) - 1) * parseInt(limit),
-        };
-
-        const response = await crmApi.getContacts(accessToken, options);
-        crmLeads = response.results || [];
-        totalCount = response.total || crmLeads.length;
-
-        // Transform HubSpot contacts to standard format
-        crmLeads = crmLeads.map((contact) => ({
-          id: contact.id,
-          crmId: contact.id,
-          firstName: contact.properties?.firstname || "",
-          lastName: contact.properties?.lastname || "",
-          fullName: `${contact.properties?.firstname || ""} ${contact.properties?.lastname || ""}`.trim(),
-          email: contact.properties?.email || "",
-          phone: contact.properties?.phone || "",
-          company: contact.properties?.company || "",
-          jobTitle: contact.properties?.jobtitle || "",
-          source: "HubSpot CRM",
-          status: contact.properties?.hs_lead_status?.toLowerCase() || "new",
-          createdAt: contact.createdAt,
-          updatedAt: contact.updatedAt,
-          crmLink: `https://app.hubspot.com/contacts/${crmIntegration.credentials.portalId || crmIntegration.accountInfo?.accountId}/contact/${contact.id}`,
-        }));
-        break;
-      }
-
-      case "salesforce": {
-        const options = {
-          limit: parseInt(limit),
-          offset: (parseInt(page) - 1) * parseInt(limit),
-        };
-
-        const response = await crmApi.getLeads(
-          accessToken,
-          crmIntegration.credentials.instanceUrl,
-          options
-        );
-        crmLeads = response.records || [];
-        totalCount = response.totalSize || crmLeads.length;
-
-        // Transform Salesforce leads to standard format
-        crmLeads = crmLeads.map((lead) => ({
-          id: lead.Id,
-          crmId: lead.Id,
-          firstName: lead.FirstName || "",
-          lastName: lead.LastName || "",
-          fullName: `${lead.FirstName || ""} ${lead.LastName || ""}`.trim(),
-          email: lead.Email || "",
-          phone: lead.Phone || "",
-          company: lead.Company || "",
-          jobTitle: lead.Title || "",
-          source: "Salesforce CRM",
-          status: lead.Status?.toLowerCase() || "new",
-          createdAt: lead.CreatedDate,
-          updatedAt: lead.LastModifiedDate,
-          crmLink: `${crmIntegration.credentials.instanceUrl}/${lead.Id}`,
-        }));
-        break;
-      }
-
-      case "zoho": {
-        const options = {
-          page: parseInt(page),
-          perPage: parseInt(limit),
-        };
-
-        const response = await crmApi.getLeads(
-          accessToken,
-          crmIntegration.credentials.apiDomain,
-          options
-        );
-        crmLeads = response.data || [];
-        totalCount = response.info?.count || crmLeads.length;
-
-        // Transform Zoho leads to standard format
-        crmLeads = crmLeads.map((lead) => ({
-          id: lead.id,
-          crmId: lead.id,
-          firstName: lead.First_Name || "",
-          lastName: lead.Last_Name || "",
-          fullName: `${lead.First_Name || ""} ${lead.Last_Name || ""}`.trim(),
-          email: lead.Email || "",
-          phone: lead.Phone || "",
-          company: lead.Company || "",
-          jobTitle: lead.Title || "",
-          source: "Zoho CRM",
-          status: lead.Lead_Status?.toLowerCase() || "new",
-          createdAt: lead.Created_Time,
-          updatedAt: lead.Modified_Time,
-          crmLink: `https://crm.zoho.com/crm/EntityInfo?module=Leads&id=${lead.id}`,
-        }));
-        break;
-      }
-
-      default:
-        throw new ApiError(400, `Provider ${crmIntegration.provider} not supported for lead fetching`);
-    }
+    const response = await fetchCrmLeads(crmIntegration, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+    crmLeads = response.leads;
+    totalCount = response.total || crmLeads.length;
 
     // Apply search filter if provided
     if (search && search.trim()) {
@@ -831,38 +1365,22 @@ const getCombinedLeads = asyncHandler(async (req, res) => {
       if (crmIntegration.needsTokenRefresh()) {
         const refreshedTokens = await refreshAccessToken(
           crmIntegration.provider,
-          crmIntegration.tokens.refreshToken
+          crmIntegration.tokens.refreshToken,
+          crmIntegration.credentials
         );
         crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
         crmIntegration.tokens.tokenExpiry = calculateTokenExpiry(refreshedTokens.expiresIn);
         await crmIntegration.save();
       }
 
-      const crmApi = getCrmApi(crmIntegration.provider);
-      if (crmApi) {
-        const accessToken = crmIntegration.tokens.accessToken;
-
-        switch (crmIntegration.provider) {
-          case "hubspot": {
-            const response = await crmApi.getContacts(accessToken, { limit: parseInt(limit) / 2 });
-            crmLeads = (response.results || []).map((contact) => ({
-              id: contact.id,
-              crmId: contact.id,
-              fullName: `${contact.properties?.firstname || ""} ${contact.properties?.lastname || ""}`.trim(),
-              email: contact.properties?.email || "",
-              company: contact.properties?.company || "",
-              phone: contact.properties?.phone || "",
-              source: "HubSpot",
-              sourceType: "crm",
-              status: contact.properties?.hs_lead_status?.toLowerCase() || "new",
-              createdAt: contact.createdAt,
-              crmLink: `https://app.hubspot.com/contacts/${crmIntegration.accountInfo?.accountId}/contact/${contact.id}`,
-            }));
-            break;
-          }
-          // Add other CRM providers as needed
-        }
-      }
+      const response = await fetchCrmLeads(crmIntegration, {
+        limit: Math.ceil(parseInt(limit) / 2),
+      });
+      crmLeads = response.leads.map((lead) => ({
+        ...lead,
+        source: getCrmProvider(crmIntegration.provider).label,
+        sourceType: "crm",
+      }));
     } catch (error) {
       console.warn("Failed to fetch CRM leads for combined view:", error.message);
     }
@@ -889,6 +1407,109 @@ const getCombinedLeads = asyncHandler(async (req, res) => {
   );
 });
 
+// ==============================================================
+// Sync Conflicts
+// ==============================================================
+
+/**
+ * List fields changed both here and in the CRM, awaiting a rep's decision
+ * @route GET /api/v1/crm-integration/conflicts
+ * Query: status (open | resolved | all), leadId, integrationId, page, limit
+ */
+const getCrmConflicts = asyncHandler(async (req, res) => {
+  const { status, leadId, integrationId, page, limit } = req.query;
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const result = await getConflicts(tenantConnection, {
+    status,
+    leadId,
+    integrationId,
+    page,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "CRM conflicts fetched successfully"));
+});
+
+/**
+ * @route GET /api/v1/crm-integration/conflicts/:conflictId
+ */
+const getCrmConflict = asyncHandler(async (req, res) => {
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const conflict = await getConflict(tenantConnection, req.params.conflictId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, conflict, "CRM conflict fetched successfully"));
+});
+
+/**
+ * Resolve a conflict field by field
+ * @route PATCH /api/v1/crm-integration/conflicts/:conflictId/resolve
+ * Body: { resolutions: [{ field, choice: "platform" | "crm" | "custom", value? }] }
+ */
+const resolveCrmConflict = asyncHandler(async (req, res) => {
+  const { resolutions } = req.body;
+
+  const tenantConnection = await getTenantConnection(req.company._id.toString());
+  const result = await resolveConflict(
+    tenantConnection,
+    req.params.conflictId,
+    resolutions,
+    req.company._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "CRM conflict resolved successfully"));
+});
+
+// ==============================================================
+// Webhooks
+// ==============================================================
+
+/**
+ * Receive lead created/updated/deleted events from a CRM
+ * Public; each provider's signature scheme is verified. Events are applied
+ * in the job queue so the CRM gets a fast acknowledgement.
+ * @route POST /api/v1/crm-integration/webhooks/:provider/:integrationId
+ */
+const handleCrmWebhook = asyncHandler(async (req, res) => {
+  const { provider, integrationId } = req.params;
+  const rawBody = Buffer.isBuffer(req.rawBody) ? req.rawBody.toString("utf8") : "";
+
+  let body = {};
+  if (rawBody) {
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      throw new ApiError(400, "Invalid webhook payload");
+    }
+  }
+
+  const result = await receiveCrmWebhook({
+    provider,
+    integrationId,
+    headers: req.headers,
+    rawBody,
+    body,
+    method: req.method,
+    // The public URL the CRM called (part of some signatures)
+    url: `${process.env.SERVER_URL}${req.originalUrl}`,
+  });
+
+  // Subscription handshakes expect their challenge echoed back as-is
+  if (result.challenge) {
+    return res.status(200).json(result.challenge);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Webhook received"));
+});
+
 export {
   getProviders,
   initOAuthFlow,
@@ -902,9 +1523,25 @@ export {
   importFromCrm,
   getCrmSyncStatus,
   retryFailedLeads,
+  getCrmSyncRuns,
+  getCrmSyncRun,
   updateFieldMapping,
+  getCrmFieldSchema,
+  previewFieldMapping,
+  updateCrmRouting,
+  previewLeadRouting,
+  getEnrichmentFields,
+  updateEnrichmentPush,
+  pushCrmEnrichment,
+  getCrmDealStages,
+  updateDealSync,
+  importCrmDeals,
   getCrmErrorLogs,
   resolveCrmError,
   getLeadsFromCrm,
   getCombinedLeads,
+  getCrmConflicts,
+  getCrmConflict,
+  resolveCrmConflict,
+  handleCrmWebhook,
 };
@@ -79,6 +79,60 @@ const getEngagementHistory = asyncHandler(async (req, res) => {
     );
 });
 
+// Get a lead's health history, one point per day
+const getLeadHealthTrend = asyncHandler(async (req, res) => {
+  const { leadId } = req.params;
+  const days = parseInt(req.query.days) || 90;
+
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  if (days < 1) {
+    throw new ApiError(400, "days must be a positive number");
+  }
+
+  const trend = await dealHealthService.getLeadTrend(
+    req.tenantConnection,
+    leadId,
+    days
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        trend,
+        "Deal health trend retrieved successfully"
+      )
+    );
+});
+
+// Get the pipeline's health distribution week over week
+const getHealthTrends = asyncHandler(async (req, res) => {
+  const weeks = parseInt(req.query.weeks) || 8;
+
+  if (weeks < 1) {
+    throw new ApiError(400, "weeks must be a positive number");
+  }
+
+  const trends = await dealHealthService.getPipelineTrends(
+    req.tenantConnection,
+    weeks
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        trends,
+        "Deal health trends retrieved successfully"
+      )
+    );
+});
+
 // Log engagement manually
 const logEngagement = asyncHandler(async (req, res) => {
   const { leadId } = req.params;
@@ -195,4 +249,6 @@ export {
   recalculateHealth,
   batchCalculateHealth,
   getAtRiskLeads,
+  getLeadHealthTrend,
+  getHealthTrends,
 };
\ No newline at end of file
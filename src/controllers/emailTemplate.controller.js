@@ -0,0 +1,176 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import emailTemplateService from "../services/emailTemplate.service.js";
+import mongoose from "mongoose";
+
+// ==============================================================
+// Email Template Functions
+// ==============================================================
+
+// Get all templates
+const getEmailTemplates = asyncHandler(async (req, res) => {
+  const { category, isActive, search } = req.query;
+
+  const templates = await emailTemplateService.getTemplates(
+    req.tenantConnection,
+    {
+      category,
+      isActive: isActive === undefined ? undefined : isActive === "true",
+      search,
+    }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, templates, "Email templates fetched successfully")
+    );
+});
+
+// Get available merge variables
+const getTemplateVariables = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        emailTemplateService.getVariables(),
+        "Template variables fetched successfully"
+      )
+    );
+});
+
+// Get single template
+const getEmailTemplateById = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new ApiError(400, "Invalid template ID");
+  }
+
+  const template = await emailTemplateService.getTemplate(
+    req.tenantConnection,
+    templateId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, template, "Email template fetched successfully")
+    );
+});
+
+// Create template
+const createEmailTemplate = asyncHandler(async (req, res) => {
+  const { name, subject, htmlBody } = req.body;
+
+  if (!name || !subject || !htmlBody) {
+    throw new ApiError(400, "name, subject and htmlBody are required");
+  }
+
+  const template = await emailTemplateService.createTemplate(
+    req.tenantConnection,
+    req.body,
+    { createdBy: req.user?._id || req.company?._id }
+  );
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(201, template, "Email template created successfully")
+    );
+});
+
+// Update template
+const updateEmailTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new ApiError(400, "Invalid template ID");
+  }
+
+  const template = await emailTemplateService.updateTemplate(
+    req.tenantConnection,
+    templateId,
+    req.body
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, template, "Email template updated successfully")
+    );
+});
+
+// Delete template
+const deleteEmailTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new ApiError(400, "Invalid template ID");
+  }
+
+  await emailTemplateService.deleteTemplate(req.tenantConnection, templateId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Email template deleted successfully"));
+});
+
+// Render a saved template against a lead
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+  const { leadId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new ApiError(400, "Invalid template ID");
+  }
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  const preview = await emailTemplateService.previewTemplate(
+    req.tenantConnection,
+    req.tenantId,
+    { templateId, leadId }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, preview, "Email template rendered successfully")
+    );
+});
+
+// Render unsaved template content against a lead
+const previewEmailTemplateDraft = asyncHandler(async (req, res) => {
+  const { leadId, subject, htmlBody, textBody } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  const preview = await emailTemplateService.previewTemplate(
+    req.tenantConnection,
+    req.tenantId,
+    { content: { subject, htmlBody, textBody }, leadId }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, preview, "Email template rendered successfully")
+    );
+});
+
+export {
+  getEmailTemplates,
+  getTemplateVariables,
+  getEmailTemplateById,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate,
+  previewEmailTemplate,
+  previewEmailTemplateDraft,
+};
@@ -0,0 +1,159 @@
+import emailTrackingService from "../services/emailTracking.service.js";
+import { verifyTrackingToken } from "../utils/emailTracking.util.js";
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+const renderPage = (title, body) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 480px; margin: 80px auto; padding: 20px; text-align: center; }
+      button { background: #667eea; color: white; border: none; padding: 12px 24px; border-radius: 5px; font-size: 15px; cursor: pointer; }
+    </style>
+  </head>
+  <body>
+    <h2>${title}</h2>
+    ${body}
+  </body>
+  </html>
+`;
+
+// ==============================================================
+// Email Tracking Functions (public, linked from outbound emails)
+// ==============================================================
+
+// Record an email open and return the tracking pixel
+// Tenant is passed as ?c=<companyId>; the token is <leadId>-<timestamp>
+const trackEmailOpen = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const leadId = token.split("-")[0];
+
+    await emailTrackingService.recordOpen(req.query.c, leadId, token);
+
+    console.log(`📬 Email opened with token: ${token}`);
+    console.log(`👤 User Agent: ${req.headers["user-agent"]}`);
+    console.log(`🌐 IP: ${req.ip}`);
+  } catch (error) {
+    // Still return a pixel even on error to avoid breaking email display
+    console.error("Error tracking email open:", error.message);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-cache, no-store, must-revalidate",
+    Pragma: "no-cache",
+    Expires: "0",
+  });
+  res.end(TRACKING_PIXEL);
+};
+
+// Record a link click and redirect to the original URL
+const trackEmailClick = async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+
+  let url;
+  try {
+    url = new URL(payload?.u);
+  } catch {
+    url = null;
+  }
+
+  if (!payload || !url || !["http:", "https:"].includes(url.protocol)) {
+    return res
+      .status(400)
+      .send(
+        renderPage(
+          "Invalid link",
+          "<p>This link is invalid or has expired.</p>"
+        )
+      );
+  }
+
+  try {
+    await emailTrackingService.recordClick(
+      payload.c,
+      payload.l,
+      payload.m,
+      url.toString()
+    );
+  } catch (error) {
+    // Never block the redirect on tracking failures
+    console.error("Error tracking email click:", error.message);
+  }
+
+  return res.redirect(302, url.toString());
+};
+
+// Unsubscribe landing page (confirmation, so link scanners don't unsubscribe)
+const getUnsubscribePage = async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+
+  if (!payload) {
+    return res
+      .status(400)
+      .send(
+        renderPage("Invalid link", "<p>This unsubscribe link is invalid.</p>")
+      );
+  }
+
+  return res.status(200).send(
+    renderPage(
+      "Unsubscribe",
+      `<p>Click below to stop receiving these emails.</p>
+       <form method="POST">
+         <button type="submit">Unsubscribe</button>
+       </form>`
+    )
+  );
+};
+
+// Unsubscribe (landing page form and RFC 8058 one-click POST)
+const unsubscribe = async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+
+  if (!payload) {
+    return res
+      .status(400)
+      .send(
+        renderPage("Invalid link", "<p>This unsubscribe link is invalid.</p>")
+      );
+  }
+
+  try {
+    const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+    await emailTrackingService.unsubscribeLead(payload.c, payload.l, {
+      source: oneClick ? "list_unsubscribe_header" : "link",
+    });
+  } catch (error) {
+    console.error("Error processing unsubscribe:", error.message);
+    return res
+      .status(500)
+      .send(
+        renderPage(
+          "Something went wrong",
+          "<p>We couldn't process your request. Please try again later.</p>"
+        )
+      );
+  }
+
+  return res
+    .status(200)
+    .send(
+      renderPage(
+        "You're unsubscribed",
+        "<p>You won't receive any more of these emails.</p>"
+      )
+    );
+};
+
+export { trackEmailOpen, trackEmailClick, getUnsubscribePage, unsubscribe };
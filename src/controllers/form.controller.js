@@ -1,17 +1,16 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { getTenantModels } from "../models/index.js";
-import { CrmIntegration } from "../models/crmIntegration.model.js";
 import { Company } from "../models/company.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import scrapingService from "../services/scraping.service.js";
-import emailService from "../services/email.service.js";
-import bantService from "../services/bant.service.js";
-import { syncLeadToCrm } from "../services/crm/sync.service.js";
+import { Job } from "../models/job.model.js";
+import jobQueueService from "../services/jobQueue.service.js";
+import {
+  enqueueFormSubmission,
+  FORM_SUBMISSION_JOB,
+} from "../services/jobs/formSubmission.job.js";
 import mongoose from "mongoose";
-import dealHealthService from "../services/dealHealth.service.js";
 import { formSchema } from "../models/form.model.js";
-// import dealHealthService from "../services/dealHealth.service.js";
 
 // ==============================================================
 // Form Management Functions
@@ -432,7 +431,7 @@ const submitFormData = asyncHandler(async (req, res) => {
   // Get tenant connection dynamically for this submission
   const { getTenantConnection } = await import("../db/tenantConnection.js");
   const tenantConnection = await getTenantConnection(tenantId);
-  const { Form, Lead, Notification } = getTenantModels(tenantConnection);
+  const { Form } = getTenantModels(tenantConnection);
 
   const form = await Form.findOne({ accessToken });
 
@@ -445,7 +444,7 @@ const submitFormData = asyncHandler(async (req, res) => {
   }
 
   // Fetch company from system DB
-  const company = await Company.findById(form.companyId).populate("teamMembers.company", "_id companyName email logo.url joinedCompanyStatus assignedLeadsType");
+  const company = await Company.findById(form.companyId);
   if (!company) {
     throw new ApiError(404, "Company not found");
   }
@@ -459,322 +458,112 @@ const submitFormData = asyncHandler(async (req, res) => {
   // Increment submission count
   await form.incrementSubmissions();
 
-  // Only attempt scraping if it's enabled and form type is not 'custom'
-  if (form.platformConfig?.scrapingEnabled && form.formType !== "custom") {
-    try {
-      // Extract platform URL from form data
-      const platformUrl = formData[form.config.fields[0].name];
-
-      const scrapedData = await scrapingService.scrapeProfile(
-        form.formType,
-        platformUrl
-      );
-
-      // Check if scraping returned valid data
-      if (!scrapedData) {
-        console.error("Scraping returned no data for:", platformUrl);
-        throw new Error("Failed to scrape profile data");
-      }
-
-      // Prevent duplicates: if a lead with the same platformUrl exists, skip creation
-      const existingLead = await Lead.findOne({ platformUrl: platformUrl });
-
-      if (existingLead) {
-        console.log(
-          `ℹ️ Duplicate lead skipped for tenant ${tenantId} and URL ${platformUrl}`
-        );
-        return res
-          .status(200)
-          .json(
-            new ApiResponse(
-              200,
-              { duplicate: true },
-              "Lead already exists; skipped"
-            )
-          );
-      }
-
-      // STEP 1: Ensure company has an API key (generate if needed)
-      if (!company.apiKey) {
-        await company.generateApiKey();
-        await company.save();
-        console.log(`✅ Generated API key for company: ${company._id}`);
-      }
-
-      // Create lead record from scraped data (NO companyId - separate DB!)
-      const leadData = {
-        formId: form._id,
-        platform: form.formType,
-        platformUrl: platformUrl,
-        profileUrl: platformUrl,
-        profilePic:
-          scrapedData.profilePic || scrapedData.profilePicHighQuality || null,
-        firstName: scrapedData.firstName || null,
-        lastName: scrapedData.lastName || null,
-        fullName: scrapedData.fullName || null,
-        email: scrapedData.email || null,
-        phone: scrapedData.mobileNumber || null,
-        company: scrapedData.companyName || null,
-        companyIndustry: scrapedData.companyIndustry || null,
-        companyWebsite: scrapedData.companyWebsite || null,
-        companySize: scrapedData.companySize || null,
-        jobTitle: scrapedData.jobTitle || null,
-        department: scrapedData.department || null,
-        location:
-          scrapedData.addressWithCountry ||
-          scrapedData.addressCountryOnly ||
-          null,
-        country: scrapedData.addressCountryOnly || null,
-        city: scrapedData.addressWithoutCountry || null,
-        platformData: scrapedData, // Store complete scraped data
-        source: form.formType,
-        sourceUrl: form.embedUrl || null,
-        status: "new",
-        apiKey: company.apiKey,
-      };
-
-      if(leadData?.firstName === null && leadData?.lastName === null && leadData?.fullName === null && leadData?.email === null){
-        return res
-          .status(200)
-          .json(
-            new ApiResponse(
-              200,
-              { },
-              "Invalid lead data from scraping; no lead created"
-            )
-          );
-      }
-
-      const lead = await Lead.create(leadData);
-
-      // Always create deal health and next best action for new leads
-      try {
-        await dealHealthService.calculateDealHealth(tenantConnection, lead._id);
-        console.log(`✅ Deal health calculated for lead: ${lead._id}`);
-      } catch (error) {
-        console.error("Failed to calculate deal health for lead:", error);
-      }
-
-      // Send welcome email to lead if enabled and lead has email
-      if (form.settings.autoResponse.enabled && lead.email) {
-        try {
-          const welcomeEmail = await emailService.sendWelcomeEmail(lead, form);
-          await lead.updateEmailStatus("welcome", true);
-          // console.log(`✅ Welcome email sent to lead: ${lead.email}`);
-          // Log engagement only if email was sent successfully
-          if (welcomeEmail.success === true) {
-            await dealHealthService.logEngagement(tenantConnection, lead._id, {
-              engagementType: "email_sent",
-              emailMetrics: {
-                subject: "lead welcome email sent",
-                sentAt: new Date(),
-                messageId: welcomeEmail?.messageId
-              },
-              contactType: "email",
-              direction: "outbound"
-            })
-          }
-        } catch (error) {
-          console.error("Failed to send welcome email to lead:", error);
-        }
-      } else if (form.settings.autoResponse.enabled && !lead.email) {
-        console.log(
-          "⚠️ Welcome email not sent - lead email not available from scraped data"
-        );
-      }
+  // Only queue processing if scraping is enabled and form type is not 'custom'
+  if (!form.platformConfig?.scrapingEnabled || form.formType === "custom") {
+    console.log("Scraping skipped - either disabled or custom form type");
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { formData }, "Form submitted successfully"));
+  }
 
-      // Send lead notification email to company when enabled in settings
-      if (company.settings?.leadNotifications) {
-        try {
-          await emailService.sendLeadNotificationEmail(
-            lead,
-            form,
-            company
-          );
-          console.log(
-            `✅ Lead notification email sent to company: ${company.email}`
-          );
-
-          // Create and emit real-time notification
-          const newNotification = await Notification.create({
-            companyId: company._id,
-            title: "Newly Generated Lead",
-            message: `New lead created using ${form.formType} platform`
-          });
-
-          // Emit notification to all connected clients of this company
-          req.io.emit(`notifications-${company._id}`, { action: "newNotification", notification: newNotification });
-          console.log(`🔔 Real-time notification sent for company`);
-
-        } catch (error) {
-          console.error(
-            "Failed to send lead notification email to company:",
-            error
-          );
-        }
-      } else {
-        console.log(
-          `ℹ️ Lead notification email disabled for company: ${company._id}`
-        );
-      }
+  // Scraping, lead creation, health, emails, BANT and CRM sync run in the job queue
+  const job = await enqueueFormSubmission({
+    tenantId,
+    companyId: company._id,
+    form,
+    formData,
+  });
 
-      let bantResult = null;
+  return res.status(202).json(
+    new ApiResponse(
+      202,
+      { formData, jobId: job._id, status: job.status },
+      "Form submitted successfully"
+    )
+  );
+});
 
-      // Apply BANT qualification if enabled in company settings (async, non-blocking)
-      if (company.settings?.autoBANTQualification) {
-        bantResult = await qualifyLeadInBackground(lead);
-      } else {
-        console.log(
-          `[BANT] Auto-qualification disabled for company: ${company._id}`
-        );
-      }
+// Get processing status of a form submission (public, scoped by form access token)
+const getSubmissionStatus = asyncHandler(async (req, res) => {
+  const { accessToken, jobId } = req.params;
+  const tenantId = req.query.tenantId;
 
+  if (!tenantId) {
+    throw new ApiError(400, "Tenant ID is required");
+  }
 
-      try {
-        const webResponse = await fetch('https://hook.eu2.make.com/ora3wwlyjeodkn7o9qwf6qsowc2watv9', {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            // Company & Team Info
-            company: {
-              _id: company._id,
-              name: company.companyName,
-              apiKey: company.apiKey,  // ← API Key in webhook
-            },
-            // Team Members (for auto-assignment)
-            teamMembers: company?.teamMembers,
-            // Lead Data
-            lead: {
-              _id: lead._id,
-              fullName: lead.fullName,
-              email: lead.email,
-              company: lead.company,
-              jobTitle: lead.jobTitle,
-              phone: lead.phone,
-              platform: lead.platform,
-              platformUrl: lead.platformUrl,
-              leadScore: bantResult?.leadScore || lead?.leadScore || null,
-              bantCategory: bantResult?.category || "new",
-            },
-            apiKey: company.apiKey,  // ← Automation team can use this
-            source: "mongo",
-            timestamp: new Date().toISOString(),
-          })
-        });
-
-        // Check if the request was successful
-        if (webResponse.ok) {
-          const responseText = await webResponse.text();
-          console.log("Webhook response:", responseText);
-        } else {
-          console.error(`Webhook failed with status: ${webResponse.status} - ${webResponse.statusText}`);
-        }
-      } catch (webhookError) {
-        console.error("Webhook error:", webhookError.message);
-      }
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new ApiError(400, "Invalid job ID");
+  }
 
-      const newLeadData = await Lead.findById(lead._id);
-      // Emit real-time event for new lead
-      if (req.io) {
-        req.io.to(`company_${company?._id}`).emit("lead:new", {
-          type: "lead:new",
-          data: newLeadData,
-          timestamp: new Date().toISOString(),
-        });
-        // console.log(`📡 Real-time: New lead created - ${lead.fullName}`);
-      }
+  const job = await jobQueueService.getJob(jobId, tenantId);
 
-      // Sync lead to CRM if integration is active (async, non-blocking)
-      syncLeadToCrmInBackground(tenantConnection, lead, company._id);
-    } catch (scrapingError) {
-      console.log("errororor*******", scrapingError)
-      console.error("Scraping Error Details:", scrapingError);
-    }
-  } else {
-    console.log("Scraping skipped - either disabled or custom form type");
+  if (!job || job.payload?.accessToken !== accessToken) {
+    throw new ApiError(404, "Submission not found");
   }
+
   return res
     .status(200)
-    .json(new ApiResponse(200, { formData }, "Form submitted successfully"));
+    .json(
+      new ApiResponse(200, job.toStatusJSON(), "Submission status fetched successfully")
+    );
 });
 
-// Qualify lead using BANT method in background (non-blocking)
-const qualifyLeadInBackground = async (lead) => {
-  try {
-    console.log(
-      `[BANT] Starting background qualification for lead ${lead._id}`
-    );
+// List form submission jobs for the current company
+const getSubmissionJobs = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const tenantId = req.tenantId || req.company._id.toString();
 
-    // Call BANT service to qualify the lead
-    const qualificationResult = await bantService.qualifyLead(lead);
+  const query = { tenantId, type: FORM_SUBMISSION_JOB };
+  if (status) query.status = status;
 
-    if (!qualificationResult.success) {
-      console.error(
-        `[BANT] Qualification failed for lead ${lead._id}:`,
-        qualificationResult.error
-      );
-      return;
-    }
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [jobs, total] = await Promise.all([
+    Job.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Job.countDocuments(query),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        jobs: jobs.map((job) => job.toStatusJSON()),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+      "Submission jobs fetched successfully"
+    )
+  );
+});
 
-    // Update lead with BANT data using shared service method
-    const bantData = qualificationResult.data;
-    await bantService.updateLeadWithBANT(lead, bantData);
+// Get a single form submission job for the current company
+const getSubmissionJobById = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const tenantId = req.tenantId || req.company._id.toString();
 
-    console.log(
-      `[BANT] Successfully qualified lead ${lead._id} - Score: ${bantData.score}, Category: ${bantData.category}`
-    );
-    return { leadId: lead._id, leadScore: bantData.score, category: bantData.category };
-  } catch (error) {
-    console.error(`[BANT] Error qualifying lead ${lead._id}:`, error.message);
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new ApiError(400, "Invalid job ID");
   }
-};
 
-// Sync lead to CRM in background (non-blocking)
-const syncLeadToCrmInBackground = async (tenantConnection, lead, companyId) => {
-  try {
-    console.log(`[CRM] Starting background sync for lead ${lead._id} to CRM`);
-
-    // Find active CRM integration for the company
-    const crmIntegrations = await CrmIntegration.find({
-      companyId: companyId,
-      status: "active",
-    });
-
-    if (!crmIntegrations) {
-      console.log(
-        `[CRM] No active CRM integration found for company: ${companyId}`
-      );
-      return;
-    }
+  const job = await jobQueueService.getJob(jobId, tenantId);
 
-    for (const crmIntegration of crmIntegrations) {
-      try {
-        const syncResult = await syncLeadToCrm(tenantConnection, lead._id, crmIntegration);
-
-        if (syncResult.success) {
-          console.log(
-            `[CRM] Successfully synced lead ${lead._id} to ${crmIntegration.provider} CRM - CRM ID: ${syncResult.crmId}`
-          );
-        } else {
-          console.error(
-            `[CRM] Failed to sync lead ${lead._id} to ${crmIntegration.provider} CRM:`,
-            syncResult.error
-          );
-        }
-      } catch (err) {
-        console.error(`[CRM] Error syncing to ${crmIntegration.provider}:`, err);
-      }
-    }
-
-  } catch (error) {
-    console.error(
-      `[CRM] Error syncing lead ${lead._id} to CRM:`,
-      error.message
-    );
+  if (!job) {
+    throw new ApiError(404, "Job not found");
   }
-};
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, job.toStatusJSON(), "Job fetched successfully"));
+});
 
 const addFormField = asyncHandler(async (req, res) => {
   const { formId } = req.params;
@@ -865,6 +654,9 @@ export {
   deleteForm,
   getFormByAccessToken,
   submitFormData,
+  getSubmissionStatus,
+  getSubmissionJobs,
+  getSubmissionJobById,
   addFormField,
   removeFormField,
 };
@@ -5,11 +5,24 @@ import { getTenantModels } from "../models/index.js";
 import { Company } from "../models/company.model.js";
 import mongoose from "mongoose";
 import bantService from "../services/bant.service.js";
+import { isAiQuotaError } from "../services/aiUsage.service.js";
 import emailService from "../services/email.service.js";
+import leadDedupService from "../services/leadDedup.service.js";
+import leadTimelineService from "../services/leadTimeline.service.js";
+import pipelineService from "../services/pipeline.service.js";
+import emailTemplateService from "../services/emailTemplate.service.js";
+import leadViewService from "../services/leadView.service.js";
+import { buildLeadFilterPipeline } from "../utils/leadFilter.util.js";
+import { LEAD_STATUSES } from "../constants/website.constants.js";
 import ExcelJs from "exceljs";
 import { CrmIntegration } from "../models/crmIntegration.model.js";
-import { getCrmApi } from "../services/crm/api.service.js";
+import { fetchCrmLeads, getCrmApi } from "../services/crm/api.service.js";
 import { refreshAccessToken, calculateTokenExpiry } from "../services/crm/oauth.service.js";
+import {
+  enqueueLeadCrmSync,
+  enqueueLeadCrmDelete,
+} from "../services/jobs/crmLeadSync.job.js";
+import { enqueueBantRequalification } from "../services/jobs/bantRequalify.job.js";
 
 // ==============================================================
 // Helper Functions
@@ -77,7 +90,8 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
         try {
           const refreshedTokens = await refreshAccessToken(
             crmIntegration.provider,
-            crmIntegration.tokens.refreshToken
+            crmIntegration.tokens.refreshToken,
+            crmIntegration.credentials
           );
 
           crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
@@ -97,124 +111,11 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
         continue;
       }
 
-      const accessToken = crmIntegration.tokens.accessToken;
-      let crmLeads = [];
-
       try {
-        // Fetch leads based on provider
-        switch (crmIntegration.provider) {
-          case "hubspot": {
-            const hubspotOptions = {
-              limit: 100,
-              after: 0,
-            };
-            const response = await crmApi.getContacts(accessToken, hubspotOptions);
-            crmLeads = (response.results || []).map((contact) => ({
-              id: contact.id,
-              crmId: contact.id,
-              firstName: contact.properties?.firstname || "",
-              lastName: contact.properties?.lastname || "",
-              fullName: `${contact.properties?.firstname || ""} ${contact.properties?.lastname || ""}`.trim(),
-              email: contact.properties?.email || "",
-              phone: contact.properties?.phone || "",
-              company: contact.properties?.company || "",
-              jobTitle: contact.properties?.jobtitle || "",
-              status: contact.properties?.hs_lead_status?.toLowerCase() || "new",
-              createdAt: contact.createdAt,
-              updatedAt: contact.updatedAt,
-              source: "HubSpot CRM",
-            }));
-            break;
-          }
-
-          case "salesforce": {
-            const sfOptions = {
-              limit: 100,
-              offset: 0,
-            };
-            const response = await crmApi.getLeads(
-              accessToken,
-              crmIntegration.credentials.instanceUrl,
-              sfOptions
-            );
-            crmLeads = (response.records || []).map((lead) => ({
-              id: lead.Id,
-              crmId: lead.Id,
-              firstName: lead.FirstName || "",
-              lastName: lead.LastName || "",
-              fullName: `${lead.FirstName || ""} ${lead.LastName || ""}`.trim(),
-              email: lead.Email || "",
-              phone: lead.Phone || "",
-              company: lead.Company || "",
-              jobTitle: lead.Title || "",
-              status: lead.Status?.toLowerCase() || "new",
-              createdAt: lead.CreatedDate,
-              updatedAt: lead.LastModifiedDate,
-              source: "Salesforce CRM",
-            }));
-            break;
-          }
-
-          case "zoho": {
-            const zohoOptions = {
-              page: 1,
-              perPage: 100,
-            };
-            const response = await crmApi.getLeads(
-              accessToken,
-              crmIntegration.credentials.apiDomain,
-              zohoOptions
-            );
-            crmLeads = (response.data || []).map((lead) => ({
-              id: lead.id,
-              crmId: lead.id,
-              firstName: lead.First_Name || "",
-              lastName: lead.Last_Name || "",
-              fullName: `${lead.First_Name || ""} ${lead.Last_Name || ""}`.trim(),
-              email: lead.Email || "",
-              phone: lead.Phone || "",
-              company: lead.Company || "",
-              jobTitle: lead.Title || "",
-              status: lead.Lead_Status?.toLowerCase() || "new",
-              createdAt: lead.Created_Time,
-              updatedAt: lead.Modified_Time,
-              source: "Zoho CRM",
-            }));
-            break;
-          }
-
-          case "dynamics": {
-            const dynamicsOptions = {
-              top: 100,
-              skip: 0,
-            };
-            const response = await crmApi.getLeads(
-              accessToken,
-              crmIntegration.credentials.resource,
-              dynamicsOptions
-            );
-            crmLeads = (response.value || []).map((lead) => ({
-              id: lead.leadid,
-              crmId: lead.leadid,
-              firstName: lead.firstname || "",
-              lastName: lead.lastname || "",
-              fullName: `${lead.firstname || ""} ${lead.lastname || ""}`.trim(),
-              email: lead.emailaddress1 || "",
-              phone: lead.telephone1 || "",
-              company: lead.companyname || "",
-              jobTitle: lead.jobtitle || "",
-              status: "new",
-              createdAt: lead.createdon,
-              updatedAt: lead.modifiedon,
-              source: "Dynamics 365 CRM",
-            }));
-            break;
-          }
-
-          default:
-            console.log(`Unknown CRM provider: ${crmIntegration.provider}`);
-            continue;
-        }
+        // Fetch leads through the provider adapter
+        const { leads: crmLeads } = await fetchCrmLeads(crmIntegration, {
+          limit: 100,
+        });
 
         // Add leads from this CRM to the collection
         allCrmLeads = [...allCrmLeads, ...crmLeads];
@@ -229,8 +130,13 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
     const { Lead } = getTenantModels(tenantConnection);
     
     // Get all platform leads that have been synced to CRMs
-    const syncedLeads = await Lead.find({ crmId: { $ne: null } }).select('crmId email');
-    const syncedCrmIds = syncedLeads.map(lead => lead.crmId);
+    const syncedLeads = await Lead.find({
+      $or: [{ crmId: { $ne: null } }, { 'crmLinks.crmId': { $ne: null } }],
+    }).select('crmId crmLinks email');
+    const syncedCrmIds = syncedLeads.flatMap(lead => [
+      lead.crmId,
+      ...lead.crmLinks.map(link => link.crmId),
+    ]).filter(Boolean);
     const syncedEmails = syncedLeads.map(lead => lead.email).filter(Boolean);
 
     console.log(`Platform has ${syncedCrmIds.length} leads synced to CRMs`);
@@ -247,12 +153,10 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
           continue;
         }
 
-        // Check if lead already exists in database by email or originCrmId
-        const existingLead = await Lead.findOne({
-          $or: [
-            { email: crmLead.email },
-            { originCrmId: crmLead.id }
-          ]
+        // Check if lead already exists in database by CRM id (incl. merged leads) or email
+        const existingLead = await leadDedupService.findExistingLead(Lead, {
+          email: crmLead.email,
+          crmId: crmLead.id,
         });
 
         if (existingLead) {
@@ -266,6 +170,12 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
             existingLead.jobTitle = crmLead.jobTitle || existingLead.jobTitle;
             existingLead.status = crmLead.status || existingLead.status;
             existingLead.lastSyncedAt = new Date();
+            existingLead.recordCrmSync({
+              provider: existingLead.originCrmProvider,
+              direction: 'pull',
+              status: 'updated',
+              crmId: crmLead.id,
+            });
             await existingLead.save();
             updated++;
             console.log(`Updated CRM lead: ${crmLead.email}`);
@@ -285,11 +195,7 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
             }
           }
 
-          // Determine CRM provider from source
-          const crmProvider = crmLead.source?.includes('HubSpot') ? 'hubspot' : 
-                             crmLead.source?.includes('Zoho') ? 'zoho' :
-                             crmLead.source?.includes('Salesforce') ? 'salesforce' :
-                             crmLead.source?.includes('Dynamics') ? 'dynamics' : null;
+          const crmProvider = crmLead.provider;
 
           await Lead.create({
             formId: crmFormId,
@@ -308,6 +214,9 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
             crmId: crmLead.id,
             crmSyncStatus: 'synced',
             lastSyncedAt: new Date(),
+            crmSyncHistory: [
+              { provider: crmProvider, direction: 'pull', status: 'imported', crmId: crmLead.id },
+            ],
             platform: 'other',
             platformUrl: `crm-${crmLead.id}`,
             notes: `Imported from ${crmLead.source || 'CRM'}`,
@@ -335,6 +244,41 @@ const importCrmLeadsToDatabase = async (companyId, tenantConnection) => {
   }
 };
 
+/**
+ * Queue a push of an edited lead to connected CRMs
+ * Runs in the background; a queueing failure never fails the request.
+ */
+const queueLeadCrmSync = (req, leadId) => {
+  enqueueLeadCrmSync({
+    tenantId: req.companyDoc._id.toString(),
+    companyId: req.companyDoc._id,
+    leadId,
+  }).catch((error) =>
+    console.error(`Failed to queue CRM sync for lead ${leadId}:`, error.message)
+  );
+};
+
+/**
+ * Resolve a saved view and/or ad-hoc filter into leading aggregation stages
+ * @returns {Object} { stages, sort, view } - sort is the view's sort, if any
+ */
+const resolveLeadFilterStages = async (
+  tenantConnection,
+  { viewId, filter, userId, baseMatch = {} }
+) => {
+  const resolved = await leadViewService.resolveFilter(tenantConnection, {
+    viewId,
+    filter,
+    userId,
+  });
+
+  return {
+    stages: buildLeadFilterPipeline(resolved.filter, { userId, baseMatch }),
+    sort: resolved.sort,
+    view: resolved.view,
+  };
+};
+
 // ==============================================================
 // Lead Controller Functions
 // ==============================================================
@@ -379,6 +323,8 @@ const getLeads = asyncHandler(async (req, res) => {
     sortBy = "createdAt",
     sortOrder = "desc",
     includeCrmLeads = "true",
+    viewId,
+    filter,
   } = req.query;
 
   // Get tenant-specific models
@@ -399,16 +345,26 @@ const getLeads = asyncHandler(async (req, res) => {
     matchConditions.assignedTo = req.company._id;
   }
   
-  // Build sort object
-  const sortObj = {};
-  sortObj[sortBy] = sortOrder === "desc" ? -1 : 1;
+  // Saved view / filter query language (combined with the params above)
+  const { stages: filterStages, sort: viewSort } = await resolveLeadFilterStages(
+    req.tenantConnection,
+    { viewId, filter, userId: req.company._id, baseMatch: matchConditions }
+  );
+
+  // Build sort object (a view's sort applies unless sortBy is given)
+  let sortObj = {};
+  if (viewSort && !req.query.sortBy) {
+    sortObj = leadViewService.toSortObject(viewSort);
+  } else {
+    sortObj[sortBy] = sortOrder === "desc" ? -1 : 1;
+  }
   
   // If CRM leads are included, we need to fetch ALL leads first, then paginate after merging
   const shouldIncludeCrm = includeCrmLeads === "true" || includeCrmLeads === true;
   
   console.log("getLeads matchConditions:", matchConditions);
   const pipeline = [
-    { $match: matchConditions },
+    ...filterStages,
     {
       $lookup: {
         from: "forms",
@@ -588,16 +544,25 @@ const updateLeadById = asyncHandler(async (req, res) => {
       }
     }
 
-    const updatedLead = await Lead.findByIdAndUpdate(
-      id,
-      { $set: updateFields },
-      { new: true }
-    );
+    const update = { $set: updateFields };
+    if (assignedTo !== undefined) {
+      update.$push = {
+        assignmentHistory: {
+          assignedTo: updateFields.assignedTo,
+          assignedBy: req.company?._id,
+          assignedAt: new Date(),
+        },
+      };
+    }
+
+    const updatedLead = await Lead.findByIdAndUpdate(id, update, { new: true });
 
     if (!updatedLead) {
       throw new ApiError(404, "Lead not found");
     }
 
+    queueLeadCrmSync(req, updatedLead._id);
+
     // Real-time notifications
     if (status === "qualified") {
       // Create and emit real-time notification
@@ -654,6 +619,8 @@ const searchLeads = asyncHandler(async (req, res) => {
     source,
     sortBy = "createdAt",
     sortOrder = "desc",
+    viewId,
+    filter,
   } = req.query;
 
   if (!query || query.trim().length === 0) {
@@ -688,8 +655,14 @@ const searchLeads = asyncHandler(async (req, res) => {
     sort: sortObj,
   };
 
+  // Saved view / filter query language ($text stays in the first $match)
+  const { stages: filterStages } = await resolveLeadFilterStages(
+    req.tenantConnection,
+    { viewId, filter, userId: req.company._id, baseMatch: matchConditions }
+  );
+
   const pipeline = [
-    { $match: matchConditions },
+    ...filterStages,
     {
       $lookup: {
         from: "forms",
@@ -745,15 +718,36 @@ const searchLeads = asyncHandler(async (req, res) => {
     );
 });
 
-// Update lead status
+// Update lead status and/or pipeline stage
+// Moving to a stage applies the stage's status; setting a status moves the lead
+// to the stage mapped to it. Either way the transition is kept in stageHistory.
 const updateLeadStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, notes } = req.body;
+  const { status, stageId, pipelineId, notes } = req.body;
 
   if (!mongoose.Types.ObjectId.isValid(id)) {
     throw new ApiError(400, "Invalid lead ID");
   }
 
+  if (!status && !stageId) {
+    throw new ApiError(400, "Either status or stageId is required");
+  }
+
+  if (status && !LEAD_STATUSES.includes(status)) {
+    throw new ApiError(
+      400,
+      `Invalid status. Must be one of: ${LEAD_STATUSES.join(", ")}`
+    );
+  }
+
+  if (stageId && !mongoose.Types.ObjectId.isValid(stageId)) {
+    throw new ApiError(400, "Invalid stage ID");
+  }
+
+  if (pipelineId && !mongoose.Types.ObjectId.isValid(pipelineId)) {
+    throw new ApiError(400, "Invalid pipeline ID");
+  }
+
   try {
     // Get tenant-specific models
     const { Lead } = getTenantModels(req.tenantConnection);
@@ -764,9 +758,21 @@ const updateLeadStatus = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Lead not found");
     }
 
-    lead.status = status;
     if (notes !== undefined) lead.notes = notes;
-    await lead.save();
+
+    if (stageId) {
+      await pipelineService.moveLeadToStage(
+        req.tenantConnection,
+        lead,
+        { pipelineId, stageId },
+        { changedBy: req.company?._id, source: "manual" }
+      );
+    } else {
+      lead.status = status;
+      await lead.save();
+    }
+
+    queueLeadCrmSync(req, lead._id);
 
     return res
       .status(200)
@@ -887,6 +893,17 @@ const getLeadStats = asyncHandler(async (req, res) => {
       { $limit: 10 },
     ]);
 
+    // Pipeline breakdown from stage history (default pipeline unless ?pipelineId=)
+    const { pipelineId } = req.query;
+    if (pipelineId && !mongoose.Types.ObjectId.isValid(pipelineId)) {
+      throw new ApiError(400, "Invalid pipeline ID");
+    }
+    const pipelineStats = await pipelineService.getPipelineStats(
+      req.tenantConnection,
+      pipelineId || null,
+      baseMatch
+    );
+
     const result = {
       overview: {
         totalLeads: stats[0]?.totalLeads || 0,
@@ -896,12 +913,16 @@ const getLeadStats = asyncHandler(async (req, res) => {
         coldLeads: stats[0]?.coldLeads || 0,
         qualifiedLeads: stats[0]?.qualifiedLeads || 0,
         avgLeadScore: stats[0]?.avgLeadScore || 0,
+        wonLeads: pipelineStats.wonLeads,
+        lostLeads: pipelineStats.lostLeads,
+        winRate: pipelineStats.winRate,
         ...(isUser && { assignedLeads: stats[0]?.assignedLeads || 0 }),
       },
       industryBreakdown: industryStats,
       platformBreakdown: platformStats,
       locationBreakdown: locationStats,
       formBreakdown: formStats,
+      pipeline: pipelineStats,
     };
 
     return res
@@ -910,6 +931,7 @@ const getLeadStats = asyncHandler(async (req, res) => {
         new ApiResponse(200, result, "Lead statistics fetched successfully")
       );
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     throw new ApiError(500, error.message || "Failed to fetch lead statistics");
   }
 });
@@ -932,6 +954,15 @@ const deleteLead = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Lead not found");
     }
 
+    // Remove (or archive) the lead's record in the CRM it was synced with
+    enqueueLeadCrmDelete({
+      tenantId: req.companyDoc._id.toString(),
+      companyId: req.companyDoc._id,
+      lead,
+    }).catch((error) =>
+      console.error(`Failed to queue CRM delete for lead ${id}:`, error.message)
+    );
+
     return res
       .status(200)
       .json(new ApiResponse(200, null, "Lead deleted successfully"));
@@ -945,7 +976,7 @@ const deleteLead = asyncHandler(async (req, res) => {
 const createLeadFollowup = asyncHandler(async (req, res) => {
   try {
     const leadId = req.params;
-    const { subject, message, status, scheduledDate, scheduled } = req.body;
+    const { subject, message, status, scheduledDate, scheduled, templateId } = req.body;
     
     // Get tenant-specific models
     const { Lead, FollowUp, Notification } = getTenantModels(req.tenantConnection);
@@ -956,11 +987,15 @@ const createLeadFollowup = asyncHandler(async (req, res) => {
     if (!lead) {
       return res.status(400).json({ success: false, message: "Lead not found" })
     }
+    if (templateId && !mongoose.Types.ObjectId.isValid(templateId)) {
+      throw new ApiError(400, "Invalid template ID");
+    }
     const followUpData = {
       leadId,
       channel: "email",
       subject,
       message,
+      templateId: await emailTemplateService.assertTemplate(req.tenantConnection, templateId),
       status,
       scheduleDate: transformedScheduleData,
       scheduled,
@@ -1021,21 +1056,54 @@ const followUpEmail = asyncHandler(async (req, res) => {
     
     // Get company name
     const { Company } = await import("../models/company.model.js");
-    const company = await Company.findById(companyId).select('companyName');
+    const company = await Company.findById(companyId).select('companyName email website');
     
-    // Send via unified service (automatically uses default mailbox)
-    const result = await unifiedEmailService.sendFollowUpEmail(
-      companyId,
-      leadId,
-      company?.companyName || "Our Company",
-      lead.email,
-      followUpRecord.subject,
-      followUpRecord.message
-    );
+    let result;
+    let sentSubject = followUpRecord.subject;
+    if (followUpRecord.templateId) {
+      // Render the follow-up's email template for this lead
+      const rendered = await emailTemplateService.renderForLead(
+        req.tenantConnection,
+        followUpRecord.templateId,
+        lead,
+        company
+      );
+      sentSubject = rendered.subject;
+      result = await unifiedEmailService.sendLeadEmail(companyId, leadId, {
+        to: lead.email,
+        subject: rendered.subject,
+        html: rendered.html,
+        message: rendered.text,
+      });
+    } else {
+      // Send via unified service (automatically uses default mailbox)
+      result = await unifiedEmailService.sendFollowUpEmail(
+        companyId,
+        leadId,
+        company?.companyName || "Our Company",
+        lead.email,
+        followUpRecord.subject,
+        followUpRecord.message
+      );
+    }
     
     if (result.success) {
       followUpRecord.status = "submitted";
       await followUpRecord.save();
+
+      // Log the send so opens/clicks on the tracked links are attributed to it
+      const { default: dealHealthService } = await import("../services/dealHealth.service.js");
+      await dealHealthService.logEngagement(req.tenantConnection, lead._id, {
+        engagementType: "email_sent",
+        emailMetrics: {
+          subject: sentSubject,
+          sentAt: new Date(),
+          messageId: result.trackingId,
+        },
+        contactType: "email",
+        direction: "outbound",
+        metadata: { followUpId: followUpRecord._id },
+      }).catch((error) => console.error("Failed to log follow-up engagement:", error.message));
       
       return res.status(200).json(
         new ApiResponse(200, result, "Follow up email sent successfully")
@@ -1145,8 +1213,11 @@ const scheduleFollowUpLeads = asyncHandler(async (req, res) => {
     const { FollowUp } = getTenantModels(req.tenantConnection);
     
     const leadId = req?.params?.id;
-    const { date, subject, message } = req.body;
+    const { date, subject, message, templateId } = req.body;
     const scheduleDate = new Date(date);
+    if (templateId && !mongoose.Types.ObjectId.isValid(templateId)) {
+      throw new ApiError(400, "Invalid template ID");
+    }
     const followupLeadsData = await FollowUp.findOne({ leadId });
     if (!followupLeadsData) {
       return res
@@ -1159,6 +1230,9 @@ const scheduleFollowUpLeads = asyncHandler(async (req, res) => {
     followupLeadsData.scheduleDate = scheduleDate;
     followupLeadsData.subject = subject;
     followupLeadsData.message = message;
+    if (templateId !== undefined) {
+      followupLeadsData.templateId = await emailTemplateService.assertTemplate(req.tenantConnection, templateId);
+    }
     followupLeadsData.scheduled = true;
     await followupLeadsData.save();
 
@@ -1225,19 +1299,34 @@ const scheduledLeads = async () => {
   }
 }
 
-// Export leads Excel - filter by status
+// Export leads Excel - filter by status, saved view (viewId) or filter
 const exportLeadsExcel = asyncHandler(async (req, res) => {
-  const { status } = req.query;
+  const { status, viewId, filter } = req.query;
 
   // Get tenant-specific models
   const { Lead } = getTenantModels(req.tenantConnection);
 
-  const filter = {};
-  if (status !== "overall") filter.status = status;
+  const baseMatch = {};
+  if (status && status !== "overall") baseMatch.status = status;
 
-  const leads = await Lead.find(filter).select(
-    "fullName email company profileUrl platform status createdAt leadScore companyIndustry companySize location tags"
-  ).lean();
+  const { stages } = await resolveLeadFilterStages(req.tenantConnection, {
+    viewId,
+    filter,
+    userId: req.company._id,
+    baseMatch,
+  });
+
+  const exportFields =
+    "fullName email company profileUrl platformUrl platform status createdAt leadScore companyIndustry companySize location tags";
+  const leads = await Lead.aggregate([
+    ...stages,
+    { $sort: { createdAt: -1 } },
+    {
+      $project: Object.fromEntries(
+        exportFields.split(" ").map((field) => [field, 1])
+      ),
+    },
+  ]);
 
 
 
@@ -1283,7 +1372,7 @@ const exportLeadsExcel = asyncHandler(async (req, res) => {
   );
   res.setHeader(
     "Content-Disposition",
-    `attachment; filename="leads-${status}-${Date.now()}.xlsx"`
+    `attachment; filename="leads-${status || "view"}-${Date.now()}.xlsx"`
   );
 
   const data = await workbook.xlsx.write(res);
@@ -1349,7 +1438,7 @@ const qualifyLeadBANT = asyncHandler(async (req, res) => {
 
 // Batch qualify multiple leads using BANT method
 const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
-  const { leadIds, filters } = req.body;
+  const { leadIds, filters, filter, viewId, limit = 50 } = req.body;
 
   try {
     // Get tenant-specific models
@@ -1370,6 +1459,21 @@ const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
       leads = await Lead.find({
         _id: { $in: validIds },
       });
+    } else if (filter || viewId) {
+      // Qualify leads matching a saved view and/or filter query
+      const { stages } = await resolveLeadFilterStages(req.tenantConnection, {
+        viewId,
+        filter,
+        userId: req.company._id,
+      });
+
+      // Limit to 50 leads per batch to avoid timeout
+      const matched = await Lead.aggregate([
+        ...stages,
+        { $limit: Math.min(Math.max(parseInt(limit) || 50, 1), 50) },
+        { $project: { _id: 1 } },
+      ]);
+      leads = await Lead.find({ _id: { $in: matched.map((doc) => doc._id) } });
     } else if (filters) {
       // Qualify leads based on filters
       const matchConditions = {};
@@ -1390,7 +1494,7 @@ const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
     } else {
       throw new ApiError(
         400,
-        "Either leadIds or filters must be provided for batch qualification"
+        "Either leadIds, filter, viewId or filters must be provided for batch qualification"
       );
     }
 
@@ -1398,24 +1502,29 @@ const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
       throw new ApiError(404, "No leads found to qualify");
     }
 
-    // Qualify leads in batch
+    // Qualify leads in batch, all against the same profile
     const results = [];
     const errors = [];
+    const { QualificationProfile } = getTenantModels(req.tenantConnection);
+    const profile = await QualificationProfile.getProfile();
 
     for (const lead of leads) {
       try {
-        const qualificationResult = await bantService.qualifyLead(lead);
+        const qualificationResult = await bantService.qualifyLead(
+          lead,
+          profile
+        );
 
         if (qualificationResult.success) {
           // Update lead with BANT data using shared service method
           const bantData = qualificationResult.data;
-          await bantService.updateLeadWithBANT(lead, bantData);
+          await bantService.updateLeadWithBANT(lead, bantData, profile);
 
           results.push({
             leadId: lead._id,
             success: true,
-            score: bantData.score,
-            category: bantData.category,
+            score: lead.bant.totalScore,
+            category: lead.bant.category,
           });
         } else {
           errors.push({
@@ -1427,10 +1536,14 @@ const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
         // Add delay between requests to avoid rate limiting
         await bantService.delay(1000);
       } catch (error) {
+        // Out of AI quota: stop, and fail outright if nothing got qualified
+        if (isAiQuotaError(error) && results.length === 0) throw error;
+
         errors.push({
           leadId: lead._id,
           error: error.message,
         });
+        if (isAiQuotaError(error)) break;
       }
     }
 
@@ -1455,6 +1568,112 @@ const batchQualifyLeadsBANT = asyncHandler(async (req, res) => {
   }
 });
 
+// Get the tenant's qualification profile (ideal customer profile for BANT)
+const getQualificationProfile = asyncHandler(async (req, res) => {
+  const { QualificationProfile } = getTenantModels(req.tenantConnection);
+  const profile = await QualificationProfile.getProfile();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, profile, "Qualification profile fetched successfully")
+    );
+});
+
+// Queue re-qualification of leads scored with an older profile version
+const queueBantRequalification = async (req, profile) => {
+  const job = await enqueueBantRequalification({
+    tenantId: req.companyDoc._id.toString(),
+    companyId: req.companyDoc._id,
+    profile,
+  });
+
+  profile.requalification = { jobId: job._id, requestedAt: new Date() };
+  await profile.save();
+
+  return job;
+};
+
+// Update the qualification profile
+// Leads are re-qualified against it unless requalify is false
+const updateQualificationProfile = asyncHandler(async (req, res) => {
+  const { requalify = true, ...updates } = req.body;
+  const { QualificationProfile } = getTenantModels(req.tenantConnection);
+
+  const { profile, changed, criteriaChanged } = await bantService.updateProfile(
+    await QualificationProfile.getProfile(),
+    updates
+  );
+
+  // The profile is already saved; a failed enqueue shouldn't report it as
+  // failed, only that re-qualification has to be requested separately
+  let job = null;
+  let warning;
+  if (changed && requalify !== false) {
+    try {
+      job = await queueBantRequalification(req, profile);
+    } catch (error) {
+      console.error(
+        "[BANT] Failed to queue re-qualification:",
+        error.message
+      );
+      warning =
+        "Leads were not queued for re-qualification; call POST /bant/profile/requalify to retry";
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        profile,
+        changed,
+        criteriaChanged,
+        requalificationJobId: job?._id || null,
+        ...(warning && { warning }),
+      },
+      changed
+        ? "Qualification profile updated successfully"
+        : "Qualification profile unchanged"
+    )
+  );
+});
+
+// Re-qualify leads not yet scored with the current profile
+const requalifyLeadsBANT = asyncHandler(async (req, res) => {
+  const { QualificationProfile, Lead } = getTenantModels(req.tenantConnection);
+  const profile = await QualificationProfile.getProfile();
+
+  const pending = await Lead.countDocuments({
+    "bant.qualifiedAt": { $ne: null },
+    "bant.profileVersion": { $ne: profile.version },
+  });
+
+  if (pending === 0) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { pending, requalificationJobId: null },
+          "All qualified leads are up to date with the profile"
+        )
+      );
+  }
+
+  const job = await queueBantRequalification(req, profile);
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        { pending, requalificationJobId: job._id },
+        `Re-qualification of ${pending} leads queued`
+      )
+    );
+});
+
 // Get assignable team members for leads
 const getAssignableUsers = asyncHandler(async (req, res) => {
   try {
@@ -1550,6 +1769,9 @@ const assignLeadToUser = asyncHandler(async (req, res) => {
         assignedTo: assignedToUserId,
         assignmentDate: new Date(),
         // status: "assigned"
+        $push: {
+          assignmentHistory: { assignedTo: assignedToUserId, assignedAt: new Date() },
+        },
       },
       { new: true, runValidators: true }
     );
@@ -1585,14 +1807,18 @@ const assignLeadToUser = asyncHandler(async (req, res) => {
  *   "assignedToUserId": "user-mongodb-id",
  *   "notes": "optional notes"
  * }
+ * Instead of leadIds, pass "viewId" and/or "filter" to assign every lead
+ * matching a saved view or filter query.
  */
 const assignLeadsToUserBulk = asyncHandler(async (req, res) => {
   try {
-    const { leadIds, assignedToUserId, notes } = req.body;
+    const { assignedToUserId, notes, viewId, filter } = req.body;
+    let { leadIds } = req.body;
     const companyId = req.companyId;
+    const useFilter = !leadIds && Boolean(viewId || filter);
 
     // Validation
-    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+    if (!useFilter && (!Array.isArray(leadIds) || leadIds.length === 0)) {
       throw new ApiError(400, "leadIds must be a non-empty array");
     }
 
@@ -1601,7 +1827,7 @@ const assignLeadsToUserBulk = asyncHandler(async (req, res) => {
     }
 
     // Validate all lead IDs
-    for (const leadId of leadIds) {
+    for (const leadId of leadIds || []) {
       if (!mongoose.Types.ObjectId.isValid(leadId)) {
         throw new ApiError(400, `Invalid lead ID format: ${leadId}`);
       }
@@ -1611,6 +1837,23 @@ const assignLeadsToUserBulk = asyncHandler(async (req, res) => {
     const { getTenantConnection } = await import("../db/tenantConnection.js");
     const tenantConnection = await getTenantConnection(companyId.toString());
 
+    if (useFilter) {
+      const { stages } = await resolveLeadFilterStages(tenantConnection, {
+        viewId,
+        filter,
+        userId: companyId,
+      });
+      const matched = await getTenantModels(tenantConnection).Lead.aggregate([
+        ...stages,
+        { $project: { _id: 1 } },
+      ]);
+      leadIds = matched.map((doc) => doc._id);
+
+      if (leadIds.length === 0) {
+        throw new ApiError(404, "No leads match the provided view or filter");
+      }
+    }
+
     // Get tenant models
     const { Lead, Company: CompanyModel } = getTenantModels(tenantConnection);
 
@@ -1650,7 +1893,16 @@ const assignLeadsToUserBulk = asyncHandler(async (req, res) => {
 
     const result = await Lead.updateMany(
       { _id: { $in: leadIds } },
-      updateData
+      {
+        ...updateData,
+        $push: {
+          assignmentHistory: {
+            assignedTo: assignedToUserId,
+            assignedAt: updateData.assignmentDate,
+            ...(notes && { notes }),
+          },
+        },
+      }
     );
 
     if (result.matchedCount === 0) {
@@ -1720,6 +1972,150 @@ const getTeamMembersForAssignment = asyncHandler(async (req, res) => {
   }
 });
 
+// ==============================================================
+// Duplicate Detection & Merge Functions
+// ==============================================================
+
+/**
+ * Get groups of duplicate leads
+ * GET /api/v1/leads/duplicates?page=1&limit=20&matchOn=email,phone
+ */
+const getDuplicateLeads = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, matchOn } = req.query;
+
+  const validMatchKeys = ["email", "phone", "nameCompany", "crmId"];
+  const matchKeys = matchOn
+    ? matchOn.split(",").map((key) => key.trim())
+    : undefined;
+
+  if (matchKeys?.some((key) => !validMatchKeys.includes(key))) {
+    throw new ApiError(
+      400,
+      `Invalid matchOn value. Must be one of: ${validMatchKeys.join(", ")}`
+    );
+  }
+
+  try {
+    const result = await leadDedupService.findDuplicateGroups(
+      req.tenantConnection,
+      {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        matchOn: matchKeys,
+      }
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, result, "Duplicate leads fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, error.message || "Failed to fetch duplicate leads");
+  }
+});
+
+/**
+ * Get leads that duplicate a single lead
+ * GET /api/v1/leads/:id/duplicates
+ */
+const getLeadDuplicates = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  try {
+    const duplicates = await leadDedupService.findDuplicatesOfLead(
+      req.tenantConnection,
+      id
+    );
+
+    if (!duplicates) {
+      throw new ApiError(404, "Lead not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, duplicates, "Lead duplicates fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, error.message || "Failed to fetch lead duplicates");
+  }
+});
+
+/**
+ * Merge duplicate leads into a surviving lead
+ * POST /api/v1/leads/merge
+ * Body: { survivorId, mergeIds: [...] }
+ */
+const mergeLeads = asyncHandler(async (req, res) => {
+  const { survivorId, mergeIds } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(survivorId)) {
+    throw new ApiError(400, "Invalid survivor lead ID");
+  }
+
+  if (!Array.isArray(mergeIds) || mergeIds.length === 0) {
+    throw new ApiError(400, "mergeIds must be a non-empty array");
+  }
+
+  if (mergeIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ApiError(400, "mergeIds contains an invalid lead ID");
+  }
+
+  if (mergeIds.map(String).every((id) => id === String(survivorId))) {
+    throw new ApiError(400, "Cannot merge a lead into itself");
+  }
+
+  try {
+    const result = await leadDedupService.mergeLeads(
+      req.tenantConnection,
+      survivorId,
+      mergeIds
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, result, "Leads merged successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, error.message || "Failed to merge leads");
+  }
+});
+
+/**
+ * Get a lead's unified activity timeline (newest first)
+ * GET /api/v1/leads/:id/timeline?types=engagement,proposal&limit=25&cursor=...
+ */
+const getLeadTimeline = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { types, cursor, limit } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  try {
+    const timeline = await leadTimelineService.getTimeline(
+      req.tenantConnection,
+      id,
+      { types, cursor, limit }
+    );
+
+    if (!timeline) {
+      throw new ApiError(404, "Lead not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, timeline, "Lead timeline fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, error.message || "Failed to fetch lead timeline");
+  }
+});
+
 // ==============================================================
 // Helper Functions
 // ==============================================================
@@ -1734,6 +2130,9 @@ export {
   deleteLead,
   qualifyLeadBANT,
   batchQualifyLeadsBANT,
+  getQualificationProfile,
+  updateQualificationProfile,
+  requalifyLeadsBANT,
   followUpEmail,
   followUpLeads,
   scheduleFollowUpLeads,
@@ -1744,5 +2143,9 @@ export {
   getAssignableUsers,
   assignLeadToUser,
   assignLeadsToUserBulk,
-  getTeamMembersForAssignment
+  getTeamMembersForAssignment,
+  getDuplicateLeads,
+  getLeadDuplicates,
+  mergeLeads,
+  getLeadTimeline,
 };
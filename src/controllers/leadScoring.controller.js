@@ -0,0 +1,157 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { getTenantModels } from "../models/index.js";
+import leadScoringService from "../services/leadScoring.service.js";
+import mongoose from "mongoose";
+
+// ==============================================================
+// Helper Functions
+// ==============================================================
+
+// Re-score every lead in the background; large tenants take a while
+const rescoreAllInBackground = (tenantConnection) => {
+  leadScoringService
+    .rescoreAll(tenantConnection)
+    .then(({ scored }) => console.log(`[SCORING] Re-scored ${scored} leads`))
+    .catch((error) =>
+      console.error("[SCORING] Re-scoring leads failed:", error.message)
+    );
+};
+
+// How a lead's score was made up
+const explainScore = (lead, config) => ({
+  leadId: lead._id,
+  leadScore: lead.leadScore,
+  bantScore: lead.bant?.qualifiedAt ? lead.bant.totalScore : null,
+  ruleScore: lead.ruleScore?.calculatedAt ? lead.ruleScore.score : null,
+  bantWeight: config.bantWeight,
+  contributions: lead.ruleScore?.contributions || [],
+  calculatedAt: lead.ruleScore?.calculatedAt || null,
+  configVersion: lead.ruleScore?.configVersion ?? null,
+  stale:
+    !!lead.ruleScore?.calculatedAt &&
+    lead.ruleScore.configVersion !== config.version,
+});
+
+// ==============================================================
+// Scoring Config Functions
+// ==============================================================
+
+// Get the tenant's scoring rules, decay and BANT weight
+const getLeadScoringConfig = asyncHandler(async (req, res) => {
+  const config = await leadScoringService.getConfig(req.tenantConnection);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, config, "Lead scoring config fetched successfully")
+    );
+});
+
+// Update the scoring config; leads are re-scored unless rescore is false
+const updateLeadScoringConfig = asyncHandler(async (req, res) => {
+  const { rescore = true, ...updates } = req.body;
+
+  const { config, changed } = await leadScoringService.updateConfig(
+    req.tenantConnection,
+    updates
+  );
+
+  if (changed && rescore !== false) {
+    rescoreAllInBackground(req.tenantConnection);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { config, changed, rescoring: changed && rescore !== false },
+        changed
+          ? "Lead scoring config updated successfully"
+          : "Lead scoring config unchanged"
+      )
+    );
+});
+
+// Re-score every lead with the current config
+const rescoreLeads = asyncHandler(async (req, res) => {
+  rescoreAllInBackground(req.tenantConnection);
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, { rescoring: true }, "Lead re-scoring started"));
+});
+
+// ==============================================================
+// Lead Score Functions
+// ==============================================================
+
+// Get a lead's score and the rules that contributed to it
+const getLeadScore = asyncHandler(async (req, res) => {
+  const { leadId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  const { Lead } = getTenantModels(req.tenantConnection);
+  const lead = await Lead.findById(leadId).select(
+    "leadScore ruleScore bant.totalScore bant.qualifiedAt"
+  );
+
+  if (!lead) {
+    throw new ApiError(404, "Lead not found");
+  }
+
+  const config = await leadScoringService.getConfig(req.tenantConnection);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        explainScore(lead, config),
+        "Lead score fetched successfully"
+      )
+    );
+});
+
+// Recalculate a lead's score now
+const scoreLead = asyncHandler(async (req, res) => {
+  const { leadId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new ApiError(400, "Invalid lead ID");
+  }
+
+  const config = await leadScoringService.getConfig(req.tenantConnection);
+  const lead = await leadScoringService.scoreLead(
+    req.tenantConnection,
+    leadId,
+    config
+  );
+
+  if (!lead) {
+    throw new ApiError(404, "Lead not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        explainScore(lead, config),
+        "Lead scored successfully"
+      )
+    );
+});
+
+export {
+  getLeadScoringConfig,
+  updateLeadScoringConfig,
+  rescoreLeads,
+  getLeadScore,
+  scoreLead,
+};
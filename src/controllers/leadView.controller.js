@@ -0,0 +1,101 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import leadViewService from "../services/leadView.service.js";
+import { LEAD_FILTER_FIELDS } from "../utils/leadFilter.util.js";
+
+// ==============================================================
+// Lead View Functions
+// ==============================================================
+
+// Get the user's views and views shared with the team
+const getLeadViews = asyncHandler(async (req, res) => {
+  const views = await leadViewService.getViews(
+    req.tenantConnection,
+    req.company._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, views, "Lead views fetched successfully"));
+});
+
+// Get the fields and operators available to filters
+const getLeadFilterFields = asyncHandler(async (req, res) => {
+  const fields = Object.entries(LEAD_FILTER_FIELDS).map(([name, { type }]) => ({
+    name,
+    type,
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, fields, "Lead filter fields fetched successfully")
+    );
+});
+
+// Get single view
+const getLeadView = asyncHandler(async (req, res) => {
+  const view = await leadViewService.getView(
+    req.tenantConnection,
+    req.params.viewId,
+    req.company._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, view, "Lead view fetched successfully"));
+});
+
+// Create view
+const createLeadView = asyncHandler(async (req, res) => {
+  if (!req.body.name) {
+    throw new ApiError(400, "name is required");
+  }
+
+  const view = await leadViewService.createView(
+    req.tenantConnection,
+    req.body,
+    req.company._id
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, view, "Lead view created successfully"));
+});
+
+// Update view
+const updateLeadView = asyncHandler(async (req, res) => {
+  const view = await leadViewService.updateView(
+    req.tenantConnection,
+    req.params.viewId,
+    req.body,
+    req.company._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, view, "Lead view updated successfully"));
+});
+
+// Delete view
+const deleteLeadView = asyncHandler(async (req, res) => {
+  await leadViewService.deleteView(
+    req.tenantConnection,
+    req.params.viewId,
+    req.company._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Lead view deleted successfully"));
+});
+
+export {
+  getLeadViews,
+  getLeadFilterFields,
+  getLeadView,
+  createLeadView,
+  updateLeadView,
+  deleteLeadView,
+};
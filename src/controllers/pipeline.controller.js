@@ -0,0 +1,121 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import pipelineService from "../services/pipeline.service.js";
+import mongoose from "mongoose";
+
+// ==============================================================
+// Pipeline Management Functions
+// ==============================================================
+
+// Get all pipelines
+const getPipelines = asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === "true";
+
+  const pipelines = await pipelineService.getPipelines(req.tenantConnection, {
+    includeInactive,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, pipelines, "Pipelines fetched successfully"));
+});
+
+// Get single pipeline
+const getPipelineById = asyncHandler(async (req, res) => {
+  const { pipelineId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pipelineId)) {
+    throw new ApiError(400, "Invalid pipeline ID");
+  }
+
+  const pipeline = await pipelineService.getPipeline(
+    req.tenantConnection,
+    pipelineId
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, pipeline, "Pipeline fetched successfully"));
+});
+
+// Create pipeline
+const createPipeline = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    throw new ApiError(400, "Pipeline name is required");
+  }
+
+  const pipeline = await pipelineService.createPipeline(
+    req.tenantConnection,
+    req.body
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, pipeline, "Pipeline created successfully"));
+});
+
+// Update pipeline (name, stages, default/active flags)
+const updatePipeline = asyncHandler(async (req, res) => {
+  const { pipelineId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pipelineId)) {
+    throw new ApiError(400, "Invalid pipeline ID");
+  }
+
+  const pipeline = await pipelineService.updatePipeline(
+    req.tenantConnection,
+    pipelineId,
+    req.body
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, pipeline, "Pipeline updated successfully"));
+});
+
+// Delete pipeline
+const deletePipeline = asyncHandler(async (req, res) => {
+  const { pipelineId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pipelineId)) {
+    throw new ApiError(400, "Invalid pipeline ID");
+  }
+
+  await pipelineService.deletePipeline(req.tenantConnection, pipelineId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Pipeline deleted successfully"));
+});
+
+// Get per-stage statistics for a pipeline
+const getPipelineStats = asyncHandler(async (req, res) => {
+  const { pipelineId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pipelineId)) {
+    throw new ApiError(400, "Invalid pipeline ID");
+  }
+
+  const stats = await pipelineService.getPipelineStats(
+    req.tenantConnection,
+    pipelineId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, stats, "Pipeline statistics fetched successfully")
+    );
+});
+
+export {
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  getPipelineStats,
+};
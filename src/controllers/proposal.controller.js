@@ -23,6 +23,8 @@ export const generateProposal = async (req, res) => {
 
     res.status(201).json(new ApiResponse(201, responseData, "Proposal generated successfully"));
   } catch (error) {
+    // AI quota errors keep their 402/429
+    if (error instanceof ApiError && error.statusCode !== 500) throw error;
     throw new ApiError(500, error.message || "Failed to generate proposal");
   }
 };
@@ -53,7 +55,12 @@ export const updateProposalStatus = async (req, res) => {
       throw new ApiError(400, "Invalid status");
     }
 
-    const proposal = await proposalService.updateProposalStatus(proposalId, status, req.tenantConnection);
+    const proposal = await proposalService.updateProposalStatus(
+      proposalId,
+      status,
+      req.tenantConnection,
+      req.company?._id
+    );
 
     res.status(200).json(new ApiResponse(200, proposal, "Proposal status updated successfully"));
   } catch (error) {
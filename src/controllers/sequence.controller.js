@@ -0,0 +1,273 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import sequenceService from "../services/sequence.service.js";
+import mongoose from "mongoose";
+
+const validateId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, `Invalid ${label} ID`);
+  }
+};
+
+// ==============================================================
+// Sequence Management Functions
+// ==============================================================
+
+// Get all sequences
+const getSequences = asyncHandler(async (req, res) => {
+  const sequences = await sequenceService.getSequences(req.tenantConnection, {
+    status: req.query.status,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sequences, "Sequences fetched successfully"));
+});
+
+// Get single sequence
+const getSequenceById = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  validateId(sequenceId, "sequence");
+
+  const sequence = await sequenceService.getSequence(
+    req.tenantConnection,
+    sequenceId
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sequence, "Sequence fetched successfully"));
+});
+
+// Create sequence
+const createSequence = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    throw new ApiError(400, "Sequence name is required");
+  }
+
+  const sequence = await sequenceService.createSequence(
+    req.tenantConnection,
+    req.body,
+    { createdBy: req.user?._id || req.company?._id }
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, sequence, "Sequence created successfully"));
+});
+
+// Update sequence (name, steps, sending window, status)
+const updateSequence = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  validateId(sequenceId, "sequence");
+
+  const sequence = await sequenceService.updateSequence(
+    req.tenantConnection,
+    sequenceId,
+    req.body
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sequence, "Sequence updated successfully"));
+});
+
+// Delete sequence
+const deleteSequence = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  validateId(sequenceId, "sequence");
+
+  await sequenceService.deleteSequence(req.tenantConnection, sequenceId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Sequence deleted successfully"));
+});
+
+// Get open/reply statistics for a sequence
+const getSequenceStats = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  validateId(sequenceId, "sequence");
+
+  const stats = await sequenceService.getSequenceStats(
+    req.tenantConnection,
+    sequenceId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, stats, "Sequence statistics fetched successfully")
+    );
+});
+
+// ==============================================================
+// Enrollment Functions
+// ==============================================================
+
+// Enroll leads in a sequence
+const enrollLeads = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  const { leadIds } = req.body;
+  validateId(sequenceId, "sequence");
+
+  if (!Array.isArray(leadIds) || leadIds.length === 0) {
+    throw new ApiError(400, "leadIds must be a non-empty array");
+  }
+  leadIds.forEach((leadId) => validateId(leadId, "lead"));
+
+  const result = await sequenceService.enrollLeads(
+    req.tenantConnection,
+    sequenceId,
+    leadIds,
+    { enrolledBy: req.user?._id || req.company?._id }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        `${result.enrolled.length} leads enrolled successfully`
+      )
+    );
+});
+
+// Get enrollments of a sequence
+const getSequenceEnrollments = asyncHandler(async (req, res) => {
+  const { sequenceId } = req.params;
+  validateId(sequenceId, "sequence");
+
+  const result = await sequenceService.getEnrollments(req.tenantConnection, {
+    sequenceId,
+    status: req.query.status,
+    page: Math.max(parseInt(req.query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Enrollments fetched successfully"));
+});
+
+// Get enrollments across sequences (e.g. all sequences a lead is in)
+const getEnrollments = asyncHandler(async (req, res) => {
+  const { leadId, status } = req.query;
+  if (leadId) validateId(leadId, "lead");
+
+  const result = await sequenceService.getEnrollments(req.tenantConnection, {
+    leadId,
+    status,
+    page: Math.max(parseInt(req.query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Enrollments fetched successfully"));
+});
+
+// Get enrollment status with per-step history
+const getEnrollmentById = asyncHandler(async (req, res) => {
+  const { enrollmentId } = req.params;
+  validateId(enrollmentId, "enrollment");
+
+  const enrollment = await sequenceService.getEnrollment(
+    req.tenantConnection,
+    enrollmentId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        enrollment.toStatusJSON(),
+        "Enrollment fetched successfully"
+      )
+    );
+});
+
+// Pause an enrollment
+const pauseEnrollment = asyncHandler(async (req, res) => {
+  const { enrollmentId } = req.params;
+  validateId(enrollmentId, "enrollment");
+
+  const enrollment = await sequenceService.pauseEnrollment(
+    req.tenantConnection,
+    enrollmentId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        enrollment.toStatusJSON(),
+        "Enrollment paused successfully"
+      )
+    );
+});
+
+// Resume a paused enrollment
+const resumeEnrollment = asyncHandler(async (req, res) => {
+  const { enrollmentId } = req.params;
+  validateId(enrollmentId, "enrollment");
+
+  const enrollment = await sequenceService.resumeEnrollment(
+    req.tenantConnection,
+    enrollmentId
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        enrollment.toStatusJSON(),
+        "Enrollment resumed successfully"
+      )
+    );
+});
+
+// Stop an enrollment
+const stopEnrollment = asyncHandler(async (req, res) => {
+  const { enrollmentId } = req.params;
+  validateId(enrollmentId, "enrollment");
+
+  const enrollment = await sequenceService.stopEnrollment(
+    req.tenantConnection,
+    enrollmentId,
+    "manual"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        enrollment.toStatusJSON(),
+        "Enrollment stopped successfully"
+      )
+    );
+});
+
+export {
+  getSequences,
+  getSequenceById,
+  createSequence,
+  updateSequence,
+  deleteSequence,
+  getSequenceStats,
+  enrollLeads,
+  getSequenceEnrollments,
+  getEnrollments,
+  getEnrollmentById,
+  pauseEnrollment,
+  resumeEnrollment,
+  stopEnrollment,
+};
@@ -20,6 +20,7 @@ import {
 } from "../services/payfort.service.js";
 import { BillingHistory } from "../models/billingHistory.model.js";
 import { NotiifcationSchema } from "../models/notifications.model.js";
+import aiUsageService from "../services/aiUsage.service.js";
 
 // ==============================================================
 // Checkout Session Creation
@@ -438,11 +439,54 @@ const subscriptionHistory = async (req, res) => {
   }
 }
 
+// ==============================================================
+// AI Usage
+// ==============================================================
+
+/**
+ * AI usage for the billing screen: the plan's quota and a month's usage
+ * per feature, with the previous months for comparison
+ * @route GET /api/v1/billing/ai-usage?month=YYYY-MM
+ */
+const getAiUsage = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+
+  if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new ApiError(400, "month must be in YYYY-MM format");
+  }
+
+  const report = await aiUsageService.getUsageReport(
+    req.company,
+    month || undefined
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "AI usage fetched successfully"));
+});
+
+/**
+ * Most recent AI calls (feature, model, tokens, cost)
+ * @route GET /api/v1/billing/ai-usage/calls?limit=50
+ */
+const getAiUsageCalls = asyncHandler(async (req, res) => {
+  const calls = await aiUsageService.getRecentCalls(
+    req.company._id,
+    req.query.limit
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, calls, "AI calls fetched successfully"));
+});
+
 export {
   createCheckoutSession,
   handleStripeWebhook,
   handlePayfortCallback,
   cancelSubscription,
   createBillingPortal,
-  subscriptionHistory
+  subscriptionHistory,
+  getAiUsage,
+  getAiUsageCalls,
 };
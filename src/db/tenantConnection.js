@@ -8,6 +8,9 @@ import { validateMongoUri, createTenantUri } from "../utils/validateMongoUri.js"
 
 const tenantConnectionPool = new Map();
 
+// Tenant databases are named jazzam_company_<tenantId>
+const TENANT_DB_PREFIX = 'jazzam_company_';
+
 /**
  * Maximum number of tenant connections to keep open
 */
@@ -192,6 +195,15 @@ export async function getTenantConnection(tenantId) {
     return connection;
 }
 
+/**
+ * Tenant id of a tenant connection (database jazzam_company_<tenantId>)
+ */
+export function getTenantIdFromConnection(connection) {
+    const name = connection?.name;
+    if (typeof name !== 'string' || !name.startsWith(TENANT_DB_PREFIX)) return null;
+    return name.slice(TENANT_DB_PREFIX.length);
+}
+
 /**
  * Get shared system database connection
  */
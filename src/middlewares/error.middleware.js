@@ -54,6 +54,9 @@ const errorHandler = (err, req, res, next) => {
     ...(error.errors?.length > 0 && { errors: error.errors }),
   };
 
+  // Rate-limited requests say when to try again
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+
   // Send error response
   return res.status(error.statusCode).json(response);
 };
@@ -0,0 +1,120 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * AI Usage Models - System Database
+ * Every LLM call a tenant makes (AiUsageRecord) and its running monthly
+ * totals (AiUsage), used for plan quotas and the billing screen. Kept in
+ * the system DB next to the company's plan.
+ */
+
+// Per-call records are kept for about 13 months
+const AI_USAGE_RECORD_TTL_DAYS = 400;
+
+const aiUsageTotals = {
+  calls: { type: Number, default: 0 },
+  cachedCalls: { type: Number, default: 0 },
+  failedCalls: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 },
+};
+
+// One LLM call
+const aiUsageRecordSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    // bant | deal_health | next_best_action | proposal | ...
+    feature: {
+      type: String,
+      required: true,
+    },
+    provider: String,
+    model: String,
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+    // Served from the response cache (no tokens used)
+    cached: { type: Boolean, default: false },
+    failed: { type: Boolean, default: false },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+aiUsageRecordSchema.index({ companyId: 1, createdAt: -1 });
+aiUsageRecordSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AI_USAGE_RECORD_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// A company's usage in one calendar month (UTC)
+const aiUsageSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    // YYYY-MM
+    month: {
+      type: String,
+      required: true,
+    },
+    ...aiUsageTotals,
+    // feature -> totals
+    features: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+aiUsageSchema.index({ companyId: 1, month: -1 }, { unique: true });
+
+/**
+ * YYYY-MM of a date (UTC)
+ */
+aiUsageSchema.statics.monthOf = function (date = new Date()) {
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Add one call to its month's totals (atomic, creates the month)
+ */
+aiUsageSchema.statics.addCall = function (companyId, record, date = new Date()) {
+  const inc = {};
+  const add = (prefix) => {
+    inc[`${prefix}calls`] = 1;
+    inc[`${prefix}cachedCalls`] = record.cached ? 1 : 0;
+    inc[`${prefix}failedCalls`] = record.failed ? 1 : 0;
+    inc[`${prefix}promptTokens`] = record.promptTokens;
+    inc[`${prefix}completionTokens`] = record.completionTokens;
+    inc[`${prefix}totalTokens`] = record.promptTokens + record.completionTokens;
+    inc[`${prefix}costUsd`] = record.costUsd;
+  };
+
+  add("");
+  add(`features.${record.feature}.`);
+
+  return this.updateOne(
+    { companyId, month: this.monthOf(date) },
+    { $inc: inc },
+    { upsert: true }
+  );
+};
+
+export const AiUsageRecord = mongoose.model(
+  "AiUsageRecord",
+  aiUsageRecordSchema
+);
+export const AiUsage = mongoose.model("AiUsage", aiUsageSchema);
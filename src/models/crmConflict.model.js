@@ -0,0 +1,86 @@
+import { Schema } from "mongoose";
+
+// One field that changed both here and in the CRM since the last sync
+const conflictFieldSchema = new Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    // Value at the last sync, and each side's value now
+    baseValue: Schema.Types.Mixed,
+    platformValue: Schema.Types.Mixed,
+    crmValue: Schema.Types.Mixed,
+    platformUpdatedAt: Date,
+    crmUpdatedAt: Date,
+
+    resolution: {
+      type: String,
+      enum: ["platform", "crm", "custom", null],
+      default: null,
+    },
+    resolvedValue: Schema.Types.Mixed,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+    },
+  },
+  { _id: false }
+);
+
+// Conflicts between a lead and its CRM record, queued under the
+// integration's "manual" conflict policy
+const crmConflictSchema = new Schema(
+  {
+    leadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+      index: true,
+    },
+    integrationId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    crmId: {
+      type: String,
+    },
+
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+      index: true,
+    },
+    fields: [conflictFieldSchema],
+
+    // Sync that found (or last re-found) the conflict
+    detectedBy: {
+      type: String,
+      enum: ["push", "pull"],
+    },
+    lastDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one open conflict per lead and integration
+crmConflictSchema.index(
+  { leadId: 1, integrationId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+crmConflictSchema.index({ status: 1, lastDetectedAt: -1 });
+
+export { crmConflictSchema };
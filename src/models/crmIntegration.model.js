@@ -16,6 +16,7 @@ const crmIntegrationSchema = new Schema(
         "zoho",
         "hubspot",
         "salesforce",
+        "dynamics",
         "pipedrive",
         "freshworks",
         "monday",
@@ -116,9 +117,10 @@ const crmIntegrationSchema = new Schema(
           },
         },
 
-        // Custom fields mapping
+        // Custom fields mapping (applied by services/crm/fieldMapping.service.js)
         customFields: [
           {
+            // Lead path, nested paths allowed (bant.totalScore, utmParams.utm_campaign)
             formField: {
               type: String,
               required: true,
@@ -127,6 +129,7 @@ const crmIntegrationSchema = new Schema(
               type: String,
               required: true,
             },
+            // CRM-side type values are coerced to
             fieldType: {
               type: String,
               enum: [
@@ -134,23 +137,146 @@ const crmIntegrationSchema = new Schema(
                 "email",
                 "phone",
                 "number",
+                "boolean",
                 "date",
+                "datetime",
                 "select",
                 "multiselect",
               ],
               default: "text",
             },
+            direction: {
+              type: String,
+              enum: ["to_crm", "from_crm", "both"],
+              default: "both",
+            },
+            // Our value -> CRM value (e.g. hot -> "A - Hot"); reversed on pull
+            valueMap: [
+              {
+                _id: false,
+                platformValue: { type: String, required: true },
+                crmValue: { type: String, required: true },
+              },
+            ],
+            // Used when the source side is blank (on pull, only for new leads)
+            defaultValue: {
+              type: Schema.Types.Mixed,
+            },
+            // More lead paths joined after formField; such mappings only push
+            concatFields: [String],
+            separator: {
+              type: String,
+              default: " ",
+            },
           },
         ],
       },
 
       // Sync Direction
+      // to_crm: new and edited leads are upserted into the CRM, deletes are propagated
+      // from_crm: leads are only imported
+      // bidirectional: both, and CRM edits also update platform-originated leads
       syncDirection: {
         type: String,
         enum: ["to_crm", "from_crm", "bidirectional"],
         default: "to_crm",
       },
 
+      // Which side wins when a field changed both here and in the CRM since
+      // the last sync; "manual" queues a conflict for a rep to resolve
+      conflictPolicy: {
+        type: String,
+        enum: ["crm_wins", "platform_wins", "newest_wins", "manual"],
+        default: "newest_wins",
+      },
+
+      // Which leads this integration receives (see crm/routing.service.js).
+      // A lead goes to every integration with a matching rule; one without
+      // rules gets all leads, unless it's the fallback, which gets the leads
+      // no other integration's rules matched.
+      routing: {
+        rules: [
+          {
+            name: String,
+            // Every condition given must match; empty ones match any lead
+            formIds: [{ type: Schema.Types.ObjectId }],
+            platforms: [String],
+            bantCategories: [String],
+            statuses: [String],
+            assignedTo: [{ type: Schema.Types.ObjectId }],
+            _id: false,
+          },
+        ],
+        fallback: {
+          type: Boolean,
+          default: false,
+        },
+      },
+
+      // Push BANT, deal health and next best action to CRM custom fields,
+      // and log engagements as CRM activities (see crm/enrichment.service.js)
+      enrichmentPush: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        // Enrichment value (ENRICHMENT_FIELDS key) -> CRM field
+        fields: [
+          {
+            source: {
+              type: String,
+              required: true,
+            },
+            crmField: {
+              type: String,
+              required: true,
+            },
+            _id: false,
+          },
+        ],
+        logActivities: {
+          type: Boolean,
+          default: true,
+        },
+        // EngagementHistory types logged as activities
+        activityTypes: {
+          type: [String],
+          default: ["email_sent", "response", "meeting", "contact"],
+        },
+        // Leads changed after this are pushed by the next scheduled run
+        lastPushedAt: {
+          type: Date,
+        },
+      },
+
+      // Import the CRM's deals/opportunities linked to synced leads and
+      // move the leads through the pipeline with them (see crm/deal.service.js)
+      dealSync: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        // CRM deal stage -> pipeline stage. Won and lost deals without a
+        // mapping go to the pipeline's won/lost stage; other unmapped
+        // stages leave the lead where it is.
+        stageMapping: [
+          {
+            crmStage: {
+              type: String,
+              required: true,
+            },
+            stageId: {
+              type: Schema.Types.ObjectId,
+              required: true,
+            },
+            _id: false,
+          },
+        ],
+        lastImportedAt: {
+          type: Date,
+        },
+      },
+
       // Notification Settings
       notifications: {
         syncErrors: {
@@ -189,9 +315,12 @@ const crmIntegrationSchema = new Schema(
       lastSyncMessage: {
         type: String,
       },
+      lastPolledAt: {
+        type: Date,
+      },
     },
 
-    // Error Logging
+    // Error Logging (last 50; per-lead sync outcomes are kept in CrmSyncRun)
     errorLogs: [
       {
         timestamp: {
@@ -239,6 +368,17 @@ const crmIntegrationSchema = new Schema(
           ],
         },
       ],
+      // Subscription id(s) on the CRM side, used to unregister
+      externalId: {
+        type: String,
+      },
+      // Some CRMs (Zoho) expire subscriptions; renewed by the sync cron
+      expiresAt: {
+        type: Date,
+      },
+      lastEventAt: {
+        type: Date,
+      },
     },
 
     // Integration Metadata
@@ -250,6 +390,8 @@ const crmIntegrationSchema = new Schema(
       apiVersion: {
         type: String,
       },
+      // Overrides the provider's default request budget: requests per
+      // window seconds (see crm/providers/rateLimiter.js)
       rateLimit: {
         requests: {
           type: Number,
@@ -288,6 +430,11 @@ crmIntegrationSchema.methods.needsTokenRefresh = function () {
   return this.tokens.tokenExpiry.getTime() - Date.now() < refreshThreshold;
 };
 
+// Check if lead changes should be pushed to the CRM
+crmIntegrationSchema.methods.pushesToCrm = function () {
+  return ["to_crm", "bidirectional"].includes(this.settings.syncDirection);
+};
+
 // Update sync statistics
 crmIntegrationSchema.methods.updateSyncStats = function (
   success,
@@ -0,0 +1,133 @@
+import { Schema } from "mongoose";
+
+// Per-lead outcomes kept on a run; counts still cover every lead
+const CRM_SYNC_RUN_RESULT_LIMIT = 500;
+
+// Runs kept per integration (older ones are pruned when a run finishes),
+// and the age after which any run expires
+const CRM_SYNC_RUN_RETENTION = 100;
+const CRM_SYNC_RUN_TTL_DAYS = 90;
+
+// Outcome of one lead in a run
+const syncRunResultSchema = new Schema(
+  {
+    leadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Lead",
+    },
+    crmId: String,
+    email: String,
+    // synced | linked | updated | unchanged | imported | skipped | failed
+    action: String,
+    // What was sent/asked for and what came back, summarized
+    request: Schema.Types.Mixed,
+    response: Schema.Types.Mixed,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One cron, manual sync or import run against a CRM integration
+const crmSyncRunSchema = new Schema(
+  {
+    integrationId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // enrichment: BANT/deal health/activity pushes (crm/enrichment.service.js)
+    // deals: deal/opportunity imports (crm/deal.service.js)
+    trigger: {
+      type: String,
+      enum: [
+        "cron",
+        "manual_sync",
+        "manual_import",
+        "retry",
+        "enrichment",
+        "deals",
+      ],
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["push", "pull"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "partial", "failed"],
+      default: "running",
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+
+    counts: {
+      total: { type: Number, default: 0 },
+      synced: { type: Number, default: 0 },
+      linked: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      imported: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+
+    results: [syncRunResultSchema],
+    // More leads than CRM_SYNC_RUN_RESULT_LIMIT were processed
+    resultsTruncated: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Why the run as a whole failed (e.g. token refresh, CRM unreachable)
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+crmSyncRunSchema.index({ integrationId: 1, startedAt: -1 });
+crmSyncRunSchema.index({ "results.leadId": 1, startedAt: -1 });
+crmSyncRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: CRM_SYNC_RUN_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// Record one lead's outcome
+crmSyncRunSchema.methods.addResult = function (result) {
+  const action = result.action || "failed";
+
+  this.counts.total += 1;
+  if (this.counts[action] !== undefined) {
+    this.counts[action] += 1;
+  }
+
+  if (this.results.length < CRM_SYNC_RUN_RESULT_LIMIT) {
+    this.results.push({ ...result, action });
+  } else {
+    this.resultsTruncated = true;
+  }
+  return this;
+};
+
+export { crmSyncRunSchema, CRM_SYNC_RUN_RETENTION };
@@ -37,6 +37,7 @@ const dealHealthSchema = new Schema(
             totalEmails: { type: Number, default: 0 },
             emailOpenRate: { type: Number, default: 0 },
             emailClickRate: { type: Number, default: 0 },
+            totalClicks: { type: Number, default: 0 },
             averageResponseTime: { type: Number, default: 0 },
             totalContacts: { type: Number, default: 0 },
             lastContactDate: Date,
@@ -61,6 +62,18 @@ const dealHealthSchema = new Schema(
             lastCadenceCheck: Date 
         },
 
+        // CRM deal figures (see crm/deal.service.js)
+        dealMetrics: {
+            openValue: { type: Number, default: 0 },
+            wonValue: { type: Number, default: 0 },
+            currency: String,
+            stage: String,
+            status: { type: String, enum: ["none", "open", "won", "lost"], default: "none" },
+            probability: Number,
+            closeDate: Date,
+            closeDateOverdue: { type: Boolean, default: false }
+        },
+
         // Risk Indicators
         riskIndicators: {
             noResponseDays: { type: Number, default: 0 },
@@ -0,0 +1,67 @@
+import { Schema } from "mongoose";
+
+// Snapshots are kept for two years
+const DEAL_HEALTH_SNAPSHOT_TTL_DAYS = 730;
+
+/**
+ * Deal Health Snapshot - Tenant Database
+ * One point in a lead's health history, written each time its deal health
+ * is calculated. Stored as a MongoDB time-series collection (leadId is the
+ * series), so trends don't depend on the DealHealth document, which only
+ * holds the latest calculation.
+ */
+const dealHealthSnapshotSchema = new Schema(
+  {
+    leadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    takenAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+
+    healthScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    healthStatus: {
+      type: String,
+      enum: ["excellent", "good", "fair", "poor", "at_risk", "inactive"],
+    },
+    // Status before this calculation, when it changed
+    previousStatus: String,
+    riskLevel: {
+      type: String,
+      enum: ["high", "medium", "low"],
+    },
+
+    // Key figures behind the score
+    metrics: {
+      emailOpenRate: Number,
+      emailClickRate: Number,
+      daysSinceLastContact: Number,
+      emailsPerWeek: Number,
+      compliancePercentage: Number,
+      openValue: Number,
+      churnRiskScore: Number,
+      successProbability: Number,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "takenAt",
+      metaField: "leadId",
+      granularity: "hours",
+    },
+    expireAfterSeconds: DEAL_HEALTH_SNAPSHOT_TTL_DAYS * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+dealHealthSnapshotSchema.index({ leadId: 1, takenAt: -1 });
+
+export { dealHealthSnapshotSchema };
@@ -0,0 +1,48 @@
+import { Schema } from "mongoose";
+
+// Why an address is suppressed
+const EMAIL_SUPPRESSION_REASONS = [
+  "hard_bounce",
+  "soft_bounce",
+  "unsubscribed",
+];
+
+// Addresses the tenant must not send lead emails to
+const emailSuppressionSchema = new Schema(
+  {
+    // Normalized (lowercased) address
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      unique: true,
+    },
+    reason: {
+      type: String,
+      enum: EMAIL_SUPPRESSION_REASONS,
+      required: true,
+    },
+    leadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Lead",
+      index: true,
+    },
+
+    // Bounce details from the DSN
+    statusCode: String,
+    diagnostic: String,
+    // Mailbox the bounce arrived in, or "link"/"list_unsubscribe_header"
+    source: String,
+
+    suppressedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export { emailSuppressionSchema, EMAIL_SUPPRESSION_REASONS };
@@ -0,0 +1,75 @@
+import { Schema } from "mongoose";
+
+const emailTemplateSchema = new Schema(
+  {
+    // Company Reference (Required for SAAS)
+    // companyId: {
+    //   type: Schema.Types.ObjectId,
+    //   ref: "Company",
+    //   required: true,
+    //   index: true,
+    // },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: [
+        "welcome",
+        "follow_up",
+        "sequence",
+        "nurture",
+        "meeting",
+        "general",
+      ],
+      default: "general",
+      index: true,
+    },
+
+    // Content with {{lead.firstName}} / {{company.companyName}} merge variables
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    htmlBody: {
+      type: String,
+      required: true,
+    },
+    // Plain-text version; generated from htmlBody when empty
+    textBody: {
+      type: String,
+      default: "",
+    },
+
+    // Merge variables used in subject/body (kept in sync on save)
+    variables: [String],
+
+    // Next best action types this template is suggested for
+    actionTypes: [String],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailTemplateSchema.index({ name: 1 });
+emailTemplateSchema.index({ isActive: 1, actionTypes: 1 });
+
+export { emailTemplateSchema };
@@ -11,7 +11,7 @@ const engagementHistorySchema = new Schema({
     // Engagement type
     engagementType: {
         type: String,
-        enum: ["email_sent", "email_opened", "response", "contact", "meeting"],
+        enum: ["email_sent", "email_opened", "response", "contact", "meeting", "unsubscribed", "bounced"],
         required: true,
         index: true
     },
@@ -22,6 +22,8 @@ const engagementHistorySchema = new Schema({
         openedAt: Date,
         respondedAt: Date,
         linkClicked: String,
+        clickedAt: Date,
+        bouncedAt: Date,
         openCount: { type: Number, default: 0 },
         clickCount: { type: Number, default: 0 },
         messageId: String
@@ -46,6 +48,15 @@ const engagementHistorySchema = new Schema({
     notes: String,
     metadata: Schema.Types.Mixed,
 
+    // CRM activities this engagement was logged as (see crm/enrichment.service.js)
+    crmActivities: [{
+        integrationId: Schema.Types.ObjectId,
+        provider: String,
+        activityId: String,
+        loggedAt: { type: Date, default: Date.now },
+        _id: false
+    }],
+
     // Timestamp
     engagementDate: {
         type: Date,
@@ -22,6 +22,12 @@ const FollowUpLeadSchema = new mongoose.Schema({
         type: String,
         default: ""
     },
+    // Email template rendered for the lead instead of subject/message
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "EmailTemplate",
+        default: null
+    },
     status: {
         enum: ["submitted", "scheduled", "pending"],
         type: String,
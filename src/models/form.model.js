@@ -90,6 +90,12 @@ const formSchema = new Schema(
           type: String,
           default: "Thank you for reaching out. We'll get back to you soon!",
         },
+        // Email template used instead of subject/message when set
+        templateId: {
+          type: Schema.Types.ObjectId,
+          ref: "EmailTemplate",
+          default: null,
+        },
       },
 
       // Follow-up Settings
@@ -111,6 +117,12 @@ const formSchema = new Schema(
           default:
             "Hi there! We wanted to follow up on your recent inquiry. Do you have any questions?",
         },
+        // Email template used instead of subject/message when set
+        templateId: {
+          type: Schema.Types.ObjectId,
+          ref: "EmailTemplate",
+          default: null,
+        },
       },
 
       // CRM Integration
@@ -18,6 +18,7 @@ export { Waitlist } from "./waitlist.model.js";
 export { ContactUs } from "./contactUs.model.js";
 export { OTP } from "./otp.model.js";
 export { CrmIntegration } from "./crmIntegration.model.js";
+export { AiUsage, AiUsageRecord } from "./aiUsage.model.js";
 
 // ============================================
 // TENANT MODEL SCHEMAS
@@ -30,6 +31,18 @@ export { engagementHistorySchema } from "./engagementHistory.model.js";
 export { FollowUpLeadSchema } from "./followUp.model.js";
 export { nextBestActionSchema } from "./nextBestAction.model.js";
 export { NotiifcationSchema } from "./notifications.model.js";
+export { proposalSchema } from "./proposal.model.js";
+export { pipelineSchema } from "./pipeline.model.js";
+export { sequenceSchema } from "./sequence.model.js";
+export { sequenceEnrollmentSchema } from "./sequenceEnrollment.model.js";
+export { emailTemplateSchema } from "./emailTemplate.model.js";
+export { emailSuppressionSchema } from "./emailSuppression.model.js";
+export { leadViewSchema } from "./leadView.model.js";
+export { crmConflictSchema } from "./crmConflict.model.js";
+export { crmSyncRunSchema } from "./crmSyncRun.model.js";
+export { qualificationProfileSchema } from "./qualificationProfile.model.js";
+export { leadScoringSchema } from "./leadScoring.model.js";
+export { dealHealthSnapshotSchema } from "./dealHealthSnapshot.model.js";
 
 /**
  * Helper function to get tenant-specific models
@@ -57,6 +70,18 @@ export function getTenantModels(tenantConnection) {
     FollowUp: getTenantModel(tenantConnection, "FollowUp", FollowUpLeadSchema),
     NextBestAction: getTenantModel(tenantConnection, "NextBestAction", nextBestActionSchema),
     Notification: getTenantModel(tenantConnection, "Notification", NotiifcationSchema),
+    Proposal: getTenantModel(tenantConnection, "Proposal", proposalSchema),
+    Pipeline: getTenantModel(tenantConnection, "Pipeline", pipelineSchema),
+    Sequence: getTenantModel(tenantConnection, "Sequence", sequenceSchema),
+    SequenceEnrollment: getTenantModel(tenantConnection, "SequenceEnrollment", sequenceEnrollmentSchema),
+    EmailTemplate: getTenantModel(tenantConnection, "EmailTemplate", emailTemplateSchema),
+    EmailSuppression: getTenantModel(tenantConnection, "EmailSuppression", emailSuppressionSchema),
+    LeadView: getTenantModel(tenantConnection, "LeadView", leadViewSchema),
+    CrmConflict: getTenantModel(tenantConnection, "CrmConflict", crmConflictSchema),
+    CrmSyncRun: getTenantModel(tenantConnection, "CrmSyncRun", crmSyncRunSchema),
+    QualificationProfile: getTenantModel(tenantConnection, "QualificationProfile", qualificationProfileSchema),
+    LeadScoring: getTenantModel(tenantConnection, "LeadScoring", leadScoringSchema),
+    DealHealthSnapshot: getTenantModel(tenantConnection, "DealHealthSnapshot", dealHealthSnapshotSchema),
   };
 }
 
@@ -83,3 +108,15 @@ import { engagementHistorySchema } from "./engagementHistory.model.js";
 import { FollowUpLeadSchema } from "./followUp.model.js";
 import { nextBestActionSchema } from "./nextBestAction.model.js";
 import { NotiifcationSchema } from "./notifications.model.js";
+import { proposalSchema } from "./proposal.model.js";
+import { pipelineSchema } from "./pipeline.model.js";
+import { sequenceSchema } from "./sequence.model.js";
+import { sequenceEnrollmentSchema } from "./sequenceEnrollment.model.js";
+import { emailTemplateSchema } from "./emailTemplate.model.js";
+import { emailSuppressionSchema } from "./emailSuppression.model.js";
+import { leadViewSchema } from "./leadView.model.js";
+import { crmConflictSchema } from "./crmConflict.model.js";
+import { crmSyncRunSchema } from "./crmSyncRun.model.js";
+import { qualificationProfileSchema } from "./qualificationProfile.model.js";
+import { leadScoringSchema } from "./leadScoring.model.js";
+import { dealHealthSnapshotSchema } from "./dealHealthSnapshot.model.js";
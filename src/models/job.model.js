@@ -0,0 +1,147 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Job Model - System Database
+ * Durable background jobs (e.g. form submission processing) run by the job queue.
+ * Kept in the system DB so a single worker can poll jobs for every tenant.
+ */
+const jobStepSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "skipped"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+    result: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const jobSchema = new Schema(
+  {
+    // Company/Tenant reference
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      index: true,
+    },
+
+    tenantId: {
+      type: String,
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        "form_submission",
+        "crm_lead_sync",
+        "crm_lead_delete",
+        "crm_webhook",
+        "bant_requalify",
+      ],
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+
+    // Ordered steps, each one retried independently
+    steps: [jobStepSchema],
+
+    // Input data for the job (e.g. form data, access token)
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Values shared between steps (e.g. scraped profile, created lead id)
+    context: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Retry handling
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Worker lock
+    lockedAt: Date,
+    lockedBy: String,
+
+    leadId: {
+      type: Schema.Types.ObjectId,
+    },
+
+    lastError: String,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+jobSchema.index({ status: 1, nextRunAt: 1 });
+jobSchema.index({ tenantId: 1, createdAt: -1 });
+// Finished jobs are kept for 30 days
+jobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+// Get a step by name
+jobSchema.methods.getStep = function (name) {
+  return this.steps.find((step) => step.name === name);
+};
+
+// Public view of the job (no payload/context internals)
+jobSchema.methods.toStatusJSON = function () {
+  return {
+    jobId: this._id,
+    type: this.type,
+    status: this.status,
+    leadId: this.leadId || null,
+    attempts: this.attempts,
+    lastError: this.lastError || null,
+    steps: this.steps.map((step) => ({
+      name: step.name,
+      status: step.status,
+      attempts: step.attempts,
+      startedAt: step.startedAt || null,
+      completedAt: step.completedAt || null,
+      error: step.error || null,
+    })),
+    createdAt: this.createdAt,
+    finishedAt: this.finishedAt || null,
+  };
+};
+
+// Create model on default (system) connection
+export const Job = mongoose.model("Job", jobSchema);
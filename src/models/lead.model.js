@@ -1,5 +1,94 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {
+  buildDedupKeys,
+  DEDUP_KEYS_VERSION,
+} from "../utils/leadMatch.util.js";
+import { LEAD_STATUSES } from "../constants/website.constants.js";
+import { pipelineSchema } from "./pipeline.model.js";
+import { getTenantModel } from "./tenantModelFactory.js";
+
+// CRM sync events kept per lead
+const CRM_SYNC_HISTORY_LIMIT = 50;
+
+// Lead fields synced both ways with CRMs, with their key in the CRM-neutral
+// format (see mapLeadToCrmFormat) used by crmSyncSnapshot
+const CRM_SYNCED_FIELDS = {
+  fullName: "name",
+  firstName: "firstName",
+  lastName: "lastName",
+  email: "email",
+  phone: "phone",
+  company: "company",
+  jobTitle: "jobTitle",
+  notes: "description",
+};
+
+// A lead's record in one connected CRM
+const crmLinkSchema = new Schema(
+  {
+    integrationId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    crmId: {
+      type: String,
+      trim: true,
+    },
+    syncStatus: {
+      type: String,
+      enum: ["pending", "synced", "failed", "not_synced"],
+      default: "not_synced",
+    },
+    syncedAt: Date,
+    // Field values last synced with this CRM, so updates only send what changed
+    syncSnapshot: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    lastError: String,
+  },
+  { _id: false }
+);
+
+// A deal/opportunity linked to the lead in one connected CRM
+// (see crm/deal.service.js)
+const crmDealSchema = new Schema(
+  {
+    integrationId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    crmDealId: {
+      type: String,
+      required: true,
+    },
+    name: String,
+    // In the CRM's currency
+    amount: Number,
+    currency: String,
+    // The CRM's stage value (see settings.dealSync.stageMapping)
+    stage: String,
+    status: {
+      type: String,
+      enum: ["open", "won", "lost"],
+      default: "open",
+    },
+    probability: Number,
+    closeDate: Date,
+    updatedAt: Date,
+    syncedAt: Date,
+  },
+  { _id: false }
+);
 
 const leadSchema = new Schema(
   {
@@ -206,15 +295,52 @@ const leadSchema = new Schema(
       rawResponse: {
         type: Schema.Types.Mixed,
       },
+      // QualificationProfile version/criteriaVersion the lead was scored with
+      profileVersion: Number,
+      criteriaVersion: Number,
+      // Set when a profile disqualifier matched
+      disqualifiedReason: String,
     },
 
     // Lead Management
     status: {
       type: String,
-      enum: ["new", "hot", "cold", "warm", "qualified", "assigned", "win", "lost"],
+      enum: LEAD_STATUSES,
       default: "new",
       index: true,
     },
+
+    // Pipeline & Stage
+    pipelineId: {
+      type: Schema.Types.ObjectId,
+      ref: "Pipeline",
+      index: true,
+    },
+    stageId: {
+      type: Schema.Types.ObjectId,
+      index: true,
+    },
+    stageEnteredAt: {
+      type: Date,
+    },
+    // Every stage transition, oldest first
+    stageHistory: [
+      {
+        pipelineId: { type: Schema.Types.ObjectId },
+        stageId: { type: Schema.Types.ObjectId },
+        stageName: String,
+        fromStageId: { type: Schema.Types.ObjectId },
+        fromStageName: String,
+        enteredAt: { type: Date, default: Date.now },
+        exitedAt: Date,
+        changedBy: { type: Schema.Types.ObjectId },
+        source: {
+          type: String,
+          enum: ["manual", "status_change", "crm_sync", "automation", "system"],
+          default: "system",
+        },
+      },
+    ],
     notes: {
       type: String,
       trim: true,
@@ -223,6 +349,15 @@ const leadSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "User",
     },
+    // Every assignment change, oldest first (assignedTo null = unassigned)
+    assignmentHistory: [
+      {
+        assignedTo: { type: Schema.Types.ObjectId },
+        assignedBy: { type: Schema.Types.ObjectId },
+        assignedAt: { type: Date, default: Date.now },
+        notes: String,
+      },
+    ],
     tags: [
       {
         name: {
@@ -262,10 +397,21 @@ const leadSchema = new Schema(
         type: Boolean,
         default: false,
       },
+      bouncedAt: {
+        type: Date,
+      },
+      // Consecutive soft bounces; escalates to a hard bounce at the limit
+      softBounceCount: {
+        type: Number,
+        default: 0,
+      },
       emailUnsubscribed: {
         type: Boolean,
         default: false,
       },
+      unsubscribedAt: {
+        type: Date,
+      },
     },
 
     // Contact History
@@ -296,14 +442,53 @@ const leadSchema = new Schema(
     ],
 
     // Lead Scoring
+    // Blend of the BANT score and ruleScore (see leadScoring.service.js)
     leadScore: {
       type: Number,
       default: 0,
       min: 0,
       max: 100,
     },
+    // Rule-based score and the rules it came from
+    ruleScore: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      contributions: [
+        {
+          ruleId: Schema.Types.ObjectId,
+          name: String,
+          type: {
+            type: String,
+            enum: ["firmographic", "behavioral"],
+          },
+          points: Number,
+          // Behavioral: signal occurrences counted and the points before decay
+          occurrences: Number,
+          rawPoints: Number,
+          _id: false,
+        },
+      ],
+      // LeadScoring version the score was calculated with
+      configVersion: Number,
+      calculatedAt: Date,
+    },
 
     // CRM Integration
+    // Per-integration sync state, one entry per CRM the lead is in
+    crmLinks: {
+      type: [crmLinkSchema],
+      default: [],
+    },
+    // Deals/opportunities linked to the lead, imported from its CRMs
+    crmDeals: {
+      type: [crmDealSchema],
+      default: [],
+    },
+    // crmId, crmSyncStatus, crmSyncAt, crmProvider and crmSyncSnapshot mirror
+    // the most recently synced link (see setCrmLink), for filters and older readers
     crmId: {
       type: String,
       trim: true,
@@ -316,6 +501,27 @@ const leadSchema = new Schema(
     crmSyncAt: {
       type: Date,
     },
+    // CRM that crmId belongs to
+    crmProvider: {
+      type: String,
+      default: null,
+    },
+    // Field values last pushed to the CRM, so updates only send what changed
+    crmSyncSnapshot: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Enrichment values last pushed, per integration id (see crm/enrichment.service.js)
+    crmEnrichmentSnapshot: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // When each CRM-synced field was last changed here, for conflict resolution
+    fieldUpdatedAt: {
+      type: Map,
+      of: Date,
+      default: () => new Map(),
+    },
     // Track origin of lead for bidirectional sync
     leadOrigin: {
       type: String,
@@ -326,7 +532,16 @@ const leadSchema = new Schema(
     // Store original CRM provider if imported from CRM
     originCrmProvider: {
       type: String,
-      enum: ["zoho", "salesforce", "hubspot", "dynamics", null],
+      enum: [
+        "zoho",
+        "salesforce",
+        "hubspot",
+        "dynamics",
+        "pipedrive",
+        "freshworks",
+        "monday",
+        null,
+      ],
       default: null,
     },
     // Unique identifier from the originating CRM (prevents duplicate syncing)
@@ -339,6 +554,20 @@ const leadSchema = new Schema(
     lastSyncedAt: {
       type: Date,
     },
+    // Recent CRM sync events, oldest first (capped at CRM_SYNC_HISTORY_LIMIT)
+    crmSyncHistory: [
+      {
+        provider: String,
+        direction: { type: String, enum: ["push", "pull"] },
+        status: {
+          type: String,
+          enum: ["synced", "imported", "updated", "linked", "deleted", "failed"],
+        },
+        crmId: String,
+        error: String,
+        syncedAt: { type: Date, default: Date.now },
+      },
+    ],
 
     // Conversion Tracking
     conversionData: {
@@ -372,6 +601,31 @@ const leadSchema = new Schema(
     assignmentDate: {
       type: Date,
     },
+
+    // Normalized match keys used for duplicate detection
+    dedupKeys: {
+      email: { type: String },
+      phone: { type: String },
+      nameCompany: { type: String },
+      // "<provider>:<crmId>"
+      crmIds: [{ type: String }],
+      version: { type: Number },
+      computedAt: { type: Date },
+    },
+
+    // Leads merged into this one
+    mergedFrom: [
+      {
+        leadId: { type: Schema.Types.ObjectId },
+        fullName: String,
+        email: String,
+        platformUrl: String,
+        crmId: String,
+        originCrmId: String,
+        originCrmProvider: String,
+        mergedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -395,6 +649,14 @@ leadSchema.index({ platform: 1, status: 1 });
 // Prevent duplicate leads per platform URL (per tenant DB)
 leadSchema.index({ platformUrl: 1 }, { unique: true });
 
+// Duplicate detection indexes
+leadSchema.index({ "dedupKeys.email": 1 }, { sparse: true });
+leadSchema.index({ "dedupKeys.phone": 1 }, { sparse: true });
+leadSchema.index({ "dedupKeys.nameCompany": 1 }, { sparse: true });
+leadSchema.index({ "dedupKeys.crmIds": 1 });
+leadSchema.index({ "mergedFrom.originCrmId": 1 }, { sparse: true });
+leadSchema.index({ "crmLinks.integrationId": 1, "crmLinks.crmId": 1 });
+
 // Create text index for search functionality
 leadSchema.index({
   firstName: "text",
@@ -408,6 +670,88 @@ leadSchema.index({
 // Add pagination plugin
 leadSchema.plugin(mongooseAggregatePaginate);
 
+// Keep dedup keys in sync with identifying fields
+const DEDUP_SOURCE_FIELDS = [
+  "email",
+  "phone",
+  "firstName",
+  "lastName",
+  "fullName",
+  "company",
+  "crmId",
+  "crmProvider",
+  "originCrmId",
+  "originCrmProvider",
+  "crmLinks",
+];
+
+leadSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    !this.dedupKeys?.computedAt ||
+    this.dedupKeys.version !== DEDUP_KEYS_VERSION ||
+    DEDUP_SOURCE_FIELDS.some((field) => this.isModified(field))
+  ) {
+    this.dedupKeys = buildDedupKeys(this);
+  }
+  next();
+});
+
+// Track per-field modification times of CRM-synced fields
+leadSchema.pre("save", function (next) {
+  const now = new Date();
+  for (const field of Object.keys(CRM_SYNCED_FIELDS)) {
+    if (this.isNew ? this[field] !== undefined : this.isModified(field)) {
+      this.fieldUpdatedAt.set(field, now);
+    }
+  }
+  next();
+});
+
+leadSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || {};
+  const now = new Date();
+
+  for (const field of Object.keys(CRM_SYNCED_FIELDS)) {
+    if (field in set || field in update) {
+      set[`fieldUpdatedAt.${field}`] = now;
+    }
+  }
+  if (Object.keys(set).length > 0) {
+    update.$set = set;
+    this.setUpdate(update);
+  }
+  next();
+});
+
+// Place new leads in the default pipeline and keep the stage in sync with
+// direct status changes so every transition lands in stageHistory
+leadSchema.pre("save", async function () {
+  if (this.$locals.stageApplied) {
+    this.$locals.stageApplied = false;
+    return;
+  }
+
+  const needsPipeline = !this.pipelineId;
+  const statusChanged = !this.isNew && this.isModified("status");
+  if (!needsPipeline && !statusChanged) return;
+
+  const pipeline = await this.getPipeline();
+  if (!pipeline) return;
+
+  const stage =
+    pipeline.getStageForStatus(this.status) ||
+    (needsPipeline ? pipeline.getInitialStage() : null);
+
+  if (stage && (needsPipeline || String(stage._id) !== String(this.stageId))) {
+    this.applyStage(pipeline, stage, {
+      source: needsPipeline ? "system" : "status_change",
+    });
+    this.$locals.stageApplied = false;
+  }
+});
+
 // Static method to find leads by criteria (no companyId needed - separate DB!)
 leadSchema.statics.findByCriteria = function (searchQuery) {
   const query = {};
@@ -471,15 +815,295 @@ leadSchema.methods.updateLeadScore = function (score) {
   return this.save();
 };
 
-leadSchema.methods.markAsConverted = function (value = 0, source = null) {
+// Set leadScore from the BANT score and the rule score, whichever the lead
+// has; bantWeight is the BANT share (%) when it has both (does not save)
+leadSchema.methods.blendLeadScore = function (bantWeight = 50) {
+  const bantScore = this.bant?.qualifiedAt ? this.bant.totalScore : null;
+  const ruleScore = this.ruleScore?.calculatedAt ? this.ruleScore.score : null;
+
+  let score = this.leadScore;
+  if (bantScore != null && ruleScore != null) {
+    score = (bantScore * bantWeight + ruleScore * (100 - bantWeight)) / 100;
+  } else if (bantScore != null) {
+    score = bantScore;
+  } else if (ruleScore != null) {
+    score = ruleScore;
+  }
+
+  this.leadScore = Math.round(Math.max(0, Math.min(100, score || 0)));
+  return this.leadScore;
+};
+
+leadSchema.methods.markAsConverted = async function (value = 0, source = null) {
   this.conversionData.converted = true;
   this.conversionData.convertedAt = new Date();
   this.conversionData.conversionValue = value;
   this.conversionData.conversionSource = source;
-  this.status = "converted";
+
+  // Move into the pipeline's won stage when there is one
+  const pipeline = await this.getPipeline();
+  const wonStage = pipeline?.getStageForStatus("win");
+  if (wonStage) {
+    this.applyStage(pipeline, wonStage, { source: "system" });
+  } else {
+    this.status = "win";
+  }
   return this.save();
 };
 
+// Load this lead's pipeline (falls back to the tenant default)
+leadSchema.methods.getPipeline = async function () {
+  const Pipeline = getTenantModel(
+    this.constructor.db,
+    "Pipeline",
+    pipelineSchema
+  );
+
+  if (this.pipelineId) {
+    const pipeline = await Pipeline.findById(this.pipelineId);
+    if (pipeline) return pipeline;
+  }
+  return Pipeline.getDefault();
+};
+
+// Put the lead in a pipeline stage and record the transition (does not save)
+leadSchema.methods.applyStage = function (
+  pipeline,
+  stage,
+  { changedBy = null, source = "manual" } = {}
+) {
+  const now = new Date();
+  const currentEntry = this.stageHistory[this.stageHistory.length - 1];
+  const previousStage =
+    String(this.pipelineId) === String(pipeline._id)
+      ? pipeline.getStage(this.stageId)
+      : null;
+
+  if (currentEntry && !currentEntry.exitedAt) {
+    currentEntry.exitedAt = now;
+  }
+
+  this.stageHistory.push({
+    pipelineId: pipeline._id,
+    stageId: stage._id,
+    stageName: stage.name,
+    fromStageId: this.stageId || null,
+    fromStageName: previousStage?.name || currentEntry?.stageName || null,
+    enteredAt: now,
+    changedBy,
+    source,
+  });
+
+  this.pipelineId = pipeline._id;
+  this.stageId = stage._id;
+  this.stageEnteredAt = now;
+
+  // Stage drives the lead status when it defines one
+  if (stage.isWon) {
+    this.status = "win";
+    if (!this.conversionData.converted) {
+      this.conversionData.converted = true;
+      this.conversionData.convertedAt = now;
+    }
+  } else if (stage.isLost) {
+    this.status = "lost";
+  } else if (stage.status) {
+    this.status = stage.status;
+  }
+
+  this.$locals.stageApplied = true;
+  return this;
+};
+
+// Move the lead to a stage and save
+leadSchema.methods.moveToStage = function (pipeline, stage, options = {}) {
+  this.applyStage(pipeline, stage, options);
+  return this.save();
+};
+
+// $push value that appends a CRM sync event and keeps the history capped,
+// for updates that don't go through save()
+leadSchema.statics.crmSyncHistoryPush = function (event) {
+  return {
+    crmSyncHistory: {
+      $each: [{ ...event, syncedAt: new Date() }],
+      $slice: -CRM_SYNC_HISTORY_LIMIT,
+    },
+  };
+};
+
+// Filter for leads linked to an integration's CRM, optionally by link
+// fields ({ syncStatus, crmId }). Matches on provider (one integration per
+// provider) and covers leads not yet given crmLinks (see findCrmLink).
+leadSchema.statics.crmLinkQuery = function (crmIntegration, conditions = {}) {
+  const { provider } = crmIntegration;
+  const legacy = {};
+  if (conditions.syncStatus) legacy.crmSyncStatus = conditions.syncStatus;
+  if (conditions.crmId) legacy.crmId = conditions.crmId;
+
+  return {
+    $or: [
+      { crmLinks: { $elemMatch: { provider, ...conditions } } },
+      {
+        "crmLinks.provider": { $ne: provider },
+        ...legacy,
+        $or: [
+          { crmProvider: provider },
+          { crmProvider: null, originCrmProvider: provider },
+        ],
+      },
+    ],
+  };
+};
+
+// Record a CRM sync event (does not save)
+leadSchema.methods.recordCrmSync = function (event) {
+  this.crmSyncHistory.push({ ...event, syncedAt: new Date() });
+  if (this.crmSyncHistory.length > CRM_SYNC_HISTORY_LIMIT) {
+    this.crmSyncHistory.splice(
+      0,
+      this.crmSyncHistory.length - CRM_SYNC_HISTORY_LIMIT
+    );
+  }
+  return this;
+};
+
+// The lead's link to an integration's CRM, or undefined, without changing
+// the lead. There's one integration per provider, so a link left by a
+// disconnected integration counts for its replacement; leads synced before
+// crmLinks existed get an unsaved link from crmId/crmProvider.
+leadSchema.methods.findCrmLink = function (crmIntegration) {
+  const integrationId = crmIntegration._id.toString();
+  const link =
+    this.crmLinks.find(
+      (candidate) => candidate.integrationId.toString() === integrationId
+    ) ||
+    this.crmLinks.find(
+      (candidate) => candidate.provider === crmIntegration.provider
+    );
+  if (link) return link;
+
+  const legacyProvider = this.crmProvider || this.originCrmProvider;
+  const legacyCrmId = this.crmId || this.originCrmId;
+  if (legacyProvider !== crmIntegration.provider || !legacyCrmId) {
+    return undefined;
+  }
+
+  return {
+    integrationId: crmIntegration._id,
+    provider: crmIntegration.provider,
+    crmId: legacyCrmId,
+    syncStatus: this.crmSyncStatus,
+    syncedAt: this.crmSyncAt,
+    syncSnapshot: this.crmSyncSnapshot,
+  };
+};
+
+// The lead's link to an integration's CRM, or undefined, for callers that
+// write it: a link left by a disconnected integration moves to its
+// replacement and a legacy link is added to crmLinks (does not save)
+leadSchema.methods.getCrmLink = function (crmIntegration) {
+  const link = this.findCrmLink(crmIntegration);
+  if (!link) return undefined;
+
+  if (!this.crmLinks.includes(link)) {
+    this.crmLinks.push(link);
+    return this.crmLinks[this.crmLinks.length - 1];
+  }
+
+  if (link.integrationId.toString() !== crmIntegration._id.toString()) {
+    link.integrationId = crmIntegration._id;
+    this.markModified("crmLinks");
+  }
+  return link;
+};
+
+// Create or update the link to an integration's CRM and mirror it onto the
+// top-level CRM fields; a link without a CRM record only sets the status
+// of a lead in no CRM yet (does not save)
+leadSchema.methods.setCrmLink = function (crmIntegration, values) {
+  let link = this.getCrmLink(crmIntegration);
+  if (!link) {
+    this.crmLinks.push({
+      integrationId: crmIntegration._id,
+      provider: crmIntegration.provider,
+    });
+    link = this.crmLinks[this.crmLinks.length - 1];
+  }
+  Object.assign(link, values);
+  this.markModified("crmLinks");
+
+  if (!link.crmId) {
+    if (!this.crmId) this.crmSyncStatus = link.syncStatus;
+    return link;
+  }
+
+  this.crmId = link.crmId;
+  this.crmProvider = link.provider;
+  this.crmSyncStatus = link.syncStatus;
+  this.crmSyncAt = link.syncedAt;
+  this.crmSyncSnapshot = link.syncSnapshot;
+  return link;
+};
+
+// Drop the link to an integration's CRM; the mirror falls back to another
+// link, if any (does not save)
+leadSchema.methods.removeCrmLink = function (crmIntegration) {
+  this.getCrmLink(crmIntegration);
+  const integrationId = crmIntegration._id.toString();
+  this.crmLinks = this.crmLinks.filter(
+    (link) => link.integrationId.toString() !== integrationId
+  );
+
+  const [latest] = [...this.crmLinks].sort(
+    (a, b) => (b.syncedAt || 0) - (a.syncedAt || 0)
+  );
+  this.crmId = latest?.crmId;
+  this.crmProvider = latest?.provider || null;
+  this.crmSyncStatus = latest?.syncStatus || "not_synced";
+  this.crmSyncAt = latest?.syncedAt;
+  this.crmSyncSnapshot = latest?.syncSnapshot || null;
+  return this;
+};
+
+// Replace the deals imported from an integration's CRM; returns whether
+// anything changed (does not save)
+leadSchema.methods.setCrmDeals = function (crmIntegration, deals) {
+  const integrationId = crmIntegration._id.toString();
+  const fromIntegration = (deal) =>
+    deal.integrationId.toString() === integrationId;
+  const comparable = (deal) =>
+    JSON.stringify([
+      deal.crmDealId,
+      deal.name,
+      deal.amount,
+      deal.currency,
+      deal.stage,
+      deal.status,
+      deal.probability,
+      deal.closeDate && new Date(deal.closeDate).getTime(),
+    ]);
+
+  const previous = this.crmDeals.filter(fromIntegration).map(comparable);
+  const changed =
+    previous.length !== deals.length ||
+    deals.some((deal, index) => comparable(deal) !== previous[index]);
+
+  if (!changed) return false;
+
+  const syncedAt = new Date();
+  this.crmDeals = [
+    ...this.crmDeals.filter((deal) => !fromIntegration(deal)),
+    ...deals.map((deal) => ({
+      ...deal,
+      integrationId: crmIntegration._id,
+      provider: crmIntegration.provider,
+      syncedAt,
+    })),
+  ];
+  return true;
+};
+
 leadSchema.methods.syncToCRM = function (crmId) {
   this.crmId = crmId;
   this.crmSyncStatus = "synced";
@@ -487,4 +1111,4 @@ leadSchema.methods.syncToCRM = function (crmId) {
   return this.save();
 };
 
-export { leadSchema };
+export { leadSchema, CRM_SYNC_HISTORY_LIMIT, CRM_SYNCED_FIELDS };
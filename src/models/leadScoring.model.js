@@ -0,0 +1,159 @@
+import { Schema } from "mongoose";
+
+// Lead fields firmographic rules can match
+const FIRMOGRAPHIC_FIELDS = [
+  "companyIndustry",
+  "companySize",
+  "jobTitle",
+  "country",
+];
+
+// Engagement signals behavioral rules can score (see leadScoring.service.js)
+const BEHAVIORAL_SIGNALS = [
+  "email_opened",
+  "email_clicked",
+  "email_replied",
+  "form_submission",
+  "meeting",
+  "unsubscribed",
+  "bounced",
+];
+
+// Rules a tenant starts with; firmographic rules depend on who they sell to
+const DEFAULT_RULES = [
+  {
+    name: "Opened an email",
+    type: "behavioral",
+    signal: "email_opened",
+    points: 2,
+    maxPoints: 10,
+  },
+  {
+    name: "Clicked a link",
+    type: "behavioral",
+    signal: "email_clicked",
+    points: 5,
+    maxPoints: 15,
+  },
+  {
+    name: "Replied to an email",
+    type: "behavioral",
+    signal: "email_replied",
+    points: 15,
+    maxPoints: 30,
+  },
+  {
+    name: "Submitted a form",
+    type: "behavioral",
+    signal: "form_submission",
+    points: 10,
+    maxPoints: 20,
+  },
+  {
+    name: "Had a meeting",
+    type: "behavioral",
+    signal: "meeting",
+    points: 20,
+    maxPoints: 40,
+  },
+  {
+    name: "Unsubscribed",
+    type: "behavioral",
+    signal: "unsubscribed",
+    points: -20,
+  },
+  { name: "Email bounced", type: "behavioral", signal: "bounced", points: -10 },
+];
+
+// One scoring rule: a firmographic match, or points per behavioral signal
+const scoringRuleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["firmographic", "behavioral"],
+    required: true,
+  },
+
+  // Firmographic: the lead's field matches any of the values (case-insensitive)
+  field: {
+    type: String,
+    enum: FIRMOGRAPHIC_FIELDS,
+  },
+  operator: {
+    type: String,
+    enum: ["equals", "contains", "exists"],
+    default: "equals",
+  },
+  values: [{ type: String, trim: true }],
+
+  // Behavioral: points per occurrence, capped at maxPoints (either sign)
+  signal: {
+    type: String,
+    enum: BEHAVIORAL_SIGNALS,
+  },
+  maxPoints: Number,
+
+  points: {
+    type: Number,
+    required: true,
+    min: -100,
+    max: 100,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// The tenant's rule-based lead scoring (one per tenant, see getConfig)
+const leadScoringSchema = new Schema(
+  {
+    // Off: leads keep their BANT score only
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    rules: {
+      type: [scoringRuleSchema],
+      default: () => DEFAULT_RULES,
+    },
+    // Behavioral points lose half their value every halfLifeDays
+    decay: {
+      enabled: { type: Boolean, default: true },
+      halfLifeDays: { type: Number, min: 1, default: 30 },
+    },
+    // Share (%) of leadScore taken from the BANT score once a lead is qualified
+    bantWeight: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 50,
+    },
+    // Bumped on every change; leads record it with their rule score
+    version: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Get (or create) the tenant's scoring config
+leadScoringSchema.statics.getConfig = async function () {
+  const existing = await this.findOne();
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    {},
+    { $setOnInsert: { version: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export { leadScoringSchema, FIRMOGRAPHIC_FIELDS, BEHAVIORAL_SIGNALS };
@@ -0,0 +1,55 @@
+import { Schema } from "mongoose";
+
+// Saved lead list: a filter (see utils/leadFilter.util.js), sort and columns
+const leadViewSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    // Filter query language document ({ op, conditions } or a single condition)
+    filter: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    sort: {
+      field: {
+        type: String,
+        default: "createdAt",
+      },
+      order: {
+        type: String,
+        enum: ["asc", "desc"],
+        default: "desc",
+      },
+    },
+    // Columns shown in the list (frontend field names)
+    columns: [String],
+
+    // Private views are only visible to their owner; team views to everyone
+    visibility: {
+      type: String,
+      enum: ["private", "team"],
+      default: "private",
+    },
+    ownerId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+leadViewSchema.index({ visibility: 1, name: 1 });
+
+export { leadViewSchema };
@@ -68,6 +68,11 @@ const nextBestActionSchema = new Schema(
 
     // Template suggestion (for emails)
     templateSuggestion: {
+      // Tenant email template to use for this action
+      templateId: {
+        type: Schema.Types.ObjectId,
+        ref: "EmailTemplate",
+      },
       name: String,
       content: String,
       subject: String,
@@ -0,0 +1,100 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Outbound Message Model - System Database
+ * Every lead email we send, keyed by its message ids, so replies and bounces
+ * arriving in any mailbox can be attributed to the tenant, lead and sequence
+ * step that sent it. Kept in the system DB so lookups work without knowing
+ * the tenant first; entries expire after OUTBOUND_MESSAGE_TTL_DAYS.
+ */
+const OUTBOUND_MESSAGE_TTL_DAYS = 180;
+
+const outboundMessageSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    leadId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // Our id (leadId-timestamp); also the tracking id on engagements
+    messageId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // RFC 5322 Message-ID header as sent, e.g. <leadId-timestamp@gmail.com>
+    internetMessageId: {
+      type: String,
+      index: true,
+    },
+    // Provider's own ids (Gmail message id / Outlook item id, Gmail thread id / Outlook conversation id)
+    providerMessageId: String,
+    threadId: String,
+
+    provider: {
+      type: String,
+      enum: ["gmail", "outlook", "yahoo", "system-smtp"],
+    },
+    mailboxId: {
+      type: Schema.Types.ObjectId,
+    },
+    mailboxEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    emailType: {
+      type: String,
+      enum: ["lead", "follow_up", "sequence", "welcome"],
+      default: "lead",
+    },
+    subject: String,
+    to: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Sequence step that sent this email, if any
+    sequence: {
+      sequenceId: Schema.Types.ObjectId,
+      enrollmentId: Schema.Types.ObjectId,
+      stepId: Schema.Types.ObjectId,
+      stepOrder: Number,
+    },
+
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    repliedAt: Date,
+    bouncedAt: Date,
+
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + OUTBOUND_MESSAGE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+outboundMessageSchema.index({ companyId: 1, threadId: 1 });
+outboundMessageSchema.index({ companyId: 1, leadId: 1, sentAt: -1 });
+outboundMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create model on default (system) connection
+export const OutboundMessage = mongoose.model(
+  "OutboundMessage",
+  outboundMessageSchema
+);
+export { OUTBOUND_MESSAGE_TTL_DAYS };
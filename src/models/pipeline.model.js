@@ -0,0 +1,179 @@
+import { Schema } from "mongoose";
+import { LEAD_STATUSES } from "../constants/website.constants.js";
+
+const pipelineStageSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Position in the pipeline (0 = first stage)
+  order: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Win probability used for forecasting (0-100)
+  probability: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+  // Terminal stage flags
+  isWon: {
+    type: Boolean,
+    default: false,
+  },
+  isLost: {
+    type: Boolean,
+    default: false,
+  },
+  // Lead status applied when a lead enters this stage (optional)
+  status: {
+    type: String,
+    enum: [...LEAD_STATUSES, null],
+    default: null,
+  },
+  // Days a lead is expected to stay in this stage before it is considered slow
+  expectedDays: {
+    type: Number,
+    min: 1,
+  },
+  color: {
+    type: String,
+    trim: true,
+  },
+});
+
+const pipelineSchema = new Schema(
+  {
+    // Company Reference (Required for SAAS)
+    // companyId: {
+    //   type: Schema.Types.ObjectId,
+    //   ref: "Company",
+    //   required: true,
+    //   index: true,
+    // },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    // Leads without an explicit pipeline use the default one
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    stages: [pipelineStageSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pipelineSchema.pre("validate", function (next) {
+  if (!this.stages || this.stages.length === 0) {
+    return next(new Error("A pipeline needs at least one stage"));
+  }
+
+  if (this.stages.some((stage) => stage.isWon && stage.isLost)) {
+    return next(new Error("A stage cannot be both won and lost"));
+  }
+
+  // Keep stages sorted and orders contiguous
+  this.stages.sort((a, b) => a.order - b.order);
+  this.stages.forEach((stage, index) => {
+    stage.order = index;
+  });
+
+  next();
+});
+
+// Ordered stages
+pipelineSchema.methods.getOrderedStages = function () {
+  return [...this.stages].sort((a, b) => a.order - b.order);
+};
+
+// Get stage by id
+pipelineSchema.methods.getStage = function (stageId) {
+  if (!stageId) return null;
+  return this.stages.id(stageId) || null;
+};
+
+// First open stage for new leads
+pipelineSchema.methods.getInitialStage = function () {
+  const stages = this.getOrderedStages();
+  return stages.find((stage) => !stage.isWon && !stage.isLost) || stages[0];
+};
+
+// Stage that applies a given lead status
+pipelineSchema.methods.getStageForStatus = function (status) {
+  const stages = this.getOrderedStages();
+  if (status === "win") {
+    return stages.find((stage) => stage.isWon) || null;
+  }
+  if (status === "lost") {
+    return stages.find((stage) => stage.isLost) || null;
+  }
+  return stages.find((stage) => stage.status === status) || null;
+};
+
+// Default stages for a tenant's first pipeline
+pipelineSchema.statics.getDefaultStages = function () {
+  return [
+    { name: "New", order: 0, probability: 10, status: "new", expectedDays: 7 },
+    { name: "Contacted", order: 1, probability: 20, expectedDays: 14 },
+    {
+      name: "Qualified",
+      order: 2,
+      probability: 40,
+      status: "qualified",
+      expectedDays: 14,
+    },
+    { name: "Proposal", order: 3, probability: 60, expectedDays: 21 },
+    { name: "Negotiation", order: 4, probability: 80, expectedDays: 21 },
+    { name: "Won", order: 5, probability: 100, status: "win", isWon: true },
+    { name: "Lost", order: 6, probability: 0, status: "lost", isLost: true },
+  ];
+};
+
+// Get (or create) the tenant's default pipeline
+pipelineSchema.statics.getDefault = async function () {
+  const existing = await this.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    { isDefault: true },
+    {
+      $setOnInsert: {
+        name: "Sales Pipeline",
+        description: "Default lead pipeline",
+        isDefault: true,
+        isActive: true,
+        stages: this.getDefaultStages(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+pipelineSchema.index({ name: 1 });
+// Only one default pipeline per tenant
+pipelineSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+export { pipelineSchema };
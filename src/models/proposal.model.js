@@ -30,6 +30,13 @@ const proposalSchema = new Schema({
         default: "draft",
     },
 
+    // Every status change, oldest first
+    statusHistory: [{
+        status: String,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: Schema.Types.ObjectId },
+    }],
+
     // BANT-based customization (e.g., "hot" leads get premium proposals)
     bantCategory: {
         type: String,
@@ -62,4 +69,12 @@ const proposalSchema = new Schema({
 proposalSchema.index({ leadId: 1 });
 proposalSchema.index({ status: 1 });
 
+// Record the initial status and status changes made through save()
+proposalSchema.pre("save", function (next) {
+    if (this.isNew || this.isModified("status")) {
+        this.statusHistory.push({ status: this.status, changedAt: new Date() });
+    }
+    next();
+});
+
 export { proposalSchema }
@@ -0,0 +1,91 @@
+import { Schema } from "mongoose";
+
+// BANT dimensions and their default weights (points out of 100)
+const BANT_DIMENSIONS = ["budget", "authority", "need", "timeline"];
+
+// Profile fields the AI qualifies against; changing them means leads have to
+// be re-qualified, while thresholds and weights only re-score past answers
+const QUALIFICATION_CRITERIA_FIELDS = [
+  "offering",
+  "targetIndustries",
+  "companySizes",
+  "targetTitles",
+  "budgetRange",
+  "disqualifiers",
+];
+
+// The tenant's ideal customer profile for BANT qualification
+// (one per tenant, see getProfile and bant.service.js)
+const qualificationProfileSchema = new Schema(
+  {
+    // What the tenant sells, so Need is judged against it
+    offering: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    targetIndustries: [{ type: String, trim: true }],
+    // e.g. "11-50", "51-200", "1000+"
+    companySizes: [{ type: String, trim: true }],
+    targetTitles: [{ type: String, trim: true }],
+    // Deal sizes the tenant sells at
+    budgetRange: {
+      min: { type: Number, min: 0 },
+      max: { type: Number, min: 0 },
+      currency: { type: String, default: "USD" },
+    },
+    // Anything that rules a lead out (e.g. "students", "competitors")
+    disqualifiers: [{ type: String, trim: true }],
+
+    // Minimum total score per category; below warm is cold
+    thresholds: {
+      hot: { type: Number, min: 0, max: 100, default: 80 },
+      warm: { type: Number, min: 0, max: 100, default: 60 },
+    },
+    // Points each dimension contributes to the total (sum to 100)
+    weights: {
+      budget: { type: Number, min: 0, max: 100, default: 25 },
+      authority: { type: Number, min: 0, max: 100, default: 25 },
+      need: { type: Number, min: 0, max: 100, default: 25 },
+      timeline: { type: Number, min: 0, max: 100, default: 25 },
+    },
+
+    // Bumped on every change; criteriaVersion only when the criteria change.
+    // Leads record both on qualification (lead.bant) so stale ones can be found.
+    version: {
+      type: Number,
+      default: 1,
+    },
+    criteriaVersion: {
+      type: Number,
+      default: 1,
+    },
+
+    // Last re-qualification queued for this profile
+    requalification: {
+      jobId: Schema.Types.ObjectId,
+      requestedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Get (or create) the tenant's profile
+qualificationProfileSchema.statics.getProfile = async function () {
+  const existing = await this.findOne();
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    {},
+    { $setOnInsert: { version: 1, criteriaVersion: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export {
+  qualificationProfileSchema,
+  BANT_DIMENSIONS,
+  QUALIFICATION_CRITERIA_FIELDS,
+};
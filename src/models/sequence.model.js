@@ -0,0 +1,168 @@
+import { Schema } from "mongoose";
+
+const sequenceStepSchema = new Schema({
+  // Position in the sequence (0 = first step)
+  order: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  // Only email is sent today; other channels will be added later
+  channel: {
+    type: String,
+    enum: ["email"],
+    default: "email",
+  },
+  // Wait after the previous step (or enrollment, for the first step)
+  delayDays: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  delayHours: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Email template to render; inline subject/body are used when not set
+  templateId: {
+    type: Schema.Types.ObjectId,
+    ref: "EmailTemplate",
+    default: null,
+  },
+  // Inline content with {{lead.firstName}} / {{company.companyName}} merge variables
+  subject: {
+    type: String,
+    trim: true,
+    required: function () {
+      return !this.templateId;
+    },
+  },
+  body: {
+    type: String,
+    required: function () {
+      return !this.templateId;
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+const sequenceSchema = new Schema(
+  {
+    // Company Reference (Required for SAAS)
+    // companyId: {
+    //   type: Schema.Types.ObjectId,
+    //   ref: "Company",
+    //   required: true,
+    //   index: true,
+    // },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    // Only active sequences send emails; paused ones hold enrollments in place
+    status: {
+      type: String,
+      enum: ["draft", "active", "paused", "archived"],
+      default: "draft",
+      index: true,
+    },
+
+    steps: [sequenceStepSchema],
+
+    // Business-hour window steps are sent in
+    sendingWindow: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      timezone: {
+        type: String,
+        default: "Asia/Riyadh",
+      },
+      // 0 = Sunday ... 6 = Saturday
+      days: {
+        type: [Number],
+        default: [0, 1, 2, 3, 4],
+      },
+      startHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 9,
+      },
+      endHour: {
+        type: Number,
+        min: 1,
+        max: 24,
+        default: 17,
+      },
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sequenceSchema.pre("validate", function (next) {
+  if (!this.steps || this.steps.length === 0) {
+    return next(new Error("A sequence needs at least one step"));
+  }
+
+  const window = this.sendingWindow;
+  if (window?.enabled) {
+    if (window.startHour >= window.endHour) {
+      return next(new Error("sendingWindow.startHour must be before endHour"));
+    }
+    if (
+      !window.days?.length ||
+      window.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return next(
+        new Error("sendingWindow.days must contain values from 0 to 6")
+      );
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: window.timezone });
+    } catch {
+      return next(new Error(`Unknown timezone: ${window.timezone}`));
+    }
+  }
+
+  // Keep steps sorted and orders contiguous
+  this.steps.sort((a, b) => a.order - b.order);
+  this.steps.forEach((step, index) => {
+    step.order = index;
+  });
+
+  next();
+});
+
+// Ordered steps that will be sent
+sequenceSchema.methods.getActiveSteps = function () {
+  return [...this.steps]
+    .filter((step) => step.isActive)
+    .sort((a, b) => a.order - b.order);
+};
+
+sequenceSchema.index({ name: 1 });
+
+export { sequenceSchema };
@@ -0,0 +1,131 @@
+import { Schema } from "mongoose";
+
+const SEQUENCE_STOP_REASONS = [
+  "replied",
+  "bounced",
+  "unsubscribed",
+  "manual",
+  "lead_deleted",
+  "sequence_archived",
+  "send_failed",
+];
+
+const enrollmentStepSchema = new Schema(
+  {
+    stepId: {
+      type: Schema.Types.ObjectId,
+    },
+    order: {
+      type: Number,
+    },
+    channel: {
+      type: String,
+      default: "email",
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed", "skipped"],
+      required: true,
+    },
+    subject: String,
+    scheduledAt: Date,
+    sentAt: Date,
+    // Tracking token stored on the EngagementHistory record
+    messageId: String,
+    // Id returned by the mailbox provider
+    providerMessageId: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+  },
+  { _id: false }
+);
+
+const sequenceEnrollmentSchema = new Schema(
+  {
+    sequenceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Sequence",
+      required: true,
+      index: true,
+    },
+    leadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "paused", "completed", "stopped"],
+      default: "active",
+      index: true,
+    },
+
+    // Index into the sequence's active steps of the next step to send
+    currentStep: {
+      type: Number,
+      default: 0,
+    },
+    nextRunAt: {
+      type: Date,
+      index: true,
+    },
+    // Failed attempts for the current step
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+
+    steps: [enrollmentStepSchema],
+
+    enrolledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    enrolledBy: {
+      type: Schema.Types.ObjectId,
+    },
+    completedAt: Date,
+    stoppedAt: Date,
+    stopReason: {
+      type: String,
+      enum: [...SEQUENCE_STOP_REASONS, null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A lead can only be actively enrolled in a sequence once
+sequenceEnrollmentSchema.index(
+  { sequenceId: 1, leadId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+sequenceEnrollmentSchema.index({ status: 1, nextRunAt: 1 });
+
+// Status payload for the enrollment APIs
+sequenceEnrollmentSchema.methods.toStatusJSON = function () {
+  return {
+    enrollmentId: this._id,
+    sequenceId: this.sequenceId,
+    leadId: this.leadId,
+    status: this.status,
+    currentStep: this.currentStep,
+    nextRunAt: this.nextRunAt,
+    stopReason: this.stopReason,
+    lastError: this.lastError,
+    enrolledAt: this.enrolledAt,
+    completedAt: this.completedAt,
+    stoppedAt: this.stoppedAt,
+    steps: this.steps,
+  };
+};
+
+export { sequenceEnrollmentSchema, SEQUENCE_STOP_REASONS };
@@ -12,11 +12,27 @@ import {
   importFromCrm,
   getCrmSyncStatus,
   retryFailedLeads,
+  getCrmSyncRuns,
+  getCrmSyncRun,
   updateFieldMapping,
+  getCrmFieldSchema,
+  previewFieldMapping,
+  updateCrmRouting,
+  previewLeadRouting,
+  getEnrichmentFields,
+  updateEnrichmentPush,
+  pushCrmEnrichment,
+  getCrmDealStages,
+  updateDealSync,
+  importCrmDeals,
   getCrmErrorLogs,
   resolveCrmError,
   getLeadsFromCrm,
   getCombinedLeads,
+  getCrmConflicts,
+  getCrmConflict,
+  resolveCrmConflict,
+  handleCrmWebhook,
 } from "../controllers/crmIntegration.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -29,6 +45,10 @@ const router = Router();
 // GET /api/v1/crm-integration/oauth/callback/:provider
 router.route("/oauth/callback/:provider").get(handleOAuthCallback);
 
+// POST /api/v1/crm-integration/webhooks/:provider/:integrationId (CRM lead events)
+// Verified by the provider's signature; app-level subscriptions (HubSpot) use "app" as integrationId
+router.route("/webhooks/:provider/:integrationId").post(handleCrmWebhook);
+
 // ================================================
 // Secured routes (authentication required)
 // ================================================
@@ -39,6 +59,7 @@ router.use(verifyJWT);
 router.route("/providers").get(getProviders);
 
 // POST /api/v1/crm-integration/oauth/init (Initialize OAuth flow)
+// Body: { provider, domain? } - domain for providers with requiresDomain (Freshworks)
 router.route("/oauth/init").post(initOAuthFlow);
 
 // GET /api/v1/crm-integration (Get CRM integration)
@@ -57,6 +78,7 @@ router.route("/fix-credentials").post(fixCrmIntegrationCredentials);
 router.route("/:integrationId/test-connection").post(testCrmConnection);
 
 // POST /api/v1/crm-integration/sync-leads (Sync leads to CRM)
+// Body: { leadIds, integrationId? } - without integrationId, by each lead's routing
 router.route("/sync-leads").post(syncLeadsToCrm);
 
 // POST /api/v1/crm-integration/import (Import leads from CRM)
@@ -68,15 +90,62 @@ router.route("/sync-status").get(getCrmSyncStatus);
 // POST /api/v1/crm-integration/retry-failed (Retry failed syncs)
 router.route("/retry-failed").post(retryFailedLeads);
 
+// GET /api/v1/crm-integration/runs (Get sync run history)
+router.route("/runs").get(getCrmSyncRuns);
+
+// GET /api/v1/crm-integration/runs/:runId (Get a sync run with per-lead results)
+router.route("/runs/:runId").get(getCrmSyncRun);
+
 // PATCH /api/v1/crm-integration/field-mapping (Update field mapping)
 router.route("/field-mapping").patch(updateFieldMapping);
 
+// POST /api/v1/crm-integration/field-mapping/preview (Dry-run field mappings on a sample lead)
+router.route("/field-mapping/preview").post(previewFieldMapping);
+
+// GET /api/v1/crm-integration/:integrationId/fields (Get the CRM's lead field schema)
+router.route("/:integrationId/fields").get(getCrmFieldSchema);
+
+// PATCH /api/v1/crm-integration/:integrationId/routing (Set which leads the integration receives)
+router.route("/:integrationId/routing").patch(updateCrmRouting);
+
+// GET /api/v1/crm-integration/routing/preview?leadId= (Get the integrations a lead is pushed to)
+router.route("/routing/preview").get(previewLeadRouting);
+
+// GET /api/v1/crm-integration/enrichment/fields (Get BANT/deal health values that can be pushed)
+router.route("/enrichment/fields").get(getEnrichmentFields);
+
+// PATCH /api/v1/crm-integration/:integrationId/enrichment (Update enrichment push settings)
+router.route("/:integrationId/enrichment").patch(updateEnrichmentPush);
+
+// POST /api/v1/crm-integration/enrichment/push (Push BANT, deal health and activities now)
+// Body: { integrationId?, leadIds? } - without leadIds, leads changed since the last push
+router.route("/enrichment/push").post(pushCrmEnrichment);
+
+// GET /api/v1/crm-integration/:integrationId/deal-stages (Get CRM deal stages and pipeline stages to map them to)
+router.route("/:integrationId/deal-stages").get(getCrmDealStages);
+
+// PATCH /api/v1/crm-integration/:integrationId/deal-sync (Update deal import settings)
+router.route("/:integrationId/deal-sync").patch(updateDealSync);
+
+// POST /api/v1/crm-integration/deals/import (Import CRM deals for linked leads now)
+// Body: { integrationId?, leadIds? }
+router.route("/deals/import").post(importCrmDeals);
+
 // GET /api/v1/crm-integration/error-logs (Get error logs)
 router.route("/error-logs").get(getCrmErrorLogs);
 
 // PATCH /api/v1/crm-integration/error-logs/:errorId/resolve (Resolve error)
 router.route("/error-logs/:errorId/resolve").patch(resolveCrmError);
 
+// GET /api/v1/crm-integration/conflicts (Get bidirectional sync conflicts)
+router.route("/conflicts").get(getCrmConflicts);
+
+// GET /api/v1/crm-integration/conflicts/:conflictId (Get a sync conflict)
+router.route("/conflicts/:conflictId").get(getCrmConflict);
+
+// PATCH /api/v1/crm-integration/conflicts/:conflictId/resolve (Resolve conflict fields)
+router.route("/conflicts/:conflictId/resolve").patch(resolveCrmConflict);
+
 // GET /api/v1/crm-integration/error-logs (Get error logs)
 router.get("/leads", getLeadsFromCrm);
 // GET /api/v1/crm-integration/error-logs (Get error logs)
@@ -9,6 +9,8 @@ import {
   recalculateHealth,
   batchCalculateHealth,
   getAtRiskLeads,
+  getLeadHealthTrend,
+  getHealthTrends,
 } from "../controllers/dealHealth.controller.js";
 
 const router = Router();
@@ -20,6 +22,10 @@ router.use(verifyJWT, injectTenantConnection);
 // GET /api/v1/deal-health/dashboard
 router.get("/dashboard", getDashboardMetrics);
 
+// Get the pipeline's health distribution week over week
+// GET /api/v1/deal-health/trends?weeks=8
+router.get("/trends", getHealthTrends);
+
 // Get deal health for a specific lead
 // GET /api/v1/deal-health/:leadId
 router.get("/:leadId", getLeadHealth);
@@ -28,6 +34,10 @@ router.get("/:leadId", getLeadHealth);
 // GET /api/v1/deal-health/:leadId/engagement
 router.get("/:leadId/engagement", getEngagementHistory);
 
+// Get a lead's health history
+// GET /api/v1/deal-health/:leadId/trend?days=90
+router.get("/:leadId/trend", getLeadHealthTrend);
+
 // Log engagement event
 // POST /api/v1/deal-health/:leadId/engagement
 router.post("/:leadId/engagement", logEngagement);
@@ -0,0 +1,55 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { injectTenantConnection } from "../middlewares/tenant.middleware.js";
+import {
+  getEmailTemplates,
+  getTemplateVariables,
+  getEmailTemplateById,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate,
+  previewEmailTemplate,
+  previewEmailTemplateDraft,
+} from "../controllers/emailTemplate.controller.js";
+
+const router = Router();
+
+// All routes require authentication and tenant context
+router.use(verifyJWT, injectTenantConnection);
+
+// Get all templates
+// GET /api/v1/email-templates?category=follow_up&isActive=true&search=
+router.route("/").get(getEmailTemplates);
+
+// Create template
+// POST /api/v1/email-templates
+// Body: { name, description, category, subject, htmlBody, textBody, actionTypes, isActive }
+router.route("/").post(createEmailTemplate);
+
+// Merge variables that can be used in templates
+// GET /api/v1/email-templates/variables
+router.route("/variables").get(getTemplateVariables);
+
+// Render unsaved content against a lead
+// POST /api/v1/email-templates/preview
+// Body: { leadId, subject, htmlBody, textBody }
+router.route("/preview").post(previewEmailTemplateDraft);
+
+// Render a saved template against a lead
+// POST /api/v1/email-templates/:templateId/preview
+// Body: { leadId }
+router.route("/:templateId/preview").post(previewEmailTemplate);
+
+// Get single template
+// GET /api/v1/email-templates/:templateId
+router.route("/:templateId").get(getEmailTemplateById);
+
+// Update template
+// PATCH /api/v1/email-templates/:templateId
+router.route("/:templateId").patch(updateEmailTemplate);
+
+// Delete template (only when unused)
+// DELETE /api/v1/email-templates/:templateId
+router.route("/:templateId").delete(deleteEmailTemplate);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  trackEmailOpen,
+  trackEmailClick,
+  getUnsubscribePage,
+  unsubscribe,
+} from "../controllers/emailTracking.controller.js";
+
+const router = Router();
+
+// Public routes - linked from outbound lead emails, authenticated by signed tokens
+
+// Open tracking pixel
+// GET /api/email/track/open/:token?c=<companyId>
+router.route("/track/open/:token").get(trackEmailOpen);
+
+// Click tracking redirect
+// GET /api/email/track/click/:token
+router.route("/track/click/:token").get(trackEmailClick);
+
+// Unsubscribe landing page and one-click unsubscribe (List-Unsubscribe-Post)
+// GET/POST /api/email/unsubscribe/:token
+router.route("/unsubscribe/:token").get(getUnsubscribePage).post(unsubscribe);
+
+export default router;
@@ -9,6 +9,9 @@ import {
   deleteForm,
   getFormByAccessToken,
   submitFormData,
+  getSubmissionStatus,
+  getSubmissionJobs,
+  getSubmissionJobById,
   addFormField,
   removeFormField,
 } from "../controllers/form.controller.js";
@@ -25,6 +28,20 @@ const router = Router();
 // Note: This route needs special handling for tenant context
 router.route("/:accessToken/submit").post(submitFormData);
 
+// GET /api/v1/forms/:accessToken/submissions/:jobId?tenantId= (Submission processing status)
+router.route("/:accessToken/submissions/:jobId").get(getSubmissionStatus);
+
+// Submission job routes are secured but must be registered before "/:accessToken"
+// GET /api/v1/forms/jobs (List submission jobs for company)
+router
+  .route("/jobs")
+  .get(verifyJWT, injectTenantConnection, getSubmissionJobs);
+
+// GET /api/v1/forms/jobs/:jobId (Get submission job with per-step status)
+router
+  .route("/jobs/:jobId")
+  .get(verifyJWT, injectTenantConnection, getSubmissionJobById);
+
 // GET /api/v1/forms/:accessToken (Public form access) - Must be last to avoid conflicts
 router.route("/:accessToken").get(getFormByAccessToken);
 
@@ -11,6 +11,9 @@ import {
   deleteLead,
   qualifyLeadBANT,
   batchQualifyLeadsBANT,
+  getQualificationProfile,
+  updateQualificationProfile,
+  requalifyLeadsBANT,
   followUpEmail,
   followUpLeads,
   scheduleFollowUpLeads,
@@ -18,7 +21,19 @@ import {
   exportLeadsExcel,
   syncCrmLeads,
   getAssignableUsers,
+  getDuplicateLeads,
+  getLeadDuplicates,
+  mergeLeads,
+  getLeadTimeline,
 } from "../controllers/lead.controller.js";
+import {
+  getLeadViews,
+  getLeadFilterFields,
+  getLeadView,
+  createLeadView,
+  updateLeadView,
+  deleteLeadView,
+} from "../controllers/leadView.controller.js";
 
 const router = Router();
 
@@ -38,6 +53,7 @@ router.route("/sync-crm").post(syncCrmLeads);
 
 // Get all leads with pagination, filtering, and sorting
 // GET /api/v1/lead/all?page=1&limit=10&status=hot&industry=Technology
+// Saved view / filter query: &viewId=<id> or &filter=<JSON filter>
 router.route("/all").get(getLeads);
 
 // Get all follow up leads
@@ -52,15 +68,73 @@ router.route("/search").get(searchLeads);
 // GET /api/v1/lead/stats
 router.route("/stats").get(getLeadStats);
 
+// ================================================
+// Saved Views & Filter Routes
+// ================================================
+
+// Filterable fields for the filter query language
+// GET /api/v1/leads/views/fields
+router.route("/views/fields").get(getLeadFilterFields);
+
+// List own and team views / create a view
+// GET /api/v1/leads/views
+// POST /api/v1/leads/views
+// Body: { name, description?, filter, sort?: { field, order }, columns?, visibility?: "private" | "team" }
+router.route("/views").get(getLeadViews).post(createLeadView);
+
+// Get / update / delete a view (update and delete are owner only)
+// GET /api/v1/leads/views/:viewId
+// PATCH /api/v1/leads/views/:viewId
+// DELETE /api/v1/leads/views/:viewId
+router
+  .route("/views/:viewId")
+  .get(getLeadView)
+  .patch(updateLeadView)
+  .delete(deleteLeadView);
+
+// ================================================
+// Duplicate Detection & Merge Routes
+// ================================================
+
+// Get groups of duplicate leads
+// GET /api/v1/leads/duplicates?page=1&limit=20&matchOn=email,phone
+router.route("/duplicates").get(getDuplicateLeads);
+
+// Merge duplicate leads into a surviving lead
+// POST /api/v1/leads/merge
+// Body: { survivorId, mergeIds: [...] }
+router.route("/merge").post(mergeLeads);
+
+// Get leads that duplicate a single lead
+// GET /api/v1/leads/:id/duplicates
+router.route("/:id/duplicates").get(getLeadDuplicates);
+
+// Get a lead's activity timeline (cursor-paginated, newest first)
+// GET /api/v1/leads/:id/timeline?types=engagement,stage_change&limit=25&cursor=<nextCursor>
+router.route("/:id/timeline").get(getLeadTimeline);
+
 // ================================================
 // BANT Qualification Routes (only for manual qualification)
 // ================================================
 
 // Batch qualify multiple leads using BANT
 // POST /api/v1/lead/bant/batch
-// Body: { leadIds: [...], filters: {...} }
+// Body: { leadIds: [...] } or { viewId?, filter? } or { filters: {...} }
 router.route("/bant/batch").post(batchQualifyLeadsBANT);
 
+// Get / update the qualification profile (ideal customer profile)
+// GET /api/v1/lead/bant/profile
+// PATCH /api/v1/lead/bant/profile
+// Body: { offering?, targetIndustries?, companySizes?, targetTitles?, budgetRange?, disqualifiers?, thresholds?, weights?, requalify? }
+router
+  .route("/bant/profile")
+  .get(getQualificationProfile)
+  .patch(updateQualificationProfile);
+
+// Re-qualify leads scored with an older profile
+// POST /api/v1/lead/bant/profile/requalify
+router.route("/bant/profile/requalify").post(requalifyLeadsBANT);
+
 // Qualify a single lead using BANT
 // POST /api/v1/lead/:id/bant
 router.route("/:id/bant").post(qualifyLeadBANT);
@@ -69,8 +143,9 @@ router.route("/:id/bant").post(qualifyLeadBANT);
 // GET /api/v1/lead/:id
 router.route("/:id").get(getLeadById);
 
-// Update lead status and notes
+// Update lead status / pipeline stage and notes
 // PATCH /api/v1/lead/:id/status
+// Body: { status } or { stageId, pipelineId? }, notes optional
 router.route("/:id/status").patch(updateLeadStatus);
 
 // Soft delete a lead
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { injectTenantConnection } from "../middlewares/tenant.middleware.js";
+import {
+  getLeadScoringConfig,
+  updateLeadScoringConfig,
+  rescoreLeads,
+  getLeadScore,
+  scoreLead,
+} from "../controllers/leadScoring.controller.js";
+
+const router = Router();
+
+// All routes require authentication and tenant context
+router.use(verifyJWT, injectTenantConnection);
+
+// Get scoring config (default rules are created on first use)
+// GET /api/v1/lead-scoring
+router.route("/").get(getLeadScoringConfig);
+
+// Update scoring config
+// PATCH /api/v1/lead-scoring
+// Body: { enabled, bantWeight, decay: { enabled, halfLifeDays }, rules: [{ name, type, field, operator, values, signal, points, maxPoints, isActive }], rescore }
+router.route("/").patch(updateLeadScoringConfig);
+
+// Re-score every lead with the current config
+// POST /api/v1/lead-scoring/rescore
+router.route("/rescore").post(rescoreLeads);
+
+// Get a lead's score and the rules that contributed to it
+// GET /api/v1/lead-scoring/leads/:leadId
+router.route("/leads/:leadId").get(getLeadScore);
+
+// Recalculate a lead's score
+// POST /api/v1/lead-scoring/leads/:leadId/score
+router.route("/leads/:leadId/score").post(scoreLead);
+
+export default router;
@@ -0,0 +1,44 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { injectTenantConnection } from "../middlewares/tenant.middleware.js";
+import {
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  getPipelineStats,
+} from "../controllers/pipeline.controller.js";
+
+const router = Router();
+
+// All routes require authentication and tenant context
+router.use(verifyJWT, injectTenantConnection);
+
+// Get all pipelines (default pipeline is created on first use)
+// GET /api/v1/pipelines?includeInactive=true
+router.route("/").get(getPipelines);
+
+// Create pipeline
+// POST /api/v1/pipelines
+// Body: { name, description, isDefault, stages: [{ name, probability, isWon, isLost, status, expectedDays, color }] }
+router.route("/").post(createPipeline);
+
+// Get pipeline statistics (per-stage counts, time in stage, forecast)
+// GET /api/v1/pipelines/:pipelineId/stats
+router.route("/:pipelineId/stats").get(getPipelineStats);
+
+// Get single pipeline
+// GET /api/v1/pipelines/:pipelineId
+router.route("/:pipelineId").get(getPipelineById);
+
+// Update pipeline
+// PATCH /api/v1/pipelines/:pipelineId
+// Body: { name, description, isActive, isDefault, stages, moveLeadsToStageId }
+router.route("/:pipelineId").patch(updatePipeline);
+
+// Delete pipeline (must be empty and not default)
+// DELETE /api/v1/pipelines/:pipelineId
+router.route("/:pipelineId").delete(deletePipeline);
+
+export default router;
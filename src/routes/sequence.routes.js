@@ -0,0 +1,85 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { injectTenantConnection } from "../middlewares/tenant.middleware.js";
+import {
+  getSequences,
+  getSequenceById,
+  createSequence,
+  updateSequence,
+  deleteSequence,
+  getSequenceStats,
+  enrollLeads,
+  getSequenceEnrollments,
+  getEnrollments,
+  getEnrollmentById,
+  pauseEnrollment,
+  resumeEnrollment,
+  stopEnrollment,
+} from "../controllers/sequence.controller.js";
+
+const router = Router();
+
+// All routes require authentication and tenant context
+router.use(verifyJWT, injectTenantConnection);
+
+// ==============================================================
+// Enrollments
+// ==============================================================
+
+// List enrollments (filter by lead or status)
+// GET /api/v1/sequences/enrollments?leadId=&status=&page=1&limit=20
+router.route("/enrollments").get(getEnrollments);
+
+// Enrollment status with per-step history
+// GET /api/v1/sequences/enrollments/:enrollmentId
+router.route("/enrollments/:enrollmentId").get(getEnrollmentById);
+
+// POST /api/v1/sequences/enrollments/:enrollmentId/pause
+router.route("/enrollments/:enrollmentId/pause").post(pauseEnrollment);
+
+// POST /api/v1/sequences/enrollments/:enrollmentId/resume
+router.route("/enrollments/:enrollmentId/resume").post(resumeEnrollment);
+
+// POST /api/v1/sequences/enrollments/:enrollmentId/stop
+router.route("/enrollments/:enrollmentId/stop").post(stopEnrollment);
+
+// ==============================================================
+// Sequences
+// ==============================================================
+
+// Get all sequences (archived ones only when ?status=archived)
+// GET /api/v1/sequences?status=active
+router.route("/").get(getSequences);
+
+// Create sequence
+// POST /api/v1/sequences
+// Body: { name, description, status, sendingWindow: { enabled, timezone, days, startHour, endHour },
+//         steps: [{ name, channel, delayDays, delayHours, templateId, subject, body, isActive }] }
+router.route("/").post(createSequence);
+
+// Open/reply statistics per sequence and step
+// GET /api/v1/sequences/:sequenceId/stats
+router.route("/:sequenceId/stats").get(getSequenceStats);
+
+// Enroll leads
+// POST /api/v1/sequences/:sequenceId/enroll
+// Body: { leadIds: [] }
+router.route("/:sequenceId/enroll").post(enrollLeads);
+
+// Enrollments of a sequence
+// GET /api/v1/sequences/:sequenceId/enrollments?status=&page=1&limit=20
+router.route("/:sequenceId/enrollments").get(getSequenceEnrollments);
+
+// Get single sequence
+// GET /api/v1/sequences/:sequenceId
+router.route("/:sequenceId").get(getSequenceById);
+
+// Update sequence (status "archived" stops all open enrollments)
+// PATCH /api/v1/sequences/:sequenceId
+router.route("/:sequenceId").patch(updateSequence);
+
+// Delete sequence (only when it has no enrollments)
+// DELETE /api/v1/sequences/:sequenceId
+router.route("/:sequenceId").delete(deleteSequence);
+
+export default router;
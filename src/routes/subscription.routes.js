@@ -6,6 +6,8 @@ import {
   cancelSubscription,
   createBillingPortal,
   subscriptionHistory,
+  getAiUsage,
+  getAiUsageCalls,
 } from "../controllers/subscription.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -41,4 +43,8 @@ router.route("/cancel").post(cancelSubscription);
 // Create Stripe billing portal session
 router.route("/billing-portal").post(createBillingPortal);
 
+// AI usage against the plan's quota
+router.route("/ai-usage").get(getAiUsage);
+router.route("/ai-usage/calls").get(getAiUsageCalls);
+
 export default router;
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import { Company } from "../models/company.model.js";
+import { AiUsage, AiUsageRecord } from "../models/aiUsage.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import llmService from "./llm/llm.service.js";
+
+/**
+ * AI Usage Service
+ * Meters every LLM call per tenant (feature, model, tokens, cost) and
+ * enforces the plan's AI quotas before calls reach the provider:
+ *   - monthly token budget -> 402 (upgrade needed)
+ *   - requests per minute  -> 429 (retry shortly)
+ * Hooked into llm.service.js, so every AI feature goes through it.
+ */
+
+// Per plan; companies without an active subscription or trial get free
+export const AI_PLAN_QUOTAS = {
+  free: { monthlyTokens: 100000, requestsPerMinute: 5 },
+  starter: { monthlyTokens: 1000000, requestsPerMinute: 20 },
+  growth: { monthlyTokens: 5000000, requestsPerMinute: 60 },
+  pro: { monthlyTokens: 20000000, requestsPerMinute: 120 },
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// How long a company's plan is trusted before it is read again
+const PLAN_CACHE_MS = 60 * 1000;
+
+// Months of history in the usage report
+const REPORT_MONTHS = 6;
+
+/**
+ * Whether an error is an AI quota rejection (callers should surface it
+ * instead of falling back)
+ */
+export const isAiQuotaError = (error) =>
+  error instanceof ApiError &&
+  ["AI_QUOTA_EXCEEDED", "AI_RATE_LIMITED"].includes(error.code);
+
+const quotaError = (statusCode, code, message, retryAfter = null) => {
+  const error = new ApiError(statusCode, message);
+  error.code = code;
+  if (retryAfter !== null) error.retryAfter = retryAfter;
+  return error;
+};
+
+// Usage of a month (AiUsage document or nothing yet) as plain totals
+const toTotals = (usage) => ({
+  calls: usage?.calls || 0,
+  cachedCalls: usage?.cachedCalls || 0,
+  failedCalls: usage?.failedCalls || 0,
+  promptTokens: usage?.promptTokens || 0,
+  completionTokens: usage?.completionTokens || 0,
+  totalTokens: usage?.totalTokens || 0,
+  costUsd: Math.round((usage?.costUsd || 0) * 10000) / 10000,
+});
+
+class AiUsageService {
+  constructor() {
+    // companyId -> timestamps of calls in the last minute
+    this.recentCalls = new Map();
+    // companyId -> { plan, expiresAt }
+    this.plans = new Map();
+  }
+
+  /**
+   * The plan whose quotas apply to a company
+   * @param {Object} company - Company document
+   */
+  planOf(company) {
+    if (!company?.canAccessPremiumFeatures()) return "free";
+    return AI_PLAN_QUOTAS[company.subscriptionPlan]
+      ? company.subscriptionPlan
+      : "free";
+  }
+
+  /**
+   * Plan for a company id, cached briefly since every AI call asks
+   */
+  async getPlan(companyId) {
+    const cached = this.plans.get(companyId);
+    if (cached && cached.expiresAt > Date.now()) return cached.plan;
+
+    const company = await Company.findById(companyId).select(
+      "subscriptionPlan subscriptionStatus subscriptionEndDate trialEndDate"
+    );
+    const plan = this.planOf(company);
+
+    this.plans.set(companyId, { plan, expiresAt: Date.now() + PLAN_CACHE_MS });
+    return plan;
+  }
+
+  /**
+   * Reject a call the tenant's plan doesn't allow
+   * @param {string} companyId - Tenant id
+   * @throws {ApiError} 429 over the per-minute limit, 402 when the month's
+   *   tokens are used up
+   */
+  async assertWithinQuota(companyId) {
+    if (!mongoose.isValidObjectId(companyId)) return;
+
+    const plan = await this.getPlan(companyId);
+    const quota = AI_PLAN_QUOTAS[plan];
+
+    const now = Date.now();
+    const recent = (this.recentCalls.get(companyId) || []).filter(
+      (at) => at > now - RATE_WINDOW_MS
+    );
+
+    if (recent.length >= quota.requestsPerMinute) {
+      const retryAfter = Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+      throw quotaError(
+        429,
+        "AI_RATE_LIMITED",
+        `AI request limit of ${quota.requestsPerMinute} per minute reached for the ${plan} plan, retry in ${retryAfter}s`,
+        retryAfter
+      );
+    }
+
+    const usage = await AiUsage.findOne({
+      companyId,
+      month: AiUsage.monthOf(),
+    }).select("totalTokens");
+
+    if ((usage?.totalTokens || 0) >= quota.monthlyTokens) {
+      throw quotaError(
+        402,
+        "AI_QUOTA_EXCEEDED",
+        `Monthly AI quota of ${quota.monthlyTokens.toLocaleString("en-US")} tokens reached for the ${plan} plan. Upgrade your plan to keep using AI features.`
+      );
+    }
+
+    recent.push(now);
+    this.recentCalls.set(companyId, recent);
+  }
+
+  /**
+   * Store a call and add it to the month's totals
+   * @param {Object} entry - Usage entry from llmService.onUsage
+   */
+  async recordCall(entry) {
+    if (!mongoose.isValidObjectId(entry.tenantId)) return;
+
+    const record = {
+      companyId: entry.tenantId,
+      feature: entry.task,
+      provider: entry.provider,
+      model: entry.model,
+      promptTokens: entry.promptTokens,
+      completionTokens: entry.completionTokens,
+      costUsd: entry.costUsd,
+      cached: entry.cached,
+      failed: entry.failed,
+    };
+
+    try {
+      await Promise.all([
+        AiUsageRecord.create(record),
+        AiUsage.addCall(entry.tenantId, record),
+      ]);
+    } catch (error) {
+      console.error(
+        `[AI Usage] Failed to record ${entry.task} call for ${entry.tenantId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Usage report for the billing screen
+   * @param {Object} company - Company document
+   * @param {string} month - YYYY-MM (current month by default)
+   * @returns {Promise<Object>} - Plan quota, the month's totals per feature,
+   *   remaining tokens and the previous months' totals
+   */
+  async getUsageReport(company, month = AiUsage.monthOf()) {
+    const plan = this.planOf(company);
+    const quota = AI_PLAN_QUOTAS[plan];
+
+    const [usage, history] = await Promise.all([
+      AiUsage.findOne({ companyId: company._id, month }).lean(),
+      AiUsage.find({ companyId: company._id, month: { $lte: month } })
+        .sort({ month: -1 })
+        .limit(REPORT_MONTHS)
+        .lean(),
+    ]);
+
+    const totals = toTotals(usage);
+
+    return {
+      month,
+      plan,
+      quota,
+      usage: totals,
+      remainingTokens: Math.max(quota.monthlyTokens - totals.totalTokens, 0),
+      percentUsed: Math.min(
+        Math.round((totals.totalTokens / quota.monthlyTokens) * 100),
+        100
+      ),
+      features: Object.fromEntries(
+        Object.entries(usage?.features || {}).map(([feature, featureUsage]) => [
+          feature,
+          toTotals(featureUsage),
+        ])
+      ),
+      history: history.map((entry) => ({
+        month: entry.month,
+        ...toTotals(entry),
+      })),
+    };
+  }
+
+  /**
+   * A company's most recent AI calls
+   */
+  async getRecentCalls(companyId, limit = 50) {
+    return AiUsageRecord.find({ companyId })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .lean();
+  }
+}
+
+// Create singleton instance
+const aiUsageService = new AiUsageService();
+
+/**
+ * Meter and limit every LLM call (quota check before the provider is
+ * called, usage recorded after)
+ */
+export const initAiUsageMetering = () => {
+  llmService.useGuard(({ tenantId }) =>
+    aiUsageService.assertWithinQuota(tenantId)
+  );
+  llmService.onUsage((entry) => {
+    aiUsageService.recordCall(entry);
+  });
+  console.log("✅ AI usage metering enabled");
+};
+
+export default aiUsageService;
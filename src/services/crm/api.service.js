@@ -1,490 +1,447 @@
-import fetch from "node-fetch";
+import { getCrmProvider } from "./providers/index.js";
+import { getRateLimiter, runWithRateLimiter } from "./providers/rateLimiter.js";
+import {
+  getInboundCrmFields,
+  mapCrmRecordToLeadFields,
+} from "./fieldMapping.service.js";
 
 /**
  * CRM API Service
- * Handles API calls to various CRM providers
+ * Handles API calls to CRM providers through their adapters (see providers/index.js)
  */
 
 // ============================================
-// API Base URLs
+// Provider Lookup
 // ============================================
 
-const CRM_API_URLS = {
-  zoho: {
-    base: (apiDomain) => `${apiDomain}/crm/v3`,
-    leads: "/Leads",
-    contacts: "/Contacts",
-    accounts: "/Accounts",
-    users: "/users?type=CurrentUser",
-  },
-  salesforce: {
-    base: (instanceUrl) => `${instanceUrl}/services/data/v58.0`,
-    leads: "/sobjects/Lead",
-    contacts: "/sobjects/Contact",
-    accounts: "/sobjects/Account",
-    query: "/query",
-  },
-  hubspot: {
-    base: "https://api.hubapi.com",
-    contacts: "/crm/v3/objects/contacts",
-    companies: "/crm/v3/objects/companies",
-    deals: "/crm/v3/objects/deals",
-    owners: "/crm/v3/owners",
-  },
-  dynamics: {
-    base: (resource) => `${resource}/api/data/v9.2`,
-    leads: "/leads",
-    contacts: "/contacts",
-    accounts: "/accounts",
-  },
+/**
+ * Get CRM adapter for provider
+ */
+export const getCrmApi = (provider) => getCrmProvider(provider);
+
+const requireCrmApi = (provider) => {
+  const api = getCrmApi(provider);
+
+  if (!api) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+  return api;
 };
 
+/**
+ * Run an adapter call under the integration's rate limiter: its
+ * metadata.rateLimit when set, otherwise the adapter's default
+ */
+const withRateLimit = (crmIntegration, api, call) => {
+  const configured = crmIntegration.metadata?.rateLimit;
+  const limits = configured?.requests ? configured : api.rateLimit;
+
+  return runWithRateLimiter(
+    getRateLimiter(crmIntegration._id.toString(), limits),
+    call
+  );
+};
+
+/**
+ * Whether a CRM API error means the record doesn't exist (anymore)
+ */
+export const isCrmNotFoundError = (error) =>
+  /API request failed \((404|410)\)/.test(error?.message || "");
+
 // ============================================
-// Generic API Request Handler
+// Leads
 // ============================================
 
 /**
- * Make authenticated API request to CRM
+ * Normalize a CRM record into our lead shape
  */
-const makeApiRequest = async (url, options = {}, accessToken) => {
-  const headers = {
-    Authorization: `Bearer ${accessToken}`,
-    "Content-Type": "application/json",
-    ...options.headers,
+const normalizeCrmLead = (api, crmIntegration, record) => {
+  const lead = api.mapLead(record);
+  const firstName = lead.firstName || "";
+  const lastName = lead.lastName || "";
+  const crmId = lead.crmId ? String(lead.crmId) : lead.crmId;
+
+  return {
+    id: crmId,
+    crmId,
+    firstName,
+    lastName,
+    fullName: lead.fullName || `${firstName} ${lastName}`.trim(),
+    email: lead.email || "",
+    phone: lead.phone || "",
+    company: lead.company || "",
+    jobTitle: lead.jobTitle || "",
+    status: lead.status?.toString().toLowerCase() || "new",
+    leadSource: lead.leadSource,
+    notes: lead.notes,
+    createdAt: lead.createdAt,
+    updatedAt: lead.updatedAt,
+    provider: crmIntegration.provider,
+    source: `${api.label} CRM`,
+    // Mapped custom fields, keyed by lead path
+    customFields: mapCrmRecordToLeadFields(api, record, crmIntegration),
+    crmLink: api.getRecordUrl(
+      crmIntegration.credentials || {},
+      crmId,
+      crmIntegration.accountInfo,
+      record
+    ),
   };
+};
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      headers,
+/**
+ * Fetch one page of leads from a CRM, normalized
+ * @param {Object} crmIntegration
+ * @param {Object} options - { page, limit, cursor }
+ * @returns {Object} { leads, total, nextCursor }
+ */
+export const fetchCrmLeads = async (crmIntegration, options = {}) => {
+  const api = requireCrmApi(crmIntegration.provider);
+  const { records, total, nextCursor } = await withRateLimit(
+    crmIntegration,
+    api,
+    () =>
+      api.listLeads(
+        crmIntegration.tokens.accessToken,
+        crmIntegration.credentials || {},
+        { ...options, fields: getInboundCrmFields(crmIntegration) }
+      )
+  );
+
+  return {
+    leads: records.map((record) =>
+      normalizeCrmLead(api, crmIntegration, record)
+    ),
+    total: total ?? null,
+    nextCursor: nextCursor || null,
+  };
+};
+
+/**
+ * Fetch every lead from a CRM, following cursors up to maxRecords
+ */
+export const fetchAllCrmLeads = async (
+  crmIntegration,
+  { pageSize = 100, maxRecords = 10000 } = {}
+) => {
+  const leads = [];
+  let cursor = null;
+
+  do {
+    const page = await fetchCrmLeads(crmIntegration, {
+      limit: pageSize,
+      cursor,
     });
+    leads.push(...page.leads);
+    cursor = page.nextCursor;
+  } while (cursor && leads.length < maxRecords);
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`API request failed (${response.status}): ${errorData}`);
-    }
+  return leads.slice(0, maxRecords);
+};
 
-    return await response.json();
-  } catch (error) {
-    console.error("API request error:", error);
-    throw error;
-  }
+/**
+ * Create a lead in the CRM
+ * @param {Object} leadData - CRM-neutral lead (see mapLeadToCrmFormat)
+ * @returns {Object} { id, raw }
+ */
+export const createCrmLead = async (crmIntegration, leadData) => {
+  const api = requireCrmApi(crmIntegration.provider);
+  const result = await withRateLimit(crmIntegration, api, () =>
+    api.createLead(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      leadData
+    )
+  );
+
+  return { ...result, id: result.id ? String(result.id) : result.id };
 };
 
-// ============================================
-// Zoho CRM API
-// ============================================
+/**
+ * Update a lead in the CRM
+ */
+export const updateCrmLead = async (crmIntegration, crmId, leadData) => {
+  const api = requireCrmApi(crmIntegration.provider);
+
+  return withRateLimit(crmIntegration, api, () =>
+    api.updateLead(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      crmId,
+      leadData
+    )
+  );
+};
 
-export const zohoApi = {
-  /**
-   * Get current user info
-   */
-  getCurrentUser: async (accessToken, apiDomain) => {
-    const url = `${CRM_API_URLS.zoho.base(apiDomain)}${CRM_API_URLS.zoho.users}`;
-    const data = await makeApiRequest(url, {}, accessToken);
+/**
+ * Find a CRM lead by email, normalized
+ * @returns {Object|null}
+ */
+export const findCrmLeadByEmail = async (crmIntegration, email) => {
+  if (!email) return null;
+
+  const api = requireCrmApi(crmIntegration.provider);
+  const record = await withRateLimit(crmIntegration, api, () =>
+    api.findLeadByEmail(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      email
+    )
+  );
+
+  return record ? normalizeCrmLead(api, crmIntegration, record) : null;
+};
 
-    return {
-      id: data.users[0]?.id,
-      name: data.users[0]?.full_name,
-      email: data.users[0]?.email,
-    };
-  },
-
-  /**
-   * Create lead in Zoho CRM
-   */
-  createLead: async (accessToken, apiDomain, leadData) => {
-    const url = `${CRM_API_URLS.zoho.base(apiDomain)}${CRM_API_URLS.zoho.leads}`;
-
-    const zohoLead = {
-      data: [
-        {
-          Last_Name: leadData.name || leadData.lastName || "Unknown",
-          First_Name: leadData.firstName || "",
-          Email: leadData.email,
-          Phone: leadData.phone,
-          Company: leadData.company,
-          Title: leadData.jobTitle,
-          Lead_Source: leadData.source || "Web Form",
-          Description: leadData.description || leadData.message,
-          ...leadData.customFields,
-        },
-      ],
-    };
+/**
+ * Get a single CRM lead by id, normalized
+ * @returns {Object|null} null when the record no longer exists
+ */
+export const getCrmLead = async (crmIntegration, crmId) => {
+  const api = requireCrmApi(crmIntegration.provider);
 
-    const data = await makeApiRequest(
-      url,
-      {
-        method: "POST",
-        body: JSON.stringify(zohoLead),
-      },
-      accessToken
+  try {
+    const record = await withRateLimit(crmIntegration, api, () =>
+      api.getLead(
+        crmIntegration.tokens.accessToken,
+        crmIntegration.credentials || {},
+        crmId,
+        { fields: getInboundCrmFields(crmIntegration) }
+      )
     );
+    return record ? normalizeCrmLead(api, crmIntegration, record) : null;
+  } catch (error) {
+    if (isCrmNotFoundError(error)) return null;
+    throw error;
+  }
+};
 
-    return {
-      id: data.data[0]?.details?.id,
-      status: data.data[0]?.status,
-      message: data.data[0]?.message,
-    };
-  },
-
-  /**
-   * Get leads from Zoho CRM
-   */
-  getLeads: async (accessToken, apiDomain, options = {}) => {
-    const params = new URLSearchParams({
-      fields: "First_Name,Last_Name,Email,Phone,Company,Title,Lead_Status,Lead_Source,Description,Created_Time,Modified_Time",
-      page: options.page || 1,
-      per_page: options.perPage || 200,
-      sort_by: options.sortBy || "Modified_Time",
-      sort_order: options.sortOrder || "desc",
-    });
-
-    const url = `${CRM_API_URLS.zoho.base(apiDomain)}${CRM_API_URLS.zoho.leads}?${params}`;
-    return await makeApiRequest(url, {}, accessToken);
-  },
+/**
+ * Delete (or archive, depending on the CRM) a lead in the CRM
+ */
+export const deleteCrmLead = async (crmIntegration, crmId) => {
+  const api = requireCrmApi(crmIntegration.provider);
+
+  return withRateLimit(crmIntegration, api, () =>
+    api.deleteLead(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      crmId
+    )
+  );
+};
 
-  /**
-   * Update lead in Zoho CRM
-   */
-  updateLead: async (accessToken, apiDomain, leadId, leadData) => {
-    const url = `${CRM_API_URLS.zoho.base(apiDomain)}${CRM_API_URLS.zoho.leads}/${leadId}`;
+// ============================================
+// Activities
+// ============================================
 
-    const zohoLead = {
-      data: [leadData],
-    };
+/**
+ * Whether the CRM adapter can log activities
+ */
+export const supportsCrmActivities = (crmIntegration) =>
+  typeof getCrmApi(crmIntegration.provider)?.logActivity === "function";
 
-    return await makeApiRequest(
-      url,
-      {
-        method: "PUT",
-        body: JSON.stringify(zohoLead),
-      },
-      accessToken
-    );
-  },
+/**
+ * Log an activity (email, meeting, note) on a CRM lead
+ * @param {Object} activity - See logActivity in providers/index.js
+ * @returns {Object} { id }
+ */
+export const logCrmActivity = async (crmIntegration, crmId, activity) => {
+  const api = requireCrmApi(crmIntegration.provider);
+  const result = await withRateLimit(crmIntegration, api, () =>
+    api.logActivity(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      crmId,
+      activity
+    )
+  );
+
+  return { id: result?.id ? String(result.id) : null };
 };
 
 // ============================================
-// Salesforce CRM API
+// Deals
 // ============================================
 
-export const salesforceApi = {
-  /**
-   * Get current user info
-   */
-  getCurrentUser: async (accessToken, instanceUrl) => {
-    const url = `${instanceUrl}/services/oauth2/userinfo`;
-    const data = await makeApiRequest(url, {}, accessToken);
+/**
+ * Whether the CRM adapter can read deals linked to leads (see deals in providers/index.js)
+ */
+export const supportsCrmDeals = (crmIntegration) =>
+  Boolean(getCrmApi(crmIntegration.provider)?.deals);
 
-    return {
-      id: data.user_id,
-      name: data.name,
-      email: data.email,
-    };
-  },
-
-  /**
-   * Create lead in Salesforce
-   */
-  createLead: async (accessToken, instanceUrl, leadData) => {
-    const url = `${CRM_API_URLS.salesforce.base(instanceUrl)}${CRM_API_URLS.salesforce.leads}`;
-
-    const sfLead = {
-      LastName: leadData.name || leadData.lastName || "Unknown",
-      FirstName: leadData.firstName || "",
-      Email: leadData.email,
-      Phone: leadData.phone,
-      Company: leadData.company || "Unknown",
-      Title: leadData.jobTitle,
-      LeadSource: leadData.source || "Web",
-      Description: leadData.description || leadData.message,
-      ...leadData.customFields,
-    };
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
 
-    return await makeApiRequest(
-      url,
-      {
-        method: "POST",
-        body: JSON.stringify(sfLead),
-      },
-      accessToken
-    );
-  },
-
-  /**
-   * Get leads from Salesforce using SOQL
-   */
-  getLeads: async (accessToken, instanceUrl, options = {}) => {
-    const limit = options.limit || 200;
-    const offset = options.offset || 0;
-
-    const soql = `SELECT Id, FirstName, LastName, Email, Phone, Company, Title, LeadSource, CreatedDate FROM Lead ORDER BY CreatedDate DESC LIMIT ${limit} OFFSET ${offset}`;
-
-    const params = new URLSearchParams({ q: soql });
-    const url = `${CRM_API_URLS.salesforce.base(instanceUrl)}${CRM_API_URLS.salesforce.query}?${params}`;
-
-    return await makeApiRequest(url, {}, accessToken);
-  },
-
-  /**
-   * Update lead in Salesforce
-   */
-  updateLead: async (accessToken, instanceUrl, leadId, leadData) => {
-    const url = `${CRM_API_URLS.salesforce.base(instanceUrl)}${CRM_API_URLS.salesforce.leads}/${leadId}`;
-
-    return await makeApiRequest(
-      url,
-      {
-        method: "PATCH",
-        body: JSON.stringify(leadData),
-      },
-      accessToken
-    );
-  },
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
 };
 
-// ============================================
-// HubSpot CRM API
-// ============================================
+const toDate = (value) => {
+  if (!value) return null;
 
-export const hubspotApi = {
-  /**
-   * Get current user info (account info)
-   */
-  getCurrentUser: async (accessToken) => {
-    const url = `${CRM_API_URLS.hubspot.base}/oauth/v1/access-tokens/${accessToken}`;
-    const data = await makeApiRequest(url, {}, accessToken);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
 
-    return {
-      id: data.hub_id,
-      hubId: data.hub_id,
-      userId: data.user_id,
-    };
-  },
-
-  /**
-   * Create contact in HubSpot
-   */
-  createContact: async (accessToken, leadData) => {
-    const url = `${CRM_API_URLS.hubspot.base}${CRM_API_URLS.hubspot.contacts}`;
-
-    const hsContact = {
-      properties: {
-        email: leadData.email,
-        firstname: leadData.firstName || leadData.name?.split(" ")[0] || "",
-        lastname:
-          leadData.lastName ||
-          leadData.name?.split(" ").slice(1).join(" ") ||
-          "Unknown",
-        phone: leadData.phone,
-        company: leadData.company,
-        jobtitle: leadData.jobTitle,
-        hs_lead_status: "NEW",
-        lifecyclestage: "lead",
-        ...leadData.customFields,
-      },
-    };
+/**
+ * Normalize a CRM deal record
+ */
+const normalizeCrmDeal = (api, record) => {
+  const deal = api.deals.map(record);
+
+  return {
+    crmDealId: String(deal.crmDealId),
+    leadCrmIds: (deal.leadCrmIds || []).filter(Boolean).map(String),
+    name: deal.name || "",
+    amount: toNumber(deal.amount),
+    currency: deal.currency || null,
+    stage: deal.stage ? String(deal.stage) : null,
+    status: ["won", "lost"].includes(deal.status) ? deal.status : "open",
+    probability: toNumber(deal.probability),
+    closeDate: toDate(deal.closeDate),
+    updatedAt: toDate(deal.updatedAt),
+  };
+};
 
-    return await makeApiRequest(
-      url,
-      {
-        method: "POST",
-        body: JSON.stringify(hsContact),
-      },
-      accessToken
+/**
+ * Fetch the deals linked to CRM leads, normalized, in batches of the CRM's
+ * maximum
+ * @param {Array} crmIds - CRM lead ids
+ * @returns {Array} [{ crmDealId, leadCrmIds, name, amount, currency, stage, status, probability, closeDate, updatedAt }]
+ */
+export const fetchCrmDealsForLeads = async (crmIntegration, crmIds) => {
+  const api = requireCrmApi(crmIntegration.provider);
+  const deals = [];
+
+  for (let start = 0; start < crmIds.length; start += api.deals.maxLeadIds) {
+    const batch = crmIds.slice(start, start + api.deals.maxLeadIds);
+    const records = await withRateLimit(crmIntegration, api, () =>
+      api.deals.listForLeads(
+        crmIntegration.tokens.accessToken,
+        crmIntegration.credentials || {},
+        batch
+      )
     );
-  },
-
-  /**
-   * Get contacts from HubSpot
-   */
-  getContacts: async (accessToken, options = {}) => {
-    const limit = options.limit || 100;
-    const after = options.after || "";
-    
-    // Request specific properties
-    const properties = [
-      'firstname',
-      'lastname',
-      'email',
-      'phone',
-      'mobilephone',
-      'company',
-      'jobtitle',
-      'hs_lead_status',
-      'lifecyclestage',
-      'createdate',
-      'lastmodifieddate'
-    ];
-
-    const params = new URLSearchParams({
-      limit: limit.toString(),
-      properties: properties.join(','),
-      ...(after && { after: after.toString() }),
-    });
+    deals.push(...records.map((record) => normalizeCrmDeal(api, record)));
+  }
+  return deals;
+};
 
-    const url = `${CRM_API_URLS.hubspot.base}${CRM_API_URLS.hubspot.contacts}?${params}`;
-    console.log(`[HubSpot API] Fetching contacts from:`, url);
-    
-    const response = await makeApiRequest(url, {}, accessToken);
-    console.log(`[HubSpot API] Response total:`, response.results?.length || 0);
-    
-    return response;
-  },
-
-  /**
-   * Update contact in HubSpot
-   */
-  updateContact: async (accessToken, contactId, leadData) => {
-    const url = `${CRM_API_URLS.hubspot.base}${CRM_API_URLS.hubspot.contacts}/${contactId}`;
-
-    const hsContact = {
-      properties: leadData,
-    };
+/**
+ * The CRM's deal stages, for mapping them to pipeline stages
+ * @returns {Array} [{ value, label, status, probability }] - empty when the CRM can't list them
+ */
+export const getCrmDealStages = async (crmIntegration) => {
+  const api = requireCrmApi(crmIntegration.provider);
 
-    return await makeApiRequest(
-      url,
-      {
-        method: "PATCH",
-        body: JSON.stringify(hsContact),
-      },
-      accessToken
-    );
-  },
+  if (!api.deals?.getStages) return [];
+
+  return withRateLimit(crmIntegration, api, () =>
+    api.deals.getStages(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {}
+    )
+  );
 };
 
 // ============================================
-// Dynamics 365 CRM API
+// Bulk Writes
 // ============================================
 
-export const dynamicsApi = {
-  /**
-   * Get current user info (WhoAmI)
-   */
-  getCurrentUser: async (accessToken, resource) => {
-    const url = `${CRM_API_URLS.dynamics.base(resource)}/WhoAmI`;
-    const data = await makeApiRequest(url, {}, accessToken);
-
-    return {
-      id: data.UserId,
-      businessUnitId: data.BusinessUnitId,
-      organizationId: data.OrganizationId,
-    };
-  },
-
-  /**
-   * Create lead in Dynamics 365
-   */
-  createLead: async (accessToken, resource, leadData) => {
-    const url = `${CRM_API_URLS.dynamics.base(resource)}${CRM_API_URLS.dynamics.leads}`;
-
-    const dynamicsLead = {
-      lastname: leadData.name || leadData.lastName || "Unknown",
-      firstname: leadData.firstName || "",
-      emailaddress1: leadData.email,
-      telephone1: leadData.phone,
-      companyname: leadData.company,
-      jobtitle: leadData.jobTitle,
-      subject: leadData.subject || "Web Lead",
-      description: leadData.description || leadData.message,
-      ...leadData.customFields,
-    };
-
-    return await makeApiRequest(
-      url,
-      {
-        method: "POST",
-        body: JSON.stringify(dynamicsLead),
-      },
-      accessToken
-    );
-  },
-
-  /**
-   * Get leads from Dynamics 365
-   */
-  getLeads: async (accessToken, resource, options = {}) => {
-    const top = options.top || 50;
-    const skip = options.skip || 0;
-
-    const params = new URLSearchParams({
-      $top: top,
-      $skip: skip,
-      $orderby: "createdon desc",
-    });
+/**
+ * Whether the CRM has bulk create/update endpoints (see bulk in providers/index.js)
+ */
+export const supportsBulkWrites = (crmIntegration) =>
+  Boolean(getCrmApi(crmIntegration.provider)?.bulk);
+
+// Run a bulk adapter call over items in batches of the CRM's maximum size.
+// A batch the CRM rejects as a whole gives every item { error, batchFailed }.
+const writeInBatches = async (crmIntegration, items, write) => {
+  const api = requireCrmApi(crmIntegration.provider);
+  const results = [];
+
+  for (let start = 0; start < items.length; start += api.bulk.maxBatchSize) {
+    const batch = items.slice(start, start + api.bulk.maxBatchSize);
+
+    try {
+      results.push(
+        ...(await withRateLimit(crmIntegration, api, () =>
+          write(
+            api,
+            crmIntegration.tokens.accessToken,
+            crmIntegration.credentials || {},
+            batch
+          )
+        ))
+      );
+    } catch (error) {
+      results.push(...batch.map(() => ({ error, batchFailed: true })));
+    }
+  }
+  return results;
+};
 
-    const url = `${CRM_API_URLS.dynamics.base(resource)}${CRM_API_URLS.dynamics.leads}?${params}`;
-    return await makeApiRequest(url, {}, accessToken);
-  },
-
-  /**
-   * Update lead in Dynamics 365
-   */
-  updateLead: async (accessToken, resource, leadId, leadData) => {
-    const url = `${CRM_API_URLS.dynamics.base(resource)}${CRM_API_URLS.dynamics.leads}(${leadId})`;
-
-    return await makeApiRequest(
-      url,
-      {
-        method: "PATCH",
-        body: JSON.stringify(leadData),
-      },
-      accessToken
-    );
-  },
+/**
+ * Create leads in the CRM in batches
+ * @param {Array} leadDataList - CRM-neutral leads (see mapLeadToCrmFormat)
+ * @returns {Array} In input order: { id, raw } or { error, batchFailed? }
+ */
+export const createCrmLeads = async (crmIntegration, leadDataList) => {
+  const results = await writeInBatches(
+    crmIntegration,
+    leadDataList,
+    (api, accessToken, credentials, batch) =>
+      api.bulk.createLeads(accessToken, credentials, batch)
+  );
+
+  return results.map((result) =>
+    result.id ? { ...result, id: String(result.id) } : result
+  );
 };
 
+/**
+ * Update leads in the CRM in batches
+ * @param {Array} updates - [{ crmId, leadData }]
+ * @returns {Array} In input order: { id } or { error, batchFailed? }
+ */
+export const updateCrmLeads = async (crmIntegration, updates) =>
+  writeInBatches(
+    crmIntegration,
+    updates,
+    (api, accessToken, credentials, batch) =>
+      api.bulk.updateLeads(accessToken, credentials, batch)
+  );
+
 // ============================================
-// Unified CRM API Interface
+// Field Schema
 // ============================================
 
 /**
- * Get CRM API handler for provider
+ * The CRM's lead fields, for building and validating field mappings
+ * @returns {Array} [{ name, label, type, required, readOnly, options }]
  */
-export const getCrmApi = (provider) => {
-  const apis = {
-    zoho: zohoApi,
-    salesforce: salesforceApi,
-    hubspot: hubspotApi,
-    dynamics: dynamicsApi,
-  };
-
-  return apis[provider] || null;
+export const getCrmLeadFields = async (crmIntegration) => {
+  const api = requireCrmApi(crmIntegration.provider);
+
+  return withRateLimit(crmIntegration, api, () =>
+    api.getLeadFields(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {}
+    )
+  );
 };
 
+// ============================================
+// Connection
+// ============================================
+
 /**
- * Test CRM connection by fetching user info
+ * Test CRM connection by fetching account info
  */
 export const testCrmConnection = async (provider, accessToken, credentials) => {
   try {
-    const api = getCrmApi(provider);
-
-    if (!api) {
-      throw new Error(`Unsupported provider: ${provider}`);
-    }
-
-    let userInfo;
-
-    switch (provider) {
-      case "zoho":
-        userInfo = await api.getCurrentUser(accessToken, credentials.apiDomain);
-        break;
-      case "salesforce":
-        userInfo = await api.getCurrentUser(
-          accessToken,
-          credentials.instanceUrl
-        );
-        break;
-      case "hubspot":
-        userInfo = await api.getCurrentUser(accessToken);
-        break;
-      case "dynamics":
-        userInfo = await api.getCurrentUser(accessToken, credentials.resource);
-        break;
-      default:
-        throw new Error(`Unsupported provider: ${provider}`);
-    }
+    const api = requireCrmApi(provider);
+    const userInfo = await api.getAccountInfo(accessToken, credentials || {});
 
     return {
       success: true,
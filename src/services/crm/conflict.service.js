@@ -0,0 +1,390 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../../models/index.js";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { CRM_SYNCED_FIELDS } from "../../models/lead.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { updateCrmLead } from "./api.service.js";
+import { ensureFreshTokens } from "./oauth.service.js";
+
+/**
+ * CRM Conflict Service
+ * Three-way comparison of a lead's CRM-synced fields: the value at the last
+ * sync (the lead's crmLinks syncSnapshot), ours now and the CRM's now. A
+ * field changed on one side flows to the other; a field changed on both
+ * sides is settled by the integration's conflictPolicy, or queued for a rep
+ * under "manual".
+ */
+
+const RESOLUTION_CHOICES = ["platform", "crm", "custom"];
+
+const normalize = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") return value;
+
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  return field === "email" ? trimmed.toLowerCase() : trimmed;
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Lead field values keyed the way mapLeadToCrmFormat keys them
+const toCrmFields = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([field, value]) => [
+      CRM_SYNCED_FIELDS[field],
+      value,
+    ])
+  );
+
+const pickWinner = (policy, platformUpdatedAt, crmUpdatedAt) => {
+  switch (policy) {
+    case "crm_wins":
+      return "crm";
+    case "platform_wins":
+      return "platform";
+    case "manual":
+      return null;
+    default:
+      // newest_wins; without a CRM timestamp ours is the one we can vouch for
+      return crmUpdatedAt && crmUpdatedAt > platformUpdatedAt
+        ? "crm"
+        : "platform";
+  }
+};
+
+// ============================================
+// Detection
+// ============================================
+
+/**
+ * Reconcile a lead with its current CRM record
+ * @param {Object} lead - Lead document
+ * @param {Object} crmLead - Normalized CRM lead (see fetchCrmLeads)
+ * @param {Object} crmIntegration
+ * @returns {Object|null} { toPlatform, toCrm, conflicts } - values keyed by
+ *   lead field - or null when the lead has no sync baseline yet
+ */
+export const reconcileLeadFields = (lead, crmLead, crmIntegration) => {
+  const snapshot = lead.getCrmLink(crmIntegration)?.syncSnapshot;
+  if (!snapshot) return null;
+
+  const policy = crmIntegration.settings?.conflictPolicy || "newest_wins";
+  const crmUpdatedAt = crmLead.updatedAt ? new Date(crmLead.updatedAt) : null;
+  const result = { toPlatform: {}, toCrm: {}, conflicts: [] };
+
+  for (const [field, snapshotKey] of Object.entries(CRM_SYNCED_FIELDS)) {
+    const platformValue = normalize(field, lead[field]);
+    const crmValue = normalize(field, crmLead[field]);
+    if (isSame(platformValue, crmValue)) continue;
+
+    const baseValue = normalize(field, snapshot[snapshotKey]);
+    const platformChanged = !isSame(platformValue, baseValue);
+    const crmChanged = !isSame(crmValue, baseValue);
+
+    // Blank values never clear the other side
+    if (crmChanged && !platformChanged) {
+      if (crmValue !== null) result.toPlatform[field] = crmValue;
+      continue;
+    }
+    if (platformChanged && !crmChanged) {
+      if (platformValue !== null) result.toCrm[field] = platformValue;
+      continue;
+    }
+
+    const platformUpdatedAt =
+      lead.fieldUpdatedAt?.get(field) || lead.updatedAt || null;
+    const winner = pickWinner(policy, platformUpdatedAt, crmUpdatedAt);
+
+    if (winner === "crm") {
+      if (crmValue !== null) result.toPlatform[field] = crmValue;
+    } else if (winner === "platform") {
+      if (platformValue !== null) result.toCrm[field] = platformValue;
+    } else {
+      result.conflicts.push({
+        field,
+        baseValue,
+        platformValue,
+        crmValue,
+        platformUpdatedAt,
+        crmUpdatedAt,
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Sync baseline to store after a reconcile
+ * Fields not yet agreed on both sides (open conflicts, unpushed edits) keep
+ * their previous baseline so the next sync still sees them as changed.
+ * @param {Object} mapped - The lead mapped to CRM format
+ * @param {Object} previousSnapshot
+ * @param {Array} pendingFields - Lead fields to keep the old baseline for
+ */
+export const buildSyncSnapshot = (
+  mapped,
+  previousSnapshot,
+  pendingFields = []
+) => {
+  const snapshot = { ...mapped };
+
+  for (const field of pendingFields) {
+    const snapshotKey = CRM_SYNCED_FIELDS[field];
+    snapshot[snapshotKey] = previousSnapshot?.[snapshotKey] ?? null;
+  }
+  return snapshot;
+};
+
+/**
+ * Lead fields (in CRM format) a push must leave alone after a reconcile
+ */
+export const getExcludedCrmFields = (reconciled) =>
+  [
+    ...Object.keys(reconciled.toPlatform),
+    ...reconciled.conflicts.map((conflict) => conflict.field),
+  ].map((field) => CRM_SYNCED_FIELDS[field]);
+
+/**
+ * Record (or refresh) the open conflict for a lead and integration
+ * Closes the open conflict when both sides agree again.
+ * @param {Array} conflicts - Conflicted fields from reconcileLeadFields
+ * @param {String} detectedBy - "push" or "pull"
+ * @returns {Object|null} The open conflict, or null when there is none
+ */
+export const recordConflicts = async (
+  tenantConnection,
+  crmIntegration,
+  lead,
+  conflicts,
+  detectedBy
+) => {
+  const { CrmConflict } = getTenantModels(tenantConnection);
+
+  const existing = await CrmConflict.findOne({
+    leadId: lead._id,
+    integrationId: crmIntegration._id,
+    status: "open",
+  });
+
+  if (conflicts.length === 0) {
+    if (existing) {
+      existing.status = "resolved";
+      existing.resolvedAt = new Date();
+      await existing.save();
+    }
+    return null;
+  }
+
+  const conflict =
+    existing ||
+    new CrmConflict({
+      leadId: lead._id,
+      integrationId: crmIntegration._id,
+      provider: crmIntegration.provider,
+    });
+
+  // Keep the fields a rep already resolved; replace the rest with what's conflicted now
+  conflict.fields = [
+    ...conflict.fields.filter((entry) => entry.resolution),
+    ...conflicts,
+  ];
+  conflict.crmId = lead.getCrmLink(crmIntegration)?.crmId;
+  conflict.detectedBy = detectedBy;
+  conflict.lastDetectedAt = new Date();
+  await conflict.save();
+
+  return conflict;
+};
+
+// ============================================
+// Conflicts Queue
+// ============================================
+
+/**
+ * List conflicts, newest first
+ * @param {Object} filters - { status, leadId, integrationId, page, limit }
+ * @returns {Object} { conflicts, pagination }
+ */
+export const getConflicts = async (
+  tenantConnection,
+  { status = "open", leadId, integrationId, page = 1, limit = 20 } = {}
+) => {
+  const { CrmConflict } = getTenantModels(tenantConnection);
+
+  for (const [name, id] of Object.entries({ leadId, integrationId })) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, `Invalid ${name}`);
+    }
+  }
+
+  const query = {};
+  if (status && status !== "all") query.status = status;
+  if (leadId) query.leadId = leadId;
+  if (integrationId) query.integrationId = integrationId;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [conflicts, total] = await Promise.all([
+    CrmConflict.find(query)
+      .sort({ lastDetectedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("leadId", "fullName email company crmId crmProvider"),
+    CrmConflict.countDocuments(query),
+  ]);
+
+  return {
+    conflicts,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+/**
+ * Get a single conflict
+ */
+export const getConflict = async (tenantConnection, conflictId) => {
+  const { CrmConflict } = getTenantModels(tenantConnection);
+
+  if (!mongoose.Types.ObjectId.isValid(conflictId)) {
+    throw new ApiError(400, "Invalid conflict ID");
+  }
+
+  const conflict = await CrmConflict.findById(conflictId).populate(
+    "leadId",
+    "fullName email company crmId crmProvider"
+  );
+
+  if (!conflict) {
+    throw new ApiError(404, "Conflict not found");
+  }
+  return conflict;
+};
+
+// ============================================
+// Resolution
+// ============================================
+
+/**
+ * Resolve conflicted fields
+ * The chosen values are written to the CRM first, so a failed push leaves
+ * the conflict open; then to the lead and its sync baseline.
+ * @param {Array} resolutions - [{ field, choice: "platform" | "crm" | "custom", value }]
+ * @param {String} userId - Resolving user
+ * @returns {Object} { conflict, lead }
+ */
+export const resolveConflict = async (
+  tenantConnection,
+  conflictId,
+  resolutions,
+  userId
+) => {
+  const { CrmConflict, Lead } = getTenantModels(tenantConnection);
+
+  if (!mongoose.Types.ObjectId.isValid(conflictId)) {
+    throw new ApiError(400, "Invalid conflict ID");
+  }
+  if (!Array.isArray(resolutions) || resolutions.length === 0) {
+    throw new ApiError(400, "resolutions must be a non-empty array");
+  }
+
+  const conflict = await CrmConflict.findOne({
+    _id: conflictId,
+    status: "open",
+  });
+  if (!conflict) {
+    throw new ApiError(404, "Open conflict not found");
+  }
+
+  const lead = await Lead.findById(conflict.leadId);
+  if (!lead) {
+    throw new ApiError(404, "Lead not found");
+  }
+
+  const crmIntegration = await CrmIntegration.findOne({
+    _id: conflict.integrationId,
+    status: "active",
+  });
+  const canPush = Boolean(crmIntegration?.pushesToCrm() && conflict.crmId);
+
+  const values = {};
+  const crmValues = {};
+  const entries = [];
+
+  for (const { field, choice, value } of resolutions) {
+    const entry = conflict.fields.find(
+      (candidate) => candidate.field === field && !candidate.resolution
+    );
+
+    if (!entry) {
+      throw new ApiError(400, `No open conflict on field: ${field}`);
+    }
+    if (!RESOLUTION_CHOICES.includes(choice)) {
+      throw new ApiError(
+        400,
+        `Invalid choice for ${field}. Must be one of: ${RESOLUTION_CHOICES.join(", ")}`
+      );
+    }
+    // Without a push the CRM value would come straight back on the next pull
+    if (choice !== "crm" && !canPush) {
+      throw new ApiError(
+        400,
+        `The CRM can't be updated from here; ${field} can only take the CRM value`
+      );
+    }
+
+    values[field] =
+      choice === "platform"
+        ? entry.platformValue
+        : choice === "crm"
+          ? entry.crmValue
+          : normalize(field, value);
+    if (!isSame(values[field], entry.crmValue)) {
+      crmValues[field] = values[field];
+    }
+    entries.push({ entry, choice });
+  }
+
+  if (Object.keys(crmValues).length > 0) {
+    await ensureFreshTokens(crmIntegration);
+    await updateCrmLead(crmIntegration, conflict.crmId, toCrmFields(crmValues));
+  }
+
+  // The integration may be gone; its link is found by provider
+  const linkedIntegration = crmIntegration || {
+    _id: conflict.integrationId,
+    provider: conflict.provider,
+  };
+
+  Object.assign(lead, values);
+  lead.setCrmLink(linkedIntegration, {
+    syncSnapshot: {
+      ...(lead.getCrmLink(linkedIntegration)?.syncSnapshot || {}),
+      ...toCrmFields(values),
+    },
+  });
+  await lead.save();
+
+  const resolvedAt = new Date();
+  for (const { entry, choice } of entries) {
+    entry.resolution = choice;
+    entry.resolvedValue = values[entry.field];
+    entry.resolvedAt = resolvedAt;
+    entry.resolvedBy = userId;
+  }
+
+  if (conflict.fields.every((entry) => entry.resolution)) {
+    conflict.status = "resolved";
+    conflict.resolvedAt = resolvedAt;
+  }
+  await conflict.save();
+
+  return { conflict, lead };
+};
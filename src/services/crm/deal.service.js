@@ -0,0 +1,323 @@
+import { getTenantModels } from "../../models/index.js";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import dealHealthService from "../dealHealth.service.js";
+import {
+  fetchCrmDealsForLeads,
+  getCrmApi,
+  getCrmDealStages,
+  supportsCrmDeals,
+} from "./api.service.js";
+import { ensureFreshTokens } from "./oauth.service.js";
+import { finishSyncRun, startSyncRun } from "./syncRun.service.js";
+
+/**
+ * CRM Deal Import
+ * Reads the deals/opportunities linked to leads synced with a CRM into
+ * lead.crmDeals, moves each lead to the pipeline stage its deals are in
+ * (settings.dealSync.stageMapping) and records won deals as the lead's
+ * conversion, so deal health and the pipeline forecast work from the
+ * CRM's amounts. Opt-in per integration (settings.dealSync).
+ */
+
+// Leads read (and looked up in the CRM) at a time
+const LEAD_BATCH_SIZE = 200;
+
+// Integrations with an import in progress (scheduled runs skip them)
+const importing = new Set();
+
+// ============================================
+// Stages & Conversion
+// ============================================
+
+const latestFirst = (deals) =>
+  [...deals].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
+/**
+ * The pipeline stage a lead's deals put it in, or null to leave it where it is
+ * A won deal wins over open ones, and the open deal updated last over
+ * older ones; a lead whose deals were all lost is lost.
+ * @param {Array} deals - The lead's deals from one integration
+ * @param {Array} stageMapping - [{ crmStage, stageId }]
+ */
+export const resolveDealStage = (pipeline, deals, stageMapping = []) => {
+  const mappedStage = (deal) => {
+    const mapping = stageMapping.find(
+      ({ crmStage }) => crmStage === deal?.stage
+    );
+    return mapping ? pipeline.getStage(mapping.stageId) : null;
+  };
+
+  const [won] = latestFirst(deals.filter((deal) => deal.status === "won"));
+  if (won) return mappedStage(won) || pipeline.getStageForStatus("win");
+
+  const [open] = latestFirst(deals.filter((deal) => deal.status === "open"));
+  if (open) return mappedStage(open);
+
+  const [lost] = latestFirst(deals);
+  if (lost) return mappedStage(lost) || pipeline.getStageForStatus("lost");
+
+  return null;
+};
+
+/**
+ * Record the lead's won deals (from every CRM) as its conversion: their
+ * total amount, closed on the first one's close date (does not save)
+ */
+const applyDealConversion = (lead) => {
+  const wonDeals = lead.crmDeals.filter((deal) => deal.status === "won");
+  if (wonDeals.length === 0) return;
+
+  const closeDates = wonDeals
+    .map((deal) => deal.closeDate)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const { provider } = wonDeals[0];
+
+  lead.conversionData.converted = true;
+  lead.conversionData.convertedAt =
+    closeDates[0] || lead.conversionData.convertedAt || new Date();
+  lead.conversionData.conversionValue = wonDeals.reduce(
+    (total, deal) => total + (deal.amount || 0),
+    0
+  );
+  lead.conversionData.conversionSource = `${getCrmApi(provider)?.label || provider} deal`;
+};
+
+/**
+ * Replace a lead's deals from an integration's CRM, then move it to the
+ * stage they put it in and update its conversion (does not save)
+ * @param {Array} deals - Normalized deals (see fetchCrmDealsForLeads)
+ * @returns {Object} { changed, stage } - stage: the stage moved to, if any
+ */
+export const applyCrmDeals = async (lead, crmIntegration, deals, pipelines) => {
+  const leadDeals = deals
+    .map(({ leadCrmIds, ...deal }) => deal)
+    .sort((a, b) => a.crmDealId.localeCompare(b.crmDealId));
+
+  if (!lead.setCrmDeals(crmIntegration, leadDeals)) {
+    return { changed: false, stage: null };
+  }
+
+  const pipelineKey = String(lead.pipelineId || "default");
+  if (!pipelines.has(pipelineKey)) {
+    pipelines.set(pipelineKey, await lead.getPipeline());
+  }
+  const pipeline = pipelines.get(pipelineKey);
+
+  // A deal won in any CRM keeps the lead won
+  const stageDeals = lead.crmDeals.some((deal) => deal.status === "won")
+    ? lead.crmDeals
+    : leadDeals;
+  const stage = pipeline
+    ? resolveDealStage(
+        pipeline,
+        stageDeals,
+        crmIntegration.settings.dealSync?.stageMapping
+      )
+    : null;
+  const moves =
+    stage &&
+    (String(stage._id) !== String(lead.stageId) ||
+      String(pipeline._id) !== String(lead.pipelineId));
+
+  if (moves) {
+    lead.applyStage(pipeline, stage, { source: "crm_sync" });
+  }
+  applyDealConversion(lead);
+
+  return { changed: true, stage: moves ? stage : null };
+};
+
+// ============================================
+// Import
+// ============================================
+
+/**
+ * Import the deals linked to the integration's leads (or the given leads)
+ * Recorded as a pull run (trigger "deals").
+ * @param {Object} options - { leadIds }
+ * @returns {Object} { updated, unchanged, failed, total, deals, stageChanges, runId }
+ */
+export const importDealsFromCrm = async (
+  tenantConnection,
+  crmIntegration,
+  { leadIds } = {}
+) => {
+  if (!supportsCrmDeals(crmIntegration)) {
+    throw new ApiError(
+      400,
+      `Deal import is not supported for ${crmIntegration.provider}`
+    );
+  }
+
+  if (!crmIntegration.settings.dealSync?.enabled) {
+    throw new ApiError(
+      400,
+      "Deal import is not enabled for this CRM integration"
+    );
+  }
+
+  const integrationId = crmIntegration._id.toString();
+
+  if (importing.has(integrationId)) {
+    throw new ApiError(409, "A deal import is already running");
+  }
+  importing.add(integrationId);
+
+  try {
+    return await runDealImport(tenantConnection, crmIntegration, leadIds);
+  } finally {
+    importing.delete(integrationId);
+  }
+};
+
+const runDealImport = async (tenantConnection, crmIntegration, leadIds) => {
+  const { Lead, DealHealth } = getTenantModels(tenantConnection);
+  const run = await startSyncRun(tenantConnection, crmIntegration, {
+    trigger: "deals",
+    direction: "pull",
+  });
+
+  try {
+    await ensureFreshTokens(crmIntegration);
+
+    const query = {
+      ...Lead.crmLinkQuery(crmIntegration, { crmId: { $ne: null } }),
+      ...(leadIds && { _id: { $in: leadIds } }),
+    };
+    const pipelines = new Map();
+    const results = {
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      total: 0,
+      deals: 0,
+      stageChanges: 0,
+    };
+    let lastId = null;
+
+    for (;;) {
+      const leads = await Lead.find({
+        ...query,
+        ...(lastId && { _id: { ...query._id, $gt: lastId } }),
+      })
+        .sort({ _id: 1 })
+        .limit(LEAD_BATCH_SIZE);
+
+      if (leads.length === 0) break;
+      lastId = leads[leads.length - 1]._id;
+      results.total += leads.length;
+
+      const crmIds = new Map(
+        leads.map((lead) => [
+          lead._id.toString(),
+          lead.getCrmLink(crmIntegration).crmId,
+        ])
+      );
+
+      let deals;
+      try {
+        deals = await fetchCrmDealsForLeads(crmIntegration, [
+          ...new Set(crmIds.values()),
+        ]);
+      } catch (error) {
+        console.error("Failed to fetch CRM deals:", error);
+        for (const lead of leads) {
+          results.failed += 1;
+          run.addResult({
+            leadId: lead._id,
+            crmId: crmIds.get(lead._id.toString()),
+            action: "failed",
+            error: error.message,
+          });
+        }
+        continue;
+      }
+
+      for (const lead of leads) {
+        const crmId = crmIds.get(lead._id.toString());
+        const leadDeals = deals.filter((deal) =>
+          deal.leadCrmIds.includes(crmId)
+        );
+
+        try {
+          const { changed, stage } = await applyCrmDeals(
+            lead,
+            crmIntegration,
+            leadDeals,
+            pipelines
+          );
+
+          if (changed) {
+            await lead.save();
+            await DealHealth.updateOne(
+              { leadId: lead._id },
+              {
+                $set: {
+                  dealMetrics: dealHealthService.calculateDealMetrics(lead),
+                },
+              }
+            );
+          }
+
+          results.deals += leadDeals.length;
+          results[changed ? "updated" : "unchanged"] += 1;
+          if (stage) results.stageChanges += 1;
+          run.addResult({
+            leadId: lead._id,
+            crmId,
+            action: changed ? "updated" : "unchanged",
+            response: {
+              deals: leadDeals.map((deal) => deal.crmDealId),
+              ...(stage && { stage: stage.name }),
+            },
+          });
+        } catch (error) {
+          console.error(`Deal import failed for lead ${lead._id}:`, error);
+          results.failed += 1;
+          run.addResult({
+            leadId: lead._id,
+            crmId,
+            action: "failed",
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    await finishSyncRun(tenantConnection, run);
+    await CrmIntegration.updateOne(
+      { _id: crmIntegration._id },
+      { $set: { "settings.dealSync.lastImportedAt": new Date() } }
+    );
+
+    return { ...results, runId: run._id };
+  } catch (error) {
+    console.error("Deal import from CRM failed:", error);
+    await finishSyncRun(tenantConnection, run, error).catch((finishError) =>
+      console.error("Failed to record CRM sync run:", finishError.message)
+    );
+    throw error;
+  }
+};
+
+/**
+ * The CRM's deal stages next to the pipeline stages they can be mapped to
+ * @returns {Object} { crmStages, stageMapping }
+ */
+export const getDealStageOptions = async (crmIntegration) => {
+  if (!supportsCrmDeals(crmIntegration)) {
+    throw new ApiError(
+      400,
+      `Deal import is not supported for ${crmIntegration.provider}`
+    );
+  }
+
+  await ensureFreshTokens(crmIntegration);
+
+  return {
+    crmStages: await getCrmDealStages(crmIntegration),
+    stageMapping: crmIntegration.settings.dealSync?.stageMapping || [],
+  };
+};
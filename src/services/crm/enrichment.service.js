@@ -0,0 +1,403 @@
+import { getTenantModels } from "../../models/index.js";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import {
+  logCrmActivity,
+  supportsCrmActivities,
+  updateCrmLead,
+} from "./api.service.js";
+import { ensureFreshTokens } from "./oauth.service.js";
+import { finishSyncRun, startSyncRun } from "./syncRun.service.js";
+
+/**
+ * CRM Enrichment Push
+ * Sends what we know about a lead beyond its contact fields to the CRM:
+ * BANT, deal health and next best action values to mapped CRM fields, and
+ * engagements (EngagementHistory) as activities on the lead's record.
+ * Opt-in per integration (settings.enrichmentPush); only leads linked to
+ * the integration's CRM are pushed.
+ */
+
+// Enrichment values that can be mapped to CRM fields
+export const ENRICHMENT_FIELDS = {
+  bantScore: {
+    label: "BANT score (0-100)",
+    read: ({ lead }) => lead.bant?.totalScore,
+  },
+  bantCategory: {
+    label: "BANT category",
+    read: ({ lead }) => lead.bant?.category,
+  },
+  dealHealthScore: {
+    label: "Deal health score (0-100)",
+    read: ({ dealHealth }) => dealHealth?.healthScore,
+  },
+  dealHealthStatus: {
+    label: "Deal health status",
+    read: ({ dealHealth }) => dealHealth?.healthStatus,
+  },
+  dealRiskLevel: {
+    label: "Deal risk level",
+    read: ({ dealHealth }) => dealHealth?.riskIndicators?.riskLevel,
+  },
+  emailOpenRate: {
+    label: "Email open rate",
+    read: ({ dealHealth }) => dealHealth?.engagementMetrics?.emailOpenRate,
+  },
+  lastContactDate: {
+    label: "Last contact date",
+    read: ({ dealHealth }) => dealHealth?.engagementMetrics?.lastContactDate,
+  },
+  nextBestAction: {
+    label: "Next best action",
+    read: ({ nextBestAction }) => nextBestAction?.title,
+  },
+  nextBestActionDate: {
+    label: "Next best action due",
+    read: ({ nextBestAction }) => nextBestAction?.recommendedDate,
+  },
+};
+
+// Engagement types that can be logged as activities
+export const ACTIVITY_ENGAGEMENT_TYPES = [
+  "email_sent",
+  "email_opened",
+  "response",
+  "contact",
+  "meeting",
+  "unsubscribed",
+  "bounced",
+];
+
+// Engagements logged per lead per push; the rest go out with the next one
+const ACTIVITY_BATCH_SIZE = 25;
+
+const ACTIVITY_LABELS = {
+  email_sent: "Email sent",
+  email_opened: "Email opened",
+  response: "Reply received",
+  contact: "Contact",
+  meeting: "Meeting",
+  unsubscribed: "Unsubscribed from emails",
+  bounced: "Email bounced",
+};
+
+const CONTACT_LABELS = {
+  email: "Email",
+  phone: "Phone call",
+  linkedin: "LinkedIn message",
+  meeting: "Meeting",
+  note: "Note",
+  form_submission: "Form submission",
+};
+
+// Integrations with a push in progress (scheduled runs skip them)
+const pushing = new Set();
+
+// ============================================
+// Values
+// ============================================
+
+/**
+ * A lead's deal health and current next best action
+ */
+const loadEnrichmentContext = async (tenantConnection, lead) => {
+  const { DealHealth, NextBestAction } = getTenantModels(tenantConnection);
+
+  const [dealHealth, nextBestAction] = await Promise.all([
+    DealHealth.findOne({ leadId: lead._id }).lean(),
+    NextBestAction.findOne({
+      leadId: lead._id,
+      isActive: true,
+      status: { $in: ["suggested", "accepted"] },
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ priority: -1, createdAt: -1 })
+      .lean(),
+  ]);
+
+  return { lead, dealHealth, nextBestAction };
+};
+
+/**
+ * Mapped enrichment values, keyed by CRM field (blank values are left out)
+ * @param {Object} context - { lead, dealHealth, nextBestAction }
+ * @param {Array} mappings - [{ source, crmField }]
+ */
+export const buildEnrichmentFields = (context, mappings = []) => {
+  const fields = {};
+
+  for (const { source, crmField } of mappings) {
+    const value = ENRICHMENT_FIELDS[source]?.read(context);
+
+    if (value !== undefined && value !== null && value !== "") {
+      fields[crmField] = value instanceof Date ? value.toISOString() : value;
+    }
+  }
+  return fields;
+};
+
+/**
+ * Engagement -> CRM-neutral activity (see logActivity in providers/index.js)
+ */
+export const toCrmActivity = (engagement) => {
+  const { engagementType, contactType, emailMetrics = {}, notes } = engagement;
+  const emailSubject = emailMetrics.subject;
+
+  let type = "note";
+  let subject = ACTIVITY_LABELS[engagementType] || engagementType;
+
+  if (engagementType === "email_sent" || engagementType === "response") {
+    type = "email";
+    subject =
+      engagementType === "response" && emailSubject
+        ? `Re: ${emailSubject}`
+        : emailSubject || subject;
+  } else if (engagementType === "meeting") {
+    type = "meeting";
+  } else if (engagementType === "contact") {
+    type =
+      contactType === "email" || contactType === "meeting"
+        ? contactType
+        : "note";
+    subject = CONTACT_LABELS[contactType] || subject;
+  } else if (emailSubject) {
+    subject = `${subject}: ${emailSubject}`;
+  }
+
+  return {
+    type,
+    subject,
+    body: notes,
+    direction:
+      engagement.direction ||
+      (engagementType === "response" ? "inbound" : "outbound"),
+    occurredAt: engagement.engagementDate || engagement.createdAt,
+  };
+};
+
+// ============================================
+// Push
+// ============================================
+
+/**
+ * Log a lead's engagements not yet logged in this CRM as activities
+ * @returns {Number} Activities logged
+ */
+const logLeadActivities = async (
+  tenantConnection,
+  lead,
+  crmId,
+  crmIntegration
+) => {
+  if (!supportsCrmActivities(crmIntegration)) return 0;
+
+  const { EngagementHistory } = getTenantModels(tenantConnection);
+  const { activityTypes } = crmIntegration.settings.enrichmentPush;
+
+  const engagements = await EngagementHistory.find({
+    leadId: lead._id,
+    engagementType: { $in: activityTypes },
+    "crmActivities.integrationId": { $ne: crmIntegration._id },
+  })
+    .sort({ engagementDate: 1 })
+    .limit(ACTIVITY_BATCH_SIZE);
+
+  for (const engagement of engagements) {
+    const { id } = await logCrmActivity(
+      crmIntegration,
+      crmId,
+      toCrmActivity(engagement)
+    );
+
+    await EngagementHistory.updateOne(
+      { _id: engagement._id },
+      {
+        $push: {
+          crmActivities: {
+            integrationId: crmIntegration._id,
+            provider: crmIntegration.provider,
+            activityId: id,
+          },
+        },
+      }
+    );
+  }
+  return engagements.length;
+};
+
+/**
+ * Push one lead's enrichment: changed field values, then new activities
+ * @returns {Object} { action: "updated" | "unchanged" | "skipped", crmId, fields, activities }
+ */
+export const pushLeadEnrichment = async (
+  tenantConnection,
+  leadId,
+  crmIntegration
+) => {
+  const { Lead } = getTenantModels(tenantConnection);
+  const settings = crmIntegration.settings.enrichmentPush;
+
+  const lead = await Lead.findById(leadId);
+
+  if (!lead) {
+    throw new Error(`Lead not found: ${leadId}`);
+  }
+
+  const crmId = lead.getCrmLink(crmIntegration)?.crmId;
+
+  if (!crmId) {
+    return { action: "skipped", crmId: null, fields: [], activities: 0 };
+  }
+
+  const integrationId = crmIntegration._id.toString();
+  const context = await loadEnrichmentContext(tenantConnection, lead);
+  const fields = buildEnrichmentFields(context, settings.fields);
+  const previous = lead.crmEnrichmentSnapshot?.[integrationId] || {};
+
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(([field, value]) => previous[field] !== value)
+  );
+
+  if (Object.keys(changes).length > 0) {
+    await updateCrmLead(crmIntegration, crmId, { customFields: changes });
+    await Lead.updateOne(
+      { _id: lead._id },
+      { $set: { [`crmEnrichmentSnapshot.${integrationId}`]: fields } }
+    );
+  }
+
+  const activities = settings.logActivities
+    ? await logLeadActivities(tenantConnection, lead, crmId, crmIntegration)
+    : 0;
+
+  return {
+    action:
+      Object.keys(changes).length > 0 || activities > 0
+        ? "updated"
+        : "unchanged",
+    crmId,
+    fields: Object.keys(changes),
+    activities,
+  };
+};
+
+/**
+ * Leads linked to the integration's CRM whose enrichment may have changed
+ * since a date (all linked leads when there's no date)
+ */
+const findChangedLeadIds = async (tenantConnection, crmIntegration, since) => {
+  const { Lead, DealHealth, NextBestAction, EngagementHistory } =
+    getTenantModels(tenantConnection);
+  const linked = Lead.crmLinkQuery(crmIntegration, { crmId: { $ne: null } });
+
+  if (!since) {
+    return Lead.distinct("_id", linked);
+  }
+
+  const changed = await Promise.all([
+    Lead.distinct("_id", { "bant.qualifiedAt": { $gt: since } }),
+    DealHealth.distinct("leadId", { lastAnalyzedAt: { $gt: since } }),
+    NextBestAction.distinct("leadId", { updatedAt: { $gt: since } }),
+    EngagementHistory.distinct("leadId", {
+      createdAt: { $gt: since },
+      engagementType: {
+        $in: crmIntegration.settings.enrichmentPush.activityTypes,
+      },
+    }),
+  ]);
+
+  return Lead.distinct("_id", {
+    ...linked,
+    _id: { $in: [...new Set(changed.flat().map(String))] },
+  });
+};
+
+/**
+ * Push enrichment for the given leads, or for every lead changed since the
+ * last scheduled push. Recorded as a sync run (trigger "enrichment").
+ * @param {Object} options - { leadIds }
+ * @returns {Object} { updated, unchanged, skipped, failed, total, runId }
+ */
+export const pushEnrichmentToCrm = async (
+  tenantConnection,
+  crmIntegration,
+  { leadIds } = {}
+) => {
+  const settings = crmIntegration.settings.enrichmentPush;
+
+  if (!settings?.enabled) {
+    throw new ApiError(
+      400,
+      "Enrichment push is not enabled for this CRM integration"
+    );
+  }
+
+  const integrationId = crmIntegration._id.toString();
+
+  if (pushing.has(integrationId)) {
+    throw new ApiError(409, "An enrichment push is already running");
+  }
+  pushing.add(integrationId);
+
+  try {
+    await ensureFreshTokens(crmIntegration);
+
+    const startedAt = new Date();
+    const targetIds =
+      leadIds ||
+      (await findChangedLeadIds(
+        tenantConnection,
+        crmIntegration,
+        settings.lastPushedAt
+      ));
+
+    const run = await startSyncRun(tenantConnection, crmIntegration, {
+      trigger: "enrichment",
+      direction: "push",
+    });
+
+    const results = {
+      updated: 0,
+      unchanged: 0,
+      skipped: 0,
+      failed: 0,
+      total: targetIds.length,
+    };
+
+    for (const leadId of targetIds) {
+      try {
+        const result = await pushLeadEnrichment(
+          tenantConnection,
+          leadId,
+          crmIntegration
+        );
+        results[result.action] += 1;
+        run.addResult({
+          leadId,
+          crmId: result.crmId,
+          action: result.action,
+          request: { fields: result.fields, activities: result.activities },
+        });
+      } catch (error) {
+        console.error(`Enrichment push failed for lead ${leadId}:`, error);
+        results.failed += 1;
+        run.addResult({ leadId, action: "failed", error: error.message });
+      }
+    }
+
+    await finishSyncRun(tenantConnection, run);
+
+    // Scheduled pushes pick up from here
+    if (!leadIds) {
+      await CrmIntegration.updateOne(
+        { _id: crmIntegration._id },
+        { $set: { "settings.enrichmentPush.lastPushedAt": startedAt } }
+      );
+    }
+
+    return { ...results, runId: run._id };
+  } finally {
+    pushing.delete(integrationId);
+  }
+};
@@ -0,0 +1,328 @@
+/**
+ * CRM Field Mapping Service
+ * Applies an integration's custom field mappings (settings.fieldMapping.customFields)
+ * in both directions: lead paths -> CRM fields on push, CRM fields -> lead
+ * paths on pull. Each mapping can reach nested lead paths, translate values
+ * through a value map, coerce to the CRM field's type, fall back to a
+ * default and concatenate several lead paths (push only).
+ */
+
+// Lead paths a pull must never write
+const PROTECTED_LEAD_PATHS = [
+  "_id",
+  "formId",
+  "crmId",
+  "crmProvider",
+  "crmSyncSnapshot",
+  "crmLinks",
+  "crmEnrichmentSnapshot",
+  "crmSyncHistory",
+  "fieldUpdatedAt",
+  "originCrmId",
+  "originCrmProvider",
+  "leadOrigin",
+  "createdAt",
+  "updatedAt",
+];
+
+const TRUE_VALUES = ["true", "yes", "y", "1", "on"];
+const FALSE_VALUES = ["false", "no", "n", "0", "off"];
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Plain objects and mongoose documents alike
+const getPath = (source, path) => {
+  if (typeof source?.get === "function" && source.$__) {
+    return source.get(path);
+  }
+  return path
+    .split(".")
+    .reduce(
+      (value, key) => (value instanceof Map ? value.get(key) : value?.[key]),
+      source
+    );
+};
+
+const isProtectedPath = (path) =>
+  PROTECTED_LEAD_PATHS.some(
+    (protectedPath) =>
+      path === protectedPath || path.startsWith(`${protectedPath}.`)
+  );
+
+const mapsTo = (mapping, direction) =>
+  (mapping.direction || "both") === "both" || mapping.direction === direction;
+
+const pushOnly = (mapping) => mapping.concatFields?.length > 0;
+
+// ============================================
+// Value Conversion
+// ============================================
+
+const translate = (value, valueMap, from, to) => {
+  if (!valueMap?.length) return value;
+
+  const translateOne = (item) => {
+    const entry = valueMap.find(
+      (candidate) =>
+        String(candidate[from]).toLowerCase() === String(item).toLowerCase()
+    );
+    return entry ? entry[to] : item;
+  };
+
+  return Array.isArray(value) ? value.map(translateOne) : translateOne(value);
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    return value
+      .split(/[;,]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return [value];
+};
+
+/**
+ * Coerce a value to a mapping's fieldType
+ * @returns {*} The coerced value, or undefined when it can't be coerced
+ */
+export const coerceValue = (value, fieldType = "text") => {
+  if (isBlank(value)) return undefined;
+
+  switch (fieldType) {
+    case "number": {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return undefined;
+    }
+    case "date":
+    case "datetime": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return undefined;
+      return fieldType === "date"
+        ? date.toISOString().slice(0, 10)
+        : date.toISOString();
+    }
+    case "multiselect":
+      return toList(value).map(String);
+    default:
+      // text, email, phone, select
+      return Array.isArray(value) ? value.join(", ") : String(value);
+  }
+};
+
+// ============================================
+// Push (lead -> CRM)
+// ============================================
+
+/**
+ * Mappings that apply in a direction ("to_crm" or "from_crm")
+ */
+export const getFieldMappings = (crmIntegration, direction) =>
+  (crmIntegration.settings?.fieldMapping?.customFields || []).filter(
+    (mapping) =>
+      mapsTo(mapping, direction) &&
+      (direction === "to_crm" || !pushOnly(mapping))
+  );
+
+/**
+ * Value of one mapping for a lead, in CRM form
+ */
+export const mapLeadValue = (lead, mapping) => {
+  let value;
+
+  if (pushOnly(mapping)) {
+    const parts = [mapping.formField, ...mapping.concatFields]
+      .map((path) => getPath(lead, path))
+      .filter((part) => !isBlank(part))
+      .map((part) => (Array.isArray(part) ? part.join(", ") : part));
+    value = parts.length > 0 ? parts.join(mapping.separator ?? " ") : undefined;
+  } else {
+    value = getPath(lead, mapping.formField);
+  }
+
+  if (isBlank(value)) value = mapping.defaultValue;
+  if (isBlank(value)) return undefined;
+
+  return coerceValue(
+    translate(value, mapping.valueMap, "platformValue", "crmValue"),
+    mapping.fieldType
+  );
+};
+
+/**
+ * A lead's custom CRM fields, keyed by CRM field
+ */
+export const mapLeadToCrmFields = (lead, crmIntegration) => {
+  const fields = {};
+
+  for (const mapping of getFieldMappings(crmIntegration, "to_crm")) {
+    const value = mapLeadValue(lead, mapping);
+    if (value !== undefined) fields[mapping.crmField] = value;
+  }
+  return fields;
+};
+
+// ============================================
+// Pull (CRM -> lead)
+// ============================================
+
+/**
+ * CRM fields to request when fetching records, for CRMs that only return
+ * the fields asked for
+ */
+export const getInboundCrmFields = (crmIntegration) => [
+  ...new Set(
+    getFieldMappings(crmIntegration, "from_crm").map(
+      (mapping) => mapping.crmField
+    )
+  ),
+];
+
+/**
+ * Mapped lead values of a raw CRM record, keyed by lead path
+ * @param {Object} api - The CRM adapter (readField reads provider-specific shapes)
+ * @returns {Object} Values present in the record; blanks are left out
+ */
+export const mapCrmRecordToLeadFields = (api, record, crmIntegration) => {
+  const fields = {};
+
+  for (const mapping of getFieldMappings(crmIntegration, "from_crm")) {
+    if (isProtectedPath(mapping.formField)) continue;
+
+    const raw = api.readField
+      ? api.readField(record, mapping.crmField)
+      : record?.[mapping.crmField];
+    if (isBlank(raw)) continue;
+
+    // Our side is typed by the lead schema; lists, numbers and booleans need help
+    let value = translate(raw, mapping.valueMap, "crmValue", "platformValue");
+    if (mapping.fieldType === "multiselect") value = toList(value);
+    if (mapping.fieldType === "number") value = coerceValue(value, "number");
+    if (mapping.fieldType === "boolean") value = coerceValue(value, "boolean");
+
+    if (value !== undefined) fields[mapping.formField] = value;
+  }
+  return fields;
+};
+
+/**
+ * Write mapped CRM values onto a lead document
+ * @param {Object} fields - From mapCrmRecordToLeadFields
+ * @param {Boolean} isNew - New leads also get the mappings' default values
+ */
+export const applyCrmFieldsToLead = (lead, fields, crmIntegration, isNew) => {
+  for (const [path, value] of Object.entries(fields || {})) {
+    lead.set(path, value);
+  }
+
+  if (!isNew) return;
+
+  for (const mapping of getFieldMappings(crmIntegration, "from_crm")) {
+    if (
+      isProtectedPath(mapping.formField) ||
+      isBlank(mapping.defaultValue) ||
+      !isBlank(lead.get(mapping.formField))
+    ) {
+      continue;
+    }
+    lead.set(mapping.formField, mapping.defaultValue);
+  }
+};
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check mappings against the CRM's lead field schema (see getLeadFields)
+ * @param {Array} mappings - settings.fieldMapping.customFields
+ * @param {Array} crmFields - [{ name, label, type, required, readOnly, options }]
+ * @returns {Array} [{ crmField, formField, level: "error" | "warning", message }]
+ */
+export const validateFieldMappings = (mappings, crmFields) => {
+  const schema = new Map(crmFields.map((field) => [field.name, field]));
+  const issues = [];
+
+  const report = (mapping, level, message) =>
+    issues.push({
+      crmField: mapping.crmField,
+      formField: mapping.formField,
+      level,
+      message,
+    });
+
+  for (const mapping of mappings) {
+    const crmField = schema.get(mapping.crmField);
+
+    if (!crmField) {
+      report(mapping, "error", `Unknown CRM field: ${mapping.crmField}`);
+      continue;
+    }
+
+    if (crmField.readOnly && mapsTo(mapping, "to_crm")) {
+      report(
+        mapping,
+        "error",
+        `${crmField.label || crmField.name} is read-only in the CRM; map it from_crm`
+      );
+    }
+
+    if (isProtectedPath(mapping.formField) && mapsTo(mapping, "from_crm")) {
+      report(
+        mapping,
+        "warning",
+        `${mapping.formField} is managed by the sync and won't be written from the CRM`
+      );
+    }
+
+    if (
+      pushOnly(mapping) &&
+      mapping.direction &&
+      mapping.direction !== "to_crm"
+    ) {
+      report(
+        mapping,
+        "warning",
+        "Concatenated mappings can't be split back; they only push"
+      );
+    }
+
+    // Picklist values the CRM would reject
+    if (crmField.options?.length) {
+      const allowed = new Set(
+        crmField.options.map((option) => String(option.value).toLowerCase())
+      );
+      const invalid = (mapping.valueMap || [])
+        .map((entry) => entry.crmValue)
+        .filter((value) => !allowed.has(String(value).toLowerCase()));
+
+      if (invalid.length > 0) {
+        report(
+          mapping,
+          "error",
+          `Not an option of ${crmField.label || crmField.name}: ${invalid.join(", ")}`
+        );
+      } else if (!mapping.valueMap?.length) {
+        report(
+          mapping,
+          "warning",
+          `${crmField.label || crmField.name} is a picklist; add a value map unless our values match its options`
+        );
+      }
+    }
+  }
+
+  return issues;
+};
@@ -1,6 +1,7 @@
 import crypto from "crypto";
 import fetch from "node-fetch";
 import { deleteCodeVerifier, getCodeVerifier, storeCodeVerifier } from "../../utils/quick-storage.js";
+import { getCrmProvider, getCrmProviders } from "./providers/index.js";
 
 /**
  * CRM OAuth2 Service
@@ -11,35 +12,48 @@ import { deleteCodeVerifier, getCodeVerifier, storeCodeVerifier } from "../../ut
 // OAuth2 Configuration for each CRM provider
 // ============================================
 
-const CRM_CONFIGS = {
-  zoho: {
-    authUrl: "https://accounts.zoho.com/oauth/v2/auth",
-    tokenUrl: "https://accounts.zoho.com/oauth/v2/token",
-    revokeUrl: "https://accounts.zoho.com/oauth/v2/token/revoke",
-    scope: "ZohoCRM.modules.ALL,ZohoCRM.settings.ALL,ZohoCRM.users.READ",
-    responseType: "code",
-    accessType: "offline",
-  },
-  salesforce: {
-    authUrl: "https://login.salesforce.com/services/oauth2/authorize",
-    tokenUrl: "https://login.salesforce.com/services/oauth2/token",
-    revokeUrl: "https://login.salesforce.com/services/oauth2/revoke",
-    scope: "api refresh_token offline_access",
-    responseType: "code",
-    requiresPKCE: true
-  },
-  hubspot: {
-    authUrl: "https://app.hubspot.com/oauth/authorize",
-    tokenUrl: "https://api.hubapi.com/oauth/v1/token",
-    scope: "crm.objects.companies.read crm.objects.companies.write crm.objects.contacts.read crm.objects.contacts.write crm.objects.products.read crm.schemas.contacts.read oauth",
-    responseType: "code",
-  },
-  dynamics: {
-    authUrl: "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
-    tokenUrl: "https://login.microsoftonline.com/common/oauth2/v2.0/token",
-    scope: "https://dynamics.microsoft.com/.default offline_access",
-    responseType: "code",
-  },
+/**
+ * Get the OAuth2 config for a provider (from its adapter)
+ */
+const getOAuthConfig = (provider) => {
+  const config = getCrmProvider(provider)?.oauth;
+
+  if (!config) {
+    throw new Error(`Unsupported CRM provider: ${provider}`);
+  }
+  return config;
+};
+
+// URLs are strings, or functions of { domain } for per-account hosts
+const resolveUrl = (url, context = {}) =>
+  typeof url === "function" ? url(context) : url;
+
+const getRedirectUri = (provider) =>
+  process.env[`${provider.toUpperCase()}_REDIRECT_URI`] ||
+  `${process.env.SERVER_URL}/api/v1/crm-integration/oauth/callback/${provider}`;
+
+/**
+ * Headers for a token endpoint call, adding client credentials either as
+ * HTTP Basic auth or as body params depending on the provider
+ */
+const withClientAuth = (config, provider, params) => {
+  const clientId = process.env[`${provider.toUpperCase()}_CLIENT_ID`];
+  const clientSecret = process.env[`${provider.toUpperCase()}_CLIENT_SECRET`];
+
+  if (!clientId || !clientSecret) {
+    throw new Error(`${provider.toUpperCase()} credentials not configured`);
+  }
+
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (config.clientAuth === "basic") {
+    headers.Authorization = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`;
+  } else {
+    params.set("client_id", clientId);
+    params.set("client_secret", clientSecret);
+  }
+
+  return headers;
 };
 
 // ============================================
@@ -52,11 +66,12 @@ const oauthStates = new Map();
 /**
  * Generate a secure random state for OAuth2
  */
-const generateState = (companyId, provider) => {
+const generateState = (companyId, provider, extra = {}) => {
   const state = crypto.randomBytes(32).toString("hex");
   const stateData = {
     companyId,
     provider,
+    ...extra,
     timestamp: Date.now(),
   };
 
@@ -110,24 +125,31 @@ const generatePKCE = () => {
 
 /**
  * Generate OAuth2 authorization URL
+ * @param {Object} options - { domain } for providers hosted per account (e.g. Freshworks)
  */
-export const generateAuthUrl = (provider, companyId) => {
-  const config = CRM_CONFIGS[provider];
-
-  if (!config) {
-    throw new Error(`Unsupported CRM provider: ${provider}`);
-  }
+export const generateAuthUrl = (provider, companyId, options = {}) => {
+  const config = getOAuthConfig(provider);
+  const adapter = getCrmProvider(provider);
 
   const clientId = process.env[`${provider.toUpperCase()}_CLIENT_ID`];
-  const redirectUri =
-    process.env[`${provider.toUpperCase()}_REDIRECT_URI`] ||
-    `${process.env.SERVER_URL}/api/v1/crm-integration/oauth/callback/${provider}`;
+  const redirectUri = getRedirectUri(provider);
 
   if (!clientId) {
     throw new Error(`${provider.toUpperCase()}_CLIENT_ID not configured`);
   }
 
-  const state = generateState(companyId, provider);
+  let domain;
+  if (config.requiresDomain) {
+    domain = adapter.normalizeDomain
+      ? adapter.normalizeDomain(options.domain)
+      : options.domain;
+
+    if (!domain) {
+      throw new Error(`${adapter.label} account domain is required`);
+    }
+  }
+
+  const state = generateState(companyId, provider, domain ? { domain } : {});
 
   // DEBUG: Log the redirect URI being used
   console.log(`🔍 OAuth Redirect URI for ${provider}:`, redirectUri);
@@ -135,14 +157,17 @@ export const generateAuthUrl = (provider, companyId) => {
   const params = new URLSearchParams({
     client_id: clientId,
     redirect_uri: redirectUri,
-    response_type: config.responseType,
-    scope: config.scope,
+    response_type: config.responseType || "code",
     state,
   });
 
+  if (config.scope) {
+    params.append("scope", config.scope);
+  }
+
   // Add provider-specific parameters
-  if (provider === "zoho") {
-    params.append("access_type", config.accessType);
+  for (const [key, value] of Object.entries(config.authParams || {})) {
+    params.append(key, value);
   }
 
    // Generate PKCE parameters for Salesforce
@@ -156,7 +181,7 @@ export const generateAuthUrl = (provider, companyId) => {
   }
 
   return {
-    authUrl: `${config.authUrl}?${params.toString()}`,
+    authUrl: `${resolveUrl(config.authUrl, { domain })}?${params.toString()}`,
     state,
   };
 };
@@ -169,11 +194,7 @@ export const generateAuthUrl = (provider, companyId) => {
  * Exchange authorization code for access token
  */
 export const exchangeCodeForToken = async (provider, code, state) => {
-  const config = CRM_CONFIGS[provider];
-
-  if (!config) {
-    throw new Error(`Unsupported CRM provider: ${provider}`);
-  }
+  const config = getOAuthConfig(provider);
 
   // Verify state and get state data
   const stateData = verifyState(state);
@@ -182,23 +203,12 @@ export const exchangeCodeForToken = async (provider, code, state) => {
     throw new Error("Provider mismatch in OAuth state");
   }
 
-  const clientId = process.env[`${provider.toUpperCase()}_CLIENT_ID`];
-  const clientSecret = process.env[`${provider.toUpperCase()}_CLIENT_SECRET`];
-  const redirectUri =
-    process.env[`${provider.toUpperCase()}_REDIRECT_URI`] ||
-    `${process.env.SERVER_URL}/api/v1/crm-integration/oauth/callback/${provider}`;
-
-  if (!clientId || !clientSecret) {
-    throw new Error(`${provider.toUpperCase()} credentials not configured`);
-  }
-
   const params = new URLSearchParams({
     grant_type: "authorization_code",
-    client_id: clientId,
-    client_secret: clientSecret,
-    redirect_uri: redirectUri,
+    redirect_uri: getRedirectUri(provider),
     code,
   });
+  const headers = withClientAuth(config, provider, params);
 
   // Add code_verifier for PKCE providers
   if (config.requiresPKCE) {
@@ -215,11 +225,9 @@ export const exchangeCodeForToken = async (provider, code, state) => {
   }
 
   try {
-    const response = await fetch(config.tokenUrl, {
+    const response = await fetch(resolveUrl(config.tokenUrl, stateData), {
       method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
+      headers,
       body: params.toString(),
     });
 
@@ -239,17 +247,8 @@ export const exchangeCodeForToken = async (provider, code, state) => {
       scope: data.scope,
       // Include state data so controller can access companyId
       stateData,
-      // Provider-specific fields
-      ...(provider === "zoho" && {
-        apiDomain: data.api_domain,
-      }),
-      ...(provider === "salesforce" && {
-        instanceUrl: data.instance_url,
-        id: data.id,
-      }),
-      ...(provider === "hubspot" && {
-        tokenType: data.token_type,
-      }),
+      // Full response for provider-specific fields (see adapter.getCredentials)
+      raw: data,
     };
   } catch (error) {
     console.error(`${provider} token exchange error:`, error);
@@ -263,34 +262,25 @@ export const exchangeCodeForToken = async (provider, code, state) => {
 
 /**
  * Refresh access token using refresh token
+ * @param {Object} credentials - integration credentials (per-account token hosts)
  */
-export const refreshAccessToken = async (provider, refreshToken) => {
-  const config = CRM_CONFIGS[provider];
-
-  if (!config) {
-    throw new Error(`Unsupported CRM provider: ${provider}`);
-  }
-
-  const clientId = process.env[`${provider.toUpperCase()}_CLIENT_ID`];
-  const clientSecret = process.env[`${provider.toUpperCase()}_CLIENT_SECRET`];
+export const refreshAccessToken = async (provider, refreshToken, credentials = {}) => {
+  const config = getOAuthConfig(provider);
 
-  if (!clientId || !clientSecret) {
-    throw new Error(`${provider.toUpperCase()} credentials not configured`);
+  if (!refreshToken) {
+    throw new Error(`No refresh token available for ${provider}`);
   }
 
   const params = new URLSearchParams({
     grant_type: "refresh_token",
-    client_id: clientId,
-    client_secret: clientSecret,
     refresh_token: refreshToken,
   });
+  const headers = withClientAuth(config, provider, params);
 
   try {
-    const response = await fetch(config.tokenUrl, {
+    const response = await fetch(resolveUrl(config.tokenUrl, credentials), {
       method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
+      headers,
       body: params.toString(),
     });
 
@@ -313,6 +303,25 @@ export const refreshAccessToken = async (provider, refreshToken) => {
   }
 };
 
+/**
+ * Refresh the integration's access token if it's about to expire
+ */
+export const ensureFreshTokens = async (crmIntegration) => {
+  if (!crmIntegration.needsTokenRefresh()) return;
+
+  const refreshedTokens = await refreshAccessToken(
+    crmIntegration.provider,
+    crmIntegration.tokens.refreshToken,
+    crmIntegration.credentials
+  );
+
+  crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
+  crmIntegration.tokens.tokenExpiry = new Date(
+    Date.now() + refreshedTokens.expiresIn * 1000
+  );
+  await crmIntegration.save();
+};
+
 // ============================================
 // Token Revocation
 // ============================================
@@ -320,30 +329,23 @@ export const refreshAccessToken = async (provider, refreshToken) => {
 /**
  * Revoke access token
  */
-export const revokeToken = async (provider, token) => {
-  const config = CRM_CONFIGS[provider];
+export const revokeToken = async (provider, token, credentials = {}) => {
+  const config = getCrmProvider(provider)?.oauth;
 
   if (!config || !config.revokeUrl) {
     throw new Error(`Token revocation not supported for ${provider}`);
   }
 
-  const clientId = process.env[`${provider.toUpperCase()}_CLIENT_ID`];
-  const clientSecret = process.env[`${provider.toUpperCase()}_CLIENT_SECRET`];
-
   try {
-    const params = new URLSearchParams({
-      token,
-      ...(provider === "zoho" && {
-        client_id: clientId,
-        client_secret: clientSecret,
-      }),
-    });
+    const params = new URLSearchParams({ token });
+    const headers =
+      config.revokeWithClientCredentials || config.clientAuth === "basic"
+        ? withClientAuth(config, provider, params)
+        : { "Content-Type": "application/x-www-form-urlencoded" };
 
-    const response = await fetch(config.revokeUrl, {
+    const response = await fetch(resolveUrl(config.revokeUrl, credentials), {
       method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
+      headers,
       body: params.toString(),
     });
 
@@ -378,9 +380,9 @@ export const isProviderConfigured = (provider) => {
  * Get list of configured providers
  */
 export const getConfiguredProviders = () => {
-  return Object.keys(CRM_CONFIGS).filter((provider) =>
-    isProviderConfigured(provider)
-  );
+  return getCrmProviders()
+    .map((adapter) => adapter.id)
+    .filter((provider) => isProviderConfigured(provider));
 };
 
 /**
@@ -0,0 +1,319 @@
+import { makeApiRequest, compact, activityNoteText } from "./request.js";
+
+const base = (resource) => `${resource}/api/data/v9.2`;
+
+const LEAD_ATTRIBUTES = "EntityDefinitions(LogicalName='lead')/Attributes";
+
+const OPPORTUNITY_FIELDS =
+  "opportunityid,name,estimatedvalue,actualvalue,salesstage,statecode,closeprobability,estimatedclosedate,actualclosedate,modifiedon,_originatingleadid_value";
+
+// Opportunity statecode -> deal status
+const OPPORTUNITY_STATES = { 0: "open", 1: "won", 2: "lost" };
+
+const REQUIRED_LEVELS = ["ApplicationRequired", "SystemRequired"];
+
+// Our lead -> Dynamics 365 lead
+const toCrmFields = (leadData) => ({
+  lastname: leadData.lastName || leadData.name,
+  firstname: leadData.firstName,
+  emailaddress1: leadData.email,
+  telephone1: leadData.phone,
+  companyname: leadData.company,
+  jobtitle: leadData.jobTitle,
+  description: leadData.description || leadData.message,
+  ...leadData.customFields,
+});
+
+const dynamicsProvider = {
+  id: "dynamics",
+  label: "Dynamics 365",
+
+  oauth: {
+    authUrl: "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
+    tokenUrl: "https://login.microsoftonline.com/common/oauth2/v2.0/token",
+    scope: "https://dynamics.microsoft.com/.default offline_access",
+  },
+
+  // Dataverse service protection: 6000 requests per user per 5 minutes
+  rateLimit: { requests: 6000, window: 300 },
+
+  getCredentials: () => dynamicsProvider.defaultCredentials(),
+
+  defaultCredentials: () => ({
+    resource:
+      process.env.DYNAMICS_RESOURCE || "https://yourdomain.crm.dynamics.com",
+  }),
+
+  getAccountInfo: async (accessToken, { resource }) => {
+    const data = await makeApiRequest(
+      `${base(resource)}/WhoAmI`,
+      {},
+      accessToken
+    );
+
+    return {
+      id: data.UserId,
+      businessUnitId: data.BusinessUnitId,
+      organizationId: data.OrganizationId,
+      domain: resource,
+    };
+  },
+
+  createLead: async (accessToken, { resource }, leadData) => {
+    const data = await makeApiRequest(
+      `${base(resource)}/leads`,
+      {
+        method: "POST",
+        // Return the created record (Dynamics answers 204 otherwise)
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify({
+          ...toCrmFields(leadData),
+          lastname: leadData.lastName || leadData.name || "Unknown",
+          subject: leadData.subject || "Web Lead",
+        }),
+      },
+      accessToken
+    );
+
+    return { id: data.leadid, raw: data };
+  },
+
+  updateLead: async (accessToken, { resource }, crmId, leadData) => {
+    return makeApiRequest(
+      `${base(resource)}/leads(${crmId})`,
+      {
+        method: "PATCH",
+        body: JSON.stringify(compact(toCrmFields(leadData))),
+      },
+      accessToken
+    );
+  },
+
+  findLeadByEmail: async (accessToken, { resource }, email) => {
+    const params = new URLSearchParams({
+      $filter: `emailaddress1 eq '${String(email).replace(/'/g, "''")}'`,
+      $top: 1,
+    });
+    const data = await makeApiRequest(
+      `${base(resource)}/leads?${params}`,
+      {},
+      accessToken
+    );
+
+    return data.value?.[0] || null;
+  },
+
+  getLead: async (accessToken, { resource }, crmId) =>
+    makeApiRequest(`${base(resource)}/leads(${crmId})`, {}, accessToken),
+
+  // Deleting in Dynamics is permanent, so close the lead as
+  // Disqualified / Canceled instead
+  deleteLead: async (accessToken, { resource }, crmId) => {
+    return makeApiRequest(
+      `${base(resource)}/leads(${crmId})`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ statecode: 2, statuscode: 7 }),
+      },
+      accessToken
+    );
+  },
+
+  // Meetings become appointments, everything else a note on the lead
+  logActivity: async (accessToken, { resource }, crmId, activity) => {
+    const start = new Date(activity.occurredAt);
+    const [entitySet, idField, record] =
+      activity.type === "meeting"
+        ? [
+            "appointments",
+            "activityid",
+            {
+              subject: activity.subject,
+              description: activity.body,
+              scheduledstart: start.toISOString(),
+              scheduledend: new Date(
+                start.getTime() + (activity.durationMinutes || 30) * 60 * 1000
+              ).toISOString(),
+              "regardingobjectid_lead_appointment@odata.bind": `/leads(${crmId})`,
+            },
+          ]
+        : [
+            "annotations",
+            "annotationid",
+            {
+              subject: activity.subject,
+              notetext: activityNoteText(activity),
+              "objectid_lead@odata.bind": `/leads(${crmId})`,
+            },
+          ];
+
+    const data = await makeApiRequest(
+      `${base(resource)}/${entitySet}`,
+      {
+        method: "POST",
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify(compact(record)),
+      },
+      accessToken
+    );
+
+    return { id: data[idField] };
+  },
+
+  listLeads: async (
+    accessToken,
+    { resource },
+    { page = 1, limit = 50, cursor }
+  ) => {
+    const skip = cursor ? Number(cursor) : (page - 1) * limit;
+    const params = new URLSearchParams({
+      $top: limit,
+      $skip: skip,
+      $orderby: "createdon desc",
+    });
+    const data = await makeApiRequest(
+      `${base(resource)}/leads?${params}`,
+      {},
+      accessToken
+    );
+    const records = data.value || [];
+
+    return {
+      records,
+      total: data["@odata.count"],
+      nextCursor: records.length === limit ? String(skip + limit) : null,
+    };
+  },
+
+  mapLead: (lead) => ({
+    crmId: lead.leadid,
+    firstName: lead.firstname,
+    lastName: lead.lastname,
+    email: lead.emailaddress1,
+    phone: lead.telephone1,
+    company: lead.companyname,
+    jobTitle: lead.jobtitle,
+    status: lead.statuscode?.toString(),
+    notes: lead.description,
+    createdAt: lead.createdon,
+    updatedAt: lead.modifiedon,
+  }),
+
+  getLeadFields: async (accessToken, { resource }) => {
+    const attributesParams = new URLSearchParams({
+      $select:
+        "LogicalName,AttributeType,DisplayName,RequiredLevel,IsValidForCreate,IsValidForUpdate",
+    });
+    // Option set values live on the picklist subtype only
+    const picklistParams = new URLSearchParams({
+      $select: "LogicalName",
+      $expand: "OptionSet($select=Options)",
+    });
+
+    const [attributes, picklists] = await Promise.all([
+      makeApiRequest(
+        `${base(resource)}/${LEAD_ATTRIBUTES}?${attributesParams}`,
+        {},
+        accessToken
+      ),
+      makeApiRequest(
+        `${base(resource)}/${LEAD_ATTRIBUTES}/Microsoft.Dynamics.CRM.PicklistAttributeMetadata?${picklistParams}`,
+        {},
+        accessToken
+      ),
+    ]);
+
+    const options = new Map(
+      (picklists.value || []).map((attribute) => [
+        attribute.LogicalName,
+        (attribute.OptionSet?.Options || []).map((option) => ({
+          value: String(option.Value),
+          label: option.Label?.UserLocalizedLabel?.Label,
+        })),
+      ])
+    );
+
+    return (attributes.value || [])
+      .filter(
+        (attribute) => attribute.IsValidForCreate || attribute.IsValidForUpdate
+      )
+      .map((attribute) => ({
+        name: attribute.LogicalName,
+        label:
+          attribute.DisplayName?.UserLocalizedLabel?.Label ||
+          attribute.LogicalName,
+        type: attribute.AttributeType,
+        required: REQUIRED_LEVELS.includes(attribute.RequiredLevel?.Value),
+        readOnly: !attribute.IsValidForUpdate,
+        options: options.get(attribute.LogicalName),
+      }));
+  },
+
+  getRecordUrl: ({ resource }, crmId) =>
+    `${resource}/main.aspx?pagetype=entityrecord&etn=lead&id=${crmId}`,
+
+  // Opportunities keep the lead they were qualified from (originatingleadid)
+  deals: {
+    // Ids go in the $filter, which has to fit in the URL
+    maxLeadIds: 25,
+
+    listForLeads: async (accessToken, { resource }, crmIds) => {
+      const params = new URLSearchParams({
+        $select: OPPORTUNITY_FIELDS,
+        $filter: crmIds
+          .map((id) => `_originatingleadid_value eq ${id}`)
+          .join(" or "),
+        $expand: "transactioncurrencyid($select=isocurrencycode)",
+      });
+      const data = await makeApiRequest(
+        `${base(resource)}/opportunities?${params}`,
+        {},
+        accessToken
+      );
+
+      return data.value || [];
+    },
+
+    map: (opportunity) => {
+      const status = OPPORTUNITY_STATES[opportunity.statecode] || "open";
+
+      return {
+        crmDealId: opportunity.opportunityid,
+        leadCrmIds: [opportunity._originatingleadid_value],
+        name: opportunity.name,
+        amount:
+          status === "won"
+            ? (opportunity.actualvalue ?? opportunity.estimatedvalue)
+            : opportunity.estimatedvalue,
+        currency: opportunity.transactioncurrencyid?.isocurrencycode,
+        stage: opportunity.salesstage?.toString(),
+        status,
+        probability: opportunity.closeprobability,
+        closeDate:
+          opportunity.actualclosedate || opportunity.estimatedclosedate,
+        updatedAt: opportunity.modifiedon,
+      };
+    },
+
+    // Sales stages of open opportunities; won/lost come from statecode
+    getStages: async (accessToken, { resource }) => {
+      const params = new URLSearchParams({
+        $select: "LogicalName",
+        $expand: "OptionSet($select=Options)",
+      });
+      const data = await makeApiRequest(
+        `${base(resource)}/EntityDefinitions(LogicalName='opportunity')/Attributes(LogicalName='salesstage')/Microsoft.Dynamics.CRM.PicklistAttributeMetadata?${params}`,
+        {},
+        accessToken
+      );
+
+      return (data.OptionSet?.Options || []).map((option) => ({
+        value: String(option.Value),
+        label: option.Label?.UserLocalizedLabel?.Label,
+        status: "open",
+      }));
+    },
+  },
+};
+
+export default dynamicsProvider;
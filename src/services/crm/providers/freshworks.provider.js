@@ -0,0 +1,255 @@
+import { makeApiRequest, compact, activityNoteText } from "./request.js";
+
+/**
+ * Freshworks CRM (Freshsales)
+ * Every account lives on its own subdomain (acme.myfreshworks.com), so the
+ * OAuth flow needs the domain up front and it's kept in the credentials.
+ * Leads are Freshsales contacts.
+ */
+
+const orgUrl = (domain) => `https://${domain}.myfreshworks.com`;
+const base = (domain) => `${orgUrl(domain)}/crm/sales/api`;
+
+// Our lead -> Freshsales contact
+const toCrmFields = (leadData) => ({
+  first_name: leadData.firstName,
+  last_name: leadData.lastName || leadData.name,
+  email: leadData.email,
+  mobile_number: leadData.phone,
+  job_title: leadData.jobTitle,
+  ...(leadData.company && { sales_account: { name: leadData.company } }),
+  ...(leadData.customFields &&
+    Object.keys(leadData.customFields).length > 0 && {
+      custom_field: leadData.customFields,
+    }),
+});
+
+// "All Contacts" view id, used to list contacts
+const getAllContactsViewId = async (accessToken, domain) => {
+  const data = await makeApiRequest(
+    `${base(domain)}/contacts/filters`,
+    {},
+    accessToken
+  );
+  const filters = data.filters || [];
+  const view =
+    filters.find((filter) => /^all contacts$/i.test(filter.name)) || filters[0];
+
+  if (!view) {
+    throw new Error("No contact views found in Freshworks CRM");
+  }
+  return view.id;
+};
+
+const freshworksProvider = {
+  id: "freshworks",
+  label: "Freshworks",
+
+  oauth: {
+    authUrl: ({ domain }) => `${orgUrl(domain)}/org/oauth/v2/authorize`,
+    tokenUrl: ({ domain }) => `${orgUrl(domain)}/org/oauth/v2/token`,
+    scope:
+      "freshsales.contacts.view freshsales.contacts.create freshsales.contacts.edit",
+    requiresDomain: true,
+    clientAuth: "basic",
+  },
+
+  // Default Freshsales API limit
+  rateLimit: { requests: 1000, window: 60 * 60 },
+
+  // "acme", "acme.myfreshworks.com" or "https://acme.myfreshworks.com/crm/sales" -> "acme"
+  normalizeDomain: (input = "") =>
+    input
+      .trim()
+      .replace(/^https?:\/\//, "")
+      .split(/[./]/)[0]
+      .toLowerCase(),
+
+  getCredentials: (tokenData) => ({ domain: tokenData.stateData.domain }),
+
+  defaultCredentials: () => ({}),
+
+  getAccountInfo: async (accessToken, { domain }) => {
+    // There's no "current user" endpoint; listing views proves API access
+    await getAllContactsViewId(accessToken, domain);
+
+    return {
+      id: domain,
+      name: domain,
+      domain: `${domain}.myfreshworks.com`,
+    };
+  },
+
+  createLead: async (accessToken, { domain }, leadData) => {
+    const data = await makeApiRequest(
+      `${base(domain)}/contacts`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          contact: compact({
+            ...toCrmFields(leadData),
+            last_name: leadData.lastName || leadData.name || "Unknown",
+          }),
+        }),
+      },
+      accessToken
+    );
+
+    return {
+      id: data.contact?.id && String(data.contact.id),
+      raw: data.contact,
+    };
+  },
+
+  updateLead: async (accessToken, { domain }, crmId, leadData) => {
+    return makeApiRequest(
+      `${base(domain)}/contacts/${crmId}`,
+      {
+        method: "PUT",
+        body: JSON.stringify({ contact: compact(toCrmFields(leadData)) }),
+      },
+      accessToken
+    );
+  },
+
+  findLeadByEmail: async (accessToken, { domain }, email) => {
+    const params = new URLSearchParams({
+      q: email,
+      f: "email",
+      entities: "contact",
+    });
+    const data = await makeApiRequest(
+      `${base(domain)}/lookup?${params}`,
+      {},
+      accessToken
+    );
+
+    return data.contacts?.contacts?.[0] || null;
+  },
+
+  getLead: async (accessToken, { domain }, crmId) => {
+    const data = await makeApiRequest(
+      `${base(domain)}/contacts/${crmId}?include=sales_accounts`,
+      {},
+      accessToken
+    );
+    if (!data.contact) return null;
+
+    return {
+      ...data.contact,
+      sales_account:
+        (data.sales_accounts || []).find(
+          (account) => account.id === data.contact.sales_account_id
+        ) || null,
+    };
+  },
+
+  // Deleted contacts go to the Freshsales recycle bin
+  deleteLead: async (accessToken, { domain }, crmId) => {
+    return makeApiRequest(
+      `${base(domain)}/contacts/${crmId}`,
+      { method: "DELETE" },
+      accessToken
+    );
+  },
+
+  // Activities are logged as notes on the contact
+  logActivity: async (accessToken, { domain }, crmId, activity) => {
+    const data = await makeApiRequest(
+      `${base(domain)}/notes`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          note: {
+            description: activityNoteText(activity),
+            targetable_type: "Contact",
+            targetable_id: crmId,
+          },
+        }),
+      },
+      accessToken
+    );
+
+    return { id: data.note?.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    { domain },
+    { page = 1, limit = 100, cursor }
+  ) => {
+    const current = Number(cursor) || page;
+    const viewId = await getAllContactsViewId(accessToken, domain);
+    const params = new URLSearchParams({
+      page: String(current),
+      per_page: String(limit),
+      sort: "updated_at",
+      sort_type: "desc",
+      include: "sales_accounts",
+    });
+    const data = await makeApiRequest(
+      `${base(domain)}/contacts/view/${viewId}?${params}`,
+      {},
+      accessToken
+    );
+
+    // Side-loaded accounts are returned next to the contacts
+    const accounts = new Map(
+      (data.sales_accounts || []).map((account) => [account.id, account])
+    );
+
+    return {
+      records: (data.contacts || []).map((contact) => ({
+        ...contact,
+        sales_account: accounts.get(contact.sales_account_id) || null,
+      })),
+      total: data.meta?.total,
+      nextCursor:
+        current < (data.meta?.total_pages || 0) ? String(current + 1) : null,
+    };
+  },
+
+  mapLead: (contact) => ({
+    crmId: contact.id ? String(contact.id) : undefined,
+    firstName: contact.first_name,
+    lastName: contact.last_name,
+    fullName: contact.display_name,
+    email: contact.email,
+    phone: contact.mobile_number || contact.work_number,
+    company: contact.sales_account?.name,
+    jobTitle: contact.job_title,
+    createdAt: contact.created_at,
+    updatedAt: contact.updated_at,
+  }),
+
+  // Custom fields (cf_*) are nested under custom_field
+  readField: (contact, field) =>
+    contact.custom_field?.[field] ?? contact[field],
+
+  getLeadFields: async (accessToken, { domain }) => {
+    const data = await makeApiRequest(
+      `${base(domain)}/settings/contacts/fields`,
+      {},
+      accessToken
+    );
+
+    return (data.fields || []).map((field) => ({
+      name: field.name,
+      label: field.label,
+      type: field.type,
+      required: Boolean(field.required),
+      readOnly: field.editable === false,
+      options: field.choices?.length
+        ? field.choices.map((choice) => ({
+            value: choice.value,
+            label: choice.value,
+          }))
+        : undefined,
+    }));
+  },
+
+  getRecordUrl: ({ domain }, crmId) =>
+    `${orgUrl(domain)}/crm/sales/contacts/${crmId}`,
+};
+
+export default freshworksProvider;
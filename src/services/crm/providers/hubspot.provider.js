@@ -0,0 +1,522 @@
+import crypto from "crypto";
+import {
+  makeApiRequest,
+  compact,
+  splitName,
+  safeEqual,
+  joinListValues,
+  bulkItemError,
+} from "./request.js";
+
+const BASE_URL = "https://api.hubapi.com";
+const CONTACTS = "/crm/v3/objects/contacts";
+
+const CONTACT_PROPERTIES = [
+  "firstname",
+  "lastname",
+  "email",
+  "phone",
+  "mobilephone",
+  "company",
+  "jobtitle",
+  "hs_lead_status",
+  "lifecyclestage",
+  "createdate",
+  "lastmodifieddate",
+];
+
+// Standard properties plus mapped custom ones
+const withProperties = (fields = []) =>
+  [...new Set([...CONTACT_PROPERTIES, ...fields])].join(",");
+
+const DEAL_PROPERTIES = [
+  "dealname",
+  "amount",
+  "deal_currency_code",
+  "dealstage",
+  "hs_deal_stage_probability",
+  "hs_is_closed",
+  "hs_is_closed_won",
+  "closedate",
+  "hs_lastmodifieddate",
+];
+
+const WEBHOOK_ACTIONS = {
+  "contact.creation": "created",
+  "contact.propertyChange": "updated",
+  "contact.deletion": "deleted",
+};
+
+// Signed requests older than this are rejected (replay protection)
+const MAX_SIGNATURE_AGE = 5 * 60 * 1000;
+
+// Our lead -> HubSpot contact properties
+const toCrmFields = (leadData) => {
+  const { firstName, lastName } = splitName(leadData.name);
+
+  return {
+    email: leadData.email,
+    firstname: leadData.firstName || firstName,
+    lastname: leadData.lastName || lastName,
+    phone: leadData.phone,
+    company: leadData.company,
+    jobtitle: leadData.jobTitle,
+    // Multiple checkbox properties take ;-separated values
+    ...joinListValues(leadData.customFields),
+  };
+};
+
+// Our lead -> new HubSpot contact
+const toNewCrmFields = (leadData) => {
+  const properties = toCrmFields(leadData);
+
+  return {
+    ...properties,
+    lastname: properties.lastname || "Unknown",
+    hs_lead_status: "NEW",
+    lifecyclestage: "lead",
+  };
+};
+
+// Activity type -> engagement object, its contact association type and properties
+const ACTIVITY_OBJECTS = {
+  email: {
+    path: "/crm/v3/objects/emails",
+    associationTypeId: 198,
+    properties: (activity) => ({
+      hs_email_subject: activity.subject,
+      hs_email_text: activity.body,
+      hs_email_direction:
+        activity.direction === "inbound" ? "INCOMING_EMAIL" : "EMAIL",
+      hs_email_status: "SENT",
+    }),
+  },
+  meeting: {
+    path: "/crm/v3/objects/meetings",
+    associationTypeId: 200,
+    properties: (activity) => ({
+      hs_meeting_title: activity.subject,
+      hs_meeting_body: activity.body,
+      hs_meeting_start_time: new Date(activity.occurredAt).toISOString(),
+      hs_meeting_outcome: "COMPLETED",
+    }),
+  },
+  note: {
+    path: "/crm/v3/objects/notes",
+    associationTypeId: 202,
+    properties: (activity) => ({
+      hs_note_body: [activity.subject, activity.body]
+        .filter(Boolean)
+        .join("\n\n"),
+    }),
+  },
+};
+
+// HubSpot sends booleans as "true" / "false" strings
+const isTrue = (value) => value === true || value === "true";
+
+// Batch errors that list an id as missing
+const findBatchError = (errors = [], id) =>
+  errors.find((error) => error.context?.ids?.includes(String(id)));
+
+const hubspotProvider = {
+  id: "hubspot",
+  label: "HubSpot",
+
+  oauth: {
+    authUrl: "https://app.hubspot.com/oauth/authorize",
+    tokenUrl: "https://api.hubapi.com/oauth/v1/token",
+    scope:
+      "crm.objects.companies.read crm.objects.companies.write crm.objects.contacts.read crm.objects.contacts.write crm.objects.deals.read crm.objects.products.read crm.schemas.contacts.read oauth",
+  },
+
+  // Public apps get 110 requests per 10 seconds per account
+  rateLimit: { requests: 100, window: 10 },
+
+  // HubSpot doesn't require special credentials beyond OAuth tokens
+  getCredentials: (tokenData) => ({ portalId: tokenData.raw.hub_id || null }),
+
+  defaultCredentials: () => ({ portalId: null }),
+
+  getAccountInfo: async (accessToken) => {
+    const data = await makeApiRequest(
+      `${BASE_URL}/oauth/v1/access-tokens/${accessToken}`,
+      {},
+      accessToken
+    );
+
+    return {
+      id: data.hub_id,
+      name: data.hub_domain,
+      email: data.user,
+      domain: data.hub_domain,
+    };
+  },
+
+  createLead: async (accessToken, credentials, leadData) => {
+    const data = await makeApiRequest(
+      `${BASE_URL}${CONTACTS}`,
+      {
+        method: "POST",
+        body: JSON.stringify({ properties: toNewCrmFields(leadData) }),
+      },
+      accessToken
+    );
+
+    return { id: data.id, raw: data };
+  },
+
+  updateLead: async (accessToken, credentials, crmId, leadData) => {
+    return makeApiRequest(
+      `${BASE_URL}${CONTACTS}/${crmId}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ properties: compact(toCrmFields(leadData)) }),
+      },
+      accessToken
+    );
+  },
+
+  // Batch create/update, up to 100 contacts per call. Results aren't in
+  // input order: created contacts are matched back by email (unique in
+  // HubSpot, and always set on the leads we batch), updates by id.
+  bulk: {
+    maxBatchSize: 100,
+
+    createLeads: async (accessToken, credentials, leadDataList) => {
+      const data = await makeApiRequest(
+        `${BASE_URL}${CONTACTS}/batch/create`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            inputs: leadDataList.map((leadData) => ({
+              properties: toNewCrmFields(leadData),
+            })),
+          }),
+        },
+        accessToken
+      );
+      const created = new Map(
+        (data.results || []).map((contact) => [
+          contact.properties?.email?.toLowerCase(),
+          contact,
+        ])
+      );
+
+      return leadDataList.map((leadData) => {
+        const contact = created.get(leadData.email?.toLowerCase());
+        return contact
+          ? { id: contact.id, raw: contact }
+          : {
+              error: bulkItemError(
+                400,
+                data.errors?.[0]?.message || "Contact was not created"
+              ),
+            };
+      });
+    },
+
+    updateLeads: async (accessToken, credentials, updates) => {
+      const data = await makeApiRequest(
+        `${BASE_URL}${CONTACTS}/batch/update`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            inputs: updates.map(({ crmId, leadData }) => ({
+              id: crmId,
+              properties: compact(toCrmFields(leadData)),
+            })),
+          }),
+        },
+        accessToken
+      );
+      const updated = new Set(
+        (data.results || []).map((contact) => String(contact.id))
+      );
+
+      return updates.map(({ crmId }) => {
+        if (updated.has(String(crmId))) return { id: crmId };
+
+        const error = findBatchError(data.errors, crmId);
+        return {
+          error: bulkItemError(
+            error?.category === "OBJECT_NOT_FOUND" ? 404 : 400,
+            error?.message || "Contact was not updated"
+          ),
+        };
+      });
+    },
+  },
+
+  findLeadByEmail: async (accessToken, credentials, email) => {
+    const data = await makeApiRequest(
+      `${BASE_URL}${CONTACTS}/search`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          filterGroups: [
+            {
+              filters: [
+                { propertyName: "email", operator: "EQ", value: email },
+              ],
+            },
+          ],
+          properties: CONTACT_PROPERTIES,
+          limit: 1,
+        }),
+      },
+      accessToken
+    );
+
+    return data.results?.[0] || null;
+  },
+
+  getLead: async (accessToken, credentials, crmId, { fields } = {}) => {
+    const params = new URLSearchParams({
+      properties: withProperties(fields),
+    });
+    return makeApiRequest(
+      `${BASE_URL}${CONTACTS}/${crmId}?${params}`,
+      {},
+      accessToken
+    );
+  },
+
+  // HubSpot archives deleted contacts (restorable for 90 days)
+  deleteLead: async (accessToken, credentials, crmId) => {
+    return makeApiRequest(
+      `${BASE_URL}${CONTACTS}/${crmId}`,
+      { method: "DELETE" },
+      accessToken
+    );
+  },
+
+  logActivity: async (accessToken, credentials, crmId, activity) => {
+    const object = ACTIVITY_OBJECTS[activity.type] || ACTIVITY_OBJECTS.note;
+    const data = await makeApiRequest(
+      `${BASE_URL}${object.path}`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          properties: compact({
+            hs_timestamp: new Date(activity.occurredAt).toISOString(),
+            ...object.properties(activity),
+          }),
+          associations: [
+            {
+              to: { id: crmId },
+              types: [
+                {
+                  associationCategory: "HUBSPOT_DEFINED",
+                  associationTypeId: object.associationTypeId,
+                },
+              ],
+            },
+          ],
+        }),
+      },
+      accessToken
+    );
+
+    return { id: data.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    credentials,
+    { page = 1, limit = 100, cursor, fields }
+  ) => {
+    // HubSpot pages by cursor; fall back to an offset for page-based callers
+    const after = cursor || (page > 1 ? (page - 1) * limit : null);
+    const params = new URLSearchParams({
+      limit: String(limit),
+      properties: withProperties(fields),
+      ...(after && { after: String(after) }),
+    });
+    const data = await makeApiRequest(
+      `${BASE_URL}${CONTACTS}?${params}`,
+      {},
+      accessToken
+    );
+
+    return {
+      records: data.results || [],
+      total: data.total,
+      nextCursor: data.paging?.next?.after || null,
+    };
+  },
+
+  mapLead: (contact) => ({
+    crmId: contact.id,
+    firstName: contact.properties?.firstname,
+    lastName: contact.properties?.lastname,
+    email: contact.properties?.email,
+    phone: contact.properties?.phone || contact.properties?.mobilephone,
+    company: contact.properties?.company,
+    jobTitle: contact.properties?.jobtitle,
+    status: contact.properties?.hs_lead_status,
+    createdAt: contact.createdAt,
+    updatedAt: contact.updatedAt,
+  }),
+
+  readField: (contact, field) => contact.properties?.[field],
+
+  getLeadFields: async (accessToken) => {
+    const data = await makeApiRequest(
+      `${BASE_URL}/crm/v3/properties/contacts`,
+      {},
+      accessToken
+    );
+
+    return (data.results || [])
+      .filter((property) => !property.hidden)
+      .map((property) => ({
+        name: property.name,
+        label: property.label,
+        type: property.fieldType || property.type,
+        required: false,
+        readOnly: Boolean(property.modificationMetadata?.readOnlyValue),
+        options: property.options?.length
+          ? property.options.map((option) => ({
+              value: option.value,
+              label: option.label,
+            }))
+          : undefined,
+      }));
+  },
+
+  getRecordUrl: (credentials, crmId, accountInfo) =>
+    `https://app.hubspot.com/contacts/${credentials.portalId || accountInfo?.accountId}/contact/${crmId}`,
+
+  // Deals associated with the contact
+  deals: {
+    maxLeadIds: 100,
+
+    listForLeads: async (accessToken, credentials, crmIds) => {
+      const associations = await makeApiRequest(
+        `${BASE_URL}/crm/v4/associations/contacts/deals/batch/read`,
+        {
+          method: "POST",
+          body: JSON.stringify({ inputs: crmIds.map((id) => ({ id })) }),
+        },
+        accessToken
+      );
+
+      const contactIds = new Map();
+      for (const { from, to = [] } of associations.results || []) {
+        for (const { toObjectId } of to) {
+          const dealId = String(toObjectId);
+          contactIds.set(dealId, [
+            ...(contactIds.get(dealId) || []),
+            String(from.id),
+          ]);
+        }
+      }
+
+      if (contactIds.size === 0) return [];
+
+      const data = await makeApiRequest(
+        `${BASE_URL}/crm/v3/objects/deals/batch/read`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            properties: DEAL_PROPERTIES,
+            inputs: [...contactIds.keys()].map((id) => ({ id })),
+          }),
+        },
+        accessToken
+      );
+
+      return (data.results || []).map((deal) => ({
+        ...deal,
+        contactIds: contactIds.get(String(deal.id)) || [],
+      }));
+    },
+
+    map: (deal) => {
+      const properties = deal.properties || {};
+      const probability = Number(properties.hs_deal_stage_probability);
+
+      return {
+        crmDealId: deal.id,
+        leadCrmIds: deal.contactIds,
+        name: properties.dealname,
+        amount: properties.amount,
+        currency: properties.deal_currency_code,
+        stage: properties.dealstage,
+        status: isTrue(properties.hs_is_closed_won)
+          ? "won"
+          : isTrue(properties.hs_is_closed)
+            ? "lost"
+            : "open",
+        // HubSpot probabilities are 0-1
+        probability: Number.isFinite(probability)
+          ? probability * 100
+          : undefined,
+        closeDate: properties.closedate,
+        updatedAt: properties.hs_lastmodifieddate || deal.updatedAt,
+      };
+    },
+
+    // Stages of every deal pipeline; stage ids are unique across pipelines
+    getStages: async (accessToken) => {
+      const data = await makeApiRequest(
+        `${BASE_URL}/crm/v3/pipelines/deals`,
+        {},
+        accessToken
+      );
+
+      return (data.results || []).flatMap((pipeline) =>
+        (pipeline.stages || []).map((stage) => {
+          const probability = Number(stage.metadata?.probability);
+
+          return {
+            value: stage.id,
+            label: `${pipeline.label}: ${stage.label}`,
+            status: isTrue(stage.metadata?.isClosed)
+              ? probability === 1
+                ? "won"
+                : "lost"
+              : "open",
+            probability: Number.isFinite(probability)
+              ? probability * 100
+              : undefined,
+          };
+        })
+      );
+    },
+  },
+
+  // Webhook subscriptions are set once on the HubSpot app (target
+  // /webhooks/hubspot/app) and events carry the portal id.
+  // Requests are signed with the app's client secret (signature v3).
+  webhooks: {
+    appLevel: true,
+
+    verify: ({ headers, rawBody, url, method }) => {
+      const signature = headers["x-hubspot-signature-v3"];
+      const timestamp = headers["x-hubspot-request-timestamp"];
+      const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
+
+      if (!signature || !timestamp || !clientSecret) return false;
+      if (Date.now() - Number(timestamp) > MAX_SIGNATURE_AGE) return false;
+
+      const expected = crypto
+        .createHmac("sha256", clientSecret)
+        .update(`${method}${url}${rawBody}${timestamp}`)
+        .digest("base64");
+      return safeEqual(signature, expected);
+    },
+
+    parseEvents: (body) =>
+      (Array.isArray(body) ? body : [])
+        .filter((event) => WEBHOOK_ACTIONS[event.subscriptionType])
+        .map((event) => ({
+          action: WEBHOOK_ACTIONS[event.subscriptionType],
+          crmId: String(event.objectId),
+          accountId: String(event.portalId),
+        })),
+  },
+};
+
+export default hubspotProvider;
@@ -0,0 +1,137 @@
+import zohoProvider from "./zoho.provider.js";
+import salesforceProvider from "./salesforce.provider.js";
+import hubspotProvider from "./hubspot.provider.js";
+import dynamicsProvider from "./dynamics.provider.js";
+import pipedriveProvider from "./pipedrive.provider.js";
+import freshworksProvider from "./freshworks.provider.js";
+import mondayProvider from "./monday.provider.js";
+
+/**
+ * CRM Provider Registry
+ * Each CRM is an adapter object; the OAuth, API and sync services only talk
+ * to this interface, so a new CRM is one file plus a registerCrmProvider call.
+ *
+ * Adapter interface:
+ *   id, label
+ *   oauth: {
+ *     authUrl, tokenUrl, revokeUrl?  - string, or fn({ domain }) for per-account hosts
+ *     scope                          - null when scopes are set on the CRM app
+ *     authParams?                    - extra authorize params
+ *     requiresPKCE?, requiresDomain?
+ *     clientAuth?                    - "body" (default) or "basic"
+ *     revokeWithClientCredentials?
+ *   }
+ *   rateLimit?: { requests, window } - default request budget per integration
+ *                                      (window in seconds; see rateLimiter.js)
+ *   normalizeDomain?(input)          - when oauth.requiresDomain
+ *   getCredentials(tokenData)        - credentials to store ({ raw, stateData })
+ *   defaultCredentials()
+ *   getAccountInfo(accessToken, credentials)            -> { id, name, email, domain }
+ *   createLead(accessToken, credentials, leadData)      -> { id, raw }
+ *   updateLead(accessToken, credentials, crmId, leadData)  - leadData may be partial
+ *   bulk?: {                         - CRMs with batch endpoints, used by syncLeadsToCrm
+ *     maxBatchSize
+ *     createLeads(accessToken, credentials, [leadData])  -> [{ id, raw } | { error }]
+ *     updateLeads(accessToken, credentials, [{ crmId, leadData }]) -> [{ id } | { error }]
+ *       results in input order; errors from bulkItemError (request.js)
+ *   }
+ *   findLeadByEmail(accessToken, credentials, email)    -> record | null
+ *   getLead(accessToken, credentials, crmId, { fields })  -> record | null
+ *   deleteLead(accessToken, credentials, crmId)         - archive/soft delete where
+ *                                                         the CRM supports it
+ *   listLeads(accessToken, credentials, { page, limit, cursor, fields })
+ *                                                       -> { records, total, nextCursor }
+ *     fields: mapped custom CRM fields to include, for CRMs that only return
+ *     the fields asked for
+ *   mapLead(record)                  -> { crmId, firstName, lastName, fullName?, email,
+ *                                         phone, company, jobTitle, status, leadSource,
+ *                                         notes, createdAt, updatedAt }
+ *   readField?(record, crmField)     -> raw value of a (custom) field; defaults
+ *                                      to record[crmField]
+ *   logActivity?(accessToken, credentials, crmId, activity) -> { id }
+ *     activity: { type: email|meeting|note, subject, body, direction?,
+ *                 occurredAt, durationMinutes? }; CRMs without a matching
+ *                 activity type log a note (see crm/enrichment.service.js)
+ *   getLeadFields(accessToken, credentials)
+ *                                    -> [{ name, label, type, required, readOnly,
+ *                                          options?: [{ value, label }] }]
+ *   getRecordUrl(credentials, crmId, accountInfo, record) -> string | null
+ *   webhooks?: {                     - CRMs that can push lead changes to us
+ *     appLevel?                      - subscriptions live on the CRM app; events are
+ *                                      routed by accountId instead of integration id
+ *     register?(accessToken, credentials, { url, secret }) -> { externalId, expiresAt? }
+ *     unregister?(accessToken, credentials, { externalId })
+ *     challenge?(body)               -> response for a subscription handshake, or null
+ *     verify({ headers, rawBody, body, url, method, secret }) -> boolean
+ *     parseEvents(body)              -> [{ action: created|updated|deleted, crmId, accountId? }]
+ *   }
+ *   deals?: {                        - CRMs whose deals/opportunities link back to
+ *                                      leads (see crm/deal.service.js)
+ *     maxLeadIds                     - lead ids per listForLeads call
+ *     listForLeads(accessToken, credentials, crmIds) -> [record]
+ *     map(record)                    -> { crmDealId, leadCrmIds, name, amount, currency?,
+ *                                         stage, status: open|won|lost, probability?,
+ *                                         closeDate, updatedAt }
+ *     getStages?(accessToken, credentials)
+ *                                    -> [{ value, label, status, probability? }]
+ *   }
+ *
+ * leadData is our lead in CRM-neutral form (see mapLeadToCrmFormat in
+ * sync.service.js): name, firstName, lastName, email, phone, company,
+ * jobTitle, source, description, message, customFields (keyed by CRM field,
+ * see fieldMapping.service.js).
+ */
+
+const REQUIRED_METHODS = [
+  "getCredentials",
+  "defaultCredentials",
+  "getAccountInfo",
+  "createLead",
+  "updateLead",
+  "findLeadByEmail",
+  "getLead",
+  "deleteLead",
+  "listLeads",
+  "mapLead",
+  "getLeadFields",
+  "getRecordUrl",
+];
+
+const providers = new Map();
+
+/**
+ * Register a CRM adapter
+ */
+export const registerCrmProvider = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(
+    (method) => typeof adapter[method] !== "function"
+  );
+
+  if (!adapter.id || !adapter.oauth || missing.length > 0) {
+    throw new Error(
+      `Invalid CRM provider ${adapter.id || "(no id)"}: missing ${missing.join(", ") || "id/oauth"}`
+    );
+  }
+
+  providers.set(adapter.id, adapter);
+};
+
+/**
+ * Get the adapter for a provider, or null if unsupported
+ */
+export const getCrmProvider = (provider) => providers.get(provider) || null;
+
+/**
+ * All registered adapters
+ */
+export const getCrmProviders = () => [...providers.values()];
+
+[
+  zohoProvider,
+  salesforceProvider,
+  hubspotProvider,
+  dynamicsProvider,
+  pipedriveProvider,
+  freshworksProvider,
+  mondayProvider,
+].forEach(registerCrmProvider);
@@ -0,0 +1,427 @@
+import jwt from "jsonwebtoken";
+import { makeApiRequest, splitName, activityNoteText } from "./request.js";
+
+/**
+ * monday.com CRM
+ * Leads are items on a board: the board in credentials.boardId, otherwise
+ * the account's "Leads" board. Board columns differ per account, so fields
+ * are matched by column type/title instead of fixed column ids.
+ * Tokens don't expire and there's no refresh token.
+ */
+
+const API_URL = "https://api.monday.com/v2";
+const API_VERSION = "2024-10";
+
+const ITEM_FIELDS = `
+  id
+  name
+  created_at
+  updated_at
+  board { id }
+  column_values { id type text column { title } }
+`;
+
+const NEXT_PAGE_QUERY = `query ($cursor: String!, $limit: Int!) {
+  next_items_page(cursor: $cursor, limit: $limit) { cursor items { ${ITEM_FIELDS} } }
+}`;
+
+// Lead field -> column matcher ({ title, type })
+const COLUMN_MATCHERS = {
+  email: (column) => column.type === "email",
+  phone: (column) => column.type === "phone",
+  company: (column) => /company|account|organi[sz]ation/i.test(column.title),
+  jobTitle: (column) => /job title|^title$|position|role/i.test(column.title),
+  status: (column) =>
+    column.type === "status" && /status|stage/i.test(column.title),
+};
+
+// Computed columns that can't be written
+const READ_ONLY_COLUMN_TYPES = [
+  "formula",
+  "mirror",
+  "auto_number",
+  "creation_log",
+  "last_updated",
+  "item_id",
+];
+
+// Board webhook events we subscribe to -> lead actions
+const WEBHOOK_EVENTS = {
+  create_item: "created",
+  change_column_value: "updated",
+  change_name: "updated",
+  item_archived: "deleted",
+  item_deleted: "deleted",
+};
+
+// Incoming event types (they differ from the subscription names)
+const WEBHOOK_ACTIONS = {
+  create_pulse: "created",
+  update_column_value: "updated",
+  update_name: "updated",
+  archive_pulse: "deleted",
+  delete_pulse: "deleted",
+};
+
+const mondayRequest = async (accessToken, query, variables = {}) => {
+  const data = await makeApiRequest(
+    API_URL,
+    {
+      method: "POST",
+      // monday.com takes the raw token, without "Bearer"
+      headers: { Authorization: accessToken, "API-Version": API_VERSION },
+      body: JSON.stringify({ query, variables }),
+    },
+    accessToken
+  );
+
+  // GraphQL errors come back with a 200
+  if (data.errors?.length || data.error_message) {
+    throw new Error(
+      `monday.com API error: ${data.errors?.[0]?.message || data.error_message}`
+    );
+  }
+  return data.data;
+};
+
+const getLeadsBoardId = async (accessToken, credentials) => {
+  if (credentials?.boardId) return credentials.boardId;
+
+  const { boards } = await mondayRequest(
+    accessToken,
+    `query { boards(limit: 100, state: active) { id name } }`
+  );
+  const board =
+    boards.find((item) => /^leads$/i.test(item.name)) ||
+    boards.find((item) => /leads/i.test(item.name));
+
+  if (!board) {
+    throw new Error(
+      "No leads board found in monday.com. Set boardId in the integration credentials."
+    );
+  }
+  return board.id;
+};
+
+const getBoardColumns = async (accessToken, boardId) => {
+  const { boards } = await mondayRequest(
+    accessToken,
+    `query ($boardId: [ID!]) { boards(ids: $boardId) { columns { id title type } } }`,
+    { boardId: [boardId] }
+  );
+  return boards[0]?.columns || [];
+};
+
+// Our lead -> column_values for the board's columns
+const toColumnValues = async (accessToken, boardId, leadData) => {
+  const columns = await getBoardColumns(accessToken, boardId);
+  const findColumn = (field) => columns.find(COLUMN_MATCHERS[field]);
+
+  const values = {};
+  const email = findColumn("email");
+  if (email && leadData.email) {
+    values[email.id] = { email: leadData.email, text: leadData.email };
+  }
+  const phone = findColumn("phone");
+  if (phone && leadData.phone) {
+    values[phone.id] = { phone: leadData.phone };
+  }
+  for (const field of ["company", "jobTitle"]) {
+    const column = findColumn(field);
+    if (column?.type === "text" && leadData[field]) {
+      values[column.id] = leadData[field];
+    }
+  }
+
+  return { ...values, ...leadData.customFields };
+};
+
+// Status and dropdown labels from a column's settings
+const getColumnOptions = (column) => {
+  let settings;
+  try {
+    settings = JSON.parse(column.settings_str || "{}");
+  } catch {
+    return undefined;
+  }
+
+  const labels = Array.isArray(settings.labels)
+    ? settings.labels.map((label) => label.name)
+    : Object.values(settings.labels || {});
+  return labels.length > 0
+    ? labels.map((label) => ({ value: label, label }))
+    : undefined;
+};
+
+const getFieldValue = (item, field) =>
+  item.column_values?.find((value) =>
+    COLUMN_MATCHERS[field]({
+      title: value.column?.title || "",
+      type: value.type,
+    })
+  )?.text || undefined;
+
+const mondayProvider = {
+  id: "monday",
+  label: "monday.com",
+
+  oauth: {
+    authUrl: "https://auth.monday.com/oauth2/authorize",
+    tokenUrl: "https://auth.monday.com/oauth2/token",
+    scope: "me:read boards:read boards:write updates:write",
+  },
+
+  getCredentials: () => ({
+    boardId: process.env.MONDAY_LEADS_BOARD_ID || null,
+  }),
+
+  defaultCredentials: () => mondayProvider.getCredentials(),
+
+  getAccountInfo: async (accessToken) => {
+    const { me } = await mondayRequest(
+      accessToken,
+      `query { me { id name email account { id name slug } } }`
+    );
+
+    return {
+      id: me.account?.id,
+      name: me.account?.name || me.name,
+      email: me.email,
+      domain: me.account?.slug ? `${me.account.slug}.monday.com` : undefined,
+    };
+  },
+
+  createLead: async (accessToken, credentials, leadData) => {
+    const boardId = await getLeadsBoardId(accessToken, credentials);
+    const columnValues = await toColumnValues(accessToken, boardId, leadData);
+    const itemName =
+      leadData.name ||
+      [leadData.firstName, leadData.lastName].filter(Boolean).join(" ") ||
+      leadData.email ||
+      "Unknown";
+
+    const { create_item: item } = await mondayRequest(
+      accessToken,
+      `mutation ($boardId: ID!, $name: String!, $values: JSON) {
+        create_item(board_id: $boardId, item_name: $name, column_values: $values) { id }
+      }`,
+      { boardId, name: itemName, values: JSON.stringify(columnValues) }
+    );
+
+    return { id: item?.id, raw: item };
+  },
+
+  updateLead: async (accessToken, credentials, crmId, leadData) => {
+    const boardId = await getLeadsBoardId(accessToken, credentials);
+    const columnValues = await toColumnValues(accessToken, boardId, leadData);
+
+    const name =
+      leadData.name ||
+      [leadData.firstName, leadData.lastName].filter(Boolean).join(" ");
+    if (name) columnValues.name = name;
+
+    return mondayRequest(
+      accessToken,
+      `mutation ($boardId: ID!, $itemId: ID!, $values: JSON!) {
+        change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $values) { id }
+      }`,
+      { boardId, itemId: crmId, values: JSON.stringify(columnValues) }
+    );
+  },
+
+  findLeadByEmail: async (accessToken, credentials, email) => {
+    const boardId = await getLeadsBoardId(accessToken, credentials);
+    const columns = await getBoardColumns(accessToken, boardId);
+    const emailColumn = columns.find(COLUMN_MATCHERS.email);
+    if (!emailColumn) return null;
+
+    const { items_page_by_column_values: itemsPage } = await mondayRequest(
+      accessToken,
+      `query ($boardId: ID!, $columnId: String!, $email: String!) {
+        items_page_by_column_values(board_id: $boardId, limit: 1, columns: [{ column_id: $columnId, column_values: [$email] }]) {
+          items { ${ITEM_FIELDS} }
+        }
+      }`,
+      { boardId, columnId: emailColumn.id, email }
+    );
+
+    return itemsPage?.items?.[0] || null;
+  },
+
+  getLead: async (accessToken, credentials, crmId) => {
+    const { items } = await mondayRequest(
+      accessToken,
+      `query ($itemId: [ID!]) { items(ids: $itemId) { ${ITEM_FIELDS} } }`,
+      { itemId: [crmId] }
+    );
+
+    return items?.[0] || null;
+  },
+
+  // Archived items can be restored from the board's archive
+  deleteLead: async (accessToken, credentials, crmId) => {
+    return mondayRequest(
+      accessToken,
+      `mutation ($itemId: ID!) { archive_item(item_id: $itemId) { id } }`,
+      { itemId: crmId }
+    );
+  },
+
+  // Activities are posted as updates on the item
+  logActivity: async (accessToken, credentials, crmId, activity) => {
+    const { create_update: update } = await mondayRequest(
+      accessToken,
+      `mutation ($itemId: ID!, $body: String!) {
+        create_update(item_id: $itemId, body: $body) { id }
+      }`,
+      { itemId: crmId, body: activityNoteText(activity) }
+    );
+
+    return { id: update?.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    credentials,
+    { page = 1, limit = 100, cursor }
+  ) => {
+    let itemsPage;
+
+    if (cursor) {
+      ({ next_items_page: itemsPage } = await mondayRequest(
+        accessToken,
+        NEXT_PAGE_QUERY,
+        { cursor, limit }
+      ));
+    } else {
+      const boardId = await getLeadsBoardId(accessToken, credentials);
+      const { boards } = await mondayRequest(
+        accessToken,
+        `query ($boardId: [ID!], $limit: Int!) {
+          boards(ids: $boardId) { items_count items_page(limit: $limit) { cursor items { ${ITEM_FIELDS} } } }
+        }`,
+        { boardId: [boardId], limit }
+      );
+      itemsPage = { ...boards[0]?.items_page, total: boards[0]?.items_count };
+
+      // Pages are cursor-only; walk forward for page-based callers
+      for (let current = 1; current < page && itemsPage.cursor; current++) {
+        const { next_items_page: next } = await mondayRequest(
+          accessToken,
+          NEXT_PAGE_QUERY,
+          { cursor: itemsPage.cursor, limit }
+        );
+        itemsPage = { ...next, total: itemsPage.total };
+      }
+    }
+
+    return {
+      records: itemsPage?.items || [],
+      total: itemsPage?.total,
+      nextCursor: itemsPage?.cursor || null,
+    };
+  },
+
+  mapLead: (item) => {
+    const { firstName, lastName } = splitName(item.name);
+
+    return {
+      crmId: item.id,
+      firstName,
+      lastName,
+      fullName: item.name,
+      email: getFieldValue(item, "email"),
+      phone: getFieldValue(item, "phone"),
+      company: getFieldValue(item, "company"),
+      jobTitle: getFieldValue(item, "jobTitle"),
+      status: getFieldValue(item, "status"),
+      createdAt: item.created_at,
+      updatedAt: item.updated_at,
+    };
+  },
+
+  // Mapped fields are column ids
+  readField: (item, columnId) =>
+    item.column_values?.find((value) => value.id === columnId)?.text ||
+    undefined,
+
+  getLeadFields: async (accessToken, credentials) => {
+    const boardId = await getLeadsBoardId(accessToken, credentials);
+    const { boards } = await mondayRequest(
+      accessToken,
+      `query ($boardId: [ID!]) { boards(ids: $boardId) { columns { id title type settings_str } } }`,
+      { boardId: [boardId] }
+    );
+
+    return (boards[0]?.columns || []).map((column) => ({
+      name: column.id,
+      label: column.title,
+      type: column.type,
+      required: false,
+      readOnly: READ_ONLY_COLUMN_TYPES.includes(column.type),
+      options: getColumnOptions(column),
+    }));
+  },
+
+  getRecordUrl: (credentials, crmId, accountInfo, record) => {
+    const boardId = record?.board?.id || credentials.boardId;
+    if (!accountInfo?.accountDomain || !boardId) return null;
+    return `https://${accountInfo.accountDomain}/boards/${boardId}/pulses/${crmId}`;
+  },
+
+  // One board webhook per event; requests carry a JWT signed with the app's
+  // signing secret
+  webhooks: {
+    register: async (accessToken, credentials, { url }) => {
+      const boardId = await getLeadsBoardId(accessToken, credentials);
+      const ids = [];
+
+      for (const event of Object.keys(WEBHOOK_EVENTS)) {
+        const { create_webhook: webhook } = await mondayRequest(
+          accessToken,
+          `mutation ($boardId: ID!, $url: String!, $event: WebhookEventType!) {
+            create_webhook(board_id: $boardId, url: $url, event: $event) { id }
+          }`,
+          { boardId, url, event }
+        );
+        ids.push(webhook.id);
+      }
+
+      return { externalId: ids.join(",") };
+    },
+
+    unregister: async (accessToken, credentials, { externalId }) => {
+      for (const id of externalId.split(",")) {
+        await mondayRequest(
+          accessToken,
+          `mutation ($id: ID!) { delete_webhook(id: $id) { id } }`,
+          { id }
+        );
+      }
+    },
+
+    // monday.com confirms a new webhook URL by expecting its challenge back
+    challenge: (body) =>
+      body?.challenge ? { challenge: body.challenge } : null,
+
+    verify: ({ headers }) => {
+      const signingSecret = process.env.MONDAY_SIGNING_SECRET;
+      if (!signingSecret || !headers.authorization) return false;
+
+      try {
+        jwt.verify(headers.authorization, signingSecret);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    parseEvents: (body) => {
+      const action = WEBHOOK_ACTIONS[body?.event?.type];
+      const crmId = body?.event?.pulseId;
+      return action && crmId ? [{ action, crmId: String(crmId) }] : [];
+    },
+  },
+};
+
+export default mondayProvider;
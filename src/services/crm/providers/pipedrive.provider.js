@@ -0,0 +1,395 @@
+import {
+  makeApiRequest,
+  compact,
+  safeEqual,
+  activityNoteText,
+} from "./request.js";
+
+/**
+ * Pipedrive
+ * A Pipedrive lead is a title linked to a person (email/phone/job title) and
+ * optionally an organization, so pushes create or reuse those first.
+ */
+
+const v1 = (apiDomain) => `${apiDomain}/api/v1`;
+const v2 = (apiDomain) => `${apiDomain}/api/v2`;
+
+const WEBHOOK_USER = "jazzaam";
+
+const primaryValue = (values) =>
+  (values || []).find((entry) => entry.primary)?.value || values?.[0]?.value;
+
+// Our lead -> Pipedrive person
+const toPersonFields = (leadData) =>
+  compact({
+    name:
+      leadData.name ||
+      [leadData.firstName, leadData.lastName].filter(Boolean).join(" "),
+    email: leadData.email
+      ? [{ value: leadData.email, primary: true, label: "work" }]
+      : undefined,
+    phone: leadData.phone
+      ? [{ value: leadData.phone, primary: true, label: "work" }]
+      : undefined,
+    job_title: leadData.jobTitle,
+  });
+
+const findOrCreateOrganization = async (accessToken, apiDomain, name) => {
+  const params = new URLSearchParams({
+    term: name,
+    fields: "name",
+    exact_match: "true",
+    limit: "1",
+  });
+  const search = await makeApiRequest(
+    `${v1(apiDomain)}/organizations/search?${params}`,
+    {},
+    accessToken
+  );
+  const existingId = search.data?.items?.[0]?.item?.id;
+  if (existingId) return existingId;
+
+  const created = await makeApiRequest(
+    `${v1(apiDomain)}/organizations`,
+    { method: "POST", body: JSON.stringify({ name }) },
+    accessToken
+  );
+  return created.data?.id;
+};
+
+// Fetch persons/organizations for a page of leads in one call each
+const fetchByIds = async (accessToken, apiDomain, entity, ids) => {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const params = new URLSearchParams({
+    ids: uniqueIds.join(","),
+    limit: String(uniqueIds.length),
+  });
+  const data = await makeApiRequest(
+    `${v2(apiDomain)}/${entity}?${params}`,
+    {},
+    accessToken
+  );
+  return new Map((data.data || []).map((item) => [item.id, item]));
+};
+
+// Attach the person and organization mapLead reads to a list of leads
+const withPersonAndOrganization = async (accessToken, apiDomain, leads) => {
+  const [persons, organizations] = await Promise.all([
+    fetchByIds(
+      accessToken,
+      apiDomain,
+      "persons",
+      leads.map((lead) => lead.person_id)
+    ),
+    fetchByIds(
+      accessToken,
+      apiDomain,
+      "organizations",
+      leads.map((lead) => lead.organization_id)
+    ),
+  ]);
+
+  return leads.map((lead) => ({
+    ...lead,
+    person: persons.get(lead.person_id) || null,
+    organization: organizations.get(lead.organization_id) || null,
+  }));
+};
+
+// Webhook events (v2 payloads) -> lead actions
+const WEBHOOK_ACTIONS = {
+  create: "created",
+  change: "updated",
+  delete: "deleted",
+};
+
+const pipedriveProvider = {
+  id: "pipedrive",
+  label: "Pipedrive",
+
+  oauth: {
+    authUrl: "https://oauth.pipedrive.com/oauth/authorize",
+    tokenUrl: "https://oauth.pipedrive.com/oauth/token",
+    revokeUrl: "https://oauth.pipedrive.com/oauth/revoke",
+    // Scopes are configured on the Pipedrive app, not requested per flow
+    scope: null,
+    clientAuth: "basic",
+  },
+
+  getCredentials: (tokenData) => ({ apiDomain: tokenData.raw.api_domain }),
+
+  defaultCredentials: () => ({ apiDomain: "https://api.pipedrive.com" }),
+
+  getAccountInfo: async (accessToken, { apiDomain }) => {
+    const { data } = await makeApiRequest(
+      `${v1(apiDomain)}/users/me`,
+      {},
+      accessToken
+    );
+
+    return {
+      id: data?.id,
+      name: data?.company_name || data?.name,
+      email: data?.email,
+      domain: data?.company_domain,
+    };
+  },
+
+  createLead: async (accessToken, { apiDomain }, leadData) => {
+    const organizationId = leadData.company
+      ? await findOrCreateOrganization(accessToken, apiDomain, leadData.company)
+      : undefined;
+
+    const person = await makeApiRequest(
+      `${v1(apiDomain)}/persons`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          ...toPersonFields(leadData),
+          name: toPersonFields(leadData).name || leadData.email || "Unknown",
+          ...(organizationId && { org_id: organizationId }),
+        }),
+      },
+      accessToken
+    );
+
+    const lead = await makeApiRequest(
+      `${v1(apiDomain)}/leads`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          title: [person.data?.name, leadData.company]
+            .filter(Boolean)
+            .join(" - "),
+          person_id: person.data?.id,
+          ...(organizationId && { organization_id: organizationId }),
+          ...leadData.customFields,
+        }),
+      },
+      accessToken
+    );
+
+    return { id: lead.data?.id, raw: lead.data };
+  },
+
+  updateLead: async (accessToken, { apiDomain }, crmId, leadData) => {
+    const { data: lead } = await makeApiRequest(
+      `${v1(apiDomain)}/leads/${crmId}`,
+      {},
+      accessToken
+    );
+
+    if (lead?.person_id) {
+      await makeApiRequest(
+        `${v1(apiDomain)}/persons/${lead.person_id}`,
+        { method: "PUT", body: JSON.stringify(toPersonFields(leadData)) },
+        accessToken
+      );
+    }
+
+    if (leadData.customFields && Object.keys(leadData.customFields).length) {
+      return makeApiRequest(
+        `${v1(apiDomain)}/leads/${crmId}`,
+        { method: "PATCH", body: JSON.stringify(leadData.customFields) },
+        accessToken
+      );
+    }
+    return { data: lead };
+  },
+
+  findLeadByEmail: async (accessToken, { apiDomain }, email) => {
+    const params = new URLSearchParams({
+      term: email,
+      fields: "email",
+      exact_match: "true",
+      limit: "1",
+    });
+    const search = await makeApiRequest(
+      `${v2(apiDomain)}/persons/search?${params}`,
+      {},
+      accessToken
+    );
+    const personId = search.data?.items?.[0]?.item?.id;
+    if (!personId) return null;
+
+    const leads = await makeApiRequest(
+      `${v1(apiDomain)}/leads?${new URLSearchParams({ person_id: String(personId), limit: "1" })}`,
+      {},
+      accessToken
+    );
+    const lead = leads.data?.[0];
+    if (!lead) return null;
+
+    const [record] = await withPersonAndOrganization(accessToken, apiDomain, [
+      lead,
+    ]);
+    return record;
+  },
+
+  getLead: async (accessToken, { apiDomain }, crmId) => {
+    const { data: lead } = await makeApiRequest(
+      `${v1(apiDomain)}/leads/${crmId}`,
+      {},
+      accessToken
+    );
+    if (!lead) return null;
+
+    const [record] = await withPersonAndOrganization(accessToken, apiDomain, [
+      lead,
+    ]);
+    return record;
+  },
+
+  // Archive rather than delete; the person and organization stay
+  deleteLead: async (accessToken, { apiDomain }, crmId) => {
+    return makeApiRequest(
+      `${v1(apiDomain)}/leads/${crmId}`,
+      { method: "PATCH", body: JSON.stringify({ is_archived: true }) },
+      accessToken
+    );
+  },
+
+  // Meetings become done activities, everything else a note on the lead
+  logActivity: async (accessToken, { apiDomain }, crmId, activity) => {
+    const occurredAt = new Date(activity.occurredAt).toISOString();
+    const [path, body] =
+      activity.type === "meeting"
+        ? [
+            "activities",
+            compact({
+              subject: activity.subject,
+              type: "meeting",
+              done: 1,
+              due_date: occurredAt.slice(0, 10),
+              due_time: occurredAt.slice(11, 16),
+              note: activity.body,
+              lead_id: crmId,
+            }),
+          ]
+        : ["notes", { content: activityNoteText(activity), lead_id: crmId }];
+
+    const { data } = await makeApiRequest(
+      `${v1(apiDomain)}/${path}`,
+      { method: "POST", body: JSON.stringify(body) },
+      accessToken
+    );
+
+    return { id: data?.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    { apiDomain },
+    { page = 1, limit = 100, cursor }
+  ) => {
+    const start = cursor ? Number(cursor) : (page - 1) * limit;
+    const params = new URLSearchParams({
+      start: String(start),
+      limit: String(limit),
+      sort: "update_time DESC",
+    });
+    const data = await makeApiRequest(
+      `${v1(apiDomain)}/leads?${params}`,
+      {},
+      accessToken
+    );
+
+    return {
+      records: await withPersonAndOrganization(
+        accessToken,
+        apiDomain,
+        data.data || []
+      ),
+      total: null,
+      nextCursor: data.additional_data?.pagination?.more_items_in_collection
+        ? String(start + limit)
+        : null,
+    };
+  },
+
+  mapLead: (lead) => ({
+    crmId: lead.id,
+    firstName: lead.person?.first_name,
+    lastName: lead.person?.last_name,
+    fullName: lead.person?.name || lead.title,
+    email: primaryValue(lead.person?.emails),
+    phone: primaryValue(lead.person?.phones),
+    company: lead.organization?.name,
+    jobTitle: lead.person?.job_title,
+    status: lead.is_archived ? "archived" : null,
+    leadSource: lead.source_name,
+    createdAt: lead.add_time,
+    updatedAt: lead.update_time,
+  }),
+
+  // Leads share the deal custom fields (keyed by hash on the lead record)
+  getLeadFields: async (accessToken, { apiDomain }) => {
+    const { data } = await makeApiRequest(
+      `${v1(apiDomain)}/dealFields?limit=500`,
+      {},
+      accessToken
+    );
+
+    return (data || [])
+      .filter((field) => field.edit_flag)
+      .map((field) => ({
+        name: field.key,
+        label: field.name,
+        type: field.field_type,
+        required: Boolean(field.mandatory_flag),
+        readOnly: false,
+        options: field.options?.map((option) => ({
+          value: String(option.id),
+          label: option.label,
+        })),
+      }));
+  },
+
+  getRecordUrl: ({ apiDomain }, crmId) => `${apiDomain}/leads/inbox/${crmId}`,
+
+  // Webhooks authenticate with HTTP Basic auth, the password being our secret
+  webhooks: {
+    register: async (accessToken, { apiDomain }, { url, secret }) => {
+      const { data } = await makeApiRequest(
+        `${v1(apiDomain)}/webhooks`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            subscription_url: url,
+            event_action: "*",
+            event_object: "lead",
+            version: "2.0",
+            http_auth_user: WEBHOOK_USER,
+            http_auth_password: secret,
+          }),
+        },
+        accessToken
+      );
+
+      return { externalId: String(data?.id) };
+    },
+
+    unregister: async (accessToken, { apiDomain }, { externalId }) =>
+      makeApiRequest(
+        `${v1(apiDomain)}/webhooks/${externalId}`,
+        { method: "DELETE" },
+        accessToken
+      ),
+
+    verify: ({ headers, secret }) =>
+      safeEqual(
+        headers.authorization,
+        `Basic ${Buffer.from(`${WEBHOOK_USER}:${secret}`).toString("base64")}`
+      ),
+
+    parseEvents: (body) => {
+      const action = WEBHOOK_ACTIONS[body?.meta?.action];
+      const crmId = body?.meta?.entity_id;
+      return action && crmId ? [{ action, crmId: String(crmId) }] : [];
+    },
+  },
+};
+
+export default pipedriveProvider;
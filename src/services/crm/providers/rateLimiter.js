@@ -0,0 +1,170 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * CRM API rate limiting
+ * One limiter per integration, shared by every request made for it: a
+ * sliding-window request budget (the integration's metadata.rateLimit or
+ * the adapter's rateLimit), plus pauses taken from Retry-After and the
+ * providers' quota headers. api.service.js runs each adapter call inside
+ * its integration's limiter so makeApiRequest can find it without the
+ * adapters passing it around.
+ */
+
+// Longest a request waits for quota before failing instead
+const MAX_WAIT_MS = 60 * 1000;
+
+// Pause when a quota header says we're out but not for how long
+const DEFAULT_PAUSE_MS = 10 * 1000;
+
+// Salesforce's API quota is per rolling 24 hours
+const DAILY_QUOTA_PAUSE_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry-After / quota reset header -> ms from now, or null
+ * Accepts seconds, epoch seconds, epoch ms or an HTTP date.
+ */
+export const parseResetDelay = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    if (number > 1e12) return Math.max(number - now, 0);
+    if (number > 1e9) return Math.max(number * 1000 - now, 0);
+    return Math.max(number * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+};
+
+/**
+ * Error for a request that would have to wait too long for quota, shaped
+ * like makeApiRequest's errors
+ */
+export const rateLimitError = (waitMs) => {
+  const seconds = Math.ceil(waitMs / 1000);
+  const error = new Error(
+    `API request failed (429): CRM rate limit reached, retry in ${seconds}s`
+  );
+  error.status = 429;
+  error.retryAfter = seconds;
+  return error;
+};
+
+class CrmRateLimiter {
+  constructor(limits) {
+    this.setLimits(limits);
+    this.sentAt = [];
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} limits - { requests, window } (window in seconds)
+   */
+  setLimits({ requests, window } = {}) {
+    this.requests = requests > 0 ? requests : null;
+    this.windowMs = window > 0 ? window * 1000 : null;
+  }
+
+  /**
+   * Wait for a request slot; callers are served in order
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.waitForSlot());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      const now = Date.now();
+      let wait = Math.max(this.pausedUntil - now, 0);
+
+      if (this.requests && this.windowMs) {
+        this.sentAt = this.sentAt.filter((at) => at > now - this.windowMs);
+        if (this.sentAt.length >= this.requests) {
+          wait = Math.max(wait, this.sentAt[0] + this.windowMs - now);
+        }
+      }
+
+      if (wait <= 0) {
+        this.sentAt.push(now);
+        return;
+      }
+      if (wait > MAX_WAIT_MS) {
+        throw rateLimitError(wait);
+      }
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Hold every request for this integration for ms
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Pause when a response says the quota is used up
+   */
+  observe(headers) {
+    // Zoho, Pipedrive, Freshworks
+    const remaining = headers.get("x-ratelimit-remaining");
+    if (remaining !== null && Number(remaining) <= 0) {
+      this.pause(
+        parseResetDelay(headers.get("x-ratelimit-reset")) ?? DEFAULT_PAUSE_MS
+      );
+    }
+
+    // HubSpot: requests left in the current interval
+    const hubspotRemaining = headers.get("x-hubspot-ratelimit-remaining");
+    if (hubspotRemaining !== null && Number(hubspotRemaining) <= 0) {
+      this.pause(
+        Number(headers.get("x-hubspot-ratelimit-interval-milliseconds")) ||
+          DEFAULT_PAUSE_MS
+      );
+    }
+
+    // Salesforce: "api-usage=14850/15000"
+    const usage = headers
+      .get("sforce-limit-info")
+      ?.match(/api-usage=(\d+)\/(\d+)/);
+    if (usage && Number(usage[1]) >= Number(usage[2])) {
+      this.pause(DAILY_QUOTA_PAUSE_MS);
+    }
+  }
+}
+
+const limiters = new Map();
+const activeLimiter = new AsyncLocalStorage();
+
+/**
+ * The limiter for a key (an integration id), created on first use
+ * @param {Object} limits - { requests, window }
+ */
+export const getRateLimiter = (key, limits) => {
+  let limiter = limiters.get(key);
+
+  if (limiter) {
+    limiter.setLimits(limits);
+  } else {
+    limiter = new CrmRateLimiter(limits);
+    limiters.set(key, limiter);
+  }
+  return limiter;
+};
+
+/**
+ * Run fn with limiter applied to every CRM request it makes
+ */
+export const runWithRateLimiter = (limiter, fn) =>
+  activeLimiter.run(limiter, fn);
+
+/**
+ * The limiter of the current adapter call, if any
+ */
+export const getActiveRateLimiter = () => activeLimiter.getStore() || null;
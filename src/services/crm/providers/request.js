@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { getActiveRateLimiter, parseResetDelay } from "./rateLimiter.js";
+
+// Retries for 429s, 5xx responses and network errors
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Safe to resend after a 5xx or a dropped connection
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "PATCH", "DELETE"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) =>
+  Math.random() *
+  Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+
+/**
+ * Make authenticated API request to CRM
+ * Bearer auth by default; pass an Authorization header to override it.
+ * Empty responses (e.g. 204 No Content) resolve to {}.
+ * Waits on the integration's rate limiter (see rateLimiter.js) and retries
+ * 429s, and 5xx/network errors of idempotent requests, with backoff
+ * (Retry-After when the CRM sends it). Errors carry status and retryAfter.
+ */
+export const makeApiRequest = async (url, options = {}, accessToken) => {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    "Content-Type": "application/json",
+    ...options.headers,
+  };
+  const idempotent = IDEMPOTENT_METHODS.includes(
+    (options.method || "GET").toUpperCase()
+  );
+  const limiter = getActiveRateLimiter();
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      await limiter?.acquire();
+
+      let response;
+      try {
+        response = await fetch(url, {
+          ...options,
+          headers,
+        });
+      } catch (error) {
+        if (!idempotent || attempt >= MAX_RETRIES) throw error;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      limiter?.observe(response.headers);
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        const retryAfter = parseResetDelay(response.headers.get("retry-after"));
+        // A Retry-After means the request wasn't processed
+        const retryable =
+          response.status === 429 ||
+          (response.status >= 500 && (idempotent || retryAfter !== null));
+
+        if (retryable && attempt < MAX_RETRIES) {
+          const delay = retryAfter ?? backoffDelay(attempt);
+
+          if (delay <= MAX_RETRY_DELAY_MS) {
+            limiter?.pause(delay);
+            await sleep(delay);
+            continue;
+          }
+        }
+
+        const error = new Error(
+          `API request failed (${response.status}): ${errorData}`
+        );
+        error.status = response.status;
+        if (retryAfter !== null)
+          error.retryAfter = Math.ceil(retryAfter / 1000);
+        throw error;
+      }
+
+      const body = await response.text();
+      return body ? JSON.parse(body) : {};
+    }
+  } catch (error) {
+    console.error("API request error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Error for one record of a bulk request, shaped like makeApiRequest's so
+ * isCrmNotFoundError works on it
+ */
+export const bulkItemError = (status, message) => {
+  const error = new Error(`API request failed (${status}): ${message}`);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Split a full name into first and last name
+ */
+export const splitName = (fullName = "") => {
+  const [firstName = "", ...rest] = fullName.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(" ") };
+};
+
+/**
+ * Drop undefined/null/"" values so updates don't blank CRM fields
+ */
+export const compact = (data) =>
+  Object.fromEntries(
+    Object.entries(data).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+
+/**
+ * Constant-time string comparison for webhook signatures and tokens
+ */
+export const safeEqual = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+/**
+ * Join list values (multi-select mappings) for CRMs that take
+ * separator-delimited strings instead of arrays
+ */
+export const joinListValues = (fields = {}, separator = ";") =>
+  Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [
+      field,
+      Array.isArray(value) ? value.join(separator) : value,
+    ])
+  );
+
+/**
+ * Text of an activity logged as a plain note (CRMs without email/meeting
+ * activities): subject, body and when it happened
+ */
+export const activityNoteText = (activity) =>
+  [activity.subject, activity.body, new Date(activity.occurredAt).toUTCString()]
+    .filter(Boolean)
+    .join("\n\n");
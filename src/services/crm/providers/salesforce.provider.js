@@ -0,0 +1,379 @@
+import {
+  makeApiRequest,
+  compact,
+  joinListValues,
+  bulkItemError,
+} from "./request.js";
+
+const base = (instanceUrl) => `${instanceUrl}/services/data/v58.0`;
+
+const LEAD_FIELDS =
+  "Id, FirstName, LastName, Email, Phone, MobilePhone, Company, Title, Status, LeadSource, Description, CreatedDate, LastModifiedDate";
+
+// Standard fields plus mapped custom fields
+const withFields = (fields = []) =>
+  [...new Set([...LEAD_FIELDS.split(", "), ...fields])].join(", ");
+
+const escapeSoql = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+
+// Our lead -> Salesforce Lead
+const toCrmFields = (leadData) => ({
+  LastName: leadData.lastName || leadData.name,
+  FirstName: leadData.firstName,
+  Email: leadData.email,
+  Phone: leadData.phone,
+  Company: leadData.company,
+  Title: leadData.jobTitle,
+  LeadSource: leadData.source,
+  Description: leadData.description || leadData.message,
+  // Multi-select picklists take ;-separated values
+  ...joinListValues(leadData.customFields),
+});
+
+// Our lead -> new Salesforce Lead (LastName and Company are required)
+const toNewCrmFields = (leadData) => ({
+  ...toCrmFields(leadData),
+  LastName: leadData.lastName || leadData.name || "Unknown",
+  Company: leadData.company || "Unknown",
+  LeadSource: leadData.source || "Web",
+});
+
+// Opportunity fields, read through the converted Lead
+const OPPORTUNITY_FIELDS = [
+  "Id",
+  "Name",
+  "Amount",
+  "StageName",
+  "Probability",
+  "CloseDate",
+  "IsClosed",
+  "IsWon",
+  "LastModifiedDate",
+];
+
+// Errors meaning the record id doesn't exist (anymore)
+const NOT_FOUND_ERRORS = ["ENTITY_IS_DELETED", "INVALID_ID_FIELD", "NOT_FOUND"];
+
+// One record's outcome in an sObject Collections call
+const toBulkResult = (item) => {
+  if (item.success) return { id: item.id, raw: item };
+
+  const errors = item.errors || [];
+  return {
+    error: bulkItemError(
+      NOT_FOUND_ERRORS.includes(errors[0]?.statusCode) ? 404 : 400,
+      errors.map((error) => `${error.statusCode}: ${error.message}`).join("; ")
+    ),
+  };
+};
+
+const salesforceProvider = {
+  id: "salesforce",
+  label: "Salesforce",
+
+  oauth: {
+    authUrl: "https://login.salesforce.com/services/oauth2/authorize",
+    tokenUrl: "https://login.salesforce.com/services/oauth2/token",
+    revokeUrl: "https://login.salesforce.com/services/oauth2/revoke",
+    scope: "api refresh_token offline_access",
+    requiresPKCE: true,
+  },
+
+  getCredentials: (tokenData) => ({
+    instanceUrl: tokenData.raw.instance_url,
+    id: tokenData.raw.id,
+  }),
+
+  defaultCredentials: () => ({ instanceUrl: "https://login.salesforce.com" }),
+
+  getAccountInfo: async (accessToken, { instanceUrl }) => {
+    const data = await makeApiRequest(
+      `${instanceUrl}/services/oauth2/userinfo`,
+      {},
+      accessToken
+    );
+
+    return {
+      id: data.user_id,
+      name: data.name,
+      email: data.email,
+    };
+  },
+
+  createLead: async (accessToken, { instanceUrl }, leadData) => {
+    const data = await makeApiRequest(
+      `${base(instanceUrl)}/sobjects/Lead`,
+      {
+        method: "POST",
+        body: JSON.stringify(toNewCrmFields(leadData)),
+      },
+      accessToken
+    );
+
+    return { id: data.id, raw: data };
+  },
+
+  updateLead: async (accessToken, { instanceUrl }, crmId, leadData) => {
+    return makeApiRequest(
+      `${base(instanceUrl)}/sobjects/Lead/${crmId}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify(compact(toCrmFields(leadData))),
+      },
+      accessToken
+    );
+  },
+
+  // sObject Collections, up to 200 leads per call; results are in input order
+  bulk: {
+    maxBatchSize: 200,
+
+    createLeads: async (accessToken, { instanceUrl }, leadDataList) => {
+      const data = await makeApiRequest(
+        `${base(instanceUrl)}/composite/sobjects`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            allOrNone: false,
+            records: leadDataList.map((leadData) => ({
+              attributes: { type: "Lead" },
+              ...toNewCrmFields(leadData),
+            })),
+          }),
+        },
+        accessToken
+      );
+
+      return (Array.isArray(data) ? data : []).map(toBulkResult);
+    },
+
+    updateLeads: async (accessToken, { instanceUrl }, updates) => {
+      const data = await makeApiRequest(
+        `${base(instanceUrl)}/composite/sobjects`,
+        {
+          method: "PATCH",
+          body: JSON.stringify({
+            allOrNone: false,
+            records: updates.map(({ crmId, leadData }) => ({
+              attributes: { type: "Lead" },
+              ...compact(toCrmFields(leadData)),
+              Id: crmId,
+            })),
+          }),
+        },
+        accessToken
+      );
+
+      return (Array.isArray(data) ? data : []).map(toBulkResult);
+    },
+  },
+
+  findLeadByEmail: async (accessToken, { instanceUrl }, email) => {
+    const soql = `SELECT ${LEAD_FIELDS} FROM Lead WHERE Email = '${escapeSoql(email)}' ORDER BY LastModifiedDate DESC LIMIT 1`;
+    const params = new URLSearchParams({ q: soql });
+    const data = await makeApiRequest(
+      `${base(instanceUrl)}/query?${params}`,
+      {},
+      accessToken
+    );
+
+    return data.records?.[0] || null;
+  },
+
+  getLead: async (accessToken, { instanceUrl }, crmId, { fields } = {}) => {
+    const params = new URLSearchParams({
+      fields: withFields(fields).replace(/\s/g, ""),
+    });
+    return makeApiRequest(
+      `${base(instanceUrl)}/sobjects/Lead/${crmId}?${params}`,
+      {},
+      accessToken
+    );
+  },
+
+  // Deleted leads go to the Salesforce recycle bin
+  deleteLead: async (accessToken, { instanceUrl }, crmId) => {
+    return makeApiRequest(
+      `${base(instanceUrl)}/sobjects/Lead/${crmId}`,
+      { method: "DELETE" },
+      accessToken
+    );
+  },
+
+  // Meetings become Events, everything else a completed Task on the lead
+  logActivity: async (accessToken, { instanceUrl }, crmId, activity) => {
+    const occurredAt = new Date(activity.occurredAt);
+    const [object, record] =
+      activity.type === "meeting"
+        ? [
+            "Event",
+            {
+              StartDateTime: occurredAt.toISOString(),
+              DurationInMinutes: activity.durationMinutes || 30,
+            },
+          ]
+        : [
+            "Task",
+            {
+              Status: "Completed",
+              ActivityDate: occurredAt.toISOString().slice(0, 10),
+              TaskSubtype: activity.type === "email" ? "Email" : "Task",
+            },
+          ];
+
+    const data = await makeApiRequest(
+      `${base(instanceUrl)}/sobjects/${object}`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          ...record,
+          WhoId: crmId,
+          Subject: activity.subject,
+          Description: activity.body,
+        }),
+      },
+      accessToken
+    );
+
+    return { id: data.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    { instanceUrl },
+    { page = 1, limit = 200, cursor, fields }
+  ) => {
+    const offset = cursor ? Number(cursor) : (page - 1) * limit;
+    const soql = `SELECT ${withFields(fields)} FROM Lead ORDER BY CreatedDate DESC LIMIT ${limit} OFFSET ${offset}`;
+
+    const params = new URLSearchParams({ q: soql });
+    const data = await makeApiRequest(
+      `${base(instanceUrl)}/query?${params}`,
+      {},
+      accessToken
+    );
+    const records = data.records || [];
+
+    return {
+      records,
+      total: data.totalSize,
+      // SOQL OFFSET is capped at 2000
+      nextCursor:
+        records.length === limit && offset + limit <= 2000
+          ? String(offset + limit)
+          : null,
+    };
+  },
+
+  mapLead: (lead) => ({
+    crmId: lead.Id,
+    firstName: lead.FirstName,
+    lastName: lead.LastName,
+    email: lead.Email,
+    phone: lead.Phone || lead.MobilePhone,
+    company: lead.Company,
+    jobTitle: lead.Title,
+    status: lead.Status,
+    leadSource: lead.LeadSource,
+    notes: lead.Description,
+    createdAt: lead.CreatedDate,
+    updatedAt: lead.LastModifiedDate,
+  }),
+
+  getLeadFields: async (accessToken, { instanceUrl }) => {
+    const data = await makeApiRequest(
+      `${base(instanceUrl)}/sobjects/Lead/describe`,
+      {},
+      accessToken
+    );
+
+    return (data.fields || []).map((field) => ({
+      name: field.name,
+      label: field.label,
+      type: field.type,
+      required: !field.nillable && field.createable && !field.defaultedOnCreate,
+      readOnly: !field.updateable,
+      options: field.picklistValues?.length
+        ? field.picklistValues
+            .filter((option) => option.active)
+            .map((option) => ({ value: option.value, label: option.label }))
+        : undefined,
+    }));
+  },
+
+  getRecordUrl: ({ instanceUrl }, crmId) => `${instanceUrl}/${crmId}`,
+
+  // A Lead links to the Opportunity it was converted into
+  deals: {
+    maxLeadIds: 100,
+
+    listForLeads: async (accessToken, { instanceUrl }, crmIds) => {
+      const ids = crmIds.map((id) => `'${escapeSoql(id)}'`).join(", ");
+      const fields = OPPORTUNITY_FIELDS.map(
+        (field) => `ConvertedOpportunity.${field}`
+      ).join(", ");
+      const soql = `SELECT Id, ${fields} FROM Lead WHERE Id IN (${ids}) AND ConvertedOpportunityId != null`;
+
+      const params = new URLSearchParams({ q: soql });
+      const data = await makeApiRequest(
+        `${base(instanceUrl)}/query?${params}`,
+        {},
+        accessToken
+      );
+
+      // Several leads can be converted into the same opportunity
+      const opportunities = new Map();
+      for (const lead of data.records || []) {
+        const opportunity = lead.ConvertedOpportunity;
+        const existing = opportunities.get(opportunity.Id);
+
+        if (existing) {
+          existing.leadIds.push(lead.Id);
+        } else {
+          opportunities.set(opportunity.Id, {
+            ...opportunity,
+            leadIds: [lead.Id],
+          });
+        }
+      }
+      return [...opportunities.values()];
+    },
+
+    map: (opportunity) => ({
+      crmDealId: opportunity.Id,
+      leadCrmIds: opportunity.leadIds,
+      name: opportunity.Name,
+      amount: opportunity.Amount,
+      stage: opportunity.StageName,
+      status: opportunity.IsWon
+        ? "won"
+        : opportunity.IsClosed
+          ? "lost"
+          : "open",
+      probability: opportunity.Probability,
+      closeDate: opportunity.CloseDate,
+      updatedAt: opportunity.LastModifiedDate,
+    }),
+
+    getStages: async (accessToken, { instanceUrl }) => {
+      const soql =
+        "SELECT ApiName, MasterLabel, IsClosed, IsWon, DefaultProbability FROM OpportunityStage WHERE IsActive = true ORDER BY SortOrder";
+      const params = new URLSearchParams({ q: soql });
+      const data = await makeApiRequest(
+        `${base(instanceUrl)}/query?${params}`,
+        {},
+        accessToken
+      );
+
+      return (data.records || []).map((stage) => ({
+        value: stage.ApiName,
+        label: stage.MasterLabel,
+        status: stage.IsWon ? "won" : stage.IsClosed ? "lost" : "open",
+        probability: stage.DefaultProbability,
+      }));
+    },
+  },
+};
+
+export default salesforceProvider;
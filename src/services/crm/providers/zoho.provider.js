@@ -0,0 +1,402 @@
+import {
+  makeApiRequest,
+  compact,
+  safeEqual,
+  bulkItemError,
+  activityNoteText,
+} from "./request.js";
+
+const base = (apiDomain) => `${apiDomain}/crm/v3`;
+
+const LEAD_FIELDS =
+  "First_Name,Last_Name,Email,Phone,Mobile,Company,Title,Designation,Lead_Status,Lead_Source,Description,Created_Time,Modified_Time";
+
+const DEAL_FIELDS =
+  "Deal_Name,Amount,Currency,Stage,Probability,Closing_Date,Modified_Time";
+
+// Zoho's standard closing stages (custom ones are mapped by forecast type
+// in getStages)
+const dealStatus = (stage = "") =>
+  /closed.?won/i.test(stage)
+    ? "won"
+    : /closed.?lost|lost/i.test(stage)
+      ? "lost"
+      : "open";
+
+// Notification channels expire after at most a week
+const WATCH_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const WEBHOOK_ACTIONS = {
+  insert: "created",
+  update: "updated",
+  delete: "deleted",
+};
+
+// Standard fields plus mapped custom fields
+const withFields = (fields = []) =>
+  [...new Set([...LEAD_FIELDS.split(","), ...fields])].join(",");
+
+// Our lead -> Zoho Lead
+const toCrmFields = (leadData) => ({
+  Last_Name: leadData.lastName || leadData.name,
+  First_Name: leadData.firstName,
+  Email: leadData.email,
+  Phone: leadData.phone,
+  Company: leadData.company,
+  Title: leadData.jobTitle,
+  Lead_Source: leadData.source,
+  Description: leadData.description || leadData.message,
+  ...leadData.customFields,
+});
+
+// Our lead -> new Zoho Lead (Last_Name is required)
+const toNewCrmFields = (leadData) => ({
+  ...toCrmFields(leadData),
+  Last_Name: leadData.lastName || leadData.name || "Unknown",
+  Lead_Source: leadData.source || "Web Form",
+});
+
+// One record's outcome in a multi-record insert/update
+const toBulkResult = (item) =>
+  item.status === "success"
+    ? { id: item.details?.id, raw: item }
+    : {
+        error: bulkItemError(
+          // An unknown/deleted record id
+          item.code === "INVALID_DATA" && item.details?.api_name === "id"
+            ? 404
+            : 400,
+          `${item.code}: ${item.message}`
+        ),
+      };
+
+const zohoProvider = {
+  id: "zoho",
+  label: "Zoho",
+
+  oauth: {
+    authUrl: "https://accounts.zoho.com/oauth/v2/auth",
+    tokenUrl: "https://accounts.zoho.com/oauth/v2/token",
+    revokeUrl: "https://accounts.zoho.com/oauth/v2/token/revoke",
+    scope: "ZohoCRM.modules.ALL,ZohoCRM.settings.ALL,ZohoCRM.users.READ",
+    authParams: { access_type: "offline" },
+    revokeWithClientCredentials: true,
+  },
+
+  // Zoho's limits depend on the edition; stay under the lowest
+  rateLimit: { requests: 100, window: 60 },
+
+  getCredentials: (tokenData) => ({ apiDomain: tokenData.raw.api_domain }),
+
+  defaultCredentials: () => ({ apiDomain: "https://www.zohoapis.com" }),
+
+  getAccountInfo: async (accessToken, { apiDomain }) => {
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/users?type=CurrentUser`,
+      {},
+      accessToken
+    );
+
+    return {
+      id: data.users[0]?.id,
+      name: data.users[0]?.full_name,
+      email: data.users[0]?.email,
+    };
+  },
+
+  createLead: async (accessToken, { apiDomain }, leadData) => {
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/Leads`,
+      {
+        method: "POST",
+        body: JSON.stringify({ data: [toNewCrmFields(leadData)] }),
+      },
+      accessToken
+    );
+
+    return { id: data.data[0]?.details?.id, raw: data.data[0] };
+  },
+
+  updateLead: async (accessToken, { apiDomain }, crmId, leadData) => {
+    return makeApiRequest(
+      `${base(apiDomain)}/Leads/${crmId}`,
+      {
+        method: "PUT",
+        body: JSON.stringify({ data: [compact(toCrmFields(leadData))] }),
+      },
+      accessToken
+    );
+  },
+
+  // Multi-record insert/update, up to 100 leads per call
+  bulk: {
+    maxBatchSize: 100,
+
+    createLeads: async (accessToken, { apiDomain }, leadDataList) => {
+      const data = await makeApiRequest(
+        `${base(apiDomain)}/Leads`,
+        {
+          method: "POST",
+          body: JSON.stringify({ data: leadDataList.map(toNewCrmFields) }),
+        },
+        accessToken
+      );
+
+      return (data.data || []).map(toBulkResult);
+    },
+
+    updateLeads: async (accessToken, { apiDomain }, updates) => {
+      const data = await makeApiRequest(
+        `${base(apiDomain)}/Leads`,
+        {
+          method: "PUT",
+          body: JSON.stringify({
+            data: updates.map(({ crmId, leadData }) => ({
+              ...compact(toCrmFields(leadData)),
+              id: crmId,
+            })),
+          }),
+        },
+        accessToken
+      );
+
+      return (data.data || []).map(toBulkResult);
+    },
+  },
+
+  findLeadByEmail: async (accessToken, { apiDomain }, email) => {
+    const params = new URLSearchParams({ email });
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/Leads/search?${params}`,
+      {},
+      accessToken
+    );
+
+    // Zoho answers 204 when nothing matches
+    return data.data?.[0] || null;
+  },
+
+  getLead: async (accessToken, { apiDomain }, crmId) => {
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/Leads/${crmId}`,
+      {},
+      accessToken
+    );
+
+    return data.data?.[0] || null;
+  },
+
+  // Deleted leads go to the Zoho recycle bin
+  deleteLead: async (accessToken, { apiDomain }, crmId) => {
+    return makeApiRequest(
+      `${base(apiDomain)}/Leads/${crmId}`,
+      { method: "DELETE" },
+      accessToken
+    );
+  },
+
+  // Activities are logged as notes on the lead
+  logActivity: async (accessToken, { apiDomain }, crmId, activity) => {
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/Leads/${crmId}/Notes`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          data: [
+            {
+              Note_Title: activity.subject,
+              Note_Content: activityNoteText(activity),
+            },
+          ],
+        }),
+      },
+      accessToken
+    );
+
+    return { id: data.data?.[0]?.details?.id };
+  },
+
+  listLeads: async (
+    accessToken,
+    { apiDomain },
+    { page = 1, limit = 200, cursor, fields }
+  ) => {
+    const current = Number(cursor) || page;
+    const params = new URLSearchParams({
+      fields: withFields(fields),
+      page: current,
+      per_page: limit,
+      sort_by: "Modified_Time",
+      sort_order: "desc",
+    });
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/Leads?${params}`,
+      {},
+      accessToken
+    );
+
+    return {
+      records: data.data || [],
+      total: data.info?.count,
+      nextCursor: data.info?.more_records ? String(current + 1) : null,
+    };
+  },
+
+  mapLead: (lead) => ({
+    crmId: lead.id,
+    firstName: lead.First_Name,
+    lastName: lead.Last_Name,
+    email: lead.Email,
+    phone: lead.Phone || lead.Mobile,
+    company: lead.Company,
+    jobTitle: lead.Title || lead.Designation,
+    status: lead.Lead_Status,
+    leadSource: lead.Lead_Source,
+    notes: lead.Description,
+    createdAt: lead.Created_Time,
+    updatedAt: lead.Modified_Time,
+  }),
+
+  getLeadFields: async (accessToken, { apiDomain }) => {
+    const data = await makeApiRequest(
+      `${base(apiDomain)}/settings/fields?module=Leads`,
+      {},
+      accessToken
+    );
+
+    return (data.fields || []).map((field) => ({
+      name: field.api_name,
+      label: field.field_label,
+      type: field.data_type,
+      required: Boolean(field.system_mandatory),
+      readOnly: Boolean(field.read_only),
+      options: field.pick_list_values?.map((option) => ({
+        value: option.actual_value,
+        label: option.display_value,
+      })),
+    }));
+  },
+
+  getRecordUrl: (credentials, crmId) =>
+    `https://crm.zoho.com/crm/EntityInfo?module=Leads&id=${crmId}`,
+
+  // A converted Lead links to the Deal created from it
+  deals: {
+    maxLeadIds: 100,
+
+    listForLeads: async (accessToken, { apiDomain }, crmIds) => {
+      const leads = await makeApiRequest(
+        `${base(apiDomain)}/Leads?${new URLSearchParams({
+          ids: crmIds.join(","),
+          converted: "true",
+          fields: "Last_Name",
+        })}`,
+        {},
+        accessToken
+      );
+
+      const leadIds = new Map();
+      for (const lead of leads.data || []) {
+        const dealId = lead.$converted_detail?.deal?.id;
+        if (dealId) {
+          leadIds.set(dealId, [...(leadIds.get(dealId) || []), lead.id]);
+        }
+      }
+
+      if (leadIds.size === 0) return [];
+
+      const data = await makeApiRequest(
+        `${base(apiDomain)}/Deals?${new URLSearchParams({
+          ids: [...leadIds.keys()].join(","),
+          fields: DEAL_FIELDS,
+        })}`,
+        {},
+        accessToken
+      );
+
+      return (data.data || []).map((deal) => ({
+        ...deal,
+        leadIds: leadIds.get(deal.id) || [],
+      }));
+    },
+
+    map: (deal) => ({
+      crmDealId: deal.id,
+      leadCrmIds: deal.leadIds,
+      name: deal.Deal_Name,
+      amount: deal.Amount,
+      currency: deal.Currency,
+      stage: deal.Stage,
+      status: dealStatus(deal.Stage),
+      probability: deal.Probability,
+      closeDate: deal.Closing_Date,
+      updatedAt: deal.Modified_Time,
+    }),
+
+    getStages: async (accessToken, { apiDomain }) => {
+      const data = await makeApiRequest(
+        `${base(apiDomain)}/settings/fields?module=Deals`,
+        {},
+        accessToken
+      );
+      const stageField = (data.fields || []).find(
+        (field) => field.api_name === "Stage"
+      );
+
+      return (stageField?.pick_list_values || []).map((option) => ({
+        value: option.actual_value,
+        label: option.display_value,
+        status: option.forecast_type
+          ? dealStatus(option.forecast_type)
+          : dealStatus(option.actual_value),
+        probability: option.probability,
+      }));
+    },
+  },
+
+  // Notifications API; our secret is the channel token echoed in each call
+  webhooks: {
+    register: async (accessToken, { apiDomain }, { url, secret }) => {
+      const channelId = Date.now();
+      const channelExpiry = new Date(Date.now() + WATCH_TTL);
+
+      await makeApiRequest(
+        `${base(apiDomain)}/actions/watch`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            watch: [
+              {
+                channel_id: channelId,
+                events: ["Leads.all"],
+                channel_expiry: channelExpiry.toISOString(),
+                token: secret,
+                notify_url: url,
+              },
+            ],
+          }),
+        },
+        accessToken
+      );
+
+      return { externalId: String(channelId), expiresAt: channelExpiry };
+    },
+
+    unregister: async (accessToken, { apiDomain }, { externalId }) =>
+      makeApiRequest(
+        `${base(apiDomain)}/actions/watch?channel_ids=${externalId}`,
+        { method: "DELETE" },
+        accessToken
+      ),
+
+    verify: ({ body, secret }) => safeEqual(body?.token, secret),
+
+    parseEvents: (body) => {
+      const action = WEBHOOK_ACTIONS[body?.operation];
+      if (!action || body.module !== "Leads") return [];
+      return (body.ids || []).map((id) => ({ action, crmId: String(id) }));
+    },
+  },
+};
+
+export default zohoProvider;
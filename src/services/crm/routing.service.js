@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { LEAD_STATUSES } from "../../constants/website.constants.js";
+
+/**
+ * CRM Lead Routing
+ * Decides which of a company's CRM integrations receive a lead, from each
+ * integration's settings.routing: rules on the lead's form, platform, BANT
+ * category, status and assignee (see crmIntegration.model.js).
+ */
+
+// Rule condition -> the lead value it matches and the values it accepts
+// (null: any ObjectId)
+export const ROUTING_CONDITIONS = {
+  formIds: { read: (lead) => lead.formId, values: null },
+  platforms: {
+    read: (lead) => lead.platform,
+    values: ["linkedin", "meta", "twitter", "instagram", "other"],
+  },
+  bantCategories: {
+    read: (lead) => lead.bant?.category,
+    values: ["hot", "warm", "cold", "unqualified"],
+  },
+  statuses: { read: (lead) => lead.status, values: LEAD_STATUSES },
+  assignedTo: { read: (lead) => lead.assignedTo, values: null },
+};
+
+/**
+ * Whether a lead matches every condition a rule sets
+ */
+export const matchesRoutingRule = (lead, rule) =>
+  Object.entries(ROUTING_CONDITIONS).every(([condition, { read }]) => {
+    const accepted = rule[condition] || [];
+    if (accepted.length === 0) return true;
+
+    const value = read(lead);
+    return (
+      value !== undefined &&
+      value !== null &&
+      accepted.some((candidate) => String(candidate) === String(value))
+    );
+  });
+
+/**
+ * The integrations that receive a lead
+ * Integrations the lead is already in keep receiving its updates, whatever
+ * the rules say now.
+ * @param {Object} lead - Lead document
+ * @param {Array} crmIntegrations - Candidate integrations
+ * @returns {Array} The receiving integrations, in the order given
+ */
+export const routeLead = (lead, crmIntegrations) => {
+  const routed = new Set();
+  let ruleMatched = false;
+
+  for (const crmIntegration of crmIntegrations) {
+    const { rules = [], fallback = false } =
+      crmIntegration.settings?.routing || {};
+
+    if (rules.some((rule) => matchesRoutingRule(lead, rule))) {
+      routed.add(crmIntegration);
+      ruleMatched = true;
+    } else if (rules.length === 0 && !fallback) {
+      routed.add(crmIntegration);
+    }
+  }
+
+  return crmIntegrations.filter(
+    (crmIntegration) =>
+      routed.has(crmIntegration) ||
+      (!ruleMatched && crmIntegration.settings?.routing?.fallback) ||
+      Boolean(lead.findCrmLink(crmIntegration)?.crmId)
+  );
+};
+
+/**
+ * The company's active integrations that take pushes, routed for a lead
+ * @param {Object} options - { autoSyncOnly } - leave out integrations with auto-sync off
+ */
+export const getCrmPushTargets = async (
+  companyId,
+  lead,
+  { autoSyncOnly = false } = {}
+) => {
+  const crmIntegrations = await CrmIntegration.find({
+    companyId,
+    status: "active",
+    ...(autoSyncOnly && { "settings.autoSync.enabled": true }),
+  }).sort({ createdAt: 1 });
+
+  return routeLead(
+    lead,
+    crmIntegrations.filter((crmIntegration) => crmIntegration.pushesToCrm())
+  );
+};
+
+/**
+ * Check routing rules before saving them
+ * @returns {Array} [{ rule, condition, message }] - empty when valid
+ */
+export const validateRoutingRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return [{ rule: null, condition: null, message: "rules must be an array" }];
+  }
+
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    for (const key of Object.keys(rule || {})) {
+      if (key !== "name" && !ROUTING_CONDITIONS[key]) {
+        errors.push({
+          rule: index,
+          condition: key,
+          message: `Unknown condition: ${key}`,
+        });
+      }
+    }
+
+    for (const [condition, { values }] of Object.entries(ROUTING_CONDITIONS)) {
+      const accepted = rule?.[condition];
+      if (accepted === undefined) continue;
+
+      const invalid = !Array.isArray(accepted)
+        ? [accepted]
+        : accepted.filter((value) =>
+            values ? !values.includes(value) : !mongoose.isValidObjectId(value)
+          );
+
+      if (invalid.length > 0) {
+        errors.push({
+          rule: index,
+          condition,
+          message: values
+            ? `${condition} must be a list of: ${values.join(", ")}`
+            : `${condition} must be a list of ids`,
+        });
+      }
+    }
+  });
+
+  return errors;
+};
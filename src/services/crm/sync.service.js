@@ -1,8 +1,35 @@
+import mongoose from "mongoose";
 import { getTenantModels } from "../../models/index.js";
 import { getTenantConnection } from "../../db/tenantConnection.js";
 import { CrmIntegration } from "../../models/crmIntegration.model.js";
-import { getCrmApi } from "./api.service.js";
-import { refreshAccessToken } from "./oauth.service.js";
+import {
+  createCrmLead,
+  createCrmLeads,
+  deleteCrmLead,
+  fetchAllCrmLeads,
+  fetchCrmLeads,
+  findCrmLeadByEmail,
+  getCrmApi,
+  getCrmLead,
+  isCrmNotFoundError,
+  supportsBulkWrites,
+  updateCrmLead,
+  updateCrmLeads,
+} from "./api.service.js";
+import {
+  buildSyncSnapshot,
+  getExcludedCrmFields,
+  reconcileLeadFields,
+  recordConflicts,
+} from "./conflict.service.js";
+import {
+  applyCrmFieldsToLead,
+  mapLeadToCrmFields,
+} from "./fieldMapping.service.js";
+import { ensureFreshTokens } from "./oauth.service.js";
+import { getCrmPushTargets, routeLead } from "./routing.service.js";
+import { finishSyncRun, getLastSyncRun, startSyncRun } from "./syncRun.service.js";
+import leadDedupService from "../leadDedup.service.js";
 
 /**
  * CRM Sync Service
@@ -14,137 +41,455 @@ import { refreshAccessToken } from "./oauth.service.js";
 // ============================================
 
 /**
- * Sync a single lead to CRM
+ * Work out a lead push: take in CRM-side edits first (bidirectional) so the
+ * push doesn't overwrite them, diff against the last push, and pick the CRM
+ * record to write to.
+ * @returns {Object} { lead, mappedData, previousSnapshot, conflictedFields,
+ *   crmId, action, changes } - action is "updated", "linked", "synced"
+ *   (create) or "unchanged"; changes are the fields to send
  */
-export const syncLeadToCrm = async (tenantConnection, leadId, crmIntegration) => {
+const planLeadPush = async (tenantConnection, lead, crmIntegration) => {
+  const link = lead.getCrmLink(crmIntegration);
+  const plan = {
+    lead,
+    mappedData: mapLeadToCrmFormat(lead, crmIntegration),
+    previousSnapshot: link?.syncSnapshot || null,
+    conflictedFields: [],
+    crmId: link?.crmId || null,
+  };
+
+  if (!plan.crmId) {
+    return findPushTarget(crmIntegration, plan);
+  }
+
+  let excludedFields = [];
+
+  if (
+    crmIntegration.settings.syncDirection === "bidirectional" &&
+    plan.previousSnapshot
+  ) {
+    const crmLead = await getCrmLead(crmIntegration, plan.crmId);
+    const reconciled =
+      crmLead && reconcileLeadFields(lead, crmLead, crmIntegration);
+
+    if (reconciled) {
+      Object.assign(lead, reconciled.toPlatform);
+      plan.conflictedFields = reconciled.conflicts.map(({ field }) => field);
+      excludedFields = getExcludedCrmFields(reconciled);
+      plan.mappedData = mapLeadToCrmFormat(lead, crmIntegration);
+
+      await recordConflicts(
+        tenantConnection,
+        crmIntegration,
+        lead,
+        reconciled.conflicts,
+        "push"
+      );
+    }
+  }
+
+  plan.changes = diffCrmFields(
+    plan.mappedData,
+    plan.previousSnapshot,
+    excludedFields
+  );
+  plan.action = plan.changes ? "updated" : "unchanged";
+
+  return plan;
+};
+
+/**
+ * Point an unlinked push at the CRM record with the lead's email, or at a
+ * new record
+ */
+const findPushTarget = async (crmIntegration, plan) => {
+  const existing = await findCrmLeadByEmail(crmIntegration, plan.lead.email);
+
+  plan.crmId = existing ? existing.crmId : null;
+  plan.action = existing ? "linked" : "synced";
+  plan.changes = plan.mappedData;
+
+  return plan;
+};
+
+/**
+ * Write a planned push to the CRM, one lead at a time
+ */
+const writeLeadPush = async (crmIntegration, plan) => {
+  if (plan.action === "updated") {
+    try {
+      await updateCrmLead(crmIntegration, plan.crmId, plan.changes);
+      return plan;
+    } catch (error) {
+      if (!isCrmNotFoundError(error)) throw error;
+      // Deleted in the CRM; link or recreate it
+      await findPushTarget(crmIntegration, plan);
+    }
+  }
+
+  if (plan.action === "linked") {
+    await updateCrmLead(crmIntegration, plan.crmId, plan.changes);
+  } else if (plan.action === "synced") {
+    // Create lead in CRM through the provider adapter
+    const result = await createCrmLead(crmIntegration, plan.changes);
+    plan.crmId = result.id;
+  }
+  return plan;
+};
+
+/**
+ * Save a pushed lead's CRM link and what both sides now agree on
+ * @returns {Object} The lead's sync result
+ */
+const completeLeadPush = async (crmIntegration, plan) => {
+  const { lead, mappedData, previousSnapshot, conflictedFields, crmId, action } =
+    plan;
+
+  if (action === "unchanged") {
+    // Nothing pushed, but keep what was taken from the CRM
+    if (lead.isModified()) {
+      lead.setCrmLink(crmIntegration, {
+        syncSnapshot: buildSyncSnapshot(
+          mappedData,
+          previousSnapshot,
+          conflictedFields
+        ),
+      });
+      lead.lastSyncedAt = new Date();
+      await lead.save();
+    }
+
+    return {
+      success: true,
+      leadId: lead._id,
+      crmId,
+      provider: crmIntegration.provider,
+      action,
+      fields: [],
+    };
+  }
+
+  // Update the lead's link to this CRM
+  lead.setCrmLink(crmIntegration, {
+    crmId,
+    syncStatus: "synced",
+    syncedAt: new Date(),
+    syncSnapshot: buildSyncSnapshot(
+      mappedData,
+      previousSnapshot,
+      conflictedFields
+    ),
+    lastError: undefined,
+  });
+  lead.lastSyncedAt = new Date();
+  lead.recordCrmSync({
+    provider: crmIntegration.provider,
+    direction: "push",
+    status: action,
+    crmId,
+  });
+  // Mark that this lead originated from platform (not CRM)
+  if (!lead.leadOrigin) {
+    lead.leadOrigin = "platform";
+  }
+  await lead.save();
+
+  // Update integration stats
+  crmIntegration.stats.totalLeadsSynced += 1;
+
+  return {
+    success: true,
+    leadId: lead._id,
+    crmId,
+    provider: crmIntegration.provider,
+    action,
+    // Fields sent to the CRM
+    fields:
+      action === "updated"
+        ? Object.keys(plan.changes)
+        : Object.keys(diffCrmFields(mappedData, null) || {}),
+  };
+};
+
+/**
+ * Mark a lead whose push to an integration failed
+ */
+const markLeadSyncFailed = async (tenantConnection, leadId, crmIntegration, error) => {
+  console.error(`Failed to sync lead ${leadId}:`, error);
+
+  if (!tenantConnection || !mongoose.isValidObjectId(leadId)) return;
+
   try {
     const { Lead } = getTenantModels(tenantConnection);
-    
-    // Get lead data
     const lead = await Lead.findById(leadId);
+    if (!lead) return;
 
-    if (!lead) {
-      throw new Error(`Lead not found: ${leadId}`);
-    }
+    // Update the lead's link to this CRM
+    lead.setCrmLink(crmIntegration, {
+      syncStatus: "failed",
+      lastError: error.message,
+    });
+    lead.recordCrmSync({
+      provider: crmIntegration.provider,
+      direction: "push",
+      status: "failed",
+      error: error.message,
+    });
+    await lead.save();
+  } catch (saveError) {
+    console.error(`Failed to record sync failure for lead ${leadId}:`, saveError.message);
+  }
+};
 
-    // Check if tokens need refresh
-    if (crmIntegration.needsTokenRefresh()) {
-      const refreshedTokens = await refreshAccessToken(
-        crmIntegration.provider,
-        crmIntegration.tokens.refreshToken
-      );
+/**
+ * Load a lead and check the integration is ready to push it
+ */
+const loadLeadForPush = async (tenantConnection, leadId, crmIntegration) => {
+  const { Lead } = getTenantModels(tenantConnection);
 
-      crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
-      crmIntegration.tokens.tokenExpiry = new Date(
-        Date.now() + refreshedTokens.expiresIn * 1000
-      );
-      await crmIntegration.save();
+  // Get lead data
+  const lead = await Lead.findById(leadId);
+
+  if (!lead) {
+    throw new Error(`Lead not found: ${leadId}`);
+  }
+
+  await ensureFreshTokens(crmIntegration);
+
+  if (!getCrmApi(crmIntegration.provider)) {
+    throw new Error(`Unsupported CRM provider: ${crmIntegration.provider}`);
+  }
+
+  return lead;
+};
+
+/**
+ * Sync a single lead to CRM
+ * Upserts: updates the linked CRM record with the fields changed since the
+ * last push, otherwise links an existing CRM record with the same email,
+ * otherwise creates one.
+ */
+export const syncLeadToCrm = async (tenantConnection, leadId, crmIntegration) => {
+  try {
+    const lead = await loadLeadForPush(tenantConnection, leadId, crmIntegration);
+    const plan = await planLeadPush(tenantConnection, lead, crmIntegration);
+
+    if (plan.action !== "unchanged") {
+      await writeLeadPush(crmIntegration, plan);
     }
 
-    // Get CRM API handler
-    const crmApi = getCrmApi(crmIntegration.provider);
+    return await completeLeadPush(crmIntegration, plan);
+  } catch (error) {
+    await markLeadSyncFailed(tenantConnection, leadId, crmIntegration, error);
+    throw error;
+  }
+};
 
-    if (!crmApi) {
-      throw new Error(`Unsupported CRM provider: ${crmIntegration.provider}`);
+/**
+ * Sync leads through the CRM's bulk endpoints (see bulk in providers/index.js)
+ * Plans every lead, sends creates and updates in batches, then completes
+ * each lead. Leads a batch call rejected as a whole, updates whose record
+ * was deleted in the CRM, and creates that can't be matched back safely
+ * (no email, or an email already in the batch) fall back to single writes.
+ * @returns {Array} [{ leadId, result } | { leadId, error }]
+ */
+const syncLeadsInBulk = async (tenantConnection, leadIds, crmIntegration) => {
+  const entries = [];
+  const creates = [];
+  const updates = [];
+  const singles = [];
+  const batchedEmails = new Set();
+
+  for (const leadId of leadIds) {
+    const entry = { leadId };
+    entries.push(entry);
+
+    try {
+      const lead = await loadLeadForPush(tenantConnection, leadId, crmIntegration);
+      entry.plan = await planLeadPush(tenantConnection, lead, crmIntegration);
+    } catch (error) {
+      entry.error = error;
+      continue;
     }
 
-    // Map lead data to CRM format
-    const mappedData = mapLeadToCrmFormat(lead, crmIntegration);
+    const { action } = entry.plan;
+    const email = entry.plan.lead.email?.toLowerCase();
 
-    // Create lead in CRM based on provider
-    let result;
-    const accessToken = crmIntegration.tokens.accessToken;
+    if (action === "updated" || action === "linked") {
+      updates.push(entry);
+    } else if (action === "synced" && email && !batchedEmails.has(email)) {
+      batchedEmails.add(email);
+      creates.push(entry);
+    } else if (action === "synced") {
+      singles.push(entry);
+    }
+  }
 
-    switch (crmIntegration.provider) {
-      case "zoho":
-        result = await crmApi.createLead(
-          accessToken,
-          crmIntegration.credentials.apiDomain,
-          mappedData
-        );
-        break;
+  const updateResults = await updateCrmLeads(
+    crmIntegration,
+    updates.map(({ plan }) => ({ crmId: plan.crmId, leadData: plan.changes }))
+  );
+  const createResults = await createCrmLeads(
+    crmIntegration,
+    creates.map(({ plan }) => plan.changes)
+  );
 
-      case "salesforce":
-        result = await crmApi.createLead(
-          accessToken,
-          crmIntegration.credentials.instanceUrl,
-          mappedData
-        );
-        break;
+  const written = [
+    ...updates.map((entry, index) => [entry, updateResults[index]]),
+    ...creates.map((entry, index) => [entry, createResults[index]]),
+  ];
 
-      case "hubspot":
-        result = await crmApi.createContact(accessToken, mappedData);
-        break;
+  for (const [entry, result] of written) {
+    const { plan } = entry;
 
-      case "dynamics":
-        result = await crmApi.createLead(
-          accessToken,
-          crmIntegration.credentials.resource,
-          mappedData
-        );
-        break;
+    try {
+      if (!result) {
+        throw new Error("The CRM returned no result for this lead");
+      } else if (result.batchFailed) {
+        await writeLeadPush(crmIntegration, plan);
+      } else if (
+        result.error &&
+        plan.action === "updated" &&
+        isCrmNotFoundError(result.error)
+      ) {
+        // Deleted in the CRM; link or recreate it
+        await findPushTarget(crmIntegration, plan);
+        await writeLeadPush(crmIntegration, plan);
+      } else if (result.error) {
+        throw result.error;
+      } else if (plan.action === "synced") {
+        plan.crmId = result.id;
+      }
+    } catch (error) {
+      entry.error = error;
+    }
+  }
 
-      default:
-        throw new Error(`Unsupported provider: ${crmIntegration.provider}`);
+  // After the batch, so a duplicate email links to the record just created
+  for (const entry of singles) {
+    try {
+      await findPushTarget(crmIntegration, entry.plan);
+      await writeLeadPush(crmIntegration, entry.plan);
+    } catch (error) {
+      entry.error = error;
     }
+  }
+
+  const outcomes = [];
 
-    // Update lead with CRM ID
-    lead.crmSyncStatus = "synced";
-    lead.crmId = result.id;
-    lead.lastSyncedAt = new Date();
-    // Mark that this lead originated from platform (not CRM)
-    if (!lead.leadOrigin) {
-      lead.leadOrigin = "platform";
+  for (const entry of entries) {
+    const { leadId, plan } = entry;
+
+    if (!entry.error) {
+      try {
+        outcomes.push({ leadId, result: await completeLeadPush(crmIntegration, plan) });
+        continue;
+      } catch (error) {
+        entry.error = error;
+      }
     }
-    await lead.save();
 
-    // Update integration stats
-    crmIntegration.stats.totalLeadsSynced += 1;
+    await markLeadSyncFailed(tenantConnection, leadId, crmIntegration, entry.error);
+    outcomes.push({ leadId, error: entry.error });
+  }
+
+  return outcomes;
+};
 
+/**
+ * Delete (or archive) a deleted lead's record in the CRM
+ * @param {Object} crmIntegration
+ * @param {String} crmId
+ * @returns {Object} { success, crmId, provider, alreadyGone }
+ */
+export const deleteLeadFromCrm = async (crmIntegration, crmId) => {
+  await ensureFreshTokens(crmIntegration);
+
+  try {
+    await deleteCrmLead(crmIntegration, crmId);
+  } catch (error) {
+    if (!isCrmNotFoundError(error)) throw error;
     return {
       success: true,
-      leadId,
-      crmId: result.id,
+      crmId,
       provider: crmIntegration.provider,
+      alreadyGone: true,
     };
-  } catch (error) {
-    console.error(`Failed to sync lead ${leadId}:`, error);
-
-    // Update lead sync status
-    if (leadId && tenantConnection) {
-      const { Lead } = getTenantModels(tenantConnection);
-      await Lead.findByIdAndUpdate(leadId, {
-        crmSyncStatus: "failed",
-        syncError: error.message,
-      });
-    }
+  }
 
-    throw error;
+  return { success: true, crmId, provider: crmIntegration.provider };
+};
+
+/**
+ * Sync leads one at a time
+ * @returns {Array} [{ leadId, result } | { leadId, error }]
+ */
+const syncLeadsOneByOne = async (tenantConnection, leadIds, crmIntegration) => {
+  const outcomes = [];
+
+  for (const leadId of leadIds) {
+    try {
+      const result = await syncLeadToCrm(tenantConnection, leadId, crmIntegration);
+      outcomes.push({ leadId, result });
+    } catch (error) {
+      outcomes.push({ leadId, error });
+    }
   }
+  return outcomes;
 };
 
 /**
  * Sync multiple leads to CRM
  */
-export const syncLeadsToCrm = async (tenantConnection, leadIds, crmIntegration) => {
+export const syncLeadsToCrm = async (
+  tenantConnection,
+  leadIds,
+  crmIntegration,
+  { trigger = "manual_sync" } = {}
+) => {
   const results = {
     successful: [],
     failed: [],
     total: leadIds.length,
   };
 
-  for (const leadId of leadIds) {
-    try {
-      const result = await syncLeadToCrm(tenantConnection, leadId, crmIntegration);
+  const run = await startSyncRun(tenantConnection, crmIntegration, {
+    trigger,
+    direction: "push",
+  });
+
+  // Batch through the CRM's bulk endpoints when it has them
+  const outcomes =
+    supportsBulkWrites(crmIntegration) && leadIds.length > 1
+      ? await syncLeadsInBulk(tenantConnection, leadIds, crmIntegration)
+      : await syncLeadsOneByOne(tenantConnection, leadIds, crmIntegration);
+
+  for (const { leadId, result, error } of outcomes) {
+    const outcome = {
+      leadId: mongoose.isValidObjectId(leadId) ? leadId : undefined,
+    };
+
+    if (result) {
       results.successful.push(result);
-    } catch (error) {
+      run.addResult({
+        ...outcome,
+        crmId: result.crmId,
+        action: result.action,
+        request: { fields: result.fields },
+        response: { crmId: result.crmId },
+      });
+    } else {
       results.failed.push({
         leadId,
         error: error.message,
       });
+      run.addResult({ ...outcome, action: "failed", error: error.message });
     }
   }
 
+  await finishSyncRun(tenantConnection, run);
+  results.runId = run._id;
+
   // Update integration stats
   await crmIntegration.updateSyncStats(
     results.successful.length > 0,
@@ -155,35 +500,114 @@ export const syncLeadsToCrm = async (tenantConnection, leadIds, crmIntegration)
 };
 
 /**
- * Auto-sync new leads to CRM
+ * Sync leads to the company's CRMs, each lead to the integrations its
+ * routing picks (see routing.service.js)
+ * @returns {Object} { successful, failed, total, runIds, unrouted } -
+ *   unrouted: leads no integration receives
+ */
+export const syncLeadsToRoutedCrms = async (
+  tenantConnection,
+  companyId,
+  leadIds,
+  { trigger = "manual_sync" } = {}
+) => {
+  const { Lead } = getTenantModels(tenantConnection);
+
+  const crmIntegrations = (
+    await CrmIntegration.find({ companyId, status: "active" }).sort({
+      createdAt: 1,
+    })
+  ).filter((crmIntegration) => crmIntegration.pushesToCrm());
+
+  if (crmIntegrations.length === 0) {
+    throw new Error("No active CRM integration found");
+  }
+
+  const leads = await Lead.find({
+    _id: { $in: leadIds.filter((leadId) => mongoose.isValidObjectId(leadId)) },
+  });
+
+  const routed = new Map(crmIntegrations.map((crmIntegration) => [crmIntegration, []]));
+  const unrouted = [];
+
+  for (const lead of leads) {
+    const targets = routeLead(lead, crmIntegrations);
+    if (targets.length === 0) unrouted.push(lead._id);
+    for (const crmIntegration of targets) {
+      routed.get(crmIntegration).push(lead._id);
+    }
+  }
+
+  const results = {
+    successful: [],
+    failed: [],
+    total: leadIds.length,
+    runIds: [],
+    unrouted,
+  };
+
+  // Ids that matched no lead
+  const foundIds = new Set(leads.map((lead) => lead._id.toString()));
+  for (const leadId of leadIds) {
+    if (!foundIds.has(String(leadId))) {
+      results.failed.push({ leadId, error: `Lead not found: ${leadId}` });
+    }
+  }
+
+  for (const [crmIntegration, routedIds] of routed) {
+    if (routedIds.length === 0) continue;
+
+    const integrationResults = await syncLeadsToCrm(
+      tenantConnection,
+      routedIds,
+      crmIntegration,
+      { trigger }
+    );
+    results.successful.push(...integrationResults.successful);
+    results.failed.push(
+      ...integrationResults.failed.map((failure) => ({
+        ...failure,
+        provider: crmIntegration.provider,
+      }))
+    );
+    results.runIds.push(integrationResults.runId);
+  }
+
+  return results;
+};
+
+/**
+ * Auto-sync a new lead to the CRMs its routing picks
  */
 export const autoSyncNewLead = async (lead, companyId) => {
   try {
-    // Get company's CRM integration
-    const crmIntegration = await CrmIntegration.findOne({
-      companyId,
-      status: "active",
+    const crmIntegrations = await getCrmPushTargets(companyId, lead, {
+      autoSyncOnly: true,
     });
 
-    if (!crmIntegration) {
-      return { success: false, reason: "No active CRM integration" };
-    }
-
-    // Check if auto-sync is enabled
-    if (
-      !crmIntegration.settings.autoSync.enabled ||
-      crmIntegration.settings.syncDirection === "from_crm"
-    ) {
-      return { success: false, reason: "Auto-sync is disabled" };
+    if (crmIntegrations.length === 0) {
+      return { success: false, reason: "No CRM integration receives this lead" };
     }
 
     // Get tenant connection
     const tenantConnection = await getTenantConnection(companyId.toString());
 
-    // Sync lead
-    const result = await syncLeadToCrm(tenantConnection, lead._id, crmIntegration);
+    const results = [];
+    for (const crmIntegration of crmIntegrations) {
+      try {
+        results.push(
+          await syncLeadToCrm(tenantConnection, lead._id, crmIntegration)
+        );
+      } catch (error) {
+        results.push({
+          success: false,
+          provider: crmIntegration.provider,
+          error: error.message,
+        });
+      }
+    }
 
-    return { success: true, result };
+    return { success: results.some((result) => result.success), results };
   } catch (error) {
     console.error("Auto-sync failed:", error);
     return { success: false, error: error.message };
@@ -195,25 +619,276 @@ export const autoSyncNewLead = async (lead, companyId) => {
 // ============================================
 
 /**
- * Fetch and import leads from CRM
+ * Get (or create) the form CRM-imported leads are attached to
  */
-export const importLeadsFromCrm = async (tenantConnection, crmIntegration, options = {}) => {
-  try {
-    const { Lead } = getTenantModels(tenantConnection);
-    
-    // Check if tokens need refresh
-    if (crmIntegration.needsTokenRefresh()) {
-      const refreshedTokens = await refreshAccessToken(
-        crmIntegration.provider,
-        crmIntegration.tokens.refreshToken
-      );
+export const getCrmImportForm = async (tenantConnection, companyId) => {
+  const { Form } = getTenantModels(tenantConnection);
+
+  const crmForm = await Form.findOne({
+    companyId,
+    formType: "custom",
+    "config.isCrmImportForm": true,
+  });
+  if (crmForm) return crmForm;
+
+  return Form.create({
+    companyId,
+    formType: "custom",
+    config: {
+      isCrmImportForm: true,
+      fields: [
+        { name: "fullName", type: "text", label: "Full Name", required: true },
+        { name: "email", type: "email", label: "Email", required: true },
+        { name: "phone", type: "tel", label: "Phone", required: false },
+        { name: "company", type: "text", label: "Company", required: false },
+        { name: "jobTitle", type: "text", label: "Job Title", required: false },
+      ],
+      settings: {
+        theme: "default",
+        submitButtonText: "Import",
+        successMessage: "Lead imported from CRM",
+      },
+    },
+    name: "CRM Import Form",
+    description: "Default form for leads imported from connected CRMs",
+    isActive: true,
+  });
+};
+
+/**
+ * Create or update a lead from a normalized CRM lead (see fetchCrmLeads)
+ * Platform-originated leads already pushed to the CRM are only updated
+ * when syncDirection is bidirectional.
+ * @returns {Object} { action: "imported" | "updated" | "skipped", lead }
+ */
+export const upsertLeadFromCrm = async (
+  tenantConnection,
+  crmIntegration,
+  crmLead
+) => {
+  const { Lead } = getTenantModels(tenantConnection);
+  const mappedLead = mapCrmLeadToFormat(crmLead);
+
+  // Check if lead already exists by CRM id (incl. merged leads) OR by email
+  const existingLead = await leadDedupService.findExistingLead(Lead, {
+    email: mappedLead.email,
+    crmId: mappedLead.crmId,
+  });
+
+  if (existingLead) {
+    const link = existingLead.getCrmLink(crmIntegration);
+
+    if (
+      existingLead.leadOrigin === "platform" &&
+      link?.crmId &&
+      crmIntegration.settings.syncDirection !== "bidirectional"
+    ) {
+      return { action: "skipped", lead: existingLead };
+    }
 
-      crmIntegration.tokens.accessToken = refreshedTokens.accessToken;
-      crmIntegration.tokens.tokenExpiry = new Date(
-        Date.now() + refreshedTokens.expiresIn * 1000
+    const previousSnapshot = link?.syncSnapshot || null;
+    const reconciled = link
+      ? reconcileLeadFields(existingLead, crmLead, crmIntegration)
+      : null;
+    let pendingFields = [];
+
+    if (reconciled) {
+      // Only fields the CRM changed (or won) come in; our own edits and
+      // conflicts wait for the next push or a rep
+      Object.assign(existingLead, reconciled.toPlatform);
+      pendingFields = [
+        ...Object.keys(reconciled.toCrm),
+        ...reconciled.conflicts.map(({ field }) => field),
+      ];
+
+      await recordConflicts(
+        tenantConnection,
+        crmIntegration,
+        existingLead,
+        reconciled.conflicts,
+        "pull"
       );
-      await crmIntegration.save();
+    } else {
+      // No baseline yet: blank CRM fields don't clear ours
+      for (const [field, value] of Object.entries(mappedLead)) {
+        if (value !== undefined && value !== null && value !== "") {
+          existingLead[field] = value;
+        }
+      }
     }
+    applyCrmFieldsToLead(
+      existingLead,
+      crmLead.customFields,
+      crmIntegration,
+      false
+    );
+
+    // What both sides now agree on, so the next push doesn't echo it back
+    existingLead.setCrmLink(crmIntegration, {
+      crmId: mappedLead.crmId,
+      syncStatus: "synced",
+      syncedAt: new Date(),
+      syncSnapshot: buildSyncSnapshot(
+        mapLeadToCrmFormat(existingLead, crmIntegration),
+        previousSnapshot,
+        pendingFields
+      ),
+    });
+    existingLead.lastSyncedAt = new Date();
+    existingLead.recordCrmSync({
+      provider: crmIntegration.provider,
+      direction: "pull",
+      status: "updated",
+      crmId: mappedLead.crmId,
+    });
+    await existingLead.save();
+
+    return { action: "updated", lead: existingLead };
+  }
+
+  // The import form requires an email
+  if (!mappedLead.email) {
+    return { action: "skipped", lead: null };
+  }
+
+  const crmForm = await getCrmImportForm(
+    tenantConnection,
+    crmIntegration.companyId
+  );
+
+  // Create new lead from CRM
+  const lead = new Lead({
+    ...mappedLead,
+    formId: crmForm._id,
+    platform: "other",
+    platformUrl: `crm-${mappedLead.crmId}`,
+    source: "import",
+    crmSyncStatus: "synced",
+    crmSyncAt: new Date(),
+    lastSyncedAt: new Date(),
+    leadOrigin: "crm",
+    crmLinks: [
+      {
+        integrationId: crmIntegration._id,
+        provider: crmIntegration.provider,
+        crmId: mappedLead.crmId,
+        syncStatus: "synced",
+        syncedAt: new Date(),
+      },
+    ],
+    crmProvider: crmIntegration.provider,
+    originCrmProvider: crmIntegration.provider,
+    originCrmId: mappedLead.crmId,
+    crmSyncHistory: [
+      {
+        provider: crmIntegration.provider,
+        direction: "pull",
+        status: "imported",
+        crmId: mappedLead.crmId,
+      },
+    ],
+  });
+  applyCrmFieldsToLead(lead, crmLead.customFields, crmIntegration, true);
+  await lead.save();
+
+  return { action: "imported", lead };
+};
+
+/**
+ * Handle a lead deleted in the CRM
+ * Leads imported from this CRM are deleted; others are kept and unlinked
+ * from it (their other CRM links stay).
+ * @returns {Object} { action: "deleted" | "unlinked" | "skipped", lead }
+ */
+export const removeLeadDeletedInCrm = async (
+  tenantConnection,
+  crmIntegration,
+  crmId
+) => {
+  const { Lead } = getTenantModels(tenantConnection);
+
+  const lead = await Lead.findOne({
+    $or: [
+      Lead.crmLinkQuery(crmIntegration, { crmId }),
+      { originCrmId: crmId, originCrmProvider: crmIntegration.provider },
+    ],
+  });
+
+  if (!lead) {
+    return { action: "skipped", lead: null };
+  }
+
+  // Imported from this CRM: it goes with its source record
+  if (
+    lead.leadOrigin === "crm" &&
+    (lead.originCrmProvider || crmIntegration.provider) === crmIntegration.provider
+  ) {
+    await Lead.findByIdAndDelete(lead._id);
+    return { action: "deleted", lead };
+  }
+
+  lead.removeCrmLink(crmIntegration);
+  lead.recordCrmSync({
+    provider: crmIntegration.provider,
+    direction: "pull",
+    status: "deleted",
+    crmId,
+  });
+  await lead.save();
+
+  return { action: "unlinked", lead };
+};
+
+/**
+ * Apply a CRM webhook event to the tenant's leads
+ * @param {Object} event - { action: "created" | "updated" | "deleted", crmId }
+ * @returns {Object} { action, lead }
+ */
+export const applyCrmLeadEvent = async (
+  tenantConnection,
+  crmIntegration,
+  event
+) => {
+  if (event.action === "deleted") {
+    return removeLeadDeletedInCrm(
+      tenantConnection,
+      crmIntegration,
+      event.crmId
+    );
+  }
+
+  await ensureFreshTokens(crmIntegration);
+
+  // Events only carry ids; fetch the current record
+  const crmLead = await getCrmLead(crmIntegration, event.crmId);
+  if (!crmLead) {
+    // Deleted before we got to it; its delete event handles the rest
+    return { action: "skipped", lead: null };
+  }
+
+  return upsertLeadFromCrm(tenantConnection, crmIntegration, crmLead);
+};
+
+/**
+ * Fetch and import leads from CRM
+ * Recorded as a pull run (see syncRun.service.js).
+ * @param {Object} options - Fetch options ({ page, limit, cursor })
+ * @param {Object} runOptions - { trigger, all, onLead }: all fetches every
+ *   page instead of one; onLead({ action, lead }) is called per upserted lead
+ */
+export const importLeadsFromCrm = async (
+  tenantConnection,
+  crmIntegration,
+  options = {},
+  { trigger = "manual_import", all = false, onLead } = {}
+) => {
+  const run = await startSyncRun(tenantConnection, crmIntegration, {
+    trigger,
+    direction: "pull",
+  });
+
+  try {
+    await ensureFreshTokens(crmIntegration);
 
     // Get CRM API handler
     const crmApi = getCrmApi(crmIntegration.provider);
@@ -223,98 +898,55 @@ export const importLeadsFromCrm = async (tenantConnection, crmIntegration, optio
     }
 
     // Fetch leads from CRM
-    let crmLeads;
-    const accessToken = crmIntegration.tokens.accessToken;
-
-    switch (crmIntegration.provider) {
-      case "zoho":
-        crmLeads = await crmApi.getLeads(
-          accessToken,
-          crmIntegration.credentials.apiDomain,
-          options
-        );
-        crmLeads = crmLeads.data || [];
-        break;
-
-      case "salesforce":
-        crmLeads = await crmApi.getLeads(
-          accessToken,
-          crmIntegration.credentials.instanceUrl,
-          options
-        );
-        crmLeads = crmLeads.records || [];
-        break;
-
-      case "hubspot":
-        crmLeads = await crmApi.getContacts(accessToken, options);
-        crmLeads = crmLeads.results || [];
-        break;
-
-      case "dynamics":
-        crmLeads = await crmApi.getLeads(
-          accessToken,
-          crmIntegration.credentials.resource,
-          options
-        );
-        crmLeads = crmLeads.value || [];
-        break;
-
-      default:
-        throw new Error(`Unsupported provider: ${crmIntegration.provider}`);
-    }
+    const crmLeads = all
+      ? await fetchAllCrmLeads(crmIntegration)
+      : (await fetchCrmLeads(crmIntegration, options)).leads;
 
     // Import leads into database
     const results = {
       imported: 0,
       updated: 0,
       skipped: 0,
+      failed: 0,
       total: crmLeads.length,
     };
 
     for (const crmLead of crmLeads) {
+      const outcome = {
+        crmId: crmLead.crmId,
+        email: crmLead.email,
+        request: { crmId: crmLead.crmId },
+      };
+
       try {
-        const mappedLead = mapCrmLeadToFormat(crmLead, crmIntegration.provider);
-
-        // Check if lead already exists by email OR by originCrmId
-        const existingLead = await Lead.findOne({
-          $or: [
-            { email: mappedLead.email },
-            { originCrmId: mappedLead.crmId }
-          ]
+        const { action, lead } = await upsertLeadFromCrm(
+          tenantConnection,
+          crmIntegration,
+          crmLead
+        );
+        results[action] += 1;
+        run.addResult({
+          ...outcome,
+          leadId: lead?._id,
+          action,
+          response: { leadId: lead?._id },
         });
-
-        if (existingLead) {
-          // Update existing lead only if it's not a platform-originated lead
-          if (existingLead.leadOrigin !== "platform" || !existingLead.crmId) {
-            Object.assign(existingLead, mappedLead);
-            existingLead.lastSyncedAt = new Date();
-            await existingLead.save();
-            results.updated += 1;
-          } else {
-            // Skip leads that originated from platform (already synced to CRM)
-            results.skipped += 1;
-          }
-        } else {
-          // Create new lead from CRM
-          await Lead.create({
-            ...mappedLead,
-            crmSyncStatus: "synced",
-            lastSyncedAt: new Date(),
-            leadOrigin: "crm",
-            originCrmProvider: crmIntegration.provider,
-            originCrmId: mappedLead.crmId,
-          });
-          results.imported += 1;
-        }
+        onLead?.({ action, lead });
       } catch (error) {
         console.error("Failed to import lead:", error);
-        results.skipped += 1;
+        results.failed += 1;
+        run.addResult({ ...outcome, action: "failed", error: error.message });
       }
     }
 
-    return results;
+    await finishSyncRun(tenantConnection, run);
+
+    return { ...results, runId: run._id };
   } catch (error) {
     console.error("Import from CRM failed:", error);
+    await finishSyncRun(tenantConnection, run, error).catch((finishError) =>
+      console.error("Failed to record CRM sync run:", finishError.message)
+    );
     throw error;
   }
 };
@@ -326,119 +958,103 @@ export const importLeadsFromCrm = async (tenantConnection, crmIntegration, optio
 /**
  * Map lead data to CRM format
  */
-const mapLeadToCrmFormat = (lead, crmIntegration) => {
-  const mapped = {
-    name: lead.fullName || lead.name,
-    firstName: lead.firstName,
-    lastName: lead.lastName,
-    email: lead.email,
-    phone: lead.phone,
-    company: lead.company,
-    jobTitle: lead.jobTitle,
-    source: lead.source,
-    description: lead.notes,
-    message: lead.message,
-    customFields: {},
-  };
+export const mapLeadToCrmFormat = (lead, crmIntegration) => ({
+  name: lead.fullName || lead.name,
+  firstName: lead.firstName,
+  lastName: lead.lastName,
+  email: lead.email,
+  phone: lead.phone,
+  company: lead.company,
+  jobTitle: lead.jobTitle,
+  source: lead.source,
+  description: lead.notes,
+  message: lead.message,
+  // Custom field mappings (nested paths, value maps, coercion, defaults)
+  customFields: mapLeadToCrmFields(lead, crmIntegration),
+});
 
-  // Apply custom field mappings
-  if (crmIntegration.settings.fieldMapping.customFields) {
-    for (const customField of crmIntegration.settings.fieldMapping
-      .customFields) {
-      const value = lead[customField.formField];
-      if (value !== undefined) {
-        mapped.customFields[customField.crmField] = value;
-      }
+/**
+ * Fields of a mapped lead that differ from the last pushed snapshot
+ * Blank values are left out so clearing a field here never wipes CRM data.
+ * @param {Array} excludedFields - Fields to leave alone (CRM edits, conflicts)
+ * @returns {Object|null} Partial mapped lead, or null when nothing changed
+ */
+const diffCrmFields = (mapped, snapshot, excludedFields = []) => {
+  const isBlank = (value) =>
+    value === undefined || value === null || value === "";
+  const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  const changes = {};
+  for (const [field, value] of Object.entries(mapped)) {
+    if (field === "customFields" || isBlank(value)) continue;
+    if (excludedFields.includes(field)) continue;
+    if (!isSame(value, snapshot?.[field])) changes[field] = value;
+  }
+
+  const customFields = {};
+  for (const [field, value] of Object.entries(mapped.customFields || {})) {
+    if (isBlank(value)) continue;
+    if (!isSame(value, snapshot?.customFields?.[field])) {
+      customFields[field] = value;
     }
   }
+  if (Object.keys(customFields).length > 0) {
+    changes.customFields = customFields;
+  }
 
-  return mapped;
+  return Object.keys(changes).length > 0 ? changes : null;
 };
 
 /**
- * Map CRM lead data to our format
+ * Map a normalized CRM lead (see fetchCrmLeads) to our format
  */
-const mapCrmLeadToFormat = (crmLead, provider) => {
-  let mapped = {};
-
-  switch (provider) {
-    case "zoho":
-      mapped = {
-        name: `${crmLead.First_Name || ""} ${crmLead.Last_Name || ""}`.trim(),
-        firstName: crmLead.First_Name,
-        lastName: crmLead.Last_Name,
-        email: crmLead.Email,
-        phone: crmLead.Phone,
-        company: crmLead.Company,
-        jobTitle: crmLead.Title,
-        source: crmLead.Lead_Source || "CRM Import",
-        notes: crmLead.Description,
-        crmId: crmLead.id,
-      };
-      break;
-
-    case "salesforce":
-      mapped = {
-        name: `${crmLead.FirstName || ""} ${crmLead.LastName || ""}`.trim(),
-        firstName: crmLead.FirstName,
-        lastName: crmLead.LastName,
-        email: crmLead.Email,
-        phone: crmLead.Phone,
-        company: crmLead.Company,
-        jobTitle: crmLead.Title,
-        source: crmLead.LeadSource || "CRM Import",
-        notes: crmLead.Description,
-        crmId: crmLead.Id,
-      };
-      break;
-
-    case "hubspot":
-      mapped = {
-        name: `${crmLead.properties.firstname || ""} ${crmLead.properties.lastname || ""}`.trim(),
-        firstName: crmLead.properties.firstname,
-        lastName: crmLead.properties.lastname,
-        email: crmLead.properties.email,
-        phone: crmLead.properties.phone,
-        company: crmLead.properties.company,
-        jobTitle: crmLead.properties.jobtitle,
-        source: "CRM Import",
-        crmId: crmLead.id,
-      };
-      break;
-
-    case "dynamics":
-      mapped = {
-        name: `${crmLead.firstname || ""} ${crmLead.lastname || ""}`.trim(),
-        firstName: crmLead.firstname,
-        lastName: crmLead.lastname,
-        email: crmLead.emailaddress1,
-        phone: crmLead.telephone1,
-        company: crmLead.companyname,
-        jobTitle: crmLead.jobtitle,
-        source: "CRM Import",
-        notes: crmLead.description,
-        crmId: crmLead.leadid,
-      };
-      break;
-
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
-  }
-
-  return mapped;
-};
+const mapCrmLeadToFormat = (crmLead) => ({
+  fullName: crmLead.fullName,
+  firstName: crmLead.firstName,
+  lastName: crmLead.lastName,
+  email: crmLead.email,
+  phone: crmLead.phone,
+  company: crmLead.company,
+  jobTitle: crmLead.jobTitle,
+  notes: crmLead.notes,
+  crmId: crmLead.crmId,
+});
 
 // ============================================
 // Sync Status Management
 // ============================================
 
+/**
+ * Lead sync counts for one integration, from the leads' crmLinks
+ */
+const getIntegrationSyncStats = async (Lead, crmIntegration, totalLeads) => {
+  const [syncedLeads, pendingLeads, failedLeads] = await Promise.all(
+    ["synced", "pending", "failed"].map((syncStatus) =>
+      Lead.countDocuments(Lead.crmLinkQuery(crmIntegration, { syncStatus }))
+    )
+  );
+
+  return {
+    totalLeads,
+    syncedLeads,
+    pendingLeads,
+    failedLeads,
+    syncPercentage:
+      totalLeads > 0 ? ((syncedLeads / totalLeads) * 100).toFixed(2) : 0,
+  };
+};
+
 /**
  * Get sync status for a company
+ * The top-level fields describe the newest integration and every lead's
+ * latest sync; integrations has each integration's own.
  */
 export const getSyncStatus = async (companyId) => {
-  const crmIntegration = await CrmIntegration.findOne({ companyId });
+  const crmIntegrations = await CrmIntegration.find({ companyId }).sort({
+    createdAt: -1,
+  });
 
-  if (!crmIntegration) {
+  if (crmIntegrations.length === 0) {
     return {
       hasIntegration: false,
     };
@@ -454,12 +1070,27 @@ export const getSyncStatus = async (companyId) => {
   const pendingLeads = await Lead.countDocuments({ crmSyncStatus: { $in: ["pending", null] } });
   const failedLeads = await Lead.countDocuments({ crmSyncStatus: "failed" });
 
+  const integrations = await Promise.all(
+    crmIntegrations.map(async (crmIntegration) => ({
+      integrationId: crmIntegration._id,
+      provider: crmIntegration.provider,
+      status: crmIntegration.status,
+      autoSyncEnabled: crmIntegration.settings.autoSync.enabled,
+      lastSyncAt: crmIntegration.settings.autoSync.lastSyncAt,
+      routing: crmIntegration.settings.routing,
+      stats: await getIntegrationSyncStats(Lead, crmIntegration, totalLeads),
+      integrationStats: crmIntegration.stats,
+      lastRun: await getLastSyncRun(tenantConnection, crmIntegration._id),
+    }))
+  );
+  const [newest] = integrations;
+
   return {
     hasIntegration: true,
-    provider: crmIntegration.provider,
-    status: crmIntegration.status,
-    autoSyncEnabled: crmIntegration.settings.autoSync.enabled,
-    lastSyncAt: crmIntegration.settings.autoSync.lastSyncAt,
+    provider: newest.provider,
+    status: newest.status,
+    autoSyncEnabled: newest.autoSyncEnabled,
+    lastSyncAt: newest.lastSyncAt,
     stats: {
       totalLeads,
       syncedLeads,
@@ -468,20 +1099,24 @@ export const getSyncStatus = async (companyId) => {
       syncPercentage:
         totalLeads > 0 ? ((syncedLeads / totalLeads) * 100).toFixed(2) : 0,
     },
-    integrationStats: crmIntegration.stats,
+    integrationStats: newest.integrationStats,
+    lastRun: newest.lastRun,
+    integrations,
   };
 };
 
 /**
- * Retry failed syncs
+ * Retry failed syncs, per integration, for one integration or all active ones
+ * @returns {Object} { successful, failed, total, runIds }
  */
-export const retryFailedSyncs = async (companyId) => {
-  const crmIntegration = await CrmIntegration.findOne({
+export const retryFailedSyncs = async (companyId, integrationId = null) => {
+  const crmIntegrations = await CrmIntegration.find({
     companyId,
     status: "active",
+    ...(integrationId && { _id: integrationId }),
   });
 
-  if (!crmIntegration) {
+  if (crmIntegrations.length === 0) {
     throw new Error("No active CRM integration found");
   }
 
@@ -489,11 +1124,28 @@ export const retryFailedSyncs = async (companyId) => {
   const tenantConnection = await getTenantConnection(companyId.toString());
   const { Lead } = getTenantModels(tenantConnection);
 
-  // Get failed leads
-  const failedLeads = await Lead.find({ crmSyncStatus: "failed" });
-
-  const leadIds = failedLeads.map((lead) => lead._id);
+  const results = { successful: [], failed: [], total: 0, runIds: [] };
+
+  for (const crmIntegration of crmIntegrations) {
+    // Get leads whose last push to this CRM failed
+    const leadIds = await Lead.distinct(
+      "_id",
+      Lead.crmLinkQuery(crmIntegration, { syncStatus: "failed" })
+    );
+    if (leadIds.length === 0) continue;
+
+    // Retry sync
+    const integrationResults = await syncLeadsToCrm(
+      tenantConnection,
+      leadIds,
+      crmIntegration,
+      { trigger: "retry" }
+    );
+    results.successful.push(...integrationResults.successful);
+    results.failed.push(...integrationResults.failed);
+    results.total += integrationResults.total;
+    results.runIds.push(integrationResults.runId);
+  }
 
-  // Retry sync
-  return await syncLeadsToCrm(tenantConnection, leadIds, crmIntegration);
+  return results;
 };
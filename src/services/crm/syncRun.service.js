@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../../models/index.js";
+import { CRM_SYNC_RUN_RETENTION } from "../../models/crmSyncRun.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+
+/**
+ * CRM Sync Run Service
+ * Records each cron, manual sync or import run in the tenant's CrmSyncRun
+ * collection: timing, counts and per-lead outcomes. Integration-level
+ * errors stay in the integration's capped errorLogs.
+ */
+
+// ============================================
+// Recording
+// ============================================
+
+/**
+ * Start a run
+ * @param {Object} options - { trigger, direction }
+ * @returns {Object} The run document (add results with run.addResult)
+ */
+export const startSyncRun = async (
+  tenantConnection,
+  crmIntegration,
+  { trigger, direction }
+) => {
+  const { CrmSyncRun } = getTenantModels(tenantConnection);
+
+  return CrmSyncRun.create({
+    integrationId: crmIntegration._id,
+    provider: crmIntegration.provider,
+    trigger,
+    direction,
+  });
+};
+
+/**
+ * Finish a run and prune the integration's oldest runs
+ * @param {Error} error - Set when the run as a whole failed
+ */
+export const finishSyncRun = async (tenantConnection, run, error = null) => {
+  const { CrmSyncRun } = getTenantModels(tenantConnection);
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+
+  if (error) {
+    run.status = "failed";
+    run.error = error.message;
+  } else {
+    run.status = run.counts.failed > 0 ? "partial" : "completed";
+  }
+  await run.save();
+
+  const expired = await CrmSyncRun.find({ integrationId: run.integrationId })
+    .sort({ startedAt: -1 })
+    .skip(CRM_SYNC_RUN_RETENTION)
+    .select("_id");
+
+  if (expired.length > 0) {
+    await CrmSyncRun.deleteMany({
+      _id: { $in: expired.map((doc) => doc._id) },
+    });
+  }
+
+  return run;
+};
+
+// ============================================
+// History
+// ============================================
+
+/**
+ * List runs, newest first (without per-lead results, except the lead's own
+ * when filtering by leadId)
+ * @param {Object} filters - { integrationId, leadId, trigger, direction, status, page, limit }
+ * @returns {Object} { runs, pagination }
+ */
+export const getSyncRuns = async (
+  tenantConnection,
+  {
+    integrationId,
+    leadId,
+    trigger,
+    direction,
+    status,
+    page = 1,
+    limit = 20,
+  } = {}
+) => {
+  const { CrmSyncRun } = getTenantModels(tenantConnection);
+
+  for (const [name, id] of Object.entries({ integrationId, leadId })) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, `Invalid ${name}`);
+    }
+  }
+
+  const query = {};
+  if (integrationId) query.integrationId = integrationId;
+  // Per-lead audit: runs that touched the lead
+  if (leadId) query["results.leadId"] = leadId;
+  if (trigger) query.trigger = trigger;
+  if (direction) query.direction = direction;
+  if (status) query.status = status;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [runs, total] = await Promise.all([
+    CrmSyncRun.find(query)
+      .select(leadId ? {} : "-results")
+      .sort({ startedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    CrmSyncRun.countDocuments(query),
+  ]);
+
+  return {
+    // For a lead, keep only its own outcomes
+    runs: leadId
+      ? runs.map((run) => ({
+          ...run,
+          results: run.results.filter(
+            (result) => result.leadId?.toString() === leadId.toString()
+          ),
+        }))
+      : runs,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+/**
+ * Get a run with its per-lead results
+ */
+export const getSyncRun = async (tenantConnection, runId) => {
+  const { CrmSyncRun } = getTenantModels(tenantConnection);
+
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new ApiError(400, "Invalid run ID");
+  }
+
+  const run = await CrmSyncRun.findById(runId);
+
+  if (!run) {
+    throw new ApiError(404, "Sync run not found");
+  }
+  return run;
+};
+
+/**
+ * The integration's latest run
+ */
+export const getLastSyncRun = async (tenantConnection, integrationId) => {
+  const { CrmSyncRun } = getTenantModels(tenantConnection);
+
+  return CrmSyncRun.findOne({ integrationId })
+    .sort({ startedAt: -1 })
+    .select("-results");
+};
@@ -0,0 +1,244 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { getCrmProvider } from "./providers/index.js";
+import { ensureFreshTokens } from "./oauth.service.js";
+import { enqueueCrmWebhookEvents } from "../jobs/crmWebhook.job.js";
+
+/**
+ * CRM Webhook Service
+ * Registers lead change subscriptions with CRMs that support them and turns
+ * incoming webhook calls into queued lead events. CRMs without webhooks (and
+ * anything a webhook misses) are still covered by the polling cron.
+ */
+
+const LEAD_EVENTS = ["lead_created", "lead_updated", "lead_deleted"];
+
+// Path segment used instead of an integration id for app-level subscriptions
+const APP_WEBHOOK_ID = "app";
+
+// Renew expiring subscriptions this long before they lapse
+const RENEWAL_WINDOW = 24 * 60 * 60 * 1000;
+
+const getWebhookUrl = (provider, integrationId) =>
+  `${process.env.SERVER_URL}/api/v1/crm-integration/webhooks/${provider}/${integrationId}`;
+
+// ============================================
+// Registration
+// ============================================
+
+/**
+ * Subscribe to lead changes in the CRM (or renew the subscription)
+ * @returns {Object|null} The integration's webhook settings, or null when the CRM has no webhooks
+ */
+export const registerCrmWebhook = async (crmIntegration) => {
+  const webhooks = getCrmProvider(crmIntegration.provider)?.webhooks;
+  if (!webhooks) return null;
+
+  const previous = crmIntegration.toObject().webhooks || {};
+
+  // Configured once on the CRM app; nothing to call per account
+  if (webhooks.appLevel) {
+    crmIntegration.webhooks = {
+      enabled: true,
+      url: getWebhookUrl(crmIntegration.provider, APP_WEBHOOK_ID),
+      events: LEAD_EVENTS,
+      lastEventAt: previous.lastEventAt,
+    };
+    await crmIntegration.save();
+    return crmIntegration.webhooks;
+  }
+
+  if (!process.env.SERVER_URL) {
+    throw new Error("SERVER_URL is not configured");
+  }
+
+  await ensureFreshTokens(crmIntegration);
+
+  const url = getWebhookUrl(crmIntegration.provider, crmIntegration._id);
+  const secret = previous.secret || crypto.randomBytes(24).toString("hex");
+  const { externalId, expiresAt } = await webhooks.register(
+    crmIntegration.tokens.accessToken,
+    crmIntegration.credentials || {},
+    { url, secret }
+  );
+
+  crmIntegration.webhooks = {
+    enabled: true,
+    url,
+    secret,
+    events: LEAD_EVENTS,
+    externalId,
+    expiresAt: expiresAt || null,
+    lastEventAt: previous.lastEventAt,
+  };
+  await crmIntegration.save();
+
+  // Renewals create a new subscription; drop the old one
+  if (
+    webhooks.unregister &&
+    previous.externalId &&
+    previous.externalId !== externalId
+  ) {
+    await webhooks
+      .unregister(
+        crmIntegration.tokens.accessToken,
+        crmIntegration.credentials || {},
+        { externalId: previous.externalId }
+      )
+      .catch((error) =>
+        console.warn("Old CRM webhook unregistration failed:", error.message)
+      );
+  }
+
+  return crmIntegration.webhooks;
+};
+
+/**
+ * Remove the integration's lead change subscription from the CRM
+ */
+export const unregisterCrmWebhook = async (crmIntegration) => {
+  const webhooks = getCrmProvider(crmIntegration.provider)?.webhooks;
+  if (!webhooks || !crmIntegration.webhooks?.enabled) return;
+
+  if (crmIntegration.webhooks.externalId && webhooks.unregister) {
+    await ensureFreshTokens(crmIntegration);
+    await webhooks.unregister(
+      crmIntegration.tokens.accessToken,
+      crmIntegration.credentials || {},
+      { externalId: crmIntegration.webhooks.externalId }
+    );
+  }
+
+  crmIntegration.webhooks.enabled = false;
+  crmIntegration.webhooks.externalId = undefined;
+  crmIntegration.webhooks.expiresAt = undefined;
+  await crmIntegration.save();
+};
+
+/**
+ * Whether the integration currently receives lead changes by webhook
+ */
+export const hasLiveWebhook = (crmIntegration) =>
+  Boolean(
+    crmIntegration.webhooks?.enabled &&
+      (!crmIntegration.webhooks.expiresAt ||
+        crmIntegration.webhooks.expiresAt > new Date())
+  );
+
+/**
+ * Renew subscriptions that are about to expire
+ */
+export const renewExpiringCrmWebhooks = async () => {
+  const expiring = await CrmIntegration.find({
+    status: "active",
+    "webhooks.enabled": true,
+    "webhooks.expiresAt": { $lte: new Date(Date.now() + RENEWAL_WINDOW) },
+  });
+
+  for (const crmIntegration of expiring) {
+    try {
+      await registerCrmWebhook(crmIntegration);
+      console.log(
+        `[CRM] Renewed ${crmIntegration.provider} webhook for integration ${crmIntegration._id}`
+      );
+    } catch (error) {
+      console.error(
+        `[CRM] Webhook renewal failed for integration ${crmIntegration._id}:`,
+        error.message
+      );
+      await crmIntegration.addError("webhook", error.message);
+    }
+  }
+};
+
+// ============================================
+// Receiving
+// ============================================
+
+/**
+ * Verify an incoming CRM webhook and queue its lead events
+ * @param {Object} request - { provider, integrationId, headers, rawBody, body, method, url }
+ * @returns {Object} { challenge } for subscription handshakes, otherwise { queued }
+ */
+export const receiveCrmWebhook = async ({
+  provider,
+  integrationId,
+  headers,
+  rawBody,
+  body,
+  method,
+  url,
+}) => {
+  const webhooks = getCrmProvider(provider)?.webhooks;
+
+  if (!webhooks) {
+    throw new ApiError(404, `Webhooks are not supported for ${provider}`);
+  }
+
+  const challenge = webhooks.challenge?.(body);
+  if (challenge) {
+    return { challenge };
+  }
+
+  const request = { headers, rawBody, body, method, url };
+  let targets;
+
+  if (webhooks.appLevel) {
+    if (!webhooks.verify(request)) {
+      throw new ApiError(401, "Invalid webhook signature");
+    }
+
+    // One call can carry events for several connected accounts
+    const events = webhooks.parseEvents(body);
+    const accountIds = [...new Set(events.map((event) => event.accountId))];
+    const crmIntegrations = await CrmIntegration.find({
+      provider,
+      status: "active",
+      "accountInfo.accountId": { $in: accountIds },
+    });
+
+    targets = crmIntegrations.map((crmIntegration) => ({
+      crmIntegration,
+      events: events.filter(
+        (event) => event.accountId === crmIntegration.accountInfo.accountId
+      ),
+    }));
+  } else {
+    const crmIntegration = mongoose.Types.ObjectId.isValid(integrationId)
+      ? await CrmIntegration.findOne({
+          _id: integrationId,
+          provider,
+          status: "active",
+        })
+      : null;
+
+    if (!crmIntegration?.webhooks?.enabled) {
+      throw new ApiError(404, "CRM integration not found");
+    }
+
+    if (
+      !webhooks.verify({ ...request, secret: crmIntegration.webhooks.secret })
+    ) {
+      throw new ApiError(401, "Invalid webhook signature");
+    }
+
+    targets = [{ crmIntegration, events: webhooks.parseEvents(body) }];
+  }
+
+  let queued = 0;
+
+  for (const { crmIntegration, events } of targets) {
+    if (events.length === 0) continue;
+
+    await enqueueCrmWebhookEvents({ crmIntegration, events });
+    await CrmIntegration.updateOne(
+      { _id: crmIntegration._id },
+      { $set: { "webhooks.lastEventAt": new Date() } }
+    );
+    queued += events.length;
+  }
+
+  return { queued };
+};
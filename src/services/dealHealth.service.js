@@ -1,15 +1,47 @@
+import mongoose from "mongoose";
 import { getTenantModels } from "../models/index.js";
-import OpenAI from "openai";
+import { getTenantIdFromConnection } from "../db/tenantConnection.js";
+import socketService from "./socket.service.js";
 import nextBestActionService from "./nextBestAction.service.js";
+import pipelineService from "./pipeline.service.js";
+import leadScoringService from "./leadScoring.service.js";
+import llmService from "./llm/llm.service.js";
+import { isAiQuotaError } from "./aiUsage.service.js";
+
+// Shape of the AI analysis (see getAIAnalysis)
+const AI_ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["churnRiskScore", "successProbability", "predictedOutcome"],
+  properties: {
+    churnRiskScore: { type: "number", minimum: 0, maximum: 100 },
+    successProbability: { type: "number", minimum: 0, maximum: 100 },
+    predictedOutcome: { type: "string", enum: ["conversion", "churn", "stagnant"] },
+    reasoning: { type: "string" },
+  },
+};
+
+// Health statuses from best to worst
+const HEALTH_STATUS_ORDER = ["excellent", "good", "fair", "poor", "inactive", "at_risk"];
+
+// Dropping into one of these notifies the tenant
+const ALERT_HEALTH_STATUSES = ["poor", "inactive", "at_risk"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const MAX_TREND_DAYS = 365;
+const MAX_TREND_WEEKS = 52;
+
+// Monday 00:00 UTC of the week a date falls in
+const startOfWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const emptyDistribution = () =>
+  Object.fromEntries(HEALTH_STATUS_ORDER.map((status) => [status, 0]));
 
 class DealHealthService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-  }
-
   /**
    * Log engagement event
    */
@@ -25,6 +57,8 @@ class DealHealthService {
 
       console.log(`[HEALTH] Engagement logged for lead ${leadId}`);
 
+      leadScoringService.refreshLeadScore(tenantConnection, leadId);
+
       // Trigger health score recalculation
       await this.calculateDealHealth(tenantConnection, leadId);
 
@@ -48,23 +82,26 @@ class DealHealthService {
       // Get engagement history
       const engagements = await this.getEngagementHistory(tenantConnection, leadId);
       const metrics = await this.calculateEngagementMetrics(engagements, lead);
-      const velocityMetrics = await this.calculateVelocityMetrics(engagements, lead);
+      const pipeline = await lead.getPipeline();
+      const velocityMetrics = await this.calculateVelocityMetrics(engagements, lead, pipeline);
       const cadenceCompliance = await this.calculateCadenceCompliance(tenantConnection, leadId);
       const riskIndicators = this.calculateRiskIndicators(metrics, velocityMetrics, cadenceCompliance);
+      const dealMetrics = this.calculateDealMetrics(lead);
 
       // Calculate health score
       const healthScore = this.calculateHealthScore(metrics, velocityMetrics, riskIndicators);
       const healthStatus = this.getHealthStatus(healthScore, riskIndicators);
 
       // Get AI-powered insights
-      const aiAnalysis = await this.getAIAnalysis(lead, metrics, healthScore);
+      const aiAnalysis = await this.getAIAnalysis(lead, metrics, healthScore, dealMetrics);
 
       // Generate recommendations
       const recommendations = this.generateRecommendations(
         metrics,
         velocityMetrics,
         riskIndicators,
-        aiAnalysis
+        aiAnalysis,
+        dealMetrics
       );
 
       // Update or create deal health record
@@ -73,6 +110,7 @@ class DealHealthService {
       if (!dealHealth) {
         dealHealth = new DealHealth({ leadId });
       }
+      const previousStatus = dealHealth.isNew ? null : dealHealth.healthStatus;
 
       // Update metrics
       dealHealth.healthScore = healthScore;
@@ -81,6 +119,7 @@ class DealHealthService {
       dealHealth.velocityMetrics = velocityMetrics;
       dealHealth.cadenceCompliance = cadenceCompliance;
       dealHealth.riskIndicators = riskIndicators;
+      dealHealth.dealMetrics = dealMetrics;
       dealHealth.recommendations = recommendations;
       dealHealth.aiAnalysis = aiAnalysis;
       dealHealth.lastAnalyzedAt = new Date();
@@ -104,6 +143,12 @@ class DealHealthService {
 
       await dealHealth.save();
 
+      await this.recordSnapshot(tenantConnection, dealHealth, previousStatus);
+
+      if (this.isStatusDrop(previousStatus, healthStatus)) {
+        await this.alertStatusDrop(tenantConnection, lead, previousStatus, dealHealth);
+      }
+
       // Generate or refresh Next Best Action for this lead (non-blocking)
       try {
         nextBestActionService
@@ -150,6 +195,10 @@ class DealHealthService {
     const totalEmails = emailEngagements.length;
     const emailOpenRate = totalEmails > 0 ? (openedEmails.length / totalEmails) * 100 : 0;
     const emailClickRate = totalEmails > 0 ? (clickedEmails.length / totalEmails) * 100 : 0;
+    const totalClicks = emailEngagements.reduce(
+      (sum, e) => sum + (e.emailMetrics?.clickCount || 0),
+      0
+    );
 
     // Calculate average response time
     let totalResponseTime = 0;
@@ -173,17 +222,23 @@ class DealHealthService {
       totalEmails,
       emailOpenRate: Math.round(emailOpenRate),
       emailClickRate: Math.round(emailClickRate),
+      totalClicks,
       averageResponseTime: Math.round(averageResponseTime * 10) / 10,
       totalContacts: engagements.length,
       lastContactDate,
       daysSinceLastContact,
+      // Suppression flags feed the risk indicators
+      emailUnsubscribed:
+        !!lead?.emailStatus?.emailUnsubscribed ||
+        engagements.some((e) => e.engagementType === "unsubscribed"),
+      emailBounced: !!lead?.emailStatus?.emailBounced,
     };
   }
 
   /**
    * Calculate velocity metrics
    */
-  async calculateVelocityMetrics(engagements, lead) {
+  async calculateVelocityMetrics(engagements, lead, pipeline = null) {
     // Calculate emails per week
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -220,22 +275,31 @@ class DealHealthService {
       contactFrequencyTrend = "decreasing";
     }
 
-    // Calculate days in current stage
-    const daysInCurrentStage = lead.status 
-      ? Math.floor((new Date() - new Date(lead.updatedAt)) / (1000 * 60 * 60 * 24))
-      : 0;
-
-    // Stage progression speed
-    let stageProgressionSpeed = "normal";
-    if (daysInCurrentStage > 30) stageProgressionSpeed = "slow";
-    if (daysInCurrentStage < 7) stageProgressionSpeed = "fast";
+    // Calculate days in current stage from stage history
+    const daysInCurrentStage = pipelineService.getDaysInCurrentStage(lead);
+
+    // Stage progression speed: compare against the stage's expected duration
+    // and how quickly the lead moved through earlier stages
+    const currentStage = pipeline?.getStage(lead.stageId);
+    const expectedDays = currentStage?.expectedDays || 30;
+    const avgCompletedDays = pipelineService.getAverageCompletedStageDays(lead);
+
+    let stageProgressSpeed = "normal";
+    if (currentStage?.isWon || currentStage?.isLost) {
+      if (avgCompletedDays !== null && avgCompletedDays > 30) stageProgressSpeed = "slow";
+      if (avgCompletedDays !== null && avgCompletedDays < 7) stageProgressSpeed = "fast";
+    } else if (daysInCurrentStage > expectedDays) {
+      stageProgressSpeed = "slow";
+    } else if ((avgCompletedDays ?? daysInCurrentStage) < expectedDays / 4) {
+      stageProgressSpeed = "fast";
+    }
 
     return {
       emailsPerWeek,
       contactFrequencyTrend,
       engagementDecayDays,
       daysInCurrentStage,
-      stageProgressionSpeed,
+      stageProgressSpeed,
     };
   }
 
@@ -308,14 +372,17 @@ class DealHealthService {
     if (stageStaleness) riskScore += 20;
     if (cadenceCompliance.cadenceViolations > 2) riskScore += 15;
     if (velocityMetrics.contactFrequencyTrend === "decreasing") riskScore += 10;
+    // Email channel is closed
+    if (metrics.emailUnsubscribed) riskScore += 40;
+    if (metrics.emailBounced) riskScore += 40;
 
     if (riskScore > 60) riskLevel = "high";
     else if (riskScore > 30) riskLevel = "medium";
 
     return {
       noResponseDays,
-      emailUnsubscribed: false,
-      bounceDetected: false,
+      emailUnsubscribed: !!metrics.emailUnsubscribed,
+      bounceDetected: !!metrics.emailBounced,
       lowEngagement,
       stageStaleness,
       riskLevel,
@@ -347,6 +414,249 @@ class DealHealthService {
     return Math.max(0, Math.round(score));
   }
 
+  /**
+   * Add a calculation to the lead's health history
+   */
+  async recordSnapshot(tenantConnection, dealHealth, previousStatus = null) {
+    try {
+      const { DealHealthSnapshot } = getTenantModels(tenantConnection);
+      // Creates the time-series collection before the first write
+      await DealHealthSnapshot.init();
+
+      await DealHealthSnapshot.create({
+        leadId: dealHealth.leadId,
+        takenAt: dealHealth.lastAnalyzedAt,
+        healthScore: dealHealth.healthScore,
+        healthStatus: dealHealth.healthStatus,
+        ...(previousStatus &&
+          previousStatus !== dealHealth.healthStatus && { previousStatus }),
+        riskLevel: dealHealth.riskIndicators?.riskLevel,
+        metrics: {
+          emailOpenRate: dealHealth.engagementMetrics?.emailOpenRate,
+          emailClickRate: dealHealth.engagementMetrics?.emailClickRate,
+          daysSinceLastContact: dealHealth.engagementMetrics?.daysSinceLastContact,
+          emailsPerWeek: dealHealth.velocityMetrics?.emailsPerWeek,
+          compliancePercentage: dealHealth.cadenceCompliance?.compliancePercentage,
+          openValue: dealHealth.dealMetrics?.openValue,
+          churnRiskScore: dealHealth.aiAnalysis?.churnRiskScore,
+          successProbability: dealHealth.aiAnalysis?.successProbability,
+        },
+      });
+    } catch (error) {
+      console.error(`[HEALTH] Failed to record health snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a status change is a drop worth alerting on
+   */
+  isStatusDrop(from, to) {
+    if (!from || !to || from === to) return false;
+    return (
+      ALERT_HEALTH_STATUSES.includes(to) &&
+      HEALTH_STATUS_ORDER.indexOf(to) > HEALTH_STATUS_ORDER.indexOf(from)
+    );
+  }
+
+  /**
+   * Notify the tenant that a lead's health dropped
+   */
+  async alertStatusDrop(tenantConnection, lead, from, dealHealth) {
+    try {
+      const { Notification } = getTenantModels(tenantConnection);
+      const label = (status) => status.replace("_", " ");
+
+      const notification = await Notification.create({
+        title: "Deal Health Dropped",
+        message: `${lead.fullName || "A lead"}${
+          lead.company ? ` (${lead.company})` : ""
+        } dropped from ${label(from)} to ${label(dealHealth.healthStatus)} (health score ${dealHealth.healthScore}).`,
+      });
+
+      const companyId = getTenantIdFromConnection(tenantConnection);
+      if (companyId) socketService.emitNotification(companyId, notification);
+
+      console.log(`[HEALTH] Lead ${lead._id} dropped from ${from} to ${dealHealth.healthStatus}`);
+    } catch (error) {
+      console.error(`[HEALTH] Failed to send health alert: ${error.message}`);
+    }
+  }
+
+  /**
+   * A lead's health over time, one point per day (the day's last calculation)
+   * @returns {Promise<Object>} - { points, statusChanges, summary }
+   */
+  async getLeadTrend(tenantConnection, leadId, days = 90) {
+    const { DealHealthSnapshot } = getTenantModels(tenantConnection);
+    const since = new Date(Date.now() - Math.min(days, MAX_TREND_DAYS) * DAY_MS);
+    const match = {
+      leadId: new mongoose.Types.ObjectId(String(leadId)),
+      takenAt: { $gte: since },
+    };
+
+    const [points, statusChanges] = await Promise.all([
+      DealHealthSnapshot.aggregate([
+        { $match: match },
+        { $sort: { takenAt: 1 } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: "$takenAt", unit: "day" } },
+            healthScore: { $last: "$healthScore" },
+            healthStatus: { $last: "$healthStatus" },
+            riskLevel: { $last: "$riskLevel" },
+            metrics: { $last: "$metrics" },
+            minScore: { $min: "$healthScore" },
+            maxScore: { $max: "$healthScore" },
+            calculations: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, date: "$_id", healthScore: 1, healthStatus: 1, riskLevel: 1, metrics: 1, minScore: 1, maxScore: 1, calculations: 1 } },
+      ]),
+      DealHealthSnapshot.find({ ...match, previousStatus: { $exists: true } })
+        .sort({ takenAt: 1 })
+        .select("takenAt previousStatus healthStatus healthScore")
+        .lean(),
+    ]);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const scoreChange = first ? last.healthScore - first.healthScore : 0;
+
+    return {
+      leadId,
+      days,
+      points,
+      statusChanges: statusChanges.map((change) => ({
+        at: change.takenAt,
+        from: change.previousStatus,
+        to: change.healthStatus,
+        healthScore: change.healthScore,
+      })),
+      summary: {
+        currentScore: last?.healthScore ?? null,
+        currentStatus: last?.healthStatus ?? null,
+        startScore: first?.healthScore ?? null,
+        scoreChange,
+        direction: scoreChange > 0 ? "improving" : scoreChange < 0 ? "declining" : "stable",
+      },
+    };
+  }
+
+  /**
+   * Tenant-wide health week over week: each lead counts with its latest
+   * status as of the end of each week (carried forward from earlier weeks)
+   * @returns {Promise<Object>} - { weeks: [{ weekStart, leads, averageScore,
+   *   distribution, movements, change }] }
+   */
+  async getPipelineTrends(tenantConnection, weeks = 8) {
+    const { Lead, DealHealthSnapshot } = getTenantModels(tenantConnection);
+    const weekCount = Math.min(weeks, MAX_TREND_WEEKS);
+    const start = new Date(startOfWeek(new Date()).getTime() - (weekCount - 1) * WEEK_MS);
+
+    const lastPerLead = {
+      $group: {
+        _id: "$leadId",
+        healthScore: { $last: "$healthScore" },
+        healthStatus: { $last: "$healthStatus" },
+      },
+    };
+
+    const [leadIds, before, weekly] = await Promise.all([
+      Lead.distinct("_id"),
+      // Where each lead stood when the window starts
+      DealHealthSnapshot.aggregate([
+        { $match: { takenAt: { $lt: start } } },
+        { $sort: { takenAt: 1 } },
+        lastPerLead,
+      ]),
+      DealHealthSnapshot.aggregate([
+        { $match: { takenAt: { $gte: start } } },
+        { $sort: { takenAt: 1 } },
+        {
+          $group: {
+            _id: {
+              leadId: "$leadId",
+              week: { $dateTrunc: { date: "$takenAt", unit: "week", startOfWeek: "monday" } },
+            },
+            healthScore: { $last: "$healthScore" },
+            healthStatus: { $last: "$healthStatus" },
+          },
+        },
+      ]),
+    ]);
+
+    // Deleted/merged leads keep their snapshots; leave them out
+    const existing = new Set(leadIds.map(String));
+
+    const state = new Map();
+    for (const entry of before) {
+      if (existing.has(String(entry._id))) state.set(String(entry._id), entry);
+    }
+
+    const byWeek = new Map();
+    for (const entry of weekly) {
+      const leadId = String(entry._id.leadId);
+      if (!existing.has(leadId)) continue;
+
+      const week = new Date(entry._id.week).getTime();
+      if (!byWeek.has(week)) byWeek.set(week, []);
+      byWeek.get(week).push({ leadId, ...entry });
+    }
+
+    const rank = (status) => HEALTH_STATUS_ORDER.indexOf(status);
+    const result = [];
+
+    for (let index = 0; index < weekCount; index++) {
+      const weekStart = new Date(start.getTime() + index * WEEK_MS);
+      const movements = { improved: 0, declined: 0, unchanged: 0, new: 0, dropAlerts: 0 };
+
+      for (const entry of byWeek.get(weekStart.getTime()) || []) {
+        const previous = state.get(entry.leadId);
+
+        if (!previous) movements.new += 1;
+        else if (rank(entry.healthStatus) < rank(previous.healthStatus)) movements.improved += 1;
+        else if (rank(entry.healthStatus) > rank(previous.healthStatus)) movements.declined += 1;
+        else movements.unchanged += 1;
+
+        if (this.isStatusDrop(previous?.healthStatus, entry.healthStatus)) movements.dropAlerts += 1;
+
+        state.set(entry.leadId, entry);
+      }
+
+      const distribution = emptyDistribution();
+      let scoreTotal = 0;
+      for (const entry of state.values()) {
+        if (entry.healthStatus in distribution) distribution[entry.healthStatus] += 1;
+        scoreTotal += entry.healthScore || 0;
+      }
+
+      const averageScore = state.size > 0 ? Math.round(scoreTotal / state.size) : 0;
+      const previousWeek = result[result.length - 1];
+
+      result.push({
+        weekStart,
+        leads: state.size,
+        averageScore,
+        distribution,
+        movements,
+        change: previousWeek
+          ? {
+              averageScore: averageScore - previousWeek.averageScore,
+              distribution: Object.fromEntries(
+                HEALTH_STATUS_ORDER.map((status) => [
+                  status,
+                  distribution[status] - previousWeek.distribution[status],
+                ])
+              ),
+            }
+          : null,
+      });
+    }
+
+    return { weeks: result };
+  }
+
   /**
    * Get health status based on score
    */
@@ -359,10 +669,47 @@ class DealHealthService {
     return "inactive";
   }
 
+  /**
+   * Deal figures from the lead's CRM deals: open and won amounts, and the
+   * stage, probability and close date of the deal that drives it (the open
+   * deal updated last, else the latest closed one)
+   */
+  calculateDealMetrics(lead) {
+    const deals = lead.crmDeals || [];
+    const latest = (list) =>
+      [...list].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+    const openDeals = deals.filter((deal) => deal.status === "open");
+    const wonDeals = deals.filter((deal) => deal.status === "won");
+    const current = latest(openDeals) || latest(deals);
+
+    if (!current) {
+      return {
+        openValue: 0,
+        wonValue: lead.conversionData?.conversionValue || 0,
+        status: "none",
+        closeDateOverdue: false,
+      };
+    }
+
+    const sum = (list) => list.reduce((total, deal) => total + (deal.amount || 0), 0);
+
+    return {
+      openValue: sum(openDeals),
+      wonValue: wonDeals.length > 0 ? sum(wonDeals) : lead.conversionData?.conversionValue || 0,
+      currency: current.currency,
+      stage: current.stage,
+      status: current.status,
+      probability: current.probability,
+      closeDate: current.closeDate,
+      closeDateOverdue:
+        current.status === "open" && !!current.closeDate && new Date(current.closeDate) < new Date(),
+    };
+  }
+
   /**
    * Get AI-powered analysis
    */
-  async getAIAnalysis(lead, metrics, healthScore) {
+  async getAIAnalysis(lead, metrics, healthScore, dealMetrics = null) {
     try {
       const prompt = `
 Analyze this deal/lead health and predict outcomes:
@@ -378,7 +725,19 @@ Engagement Metrics:
 - Email Click Rate: ${metrics.emailClickRate}%
 - Average Response Time: ${metrics.averageResponseTime} hours
 - Days Since Last Contact: ${metrics.daysSinceLastContact}
-
+${
+  dealMetrics && dealMetrics.status !== "none"
+    ? `
+CRM Deal:
+- Status: ${dealMetrics.status}
+- Stage: ${dealMetrics.stage || "unknown"}
+- Open Value: ${dealMetrics.openValue} ${dealMetrics.currency || ""}
+- Won Value: ${dealMetrics.wonValue} ${dealMetrics.currency || ""}
+- CRM Probability: ${dealMetrics.probability ?? "unknown"}%
+- Close Date: ${dealMetrics.closeDate ? new Date(dealMetrics.closeDate).toISOString().slice(0, 10) : "none"}${dealMetrics.closeDateOverdue ? " (overdue)" : ""}
+`
+    : ""
+}
 Based on this data, provide:
 1. Churn Risk Score (0-100): How likely is this lead to churn?
 2. Success Probability (0-100): How likely are they to convert?
@@ -393,28 +752,25 @@ Respond ONLY in valid JSON format:
   "reasoning": "explanation"
 }`;
 
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
+      return await llmService.completeJson({
+        task: "deal_health",
+        tenant: lead.constructor.db,
         messages: [{ role: "user", content: prompt }],
+        schema: AI_ANALYSIS_SCHEMA,
         temperature: 0.7,
-        max_tokens: 500,
+        maxTokens: 500,
       });
-
-      const responseContent = completion.choices[0].message.content.trim();
-      const cleanedResponse = responseContent
-        .replace(/```json\n?/g, "")
-        .replace(/```\n?/g, "")
-        .trim();
-
-      const aiAnalysis = JSON.parse(cleanedResponse);
-      return aiAnalysis;
     } catch (error) {
+      // Health scores are recalculated on every engagement, so running out
+      // of AI quota only drops the AI part instead of failing the update
       console.error("[HEALTH] AI analysis failed:", error.message);
       return {
         churnRiskScore: 50,
         successProbability: 50,
         predictedOutcome: "stagnant",
-        reasoning: "Analysis unavailable",
+        reasoning: isAiQuotaError(error)
+          ? `Analysis unavailable: ${error.message}`
+          : "Analysis unavailable",
       };
     }
   }
@@ -422,7 +778,7 @@ Respond ONLY in valid JSON format:
   /**
    * Generate recommendations
    */
-  generateRecommendations(metrics, velocityMetrics, riskIndicators, aiAnalysis) {
+  generateRecommendations(metrics, velocityMetrics, riskIndicators, aiAnalysis, dealMetrics = null) {
     const recommendations = [];
 
     // Low engagement
@@ -479,6 +835,15 @@ Respond ONLY in valid JSON format:
       });
     }
 
+    // CRM deal past its close date
+    if (dealMetrics?.closeDateOverdue) {
+      recommendations.push({
+        recommendation: "CRM deal is past its expected close date",
+        priority: "high",
+        action: "Confirm the decision timeline with the buyer and update the close date in the CRM.",
+      });
+    }
+
     return recommendations;
   }
 
@@ -509,6 +874,10 @@ Respond ONLY in valid JSON format:
         (d) => d.riskIndicators.riskLevel === "high"
       );
 
+      // CRM deal amounts (see calculateDealMetrics)
+      const pipelineValue = dealHealthRecords.reduce((sum, d) => sum + (d.dealMetrics?.openValue || 0), 0);
+      const wonValue = dealHealthRecords.reduce((sum, d) => sum + (d.dealMetrics?.wonValue || 0), 0);
+
       return {
         summary: {
           totalLeads,
@@ -518,6 +887,8 @@ Respond ONLY in valid JSON format:
           fairLeads,
           poorLeads,
           atRiskLeads,
+          pipelineValue,
+          wonValue,
         },
         distribution: {
           excellent: excellentLeads,
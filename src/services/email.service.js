@@ -10,7 +10,8 @@ import {
   buildUserDataRows,
 } from "../templates/email/index.js";
 import crypto from "crypto";
-import { storeMessageIdMapping } from "../utils/check-inbound-replies.js";
+import outboundMessageService from "./outboundMessage.service.js";
+import { prepareTrackedEmail } from "../utils/emailTracking.util.js";
 
 class EmailService {
   #transporter = null;
@@ -284,7 +285,8 @@ class EmailService {
   // Send welcome email to new lead
   // ================================================
 
-  async sendWelcomeEmail(lead, form) {
+  // `content` is an optional rendered email template: { subject, html, text }
+  async sendWelcomeEmail(lead, form, content = null) {
     try {
       // Ensure email service is initialized
       await this.#initializeTransporter();
@@ -304,9 +306,23 @@ class EmailService {
       // Validate input parameters
       this.#validateEmailAddress(lead.email, "Lead email");
 
-      const mailOptions = this.#buildWelcomeMailOptions(lead, form);
+      const mailOptions = this.#buildWelcomeMailOptions(lead, form, content);
       const emailResult = await this.#sendEmail(mailOptions);
 
+      // Persist the sent message so replies can be matched after restarts
+      await outboundMessageService.recordSent({
+        messageId: mailOptions.headers["X-Tracking-ID"],
+        internetMessageId: emailResult.messageId,
+        provider: "system-smtp",
+        mailboxEmail: mailOptions.from.address,
+        companyId: form.companyId?._id || form.companyId,
+        leadId: lead._id,
+        emailType: "welcome",
+        subject: mailOptions.subject,
+        to: lead.email,
+        sentAt: new Date(),
+      });
+
       console.log(
         `✅ Welcome email sent successfully to ${lead?.email}: ${emailResult.messageId}`
       );
@@ -538,7 +554,7 @@ class EmailService {
   }
 
   // Build mail options for welcome email
-  #buildWelcomeMailOptions(lead, form) {
+  #buildWelcomeMailOptions(lead, form, content = null) {
     const companyName = form.companyId?.companyName || "Our Company";
     const subject =
       form.settings?.autoResponse?.subject || "Thank you for your interest!";
@@ -550,8 +566,15 @@ class EmailService {
     const uniqueId = `${lead._id}-${Date.now()}`;
     const messageId = `${uniqueId}@jazzam.ai`;
 
-    // Store messageId to companyId mapping for reply processing
-    storeMessageIdMapping(uniqueId, form.companyId?._id || form.companyId, lead._id);
+    const companyId = form.companyId?._id || form.companyId;
+
+    // Click tracking, unsubscribe footer and List-Unsubscribe headers
+    const tracked = prepareTrackedEmail(
+      content
+        ? this.#appendTrackingPixel(content.html, messageId, companyId)
+        : this.#generateWelcomeEmailTemplate(lead, companyName, message, messageId, companyId),
+      { companyId, leadId: lead._id, messageId }
+    );
 
     return {
       from: {
@@ -559,8 +582,9 @@ class EmailService {
         address: process.env.EMAIL_COMPANY,
       },
       to: lead.email,
-      subject: subject,
-      html: this.#generateWelcomeEmailTemplate(lead, companyName, message, messageId),
+      subject: content?.subject || subject,
+      html: tracked.html,
+      ...(content?.text && { text: content.text }),
       messageId: messageId,
       priority: "normal",
       headers: {
@@ -569,6 +593,7 @@ class EmailService {
         'X-Lead-ID': (lead._id || lead.id || 'unknown').toString(),
         'X-Company-ID': (form.companyId?._id || form.companyId || 'unknown').toString(),
         'X-Message-ID': uniqueId,
+        ...tracked.headers,
       }
     };
   }
@@ -638,22 +663,37 @@ class EmailService {
     };
   }
 
+  // Add the open-tracking pixel to a rendered template body
+  #appendTrackingPixel(html, trackingToken, companyId) {
+    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}?c=${companyId}`;
+
+    return `${html}
+    <img 
+      src="${trackingPixelUrl}&rand=${Math.random()}"
+      width=1
+      height=1
+      style="display:none;width:1px;height:1px;opacity:0;"
+      alt=""
+    />
+    `;
+  }
+
   // Generate welcome email template
-  #generateWelcomeEmailTemplate(lead, companyName, message, trackingToken) {
+  #generateWelcomeEmailTemplate(lead, companyName, message, trackingToken, companyId) {
     const leadName = lead.fullName || lead.firstName || "there";
 
-    // Create tracking pixel url with the same token
-    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}`;
+    // Create tracking pixel url with the same token (and tenant for lookup)
+    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}?c=${companyId}`;
 
     console.log("trackingPixelUrl:", trackingPixelUrl);
 
     // Add tracking pixel to HTML
     const trackingPixel = `
     <img 
-      src="${trackingPixelUrl}?rand=${Math.random()}"
+      src="${trackingPixelUrl}&rand=${Math.random()}"
       width=1
       height=1
-      style="display:none;width=1px;height:1px;opacity:0;"
+      style="display:none;width:1px;height:1px;opacity:0;"
       alt=""
     />
     `;
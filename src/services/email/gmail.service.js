@@ -144,7 +144,7 @@ class GmailService {
   /**
    * Send email via Gmail API
    */
-  async sendEmail(company, mailbox, { to, subject, html, leadId }) {
+  async sendEmail(company, mailbox, { to, subject, html, leadId, messageId, headers = {} }) {
     try {
       const accessToken = await this.getValidAccessToken(company, mailbox);
       
@@ -153,9 +153,9 @@ class GmailService {
       
       const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
       
-      // Generate unique message ID
+      // Generate unique message ID (callers pass their tracking id)
       const timestamp = Date.now();
-      const uniqueId = `${leadId}-${timestamp}`;
+      const uniqueId = messageId || `${leadId}-${timestamp}`;
       const fromEmail = mailbox.email;
       
       // Create email in RFC 2822 format
@@ -167,6 +167,7 @@ class GmailService {
       emailLines.push(`X-Lead-ID: ${leadId}`);
       emailLines.push(`X-Company-ID: ${company._id}`);
       emailLines.push(`X-Mailbox-ID: ${mailbox._id}`);
+      Object.entries(headers).forEach(([name, value]) => emailLines.push(`${name}: ${value}`));
       emailLines.push('Content-Type: text/html; charset=utf-8');
       emailLines.push('');
       emailLines.push(html);
@@ -193,7 +194,10 @@ class GmailService {
       return {
         success: true,
         messageId: uniqueId,
+        internetMessageId: `<${uniqueId}@gmail.com>`,
         gmailMessageId: response.data.id,
+        providerMessageId: response.data.id,
+        threadId: response.data.threadId,
         provider: 'gmail',
         from: fromEmail
       };
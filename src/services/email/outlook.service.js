@@ -2,6 +2,25 @@ import axios from 'axios';
 import { encrypt, decrypt } from '../../utils/encryption.util.js';
 import { Company } from '../../models/company.model.js';
 
+// RFC 2047 encoded-word for header values that aren't plain ASCII
+const encodeHeaderValue = (value) => {
+  const text = String(value ?? '');
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+};
+
+// "Name" <address>; ASCII names are quoted so commas and the like are safe
+const formatAddress = (name, address) => {
+  const text = String(name || '');
+  if (!text) return address;
+
+  const displayName = /^[\x20-\x7e]*$/.test(text)
+    ? `"${text.replace(/["\\]/g, '\\$&')}"`
+    : encodeHeaderValue(text);
+  return `${displayName} <${address}>`;
+};
+
 class OutlookService {
 
   /**
@@ -161,56 +180,70 @@ class OutlookService {
     return decrypt(mailbox.accessToken);
   }
 
+  /**
+   * Build a base64 MIME message for Graph. Graph's JSON messages only take
+   * custom x- headers, so mail is sent as MIME to carry Message-ID and
+   * List-Unsubscribe.
+   */
+  buildMimeMessage({ from, to, subject, html, headers }) {
+    const lines = [
+      `From: ${formatAddress(from.name, from.address)}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeaderValue(subject)}`,
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+      'MIME-Version: 1.0',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(html).toString('base64').replace(/.{76}/g, '$&\r\n')
+    ];
+
+    return Buffer.from(lines.join('\r\n')).toString('base64');
+  }
+
   /**
    * Send email via Microsoft Graph API
    */
-  async sendEmail(company, mailbox, { to, subject, html, leadId }) {
+  async sendEmail(company, mailbox, { to, subject, html, leadId, messageId, headers = {} }) {
     try {
       const accessToken = await this.getValidAccessToken(company, mailbox);
 
       const timestamp = Date.now();
-      const uniqueId = `${leadId}-${timestamp}`;
+      const uniqueId = messageId || `${leadId}-${timestamp}`;
       const fromEmail = mailbox.email;
 
-      const message = {
-        message: {
-          subject: subject,
-          body: {
-            contentType: 'HTML',
-            content: html
-          },
-          toRecipients: [
-            {
-              emailAddress: {
-                address: to
-              }
-            }
-          ],
-          from: {
-            emailAddress: {
-              name: mailbox.displayName || company.companyName,
-              address: fromEmail
-            }
-          },
-          internetMessageHeaders: [
-            { name: 'X-Lead-ID', value: leadId },
-            { name: 'X-Company-ID', value: company._id.toString() },
-            { name: 'X-Mailbox-ID', value: mailbox._id.toString() },
-            { name: 'Message-ID', value: `<${uniqueId}@outlook.com>` }
-          ]
-        },
-        saveToSentItems: true
+      const graphHeaders = {
+        'Authorization': `Bearer ${accessToken}`
       };
 
-      await axios.post(
-        'https://graph.microsoft.com/v1.0/me/sendMail',
-        message,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
+      const message = this.buildMimeMessage({
+        from: {
+          name: mailbox.displayName || company.companyName,
+          address: fromEmail
+        },
+        to,
+        subject,
+        html,
+        headers: {
+          'Message-ID': `<${uniqueId}@outlook.com>`,
+          'X-Lead-ID': leadId,
+          'X-Company-ID': company._id.toString(),
+          'X-Mailbox-ID': mailbox._id.toString(),
+          ...headers
         }
+      });
+
+      // Create a draft first so we get the ids replies will reference, then send it
+      const { data: draft } = await axios.post(
+        'https://graph.microsoft.com/v1.0/me/messages',
+        message,
+        { headers: { ...graphHeaders, 'Content-Type': 'text/plain' } }
+      );
+
+      await axios.post(
+        `https://graph.microsoft.com/v1.0/me/messages/${draft.id}/send`,
+        {},
+        { headers: graphHeaders }
       );
 
       console.log(`✅ Email sent via Outlook API`);
@@ -220,6 +253,9 @@ class OutlookService {
       return {
         success: true,
         messageId: uniqueId,
+        internetMessageId: draft.internetMessageId || `<${uniqueId}@outlook.com>`,
+        providerMessageId: draft.id,
+        threadId: draft.conversationId,
         provider: 'outlook',
         from: fromEmail
       };
@@ -236,10 +272,15 @@ class OutlookService {
     try {
       const accessToken = await this.getValidAccessToken(company, mailbox);
 
+      // Headers are needed to match replies and bounces; text bodies for bounce parsing
       const response = await axios.get(
-        'https://graph.microsoft.com/v1.0/me/messages?$filter=isRead eq false&$top=50',
+        'https://graph.microsoft.com/v1.0/me/messages?$filter=isRead eq false&$top=50' +
+          '&$select=id,subject,from,body,conversationId,internetMessageHeaders',
         {
-          headers: { Authorization: `Bearer ${accessToken}` }
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Prefer: 'outlook.body-content-type="text"'
+          }
         }
       );
 
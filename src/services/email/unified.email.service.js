@@ -3,7 +3,14 @@ import { Company } from '../../models/company.model.js';
 import gmailService from './gmail.service.js';
 import outlookService from './outlook.service.js';
 import yahooService from './yahoo.service.js';
-import { storeMessageIdMapping } from '../../utils/check-inbound-replies.js';
+import outboundMessageService from '../outboundMessage.service.js';
+import { prepareTrackedEmail } from '../../utils/emailTracking.util.js';
+import { normalizeEmail } from '../../utils/leadMatch.util.js';
+import { getTenantConnection } from '../../db/tenantConnection.js';
+import { getTenantModels } from '../../models/index.js';
+import mongoose from 'mongoose';
+import dealHealthService from '../dealHealth.service.js';
+import emailSuppressionService from '../emailSuppression.service.js';
 class UnifiedEmailService {
   #systemTransporter = null;
 
@@ -50,10 +57,17 @@ class UnifiedEmailService {
   }
 
   /**
-   * Send lead/follow-up email via default mailbox
+   * Send lead/follow-up email via default mailbox.
+   * Links are routed through click tracking and an unsubscribe link/header is added.
+   * `trackingId` lets callers correlate clicks with the engagement they log;
+   * `sequence` ({ sequenceId, enrollmentId, stepId, stepOrder }) is kept with the
+   * sent-message record for reply attribution.
    */
-  async sendLeadEmail(companyId, leadId, { to, subject, html, message }) {
+  async sendLeadEmail(companyId, leadId, { to, subject, html, message, trackingId, emailType = 'lead', sequence }) {
     try {
+      // Never email addresses that unsubscribed or bounced
+      await this.assertNotSuppressed(companyId, leadId, to);
+
       const { company, mailbox } = await this.getDefaultMailbox(companyId);
 
       // If no mailbox configured, throw error (don't fallback for lead emails)
@@ -68,20 +82,19 @@ class UnifiedEmailService {
 
       console.log(`📧 Sending lead email via ${mailbox.provider} (${mailbox.email})`);
 
-      // Generate unique message ID for tracking
-      const uniqueId = `${leadId}-${Date.now()}`;
-      const messageId = `${uniqueId}@jazzam.ai`;
-
-      // Store messageId to companyId mapping for reply processing
-      storeMessageIdMapping(uniqueId, companyId, leadId);
-
-      // Add tracking headers
-      const trackingHeaders = {
-        'X-Tracking-ID': uniqueId,
-        'X-Email-Type': 'lead',
-        'X-Lead-ID': leadId.toString(),
-        'X-Company-ID': companyId.toString(),
-        'X-Message-ID': uniqueId,
+      // Generate unique message ID for tracking (also used as the Message-ID local part)
+      const uniqueId = trackingId || `${leadId}-${Date.now()}`;
+
+      // Click tracking, unsubscribe footer and List-Unsubscribe headers
+      const tracked = prepareTrackedEmail(html, { companyId, leadId, messageId: uniqueId });
+      const emailOptions = {
+        to,
+        subject,
+        html: tracked.html,
+        leadId,
+        messageId: uniqueId,
+        // X-Tracking-ID comes back in bounce notifications (DSNs)
+        headers: { 'X-Tracking-ID': uniqueId, 'X-Email-Type': emailType, ...tracked.headers },
       };
 
       let result;
@@ -89,22 +102,40 @@ class UnifiedEmailService {
       // Route to appropriate provider
       switch (mailbox.provider) {
         case 'gmail':
-          result = await gmailService.sendEmail(company, mailbox, { to, subject, html, leadId });
+          result = await gmailService.sendEmail(company, mailbox, emailOptions);
           break;
 
         case 'outlook':
-          result = await outlookService.sendEmail(company, mailbox, { to, subject, html, leadId });
+          result = await outlookService.sendEmail(company, mailbox, emailOptions);
           break;
 
         case 'yahoo':
-          result = await yahooService.sendEmail(company, mailbox, { to, subject, html, leadId });
+          result = await yahooService.sendEmail(company, mailbox, emailOptions);
           break;
 
         default:
           throw new Error(`Unknown mailbox provider: ${mailbox.provider}`);
       }
 
-      return result;
+      // Persist the sent message so replies can be matched after restarts
+      await outboundMessageService.recordSent({
+        messageId: uniqueId,
+        internetMessageId: result.internetMessageId,
+        providerMessageId: result.providerMessageId,
+        threadId: result.threadId,
+        provider: mailbox.provider,
+        mailboxId: mailbox._id,
+        mailboxEmail: mailbox.email,
+        companyId,
+        leadId,
+        emailType,
+        subject,
+        to,
+        ...(sequence && { sequence }),
+        sentAt: new Date(),
+      });
+
+      return { ...result, trackingId: uniqueId };
 
     } catch (error) {
       console.error('❌ Lead email send failed:', error.message);
@@ -112,6 +143,51 @@ class UnifiedEmailService {
     }
   }
 
+  /**
+   * Throw if the recipient (by lead or address) has unsubscribed or bounced,
+   * or the address is on the tenant suppression list
+   */
+  async assertNotSuppressed(companyId, leadId, to) {
+    const tenantConnection = await getTenantConnection(companyId.toString());
+    const { Lead } = getTenantModels(tenantConnection);
+
+    const email = normalizeEmail(to);
+
+    const suppression = await emailSuppressionService.getSuppression(tenantConnection, email);
+    if (suppression) {
+      const reason = suppression.reason === 'unsubscribed' ? 'unsubscribed' : 'bounced';
+      const error = new Error(`Recipient ${to} is suppressed (${suppression.reason}); email not sent`);
+      error.code = 'EMAIL_SUPPRESSED';
+      error.reason = reason;
+      throw error;
+    }
+
+    const recipientMatch = [];
+    if (mongoose.Types.ObjectId.isValid(leadId)) recipientMatch.push({ _id: leadId });
+    if (email) recipientMatch.push({ 'dedupKeys.email': email });
+    if (recipientMatch.length === 0) return;
+
+    const suppressedLead = await Lead.findOne({
+      $and: [
+        { $or: recipientMatch },
+        {
+          $or: [
+            { 'emailStatus.emailUnsubscribed': true },
+            { 'emailStatus.emailBounced': true },
+          ],
+        },
+      ],
+    }).select('emailStatus');
+
+    if (suppressedLead) {
+      const reason = suppressedLead.emailStatus.emailUnsubscribed ? 'unsubscribed' : 'bounced';
+      const error = new Error(`Recipient ${to} has ${reason}; email not sent`);
+      error.code = 'EMAIL_SUPPRESSED';
+      error.reason = reason;
+      throw error;
+    }
+  }
+
   /**
    * Send system email (verification, waitlist, etc.) via system SMTP
    */
@@ -156,7 +232,25 @@ class UnifiedEmailService {
       to: email,
       subject: subject || 'Following up on your inquiry',
       html: html,
-      message: message
+      message: message,
+      emailType: 'follow_up'
+    });
+  }
+
+  /**
+   * Send a sequence step email with an open-tracking pixel
+   */
+  async sendSequenceEmail(companyId, leadId, { to, subject, message, trackingToken, sequence }) {
+    const html = this.#generateSequenceEmailTemplate(message, companyId, trackingToken);
+
+    return await this.sendLeadEmail(companyId, leadId, {
+      to,
+      subject,
+      html,
+      message,
+      trackingId: trackingToken,
+      emailType: 'sequence',
+      sequence
     });
   }
 
@@ -167,7 +261,8 @@ class UnifiedEmailService {
     return await this.sendLeadEmail(companyId, leadId, {
       to,
       subject: subject || 'Welcome!',
-      html
+      html,
+      emailType: 'welcome'
     });
   }
 
@@ -180,13 +275,36 @@ class UnifiedEmailService {
     const subject = form.settings?.autoResponse?.subject || 'Thank you for your interest!';
     const message = form.settings?.autoResponse?.message || "Thank you for reaching out. We'll get back to you soon!";
 
-    const html = this.#generateWelcomeEmailTemplate(lead, companyName, message, lead._id);
+    // Same <leadId>-<timestamp> token as the sequence emails, so opens and
+    // clicks find the engagement logged below
+    const trackingToken = `${lead._id}-${Date.now()}`;
+    const html = this.#generateWelcomeEmailTemplate(lead, companyName, message, companyId, trackingToken);
 
-    return await this.sendLeadEmail(companyId, lead._id, {
+    const result = await this.sendLeadEmail(companyId, lead._id, {
       to: lead.email,
       subject: subject,
-      html: html
+      html: html,
+      trackingId: trackingToken
     });
+
+    try {
+      const tenantConnection = await getTenantConnection(companyId.toString());
+      await dealHealthService.logEngagement(tenantConnection, lead._id, {
+        engagementType: 'email_sent',
+        emailMetrics: {
+          subject,
+          sentAt: new Date(),
+          messageId: trackingToken,
+        },
+        contactType: 'email',
+        direction: 'outbound',
+      });
+    } catch (error) {
+      // The email is already out; tracking just won't be attributed
+      console.error(`Failed to log welcome email engagement for lead ${lead._id}:`, error.message);
+    }
+
+    return result;
   }
 
   /**
@@ -301,16 +419,16 @@ class UnifiedEmailService {
   /**
    * Generate welcome email template with tracking pixel
    */
-  #generateWelcomeEmailTemplate(lead, companyName, message, trackingToken) {
+  #generateWelcomeEmailTemplate(lead, companyName, message, companyId, trackingToken) {
     const leadName = lead.fullName || lead.firstName || "there";
 
-    // Create tracking pixel url
-    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}`;
+    // Create tracking pixel url (tenant passed for the lookup)
+    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}?c=${companyId}`;
 
     // Add tracking pixel to HTML
     const trackingPixel = `
     <img 
-      src="${trackingPixelUrl}?rand=${Math.random()}"
+      src="${trackingPixelUrl}&rand=${Math.random()}"
       width="1"
       height="1"
       style="display:none;width:1px;height:1px;opacity:0;"
@@ -393,6 +511,36 @@ class UnifiedEmailService {
     `;
   }
 
+  /**
+   * Generate sequence step email template (plain layout so it reads like a personal email)
+   */
+  #generateSequenceEmailTemplate(message, companyId, trackingToken) {
+    const trackingPixelUrl = `${process.env.SERVER_URL}/api/email/track/open/${trackingToken}?c=${companyId}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        </style>
+      </head>
+      <body>
+        <div>${message}</div>
+        <img 
+          src="${trackingPixelUrl}&rand=${Math.random()}"
+          width="1"
+          height="1"
+          style="display:none;width:1px;height:1px;opacity:0;"
+          alt=""
+        />
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate verification email template with code (bilingual: English + Arabic)
    */
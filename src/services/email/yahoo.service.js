@@ -100,12 +100,12 @@ class YahooService {
   /**
    * Send email via Yahoo SMTP
    */
-  async sendEmail(company, mailbox, { to, subject, html, leadId }) {
+  async sendEmail(company, mailbox, { to, subject, html, leadId, messageId, headers = {} }) {
     try {
       const transporter = await this.getTransporter(company, mailbox);
 
       const timestamp = Date.now();
-      const uniqueId = `${leadId}-${timestamp}`;
+      const uniqueId = messageId || `${leadId}-${timestamp}`;
       const fromEmail = mailbox.email;
 
       const mailOptions = {
@@ -121,6 +121,7 @@ class YahooService {
           'X-Lead-ID': leadId,
           'X-Company-ID': company._id.toString(),
           'X-Mailbox-ID': mailbox._id.toString(),
+          ...headers,
         }
       };
 
@@ -134,6 +135,7 @@ class YahooService {
         success: true,
         messageId: uniqueId,
         smtpMessageId: info.messageId,
+        internetMessageId: info.messageId,
         provider: 'yahoo',
         from: fromEmail
       };
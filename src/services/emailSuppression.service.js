@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { getTenantConnection } from "../db/tenantConnection.js";
+import { normalizeEmail } from "../utils/leadMatch.util.js";
+import dealHealthService from "./dealHealth.service.js";
+import sequenceService from "./sequence.service.js";
+import socketService from "./socket.service.js";
+import outboundMessageService from "./outboundMessage.service.js";
+import leadScoringService from "./leadScoring.service.js";
+
+// Soft bounces in a row before an address is treated as dead
+const SOFT_BOUNCE_LIMIT = 3;
+
+/**
+ * Email Suppression Service
+ * Tenant suppression list and bounce processing for connected mailboxes.
+ */
+class EmailSuppressionService {
+  /**
+   * Suppression entry for an address, if any
+   */
+  async getSuppression(tenantConnection, email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+
+    const { EmailSuppression } = getTenantModels(tenantConnection);
+    return EmailSuppression.findOne({ email: normalized });
+  }
+
+  /**
+   * Add an address to the suppression list (idempotent)
+   */
+  async suppress(tenantConnection, email, details = {}) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+
+    const { EmailSuppression } = getTenantModels(tenantConnection);
+    return EmailSuppression.findOneAndUpdate(
+      { email: normalized },
+      {
+        $set: { ...details, email: normalized },
+        $setOnInsert: { suppressedAt: new Date() },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Process a parsed bounce (see utils/bounce.util.js) for a tenant.
+   * Hard bounces suppress the address immediately; soft bounces only after
+   * SOFT_BOUNCE_LIMIT in a row.
+   * @returns {Object|null} { leadId, bounceType, suppressed }
+   */
+  async recordBounce(companyId, bounce, { source } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(bounce?.leadId)) return null;
+
+    const tenantConnection = await getTenantConnection(String(companyId));
+    const { Lead, EngagementHistory, Notification } =
+      getTenantModels(tenantConnection);
+
+    const lead = await Lead.findById(bounce.leadId).select(
+      "email fullName emailStatus"
+    );
+    if (!lead) return null;
+
+    const now = new Date();
+    const recipient = bounce.recipient || lead.email;
+
+    // Ignore DSNs we have already processed for this message
+    if (bounce.messageId) {
+      const duplicate = await EngagementHistory.exists({
+        leadId: lead._id,
+        engagementType: "bounced",
+        "emailMetrics.messageId": bounce.messageId,
+      });
+      if (duplicate) return null;
+    }
+
+    let softBounceCount = lead.emailStatus?.softBounceCount || 0;
+    if (bounce.bounceType === "soft") softBounceCount += 1;
+
+    const suppressed =
+      bounce.bounceType === "hard" || softBounceCount >= SOFT_BOUNCE_LIMIT;
+
+    await Lead.updateOne(
+      { _id: lead._id },
+      {
+        $set: suppressed
+          ? {
+              "emailStatus.emailBounced": true,
+              "emailStatus.bouncedAt": now,
+              "emailStatus.softBounceCount": softBounceCount,
+            }
+          : { "emailStatus.softBounceCount": softBounceCount },
+      }
+    );
+
+    // Flag the email that bounced
+    if (bounce.messageId) {
+      await EngagementHistory.updateOne(
+        { leadId: lead._id, "emailMetrics.messageId": bounce.messageId },
+        { $set: { "emailMetrics.bouncedAt": now } }
+      );
+      await outboundMessageService.markBounced(bounce.messageId, now);
+    }
+
+    await EngagementHistory.create({
+      leadId: lead._id,
+      engagementType: "bounced",
+      contactType: "email",
+      direction: "inbound",
+      outcome: "negative",
+      emailMetrics: {
+        messageId: bounce.messageId,
+        bouncedAt: now,
+      },
+      metadata: {
+        bounceType: bounce.bounceType,
+        recipient,
+        statusCode: bounce.statusCode,
+        diagnostic: bounce.diagnostic,
+        source,
+      },
+      engagementDate: now,
+    });
+
+    console.log(
+      `[BOUNCE] ${bounce.bounceType} bounce for lead ${lead._id} (${recipient})`
+    );
+
+    leadScoringService.refreshLeadScore(tenantConnection, lead._id);
+
+    if (suppressed) {
+      await this.suppress(tenantConnection, recipient, {
+        reason: bounce.bounceType === "hard" ? "hard_bounce" : "soft_bounce",
+        leadId: lead._id,
+        statusCode: bounce.statusCode,
+        diagnostic: bounce.diagnostic,
+        source,
+      });
+
+      await sequenceService.stopEnrollmentsForLead(
+        tenantConnection,
+        lead._id,
+        "bounced"
+      );
+
+      const notification = await Notification.create({
+        title: "Email Bounced",
+        message: `Emails to ${recipient}${
+          lead.fullName ? ` (${lead.fullName})` : ""
+        } are bouncing. The address has been suppressed.`,
+      });
+      socketService.emitNotification(companyId, notification);
+    }
+
+    dealHealthService
+      .calculateDealHealth(tenantConnection, lead._id)
+      .catch((error) =>
+        console.error(
+          `[BOUNCE] Health recalculation failed for lead ${lead._id}:`,
+          error.message
+        )
+      );
+
+    return { leadId: lead._id, bounceType: bounce.bounceType, suppressed };
+  }
+}
+
+const emailSuppressionService = new EmailSuppressionService();
+export default emailSuppressionService;
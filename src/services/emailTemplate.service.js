@@ -0,0 +1,276 @@
+import { getTenantModels } from "../models/index.js";
+import { Company } from "../models/company.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  TEMPLATE_VARIABLES,
+  buildTemplateContext,
+  renderTemplateString,
+  extractTemplateVariables,
+  htmlToText,
+} from "../utils/templateRender.util.js";
+
+/**
+ * Email Template Service
+ * Per-tenant template library used by follow-ups, auto-responses,
+ * sequences and next best action suggestions.
+ */
+class EmailTemplateService {
+  /**
+   * Available merge variables
+   */
+  getVariables() {
+    return Object.entries(TEMPLATE_VARIABLES).map(([key, description]) => ({
+      key,
+      placeholder: `{{${key}}}`,
+      description,
+    }));
+  }
+
+  async getTemplates(tenantConnection, { category, isActive, search } = {}) {
+    const { EmailTemplate } = getTenantModels(tenantConnection);
+
+    const query = {};
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive;
+    if (search) query.name = { $regex: search, $options: "i" };
+
+    return EmailTemplate.find(query).sort({ updatedAt: -1 });
+  }
+
+  async getTemplate(tenantConnection, templateId) {
+    const { EmailTemplate } = getTenantModels(tenantConnection);
+
+    const template = await EmailTemplate.findById(templateId);
+    if (!template) {
+      throw new ApiError(404, "Email template not found");
+    }
+    return template;
+  }
+
+  /**
+   * Get a template that can be used for sending
+   */
+  async getActiveTemplate(tenantConnection, templateId) {
+    const template = await this.getTemplate(tenantConnection, templateId);
+    if (!template.isActive) {
+      throw new ApiError(400, `Email template "${template.name}" is inactive`);
+    }
+    return template;
+  }
+
+  async createTemplate(tenantConnection, data, { createdBy = null } = {}) {
+    const { EmailTemplate } = getTenantModels(tenantConnection);
+    const {
+      name,
+      description,
+      category,
+      subject,
+      htmlBody,
+      textBody,
+      actionTypes,
+      isActive,
+    } = data;
+
+    const template = new EmailTemplate({
+      name,
+      description,
+      category,
+      subject,
+      htmlBody,
+      textBody,
+      actionTypes,
+      isActive,
+      createdBy,
+    });
+
+    this.applyVariables(template);
+    await this.validateTemplate(template);
+    await template.save();
+    return template;
+  }
+
+  async updateTemplate(tenantConnection, templateId, data) {
+    const template = await this.getTemplate(tenantConnection, templateId);
+
+    const fields = [
+      "name",
+      "description",
+      "category",
+      "subject",
+      "htmlBody",
+      "textBody",
+      "actionTypes",
+      "isActive",
+    ];
+    for (const field of fields) {
+      if (data[field] !== undefined) template[field] = data[field];
+    }
+
+    this.applyVariables(template);
+    await this.validateTemplate(template);
+    await template.save();
+    return template;
+  }
+
+  /**
+   * Delete a template that nothing references (deactivate it otherwise)
+   */
+  async deleteTemplate(tenantConnection, templateId) {
+    const { EmailTemplate, Sequence, Form, FollowUp } =
+      getTenantModels(tenantConnection);
+    const template = await this.getTemplate(tenantConnection, templateId);
+
+    const [sequences, forms, followUps] = await Promise.all([
+      Sequence.countDocuments({
+        "steps.templateId": template._id,
+        status: { $ne: "archived" },
+      }),
+      Form.countDocuments({
+        $or: [
+          { "settings.autoResponse.templateId": template._id },
+          { "settings.followUp.templateId": template._id },
+        ],
+      }),
+      FollowUp.countDocuments({
+        templateId: template._id,
+        status: { $ne: "submitted" },
+      }),
+    ]);
+
+    if (sequences + forms + followUps > 0) {
+      throw new ApiError(
+        409,
+        `Template is used by ${sequences} sequences, ${forms} forms and ${followUps} pending follow-ups. Deactivate it instead.`
+      );
+    }
+
+    await EmailTemplate.deleteOne({ _id: template._id });
+    return template;
+  }
+
+  /**
+   * Render subject, HTML and plain-text versions for a lead
+   * @returns {{ subject, html, text, missingVariables }}
+   */
+  render(template, { lead, company }) {
+    const context = buildTemplateContext(lead, company);
+    const missing = new Set();
+
+    const subject = renderTemplateString(template.subject, context, {
+      missing,
+    });
+    const html = renderTemplateString(template.htmlBody, context, {
+      html: true,
+      missing,
+    });
+    const text = template.textBody
+      ? renderTemplateString(template.textBody, context, { missing })
+      : htmlToText(html);
+
+    return { subject, html, text, missingVariables: [...missing] };
+  }
+
+  /**
+   * Render a stored template for a lead
+   */
+  async renderForLead(tenantConnection, templateId, lead, company) {
+    const template = await this.getActiveTemplate(tenantConnection, templateId);
+    return {
+      templateId: template._id,
+      name: template.name,
+      ...this.render(template, { lead, company }),
+    };
+  }
+
+  /**
+   * Preview a stored template (or unsaved content) against a real lead
+   */
+  async previewTemplate(
+    tenantConnection,
+    companyId,
+    { templateId, content, leadId }
+  ) {
+    const { Lead } = getTenantModels(tenantConnection);
+
+    const template = templateId
+      ? await this.getTemplate(tenantConnection, templateId)
+      : content;
+    if (!template?.subject || !template?.htmlBody) {
+      throw new ApiError(400, "subject and htmlBody are required");
+    }
+
+    const [lead, company] = await Promise.all([
+      Lead.findById(leadId),
+      Company.findById(companyId).select("companyName email website"),
+    ]);
+    if (!lead) {
+      throw new ApiError(404, "Lead not found");
+    }
+
+    const { unknown } = extractTemplateVariables(
+      template.subject,
+      template.htmlBody,
+      template.textBody
+    );
+
+    return {
+      leadId: lead._id,
+      ...this.render(template, { lead, company }),
+      unknownVariables: unknown,
+    };
+  }
+
+  /**
+   * Active template suggested for a next best action type, if any
+   */
+  async findTemplateForAction(tenantConnection, actionType) {
+    const { EmailTemplate } = getTenantModels(tenantConnection);
+
+    return EmailTemplate.findOne({
+      isActive: true,
+      actionTypes: actionType,
+    }).sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Check that a referenced template exists and is active
+   */
+  async assertTemplate(tenantConnection, templateId) {
+    if (!templateId) return null;
+    const template = await this.getActiveTemplate(tenantConnection, templateId);
+    return template._id;
+  }
+
+  /**
+   * Keep the variables list in sync and reject unknown variables
+   */
+  applyVariables(template) {
+    const { variables, unknown } = extractTemplateVariables(
+      template.subject,
+      template.htmlBody,
+      template.textBody
+    );
+
+    if (unknown.length > 0) {
+      throw new ApiError(
+        400,
+        `Unknown template variables: ${unknown.join(", ")}`
+      );
+    }
+    template.variables = variables;
+  }
+
+  /**
+   * Validate a template, surfacing schema errors as 400s
+   */
+  async validateTemplate(template) {
+    try {
+      await template.validate();
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+  }
+}
+
+const emailTemplateService = new EmailTemplateService();
+export default emailTemplateService;
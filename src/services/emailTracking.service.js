@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { getTenantConnection } from "../db/tenantConnection.js";
+import dealHealthService from "./dealHealth.service.js";
+import sequenceService from "./sequence.service.js";
+import emailSuppressionService from "./emailSuppression.service.js";
+import leadScoringService from "./leadScoring.service.js";
+
+/**
+ * Email Tracking Service
+ * Records opens, clicks and unsubscribes for outbound lead emails.
+ */
+class EmailTrackingService {
+  /**
+   * Record an open from the tracking pixel
+   */
+  async recordOpen(companyId, leadId, messageId) {
+    const tenantConnection = await this.getConnection(companyId, leadId);
+    const { EngagementHistory } = getTenantModels(tenantConnection);
+
+    // Only the first open switches the engagement to email_opened
+    const engagement = await EngagementHistory.findOneAndUpdate(
+      {
+        leadId,
+        "emailMetrics.messageId": messageId,
+        engagementType: "email_sent",
+      },
+      {
+        $set: {
+          engagementType: "email_opened",
+          "emailMetrics.openedAt": new Date(),
+          engagementDate: new Date(),
+        },
+        $inc: {
+          "emailMetrics.openCount": 1,
+        },
+      },
+      { new: true }
+    );
+
+    if (engagement) {
+      leadScoringService.refreshLeadScore(tenantConnection, leadId);
+    }
+  }
+
+  /**
+   * Record a link click; a click also counts as an open
+   */
+  async recordClick(companyId, leadId, messageId, url) {
+    const tenantConnection = await this.getConnection(companyId, leadId);
+    const { EngagementHistory } = getTenantModels(tenantConnection);
+    const now = new Date();
+
+    const engagement = await EngagementHistory.findOneAndUpdate(
+      {
+        leadId,
+        "emailMetrics.messageId": messageId,
+      },
+      {
+        $set: {
+          "emailMetrics.linkClicked": url,
+        },
+        $min: {
+          "emailMetrics.clickedAt": now,
+          "emailMetrics.openedAt": now,
+        },
+        $inc: {
+          "emailMetrics.clickCount": 1,
+        },
+      },
+      { new: true }
+    );
+
+    if (!engagement) {
+      console.warn(
+        `[TRACKING] No engagement found for click on message ${messageId}`
+      );
+      return null;
+    }
+
+    this.refreshDealHealth(tenantConnection, leadId);
+    leadScoringService.refreshLeadScore(tenantConnection, leadId);
+    return engagement;
+  }
+
+  /**
+   * Unsubscribe a lead: suppress further emails, stop sequences and log it
+   */
+  async unsubscribeLead(companyId, leadId, { source = "link" } = {}) {
+    const tenantConnection = await this.getConnection(companyId, leadId);
+    const { Lead, EngagementHistory } = getTenantModels(tenantConnection);
+
+    const lead = await Lead.findById(leadId).select("email emailStatus");
+    if (!lead) return null;
+
+    if (lead.emailStatus?.emailUnsubscribed) return lead;
+
+    await Lead.updateOne(
+      { _id: lead._id },
+      {
+        $set: {
+          "emailStatus.emailUnsubscribed": true,
+          "emailStatus.unsubscribedAt": new Date(),
+        },
+      }
+    );
+
+    await emailSuppressionService.suppress(tenantConnection, lead.email, {
+      reason: "unsubscribed",
+      leadId: lead._id,
+      source,
+    });
+
+    await sequenceService.stopEnrollmentsForLead(
+      tenantConnection,
+      lead._id,
+      "unsubscribed"
+    );
+
+    await EngagementHistory.create({
+      leadId: lead._id,
+      engagementType: "unsubscribed",
+      contactType: "email",
+      direction: "inbound",
+      outcome: "negative",
+      metadata: { source },
+      engagementDate: new Date(),
+    });
+
+    console.log(`[TRACKING] Lead ${lead._id} unsubscribed (${source})`);
+
+    this.refreshDealHealth(tenantConnection, lead._id);
+    leadScoringService.refreshLeadScore(tenantConnection, lead._id);
+    return lead;
+  }
+
+  async getConnection(companyId, leadId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(companyId) ||
+      !mongoose.Types.ObjectId.isValid(leadId)
+    ) {
+      throw new Error("Tracking token is missing tenant or lead information");
+    }
+    return getTenantConnection(String(companyId));
+  }
+
+  // Recalculate health in the background; tracking responses shouldn't wait on it
+  refreshDealHealth(tenantConnection, leadId) {
+    dealHealthService
+      .calculateDealHealth(tenantConnection, leadId)
+      .catch((error) =>
+        console.error(
+          `[TRACKING] Health recalculation failed for lead ${leadId}:`,
+          error.message
+        )
+      );
+  }
+}
+
+const emailTrackingService = new EmailTrackingService();
+export default emailTrackingService;
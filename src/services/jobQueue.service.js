@@ -0,0 +1,252 @@
+import os from "os";
+import cron from "node-cron";
+import { Job } from "../models/job.model.js";
+import { getTenantConnection } from "../db/tenantConnection.js";
+
+/**
+ * Job Queue Service
+ * Mongo-backed durable job queue. Each job is a list of named steps; completed
+ * steps are never re-run, failed steps are retried with exponential backoff.
+ *
+ * A step handler receives { job, tenantConnection } and may return:
+ *   - any value            -> stored as the step result, step completed
+ *   - { skipped: true }    -> step marked as skipped
+ *   - { halt: true }       -> step completed, all remaining steps skipped
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.isProcessing = false;
+
+    this.BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+    this.MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+    this.LOCK_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+  }
+
+  /**
+   * Register the ordered steps for a job type
+   * @param {String} type - Job type
+   * @param {Array} steps - [{ name, optional, run: async ({ job, tenantConnection }) => {} }]
+   */
+  registerHandler(type, steps) {
+    this.handlers.set(type, steps);
+  }
+
+  /**
+   * Create a job and kick off processing without waiting for it
+   * @returns {Object} Created job document
+   */
+  async enqueue(type, { tenantId, companyId, payload = {}, maxAttempts } = {}) {
+    const steps = this.handlers.get(type);
+    if (!steps) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      type,
+      tenantId,
+      companyId,
+      payload,
+      ...(maxAttempts && { maxAttempts }),
+      steps: steps.map((step) => ({ name: step.name })),
+    });
+
+    console.log(`[JOB] Queued ${type} job ${job._id} for tenant ${tenantId}`);
+
+    setImmediate(() => this.processQueue());
+
+    return job;
+  }
+
+  /**
+   * Get a job by id, optionally scoped to a tenant
+   */
+  async getJob(jobId, tenantId = null) {
+    const query = { _id: jobId };
+    if (tenantId) query.tenantId = tenantId;
+    return Job.findOne(query);
+  }
+
+  /**
+   * Atomically claim the next runnable job (or one with a stale lock)
+   */
+  async claimNextJob() {
+    const now = new Date();
+    const staleLock = new Date(now.getTime() - this.LOCK_TIMEOUT);
+
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", nextRunAt: { $lte: now } },
+          { status: "running", lockedAt: { $lte: staleLock } },
+        ],
+      },
+      {
+        $set: { status: "running", lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Process runnable jobs until the queue is drained
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error("[JOB] Queue processing error:", error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Run the pending steps of a claimed job
+   */
+  async runJob(job) {
+    const steps = this.handlers.get(job.type);
+    if (!steps) {
+      job.status = "failed";
+      job.lastError = `No handler registered for job type: ${job.type}`;
+      job.finishedAt = new Date();
+      job.lockedAt = null;
+      await job.save();
+      return;
+    }
+
+    let tenantConnection;
+    try {
+      tenantConnection = await getTenantConnection(job.tenantId);
+    } catch (error) {
+      if (job.attempts >= job.maxAttempts) {
+        job.status = "failed";
+        job.lastError = error.message;
+        job.finishedAt = new Date();
+        job.lockedAt = null;
+        await job.save();
+        return;
+      }
+      await this.scheduleRetry(job, null, error);
+      return;
+    }
+
+    let halted = false;
+
+    for (const stepDef of steps) {
+      const step = job.getStep(stepDef.name);
+      if (!step || ["completed", "skipped"].includes(step.status)) continue;
+
+      if (halted) {
+        step.status = "skipped";
+        continue;
+      }
+
+      // Optional steps that used up their retries stay failed
+      if (step.status === "failed" && stepDef.optional) continue;
+
+      step.status = "running";
+      step.attempts += 1;
+      step.startedAt = new Date();
+      step.error = undefined;
+      await job.save();
+
+      try {
+        const outcome = await stepDef.run({ job, tenantConnection });
+
+        step.status = outcome?.skipped ? "skipped" : "completed";
+        step.result = outcome ?? null;
+        step.completedAt = new Date();
+        job.markModified("context");
+        await job.save();
+
+        if (outcome?.halt) halted = true;
+      } catch (error) {
+        console.error(
+          `[JOB] Step ${stepDef.name} failed for job ${job._id} (attempt ${step.attempts}):`,
+          error.message
+        );
+        step.error = error.message;
+        job.markModified("context");
+
+        if (step.attempts < job.maxAttempts) {
+          step.status = "pending";
+          await this.scheduleRetry(job, step, error);
+          return;
+        }
+
+        step.status = "failed";
+
+        if (!stepDef.optional) {
+          job.status = "failed";
+          job.lastError = error.message;
+          job.finishedAt = new Date();
+          job.lockedAt = null;
+          await job.save();
+          console.error(`[JOB] Job ${job._id} failed at step ${stepDef.name}`);
+          return;
+        }
+
+        await job.save();
+      }
+    }
+
+    job.status = "completed";
+    job.finishedAt = new Date();
+    job.lockedAt = null;
+    await job.save();
+
+    console.log(`✅ [JOB] Job ${job._id} completed`);
+  }
+
+  /**
+   * Put a job back in the queue with exponential backoff
+   */
+  async scheduleRetry(job, step, error) {
+    const attempt = step ? step.attempts : job.attempts;
+    const delay = Math.min(
+      this.BASE_RETRY_DELAY * Math.pow(2, attempt - 1),
+      this.MAX_RETRY_DELAY
+    );
+
+    job.status = "queued";
+    job.lastError = error.message;
+    job.nextRunAt = new Date(Date.now() + delay);
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+
+    console.log(
+      `[JOB] Job ${job._id} retry scheduled in ${Math.round(delay / 1000)}s`
+    );
+  }
+}
+
+const jobQueueService = new JobQueueService();
+
+/**
+ * Poll for due retries and jobs left over from a restart (every minute)
+ */
+const initJobQueueWorker = () => {
+  cron.schedule("* * * * *", async () => {
+    await jobQueueService.processQueue();
+  });
+
+  console.log("✅ Job queue worker initialized (runs every minute)");
+
+  // Pick up anything queued before startup
+  setTimeout(async () => {
+    await jobQueueService.processQueue();
+  }, 5000);
+};
+
+export { initJobQueueWorker };
+export default jobQueueService;
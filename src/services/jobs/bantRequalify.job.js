@@ -0,0 +1,137 @@
+import { getTenantModels } from "../../models/index.js";
+import bantService from "../bant.service.js";
+import jobQueueService from "../jobQueue.service.js";
+import { isAiQuotaError } from "../aiUsage.service.js";
+
+/**
+ * BANT Re-qualification Job
+ * Brings leads qualified under an older qualification profile up to date:
+ * leads whose criteria haven't changed are re-scored from their stored AI
+ * answer (new thresholds/weights), the rest are qualified again.
+ * Each job takes one batch and queues the next.
+ */
+
+const JOB_TYPE = "bant_requalify";
+
+// Leads per job, small enough to finish well inside the job lock
+const BATCH_SIZE = 50;
+
+// ==============================================================
+// Steps
+// ==============================================================
+
+const requalifyLeads = async ({ job, tenantConnection }) => {
+  const { Lead, QualificationProfile } = getTenantModels(tenantConnection);
+  const profile = await QualificationProfile.getProfile();
+
+  // Changed again since; that change queued its own run
+  if (profile.version !== job.payload.profileVersion) {
+    return { skipped: true, reason: "Profile changed again" };
+  }
+
+  const leads = await Lead.find({
+    "bant.qualifiedAt": { $ne: null },
+    "bant.profileVersion": { $ne: profile.version },
+    ...(job.payload.afterId && { _id: { $gt: job.payload.afterId } }),
+  })
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE);
+
+  const counts = { rescored: 0, requalified: 0, failed: 0 };
+  let quotaExceeded = null;
+
+  for (const lead of leads) {
+    try {
+      // Qualified before profiles existed = the first criteria
+      const sameCriteria =
+        (lead.bant.criteriaVersion ?? 1) === profile.criteriaVersion;
+
+      if (sameCriteria && lead.bant.rawResponse) {
+        await bantService.updateLeadWithBANT(
+          lead,
+          lead.bant.rawResponse,
+          profile
+        );
+        counts.rescored += 1;
+        continue;
+      }
+
+      const qualificationResult = await bantService.qualifyLead(lead, profile);
+      if (!qualificationResult.success) {
+        throw new Error(qualificationResult.error);
+      }
+      await bantService.updateLeadWithBANT(
+        lead,
+        qualificationResult.data,
+        profile
+      );
+      counts.requalified += 1;
+
+      // Avoid LLM provider rate limits
+      await bantService.delay(1000);
+    } catch (error) {
+      // Rate limited: retry the job later. Out of monthly quota: stop here,
+      // the rest are re-qualified with the next profile change.
+      if (isAiQuotaError(error)) {
+        if (error.statusCode === 429) throw error;
+        quotaExceeded = error.message;
+        break;
+      }
+
+      console.error(
+        `[BANT] Re-qualification failed for lead ${lead._id}:`,
+        error.message
+      );
+      counts.failed += 1;
+    }
+  }
+
+  if (quotaExceeded) {
+    console.warn(`[BANT] Re-qualification stopped: ${quotaExceeded}`);
+    return { ...counts, total: leads.length, stopped: quotaExceeded };
+  }
+
+  // More leads after this batch (queued once, also on retry)
+  if (leads.length === BATCH_SIZE && !job.context.nextJobId) {
+    const nextJob = await enqueueBantRequalification({
+      tenantId: job.tenantId,
+      companyId: job.companyId,
+      profile,
+      afterId: leads[leads.length - 1]._id.toString(),
+    });
+    job.context.nextJobId = nextJob._id.toString();
+  }
+
+  console.log(
+    `[BANT] Re-qualified ${leads.length} leads for profile v${profile.version}: ${counts.rescored} re-scored, ${counts.requalified} qualified again, ${counts.failed} failed`
+  );
+
+  return { ...counts, total: leads.length, nextJobId: job.context.nextJobId };
+};
+
+jobQueueService.registerHandler(JOB_TYPE, [
+  { name: "requalify_leads", run: requalifyLeads },
+]);
+
+/**
+ * Queue re-qualification of the leads not yet scored with a profile version
+ * @param {Object} profile - QualificationProfile document
+ * @param {String} afterId - Continue after this lead id (next batch)
+ * @returns {Object} Created job document
+ */
+const enqueueBantRequalification = ({
+  tenantId,
+  companyId,
+  profile,
+  afterId = null,
+}) =>
+  jobQueueService.enqueue(JOB_TYPE, {
+    tenantId,
+    companyId,
+    payload: {
+      profileVersion: profile.version,
+      ...(afterId && { afterId }),
+    },
+  });
+
+export { JOB_TYPE as BANT_REQUALIFY_JOB, enqueueBantRequalification };
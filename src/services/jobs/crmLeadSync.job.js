@@ -0,0 +1,218 @@
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { syncLeadToCrm, deleteLeadFromCrm } from "../crm/sync.service.js";
+import { pushLeadEnrichment } from "../crm/enrichment.service.js";
+import { ensureFreshTokens } from "../crm/oauth.service.js";
+import { routeLead } from "../crm/routing.service.js";
+import { getTenantModels } from "../../models/index.js";
+import jobQueueService from "../jobQueue.service.js";
+
+/**
+ * CRM Lead Sync Jobs
+ * Push lead edits and deletes to connected CRMs outside the HTTP request,
+ * with the job queue's retries.
+ */
+
+const SYNC_JOB_TYPE = "crm_lead_sync";
+const DELETE_JOB_TYPE = "crm_lead_delete";
+
+const PUSH_DIRECTIONS = ["to_crm", "bidirectional"];
+
+// ==============================================================
+// Steps
+// ==============================================================
+
+// Upsert the lead into the active CRMs that take pushes and that its routing
+// picks (synced ones are skipped on retry)
+const pushLeadToCrms = async ({ job, tenantConnection }) => {
+  const { Lead } = getTenantModels(tenantConnection);
+
+  const [lead, activeIntegrations] = await Promise.all([
+    Lead.findById(job.payload.leadId),
+    CrmIntegration.find({
+      companyId: job.companyId,
+      status: "active",
+      "settings.autoSync.enabled": true,
+      "settings.syncDirection": { $in: PUSH_DIRECTIONS },
+    }).sort({ createdAt: 1 }),
+  ]);
+
+  // Deleted since it was queued; its delete job takes over
+  if (!lead) {
+    return { skipped: true };
+  }
+
+  const crmIntegrations = routeLead(lead, activeIntegrations);
+
+  if (crmIntegrations.length === 0) {
+    return { skipped: true };
+  }
+
+  const synced = job.context.crmSynced || {};
+  const failures = [];
+
+  for (const crmIntegration of crmIntegrations) {
+    const integrationId = crmIntegration._id.toString();
+    if (synced[integrationId]) continue;
+
+    try {
+      const syncResult = await syncLeadToCrm(
+        tenantConnection,
+        job.payload.leadId,
+        crmIntegration
+      );
+      synced[integrationId] = syncResult.action;
+    } catch (err) {
+      failures.push(`${crmIntegration.provider}: ${err.message}`);
+    }
+  }
+
+  job.context.crmSynced = synced;
+
+  if (failures.length > 0) {
+    throw new Error(`CRM sync failed - ${failures.join("; ")}`);
+  }
+  return synced;
+};
+
+// Push BANT/deal health fields and new activities to CRMs with enrichment push on.
+// Optional: the scheduled enrichment push catches up on anything missed here.
+const pushLeadEnrichmentToCrms = async ({ job, tenantConnection }) => {
+  const crmIntegrations = await CrmIntegration.find({
+    companyId: job.companyId,
+    status: "active",
+    "settings.enrichmentPush.enabled": true,
+  });
+
+  if (crmIntegrations.length === 0) {
+    return { skipped: true };
+  }
+
+  const enriched = {};
+
+  for (const crmIntegration of crmIntegrations) {
+    await ensureFreshTokens(crmIntegration);
+    const result = await pushLeadEnrichment(
+      tenantConnection,
+      job.payload.leadId,
+      crmIntegration
+    );
+    enriched[crmIntegration._id.toString()] = result.action;
+  }
+  return enriched;
+};
+
+// Delete/archive the records in the CRMs the lead was linked to (deleted
+// ones are skipped on retry)
+const deleteLeadFromCrms = async ({ job }) => {
+  // Jobs queued before leads had crmLinks carry a single crmId/provider
+  const targets = job.payload.targets || [
+    { crmId: job.payload.crmId, provider: job.payload.provider },
+  ];
+
+  const crmIntegrations = await CrmIntegration.find({
+    companyId: job.companyId,
+    provider: { $in: targets.map((target) => target.provider) },
+    status: "active",
+  });
+
+  const deleted = job.context.crmDeleted || {};
+  const failures = [];
+
+  for (const { crmId, provider } of targets) {
+    const crmIntegration = crmIntegrations.find(
+      (candidate) => candidate.provider === provider
+    );
+    if (!crmIntegration?.pushesToCrm() || deleted[provider]) continue;
+
+    try {
+      await deleteLeadFromCrm(crmIntegration, crmId);
+      deleted[provider] = crmId;
+    } catch (err) {
+      failures.push(`${provider}: ${err.message}`);
+    }
+  }
+
+  job.context.crmDeleted = deleted;
+
+  if (failures.length > 0) {
+    throw new Error(`CRM delete failed - ${failures.join("; ")}`);
+  }
+  return Object.keys(deleted).length > 0 ? deleted : { skipped: true };
+};
+
+jobQueueService.registerHandler(SYNC_JOB_TYPE, [
+  { name: "crm_sync", run: pushLeadToCrms },
+  { name: "crm_enrichment", optional: true, run: pushLeadEnrichmentToCrms },
+]);
+
+jobQueueService.registerHandler(DELETE_JOB_TYPE, [
+  { name: "crm_delete", run: deleteLeadFromCrms },
+]);
+
+// ==============================================================
+// Enqueue
+// ==============================================================
+
+/**
+ * Queue a push of an edited lead to the company's CRMs
+ * @returns {Object|null} Created job, or null when no CRM takes pushes
+ */
+const enqueueLeadCrmSync = async ({ tenantId, companyId, leadId }) => {
+  const hasPushTarget = await CrmIntegration.exists({
+    companyId,
+    status: "active",
+    "settings.autoSync.enabled": true,
+    "settings.syncDirection": { $in: PUSH_DIRECTIONS },
+  });
+  if (!hasPushTarget) return null;
+
+  return jobQueueService.enqueue(SYNC_JOB_TYPE, {
+    tenantId,
+    companyId,
+    payload: { leadId: leadId.toString() },
+  });
+};
+
+/**
+ * Queue removal of a deleted lead's CRM records
+ * @param {Object} lead - The deleted lead document
+ * @returns {Object|null} Created job, or null when the lead wasn't in a CRM
+ */
+const enqueueLeadCrmDelete = async ({ tenantId, companyId, lead }) => {
+  const targets = (lead.crmLinks || [])
+    .filter((link) => link.crmId)
+    .map(({ crmId, provider }) => ({ crmId, provider }));
+
+  // Leads synced before crmLinks existed
+  const legacyProvider =
+    lead.crmProvider ||
+    lead.originCrmProvider ||
+    // Leads pushed before crmProvider was tracked
+    lead.crmSyncHistory?.findLast((event) => event.crmId === lead.crmId)
+      ?.provider;
+  if (
+    lead.crmId &&
+    legacyProvider &&
+    !targets.some((target) => target.provider === legacyProvider)
+  ) {
+    targets.push({ crmId: lead.crmId, provider: legacyProvider });
+  }
+
+  if (targets.length === 0) return null;
+
+  return jobQueueService.enqueue(DELETE_JOB_TYPE, {
+    tenantId,
+    companyId,
+    payload: {
+      leadId: lead._id.toString(),
+      targets,
+    },
+  });
+};
+
+export {
+  SYNC_JOB_TYPE as CRM_LEAD_SYNC_JOB,
+  DELETE_JOB_TYPE as CRM_LEAD_DELETE_JOB,
+  enqueueLeadCrmSync,
+  enqueueLeadCrmDelete,
+};
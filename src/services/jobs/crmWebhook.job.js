@@ -0,0 +1,80 @@
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import { applyCrmLeadEvent } from "../crm/sync.service.js";
+import socketService from "../socket.service.js";
+import jobQueueService from "../jobQueue.service.js";
+
+/**
+ * CRM Webhook Job
+ * Applies the lead events of a verified CRM webhook call to the tenant's
+ * leads, so the webhook can be acknowledged right away.
+ */
+
+const JOB_TYPE = "crm_webhook";
+
+// ==============================================================
+// Steps
+// ==============================================================
+
+// Apply each event once (applied ones are skipped on retry)
+const applyLeadEvents = async ({ job, tenantConnection }) => {
+  const crmIntegration = await CrmIntegration.findOne({
+    _id: job.payload.integrationId,
+    status: "active",
+  });
+
+  if (!crmIntegration) {
+    return { skipped: true };
+  }
+
+  const applied = job.context.applied || {};
+  const failures = [];
+
+  for (const [index, event] of job.payload.events.entries()) {
+    if (applied[index]) continue;
+
+    try {
+      const { action, lead } = await applyCrmLeadEvent(
+        tenantConnection,
+        crmIntegration,
+        event
+      );
+      applied[index] = action;
+
+      if (action === "imported") {
+        socketService.emitNewLead(crmIntegration.companyId, lead);
+      }
+    } catch (err) {
+      failures.push(`${event.action} ${event.crmId}: ${err.message}`);
+    }
+  }
+
+  job.context.applied = applied;
+
+  if (failures.length > 0) {
+    throw new Error(`CRM webhook events failed - ${failures.join("; ")}`);
+  }
+  return applied;
+};
+
+jobQueueService.registerHandler(JOB_TYPE, [
+  { name: "apply_events", run: applyLeadEvents },
+]);
+
+/**
+ * Queue the lead events of a webhook call
+ * @param {Object} crmIntegration
+ * @param {Array} events - [{ action, crmId }]
+ * @returns {Object} Created job document
+ */
+const enqueueCrmWebhookEvents = ({ crmIntegration, events }) =>
+  jobQueueService.enqueue(JOB_TYPE, {
+    tenantId: crmIntegration.companyId.toString(),
+    companyId: crmIntegration.companyId,
+    payload: {
+      integrationId: crmIntegration._id.toString(),
+      provider: crmIntegration.provider,
+      events: events.map(({ action, crmId }) => ({ action, crmId })),
+    },
+  });
+
+export { JOB_TYPE as CRM_WEBHOOK_JOB, enqueueCrmWebhookEvents };
@@ -0,0 +1,466 @@
+import { getTenantModels } from "../../models/index.js";
+import { Company } from "../../models/company.model.js";
+import { CrmIntegration } from "../../models/crmIntegration.model.js";
+import scrapingService from "../scraping.service.js";
+import emailService from "../email.service.js";
+import emailTemplateService from "../emailTemplate.service.js";
+import bantService from "../bant.service.js";
+import dealHealthService from "../dealHealth.service.js";
+import leadScoringService from "../leadScoring.service.js";
+import socketService from "../socket.service.js";
+import { syncLeadToCrm } from "../crm/sync.service.js";
+import { routeLead } from "../crm/routing.service.js";
+import jobQueueService from "../jobQueue.service.js";
+
+/**
+ * Form Submission Job
+ * Runs the side effects of a public form submission outside the HTTP request:
+ * scrape -> create lead -> lead score -> deal health -> emails -> BANT ->
+ * webhook -> CRM
+ */
+
+const JOB_TYPE = "form_submission";
+
+const MAKE_WEBHOOK_URL =
+  "https://hook.eu2.make.com/ora3wwlyjeodkn7o9qwf6qsowc2watv9";
+
+// ==============================================================
+// Helpers
+// ==============================================================
+
+const loadForm = async (job, tenantConnection) => {
+  const { Form } = getTenantModels(tenantConnection);
+  const form = await Form.findById(job.payload.formId);
+  if (!form) {
+    throw new Error("Form not found");
+  }
+  return form;
+};
+
+const loadLead = async (job, tenantConnection) => {
+  const { Lead } = getTenantModels(tenantConnection);
+  const lead = await Lead.findById(job.context.leadId);
+  if (!lead) {
+    throw new Error("Lead not found");
+  }
+  return lead;
+};
+
+const loadCompany = async (job) => {
+  const company = await Company.findById(job.companyId).populate(
+    "teamMembers.company",
+    "_id companyName email logo.url joinedCompanyStatus assignedLeadsType"
+  );
+  if (!company) {
+    throw new Error("Company not found");
+  }
+  return company;
+};
+
+// ==============================================================
+// Steps
+// ==============================================================
+
+// Scrape the submitted profile URL
+const scrapeProfile = async ({ job, tenantConnection }) => {
+  const form = await loadForm(job, tenantConnection);
+  const platformUrl = job.payload.formData[form.config.fields[0].name];
+
+  const scrapedData = await scrapingService.scrapeProfile(
+    form.formType,
+    platformUrl
+  );
+
+  if (!scrapedData) {
+    throw new Error("Failed to scrape profile data");
+  }
+
+  job.context.platformUrl = platformUrl;
+  job.context.scrapedData = scrapedData;
+
+  return { platformUrl };
+};
+
+// Create the lead from scraped data (skipped for duplicates)
+const createLead = async ({ job, tenantConnection }) => {
+  const { Lead, EngagementHistory } = getTenantModels(tenantConnection);
+  const form = await loadForm(job, tenantConnection);
+  const { platformUrl, scrapedData } = job.context;
+
+  // Prevent duplicates: if a lead with the same platformUrl exists, skip creation
+  const existingLead = await Lead.findOne({ platformUrl: platformUrl });
+  if (existingLead) {
+    console.log(
+      `ℹ️ Duplicate lead skipped for tenant ${job.tenantId} and URL ${platformUrl}`
+    );
+
+    // Submitting again still counts as engagement for the existing lead
+    await EngagementHistory.create({
+      leadId: existingLead._id,
+      engagementType: "contact",
+      contactType: "form_submission",
+      direction: "inbound",
+      metadata: { formId: form._id, jobId: job._id },
+      engagementDate: new Date(),
+    });
+    await leadScoringService.scoreLead(tenantConnection, existingLead);
+
+    return { halt: true, duplicate: true, leadId: existingLead._id };
+  }
+
+  // Ensure company has an API key (generate if needed)
+  const company = await loadCompany(job);
+  if (!company.apiKey) {
+    await company.generateApiKey();
+    await company.save();
+    console.log(`✅ Generated API key for company: ${company._id}`);
+  }
+
+  const leadData = {
+    formId: form._id,
+    platform: form.formType,
+    platformUrl: platformUrl,
+    profileUrl: platformUrl,
+    profilePic:
+      scrapedData.profilePic || scrapedData.profilePicHighQuality || null,
+    firstName: scrapedData.firstName || null,
+    lastName: scrapedData.lastName || null,
+    fullName: scrapedData.fullName || null,
+    email: scrapedData.email || null,
+    phone: scrapedData.mobileNumber || null,
+    company: scrapedData.companyName || null,
+    companyIndustry: scrapedData.companyIndustry || null,
+    companyWebsite: scrapedData.companyWebsite || null,
+    companySize: scrapedData.companySize || null,
+    jobTitle: scrapedData.jobTitle || null,
+    department: scrapedData.department || null,
+    location:
+      scrapedData.addressWithCountry || scrapedData.addressCountryOnly || null,
+    country: scrapedData.addressCountryOnly || null,
+    city: scrapedData.addressWithoutCountry || null,
+    platformData: scrapedData, // Store complete scraped data
+    source: form.formType,
+    sourceUrl: form.embedUrl || null,
+    status: "new",
+    apiKey: company.apiKey,
+  };
+
+  if (
+    leadData.firstName === null &&
+    leadData.lastName === null &&
+    leadData.fullName === null &&
+    leadData.email === null
+  ) {
+    return { halt: true, reason: "Invalid lead data from scraping" };
+  }
+
+  const lead = await Lead.create(leadData);
+
+  job.leadId = lead._id;
+  job.context.leadId = lead._id.toString();
+  // Scraped data now lives on the lead
+  delete job.context.scrapedData;
+
+  return { leadId: lead._id };
+};
+
+// Calculate the initial rule-based lead score
+const scoreLead = async ({ job, tenantConnection }) => {
+  const lead = await leadScoringService.scoreLead(
+    tenantConnection,
+    job.context.leadId
+  );
+  return { ruleScore: lead?.ruleScore?.score ?? null };
+};
+
+// Calculate initial deal health (also generates next best action)
+const calculateDealHealth = async ({ job, tenantConnection }) => {
+  await dealHealthService.calculateDealHealth(
+    tenantConnection,
+    job.context.leadId
+  );
+  console.log(`✅ Deal health calculated for lead: ${job.context.leadId}`);
+};
+
+// Send welcome email to lead if auto response is enabled
+const sendWelcomeEmail = async ({ job, tenantConnection }) => {
+  const form = await loadForm(job, tenantConnection);
+  const lead = await loadLead(job, tenantConnection);
+
+  if (!form.settings.autoResponse.enabled) {
+    return { skipped: true, reason: "Auto response disabled" };
+  }
+  if (!lead.email) {
+    console.log(
+      "⚠️ Welcome email not sent - lead email not available from scraped data"
+    );
+    return { skipped: true, reason: "Lead email not available" };
+  }
+  if (lead.emailStatus?.welcomeSent) {
+    return { skipped: true, reason: "Welcome email already sent" };
+  }
+
+  // Prefer the form's email template; fall back to the plain auto-response message
+  let content = null;
+  const templateId = form.settings.autoResponse.templateId;
+  if (templateId) {
+    try {
+      const company = await loadCompany(job);
+      content = await emailTemplateService.renderForLead(
+        tenantConnection,
+        templateId,
+        lead,
+        company
+      );
+    } catch (error) {
+      console.warn(
+        `⚠️ Auto-response template ${templateId} unavailable, using form message: ${error.message}`
+      );
+    }
+  }
+
+  const welcomeEmail = await emailService.sendWelcomeEmail(lead, form, content);
+  if (!welcomeEmail.success) {
+    throw new Error(welcomeEmail.message || "Failed to send welcome email");
+  }
+
+  await lead.updateEmailStatus("welcome", true);
+  await dealHealthService.logEngagement(tenantConnection, lead._id, {
+    engagementType: "email_sent",
+    emailMetrics: {
+      subject: content?.subject || "lead welcome email sent",
+      sentAt: new Date(),
+      messageId: welcomeEmail?.messageId,
+    },
+    contactType: "email",
+    direction: "outbound",
+  });
+
+  return {
+    messageId: welcomeEmail.messageId,
+    templateId: content?.templateId || null,
+  };
+};
+
+// Notify the company by email and real-time notification
+const notifyCompany = async ({ job, tenantConnection }) => {
+  const { Notification } = getTenantModels(tenantConnection);
+  const company = await loadCompany(job);
+
+  if (!company.settings?.leadNotifications) {
+    console.log(
+      `ℹ️ Lead notification email disabled for company: ${company._id}`
+    );
+    return { skipped: true, reason: "Lead notifications disabled" };
+  }
+
+  const form = await loadForm(job, tenantConnection);
+  const lead = await loadLead(job, tenantConnection);
+
+  const notificationEmail = await emailService.sendLeadNotificationEmail(
+    lead,
+    form,
+    company
+  );
+  if (!notificationEmail.success) {
+    throw new Error(
+      notificationEmail.message || "Failed to send lead notification email"
+    );
+  }
+
+  // Only create the in-app notification once across retries
+  if (!job.context.notificationId) {
+    const newNotification = await Notification.create({
+      companyId: company._id,
+      title: "Newly Generated Lead",
+      message: `New lead created using ${form.formType} platform`,
+    });
+    job.context.notificationId = newNotification._id.toString();
+    socketService.emitNotification(company._id, newNotification);
+    console.log(`🔔 Real-time notification sent for company`);
+  }
+};
+
+// Apply BANT qualification if enabled in company settings
+const qualifyLeadBANT = async ({ job, tenantConnection }) => {
+  const company = await loadCompany(job);
+
+  if (!company.settings?.autoBANTQualification) {
+    console.log(
+      `[BANT] Auto-qualification disabled for company: ${company._id}`
+    );
+    return { skipped: true, reason: "Auto BANT qualification disabled" };
+  }
+
+  const lead = await loadLead(job, tenantConnection);
+
+  let qualificationResult;
+  try {
+    qualificationResult = await bantService.qualifyLead(lead);
+  } catch (error) {
+    // Out of AI quota for the month, retrying won't help
+    if (error.code === "AI_QUOTA_EXCEEDED") {
+      return { skipped: true, reason: error.message };
+    }
+    throw error;
+  }
+
+  if (!qualificationResult.success) {
+    throw new Error(qualificationResult.error || "BANT qualification failed");
+  }
+
+  const bantData = qualificationResult.data;
+  await bantService.updateLeadWithBANT(lead, bantData);
+
+  console.log(
+    `[BANT] Successfully qualified lead ${lead._id} - Score: ${lead.bant.totalScore}, Category: ${lead.bant.category}`
+  );
+
+  job.context.bant = {
+    leadScore: lead.bant.totalScore,
+    category: lead.bant.category,
+  };
+  return job.context.bant;
+};
+
+// Notify automation webhook and connected dashboards about the new lead
+const publishLead = async ({ job, tenantConnection }) => {
+  const company = await loadCompany(job);
+  const lead = await loadLead(job, tenantConnection);
+  const bantResult = job.context.bant;
+
+  if (!job.context.leadPublished) {
+    socketService.emitNewLead(company._id, lead);
+    job.context.leadPublished = true;
+  }
+
+  const webResponse = await fetch(MAKE_WEBHOOK_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      // Company & Team Info
+      company: {
+        _id: company._id,
+        name: company.companyName,
+        apiKey: company.apiKey,
+      },
+      // Team Members (for auto-assignment)
+      teamMembers: company?.teamMembers,
+      // Lead Data
+      lead: {
+        _id: lead._id,
+        fullName: lead.fullName,
+        email: lead.email,
+        company: lead.company,
+        jobTitle: lead.jobTitle,
+        phone: lead.phone,
+        platform: lead.platform,
+        platformUrl: lead.platformUrl,
+        leadScore: bantResult?.leadScore || lead?.leadScore || null,
+        bantCategory: bantResult?.category || "new",
+      },
+      apiKey: company.apiKey,
+      source: "mongo",
+      timestamp: new Date().toISOString(),
+    }),
+  });
+
+  if (!webResponse.ok) {
+    throw new Error(
+      `Webhook failed with status: ${webResponse.status} - ${webResponse.statusText}`
+    );
+  }
+};
+
+// Sync lead to the active CRM integrations its routing picks (already synced ones are skipped on retry)
+const syncLeadToCrms = async ({ job, tenantConnection }) => {
+  const { Lead } = getTenantModels(tenantConnection);
+
+  const activeIntegrations = await CrmIntegration.find({
+    companyId: job.companyId,
+    status: "active",
+  }).sort({ createdAt: 1 });
+
+  if (activeIntegrations.length === 0) {
+    console.log(
+      `[CRM] No active CRM integration found for company: ${job.companyId}`
+    );
+    return { skipped: true, reason: "No active CRM integration" };
+  }
+
+  const lead = await Lead.findById(job.context.leadId);
+  const crmIntegrations = lead ? routeLead(lead, activeIntegrations) : [];
+
+  if (crmIntegrations.length === 0) {
+    console.log(
+      `[CRM] No CRM integration routed for lead: ${job.context.leadId}`
+    );
+    return { skipped: true, reason: "No CRM integration receives this lead" };
+  }
+
+  const synced = job.context.crmSynced || {};
+  const failures = [];
+
+  for (const crmIntegration of crmIntegrations) {
+    const integrationId = crmIntegration._id.toString();
+    if (synced[integrationId]) continue;
+
+    try {
+      const syncResult = await syncLeadToCrm(
+        tenantConnection,
+        job.context.leadId,
+        crmIntegration
+      );
+
+      if (syncResult.success) {
+        synced[integrationId] = syncResult.crmId || true;
+        console.log(
+          `[CRM] Successfully synced lead ${job.context.leadId} to ${crmIntegration.provider} CRM - CRM ID: ${syncResult.crmId}`
+        );
+      } else {
+        failures.push(`${crmIntegration.provider}: ${syncResult.error}`);
+      }
+    } catch (err) {
+      failures.push(`${crmIntegration.provider}: ${err.message}`);
+    }
+  }
+
+  job.context.crmSynced = synced;
+
+  if (failures.length > 0) {
+    throw new Error(`CRM sync failed - ${failures.join("; ")}`);
+  }
+
+  return { synced: Object.keys(synced).length };
+};
+
+jobQueueService.registerHandler(JOB_TYPE, [
+  { name: "scrape", run: scrapeProfile },
+  { name: "create_lead", run: createLead },
+  { name: "lead_score", run: scoreLead, optional: true },
+  { name: "deal_health", run: calculateDealHealth, optional: true },
+  { name: "welcome_email", run: sendWelcomeEmail, optional: true },
+  { name: "company_notification", run: notifyCompany, optional: true },
+  { name: "bant_qualification", run: qualifyLeadBANT, optional: true },
+  { name: "publish_lead", run: publishLead, optional: true },
+  { name: "crm_sync", run: syncLeadToCrms, optional: true },
+]);
+
+/**
+ * Queue the side effects of a form submission
+ * @returns {Object} Created job document
+ */
+const enqueueFormSubmission = ({ tenantId, companyId, form, formData }) =>
+  jobQueueService.enqueue(JOB_TYPE, {
+    tenantId,
+    companyId,
+    payload: {
+      formId: form._id.toString(),
+      accessToken: form.accessToken,
+      formData,
+    },
+  });
+
+export { JOB_TYPE as FORM_SUBMISSION_JOB, enqueueFormSubmission };
@@ -0,0 +1,481 @@
+import { getTenantModels } from "../models/index.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  buildDedupKeys,
+  DEDUP_KEYS_VERSION,
+  normalizeEmail,
+} from "../utils/leadMatch.util.js";
+import dealHealthService from "./dealHealth.service.js";
+
+/**
+ * Lead Deduplication Service
+ * Finds leads that are the same person (normalized email, phone,
+ * name + company, CRM ids) and merges them onto a surviving lead.
+ */
+
+// Match reasons and how much we trust them on their own
+const MATCH_KEYS = {
+  email: { path: "dedupKeys.email", confidence: "high" },
+  crmId: { path: "dedupKeys.crmIds", confidence: "high", isArray: true },
+  phone: { path: "dedupKeys.phone", confidence: "medium" },
+  nameCompany: { path: "dedupKeys.nameCompany", confidence: "medium" },
+};
+
+// Scalar fields copied from merged leads when the survivor has no value
+const FILLABLE_FIELDS = [
+  "firstName",
+  "lastName",
+  "fullName",
+  "email",
+  "phone",
+  "profileUrl",
+  "profilePic",
+  "company",
+  "companyIndustry",
+  "companyWebsite",
+  "companySize",
+  "jobTitle",
+  "department",
+  "location",
+  "country",
+  "city",
+  "assignedTo",
+  "assignmentDate",
+];
+
+const LEAD_SUMMARY_FIELDS =
+  "firstName lastName fullName email phone company jobTitle platform platformUrl source status leadScore crmId originCrmId originCrmProvider leadOrigin bant.totalScore createdAt updatedAt";
+
+class LeadDedupService {
+  /**
+   * Recompute dedup keys for leads created/updated outside of save() or
+   * keyed by an older version of buildDedupKeys
+   */
+  async refreshDedupKeys(Lead) {
+    const staleLeads = await Lead.find(
+      {
+        $or: [
+          { "dedupKeys.computedAt": { $exists: false } },
+          { "dedupKeys.version": { $ne: DEDUP_KEYS_VERSION } },
+          { $expr: { $gt: ["$updatedAt", "$dedupKeys.computedAt"] } },
+        ],
+      },
+      "firstName lastName fullName email phone company crmId crmProvider originCrmId originCrmProvider crmLinks.provider crmLinks.crmId"
+    ).lean();
+
+    if (staleLeads.length === 0) return 0;
+
+    const operations = staleLeads.map((lead) => ({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { $set: { dedupKeys: buildDedupKeys(lead) } },
+        timestamps: false,
+      },
+    }));
+
+    // Write in chunks to keep payloads small
+    for (let i = 0; i < operations.length; i += 500) {
+      await Lead.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+    }
+
+    console.log(`[DEDUP] Refreshed match keys for ${staleLeads.length} leads`);
+    return staleLeads.length;
+  }
+
+  /**
+   * Find groups of duplicate leads across the tenant
+   * @param {Object} tenantConnection
+   * @param {Object} options - { page, limit, matchOn: ["email", ...] }
+   * @returns {Object} { groups, pagination }
+   */
+  async findDuplicateGroups(tenantConnection, options = {}) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const { page = 1, limit = 20 } = options;
+    const matchOn = (options.matchOn || Object.keys(MATCH_KEYS)).filter(
+      (key) => MATCH_KEYS[key]
+    );
+
+    await this.refreshDedupKeys(Lead);
+
+    // Collect lead id clusters per match key
+    const clusters = [];
+    for (const key of matchOn) {
+      const { path, isArray } = MATCH_KEYS[key];
+      const pipeline = [
+        ...(isArray ? [{ $unwind: `$${path}` }] : []),
+        { $match: { [path]: { $nin: [null, ""] } } },
+        { $group: { _id: `$${path}`, ids: { $addToSet: "$_id" } } },
+        { $match: { "ids.1": { $exists: true } } },
+      ];
+
+      const results = await Lead.aggregate(pipeline).allowDiskUse(true);
+      results.forEach((result) =>
+        clusters.push({ key, value: result._id, ids: result.ids.map(String) })
+      );
+    }
+
+    const groups = this.buildGroups(clusters);
+    const total = groups.length;
+    const pageGroups = groups.slice((page - 1) * limit, page * limit);
+
+    // Load lead summaries for the current page only
+    const leadIds = pageGroups.flatMap((group) => group.leadIds);
+    const leads = await Lead.find({ _id: { $in: leadIds } })
+      .select(LEAD_SUMMARY_FIELDS)
+      .lean();
+    const leadsById = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+
+    return {
+      groups: pageGroups.map((group) => {
+        const groupLeads = group.leadIds
+          .map((id) => leadsById.get(id))
+          .filter(Boolean)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        return {
+          matchedOn: group.matchedOn,
+          confidence: group.confidence,
+          suggestedSurvivorId: this.pickSurvivor(groupLeads)?._id || null,
+          leads: groupLeads,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Find leads that match a single lead
+   */
+  async findDuplicatesOfLead(tenantConnection, leadId) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const lead = await Lead.findById(leadId);
+    if (!lead) return null;
+
+    const keys = buildDedupKeys(lead);
+    const conditions = [];
+    if (keys.email) conditions.push({ "dedupKeys.email": keys.email });
+    if (keys.phone) conditions.push({ "dedupKeys.phone": keys.phone });
+    if (keys.nameCompany)
+      conditions.push({ "dedupKeys.nameCompany": keys.nameCompany });
+    if (keys.crmIds.length)
+      conditions.push({ "dedupKeys.crmIds": { $in: keys.crmIds } });
+
+    if (conditions.length === 0) return [];
+
+    await this.refreshDedupKeys(Lead);
+
+    return Lead.find({ _id: { $ne: lead._id }, $or: conditions })
+      .select(LEAD_SUMMARY_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Find an existing lead for incoming data (used by imports to avoid duplicates)
+   * Matches on CRM id (including merged leads) first, then normalized email.
+   */
+  async findExistingLead(Lead, { email, crmId } = {}) {
+    if (crmId) {
+      const byCrmId = await Lead.findOne({
+        $or: [
+          { originCrmId: crmId },
+          { crmId: crmId },
+          { "crmLinks.crmId": crmId },
+          { "mergedFrom.originCrmId": crmId },
+          { "mergedFrom.crmId": crmId },
+        ],
+      });
+      if (byCrmId) return byCrmId;
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    if (normalizedEmail) {
+      return Lead.findOne({
+        $or: [
+          { "dedupKeys.email": normalizedEmail },
+          { email: email.trim().toLowerCase() },
+        ],
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge leads into a surviving lead
+   * Moves engagement history, follow-ups, proposals and next best actions,
+   * combines contact history, tags and BANT, then deletes the merged leads.
+   */
+  async mergeLeads(tenantConnection, survivorId, mergeIds) {
+    const {
+      Lead,
+      DealHealth,
+      EngagementHistory,
+      FollowUp,
+      NextBestAction,
+      Proposal,
+    } = getTenantModels(tenantConnection);
+
+    const survivor = await Lead.findById(survivorId);
+    if (!survivor) {
+      throw new ApiError(404, "Surviving lead not found");
+    }
+
+    const uniqueMergeIds = [...new Set(mergeIds.map(String))].filter(
+      (id) => id !== survivor._id.toString()
+    );
+    const mergedLeads = await Lead.find({ _id: { $in: uniqueMergeIds } }).sort({
+      createdAt: 1,
+    });
+
+    if (mergedLeads.length !== uniqueMergeIds.length) {
+      throw new ApiError(404, "One or more leads to merge were not found");
+    }
+
+    const mergedObjectIds = mergedLeads.map((lead) => lead._id);
+
+    // Combine lead fields onto the survivor
+    for (const lead of mergedLeads) {
+      this.mergeLeadFields(survivor, lead);
+    }
+    await survivor.save();
+
+    // Move related records to the survivor
+    const [engagements, followUps, proposals, actions] = await Promise.all([
+      EngagementHistory.updateMany(
+        { leadId: { $in: mergedObjectIds } },
+        { $set: { leadId: survivor._id } }
+      ),
+      FollowUp.updateMany(
+        { leadId: { $in: mergedObjectIds } },
+        { $set: { leadId: survivor._id } }
+      ),
+      Proposal.updateMany(
+        { leadId: { $in: mergedObjectIds } },
+        { $set: { leadId: survivor._id } }
+      ),
+      NextBestAction.updateMany(
+        { leadId: { $in: mergedObjectIds } },
+        { $set: { leadId: survivor._id } }
+      ),
+    ]);
+
+    // Health is recalculated for the survivor below
+    await DealHealth.deleteMany({ leadId: { $in: mergedObjectIds } });
+    await Lead.deleteMany({ _id: { $in: mergedObjectIds } });
+
+    try {
+      const dealHealth = await dealHealthService.calculateDealHealth(
+        tenantConnection,
+        survivor._id
+      );
+      await NextBestAction.updateMany(
+        { leadId: survivor._id },
+        { $set: { dealHealthId: dealHealth._id } }
+      );
+    } catch (error) {
+      console.error(
+        `[DEDUP] Failed to recalculate health for lead ${survivor._id}:`,
+        error.message
+      );
+    }
+
+    console.log(
+      `✅ [DEDUP] Merged ${mergedLeads.length} leads into ${survivor._id}`
+    );
+
+    return {
+      lead: survivor,
+      mergedLeadIds: mergedObjectIds,
+      moved: {
+        engagements: engagements.modifiedCount,
+        followUps: followUps.modifiedCount,
+        proposals: proposals.modifiedCount,
+        nextBestActions: actions.modifiedCount,
+      },
+    };
+  }
+
+  /**
+   * Copy data from a merged lead onto the survivor (survivor values win)
+   */
+  mergeLeadFields(survivor, lead) {
+    const leadData = lead.toObject();
+
+    for (const field of FILLABLE_FIELDS) {
+      if (!survivor[field] && lead[field]) {
+        survivor[field] = lead[field];
+      }
+    }
+
+    // Notes: keep both
+    if (lead.notes && lead.notes !== survivor.notes) {
+      survivor.notes = [survivor.notes, lead.notes]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+
+    // Platform data: survivor keys take precedence
+    survivor.platformData = {
+      ...(lead.platformData || {}),
+      ...(survivor.platformData || {}),
+    };
+    survivor.markModified("platformData");
+
+    // Contact history: combine, drop exact duplicates, keep chronological order
+    const seen = new Set();
+    survivor.contactHistory = [
+      ...survivor.contactHistory,
+      ...lead.contactHistory,
+    ]
+      .filter((entry) => {
+        const key = `${entry.type}|${entry.subject}|${new Date(entry.timestamp).getTime()}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Tags: union by name
+    const tagNames = new Set(
+      survivor.tags.map((tag) => tag.name?.toLowerCase())
+    );
+    for (const tag of lead.tags) {
+      if (tag.name && !tagNames.has(tag.name.toLowerCase())) {
+        survivor.tags.push({ name: tag.name, color: tag.color });
+        tagNames.add(tag.name.toLowerCase());
+      }
+    }
+
+    // BANT: keep the most recent qualification
+    const survivorQualifiedAt = survivor.bant?.qualifiedAt
+      ? new Date(survivor.bant.qualifiedAt).getTime()
+      : 0;
+    const leadQualifiedAt = lead.bant?.qualifiedAt
+      ? new Date(lead.bant.qualifiedAt).getTime()
+      : 0;
+    if (leadQualifiedAt > survivorQualifiedAt) {
+      survivor.bant = leadData.bant;
+    }
+
+    survivor.leadScore = Math.max(survivor.leadScore || 0, lead.leadScore || 0);
+
+    // Email status: suppression flags and "sent" flags carry over
+    const emailStatus = survivor.emailStatus;
+    const leadEmailStatus = leadData.emailStatus || {};
+    emailStatus.welcomeSent =
+      emailStatus.welcomeSent || leadEmailStatus.welcomeSent;
+    emailStatus.followUpSent =
+      emailStatus.followUpSent || leadEmailStatus.followUpSent;
+    emailStatus.emailBounced =
+      emailStatus.emailBounced || leadEmailStatus.emailBounced;
+    emailStatus.emailUnsubscribed =
+      emailStatus.emailUnsubscribed || leadEmailStatus.emailUnsubscribed;
+    for (const dateField of [
+      "welcomeSentAt",
+      "followUpSentAt",
+      "lastEmailSent",
+    ]) {
+      if (
+        leadEmailStatus[dateField] &&
+        (!emailStatus[dateField] ||
+          leadEmailStatus[dateField] > emailStatus[dateField])
+      ) {
+        emailStatus[dateField] = leadEmailStatus[dateField];
+      }
+    }
+
+    // CRM identity: adopt the merged lead's ids if the survivor has none
+    if (!survivor.crmId && lead.crmId) {
+      survivor.crmId = lead.crmId;
+      survivor.crmSyncStatus = lead.crmSyncStatus;
+      survivor.crmSyncAt = lead.crmSyncAt;
+    }
+    if (!survivor.originCrmId && lead.originCrmId) {
+      survivor.originCrmId = lead.originCrmId;
+      survivor.originCrmProvider = lead.originCrmProvider;
+    }
+
+    // Conversion: a conversion on any record counts
+    if (lead.conversionData?.converted && !survivor.conversionData?.converted) {
+      survivor.conversionData = leadData.conversionData;
+    }
+
+    survivor.mergedFrom.push(...(leadData.mergedFrom || []), {
+      leadId: lead._id,
+      fullName: lead.fullName,
+      email: lead.email,
+      platformUrl: lead.platformUrl,
+      crmId: lead.crmId,
+      originCrmId: lead.originCrmId,
+      originCrmProvider: lead.originCrmProvider,
+      mergedAt: new Date(),
+    });
+  }
+
+  /**
+   * Group overlapping clusters (union-find) so A~B by email and B~C by phone
+   * end up in one group
+   */
+  buildGroups(clusters) {
+    const parent = new Map();
+    const find = (id) => {
+      if (!parent.has(id)) parent.set(id, id);
+      let root = id;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(id, root);
+      return root;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+
+    clusters.forEach(({ ids }) => ids.forEach((id) => union(ids[0], id)));
+
+    const groups = new Map();
+    for (const cluster of clusters) {
+      const root = find(cluster.ids[0]);
+      if (!groups.has(root)) {
+        groups.set(root, { leadIds: new Set(), matchedOn: new Set() });
+      }
+      const group = groups.get(root);
+      cluster.ids.forEach((id) => group.leadIds.add(id));
+      group.matchedOn.add(cluster.key);
+    }
+
+    return [...groups.values()]
+      .map((group) => {
+        const matchedOn = [...group.matchedOn];
+        const isHigh =
+          matchedOn.length > 1 ||
+          matchedOn.some((key) => MATCH_KEYS[key].confidence === "high");
+        return {
+          leadIds: [...group.leadIds],
+          matchedOn,
+          confidence: isHigh ? "high" : "medium",
+        };
+      })
+      .sort((a, b) => {
+        if (a.confidence !== b.confidence)
+          return a.confidence === "high" ? -1 : 1;
+        return b.leadIds.length - a.leadIds.length;
+      });
+  }
+
+  /**
+   * Suggest the survivor: CRM-linked leads first, then the oldest
+   */
+  pickSurvivor(leads) {
+    if (!leads.length) return null;
+    return leads.find((lead) => lead.crmId || lead.originCrmId) || leads[0];
+  }
+}
+
+const leadDedupService = new LeadDedupService();
+export default leadDedupService;
@@ -0,0 +1,491 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { Company } from "../models/company.model.js";
+import { getTenantModel } from "../models/tenantModelFactory.js";
+import {
+  leadScoringSchema,
+  FIRMOGRAPHIC_FIELDS,
+  BEHAVIORAL_SIGNALS,
+} from "../models/leadScoring.model.js";
+import { getTenantConnection } from "../db/tenantConnection.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// Leads scored per batch when re-scoring a whole tenant
+const BATCH_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Engagement fields the behavioral signals are read from
+const ENGAGEMENT_FIELDS =
+  "leadId engagementType contactType engagementDate emailMetrics.openedAt emailMetrics.clickedAt emailMetrics.respondedAt";
+
+/**
+ * Lead Scoring Service
+ * Deterministic, rule-based lead scores: tenant rules on firmographic fields
+ * and behavioral signals from EngagementHistory, with behavioral points
+ * decaying over time. Every score lists the rules that made it up
+ * (lead.ruleScore.contributions) and is blended with the BANT score into
+ * leadScore. No LLM involved.
+ */
+class LeadScoringService {
+  constructor() {
+    this.isDecaying = false;
+  }
+
+  // ============================================
+  // Scoring
+  // ============================================
+
+  /**
+   * When each behavioral signal happened for a lead
+   * @param {Object} lead - Lead document
+   * @param {Array} engagements - The lead's EngagementHistory entries
+   * @returns {Object} - { [signal]: [Date] }
+   */
+  collectSignals(lead, engagements) {
+    const signals = Object.fromEntries(
+      BEHAVIORAL_SIGNALS.map((signal) => [signal, []])
+    );
+
+    // The lead itself came from a form
+    if (lead.formId && lead.createdAt) {
+      signals.form_submission.push(lead.createdAt);
+    }
+
+    for (const engagement of engagements) {
+      const { engagementType, contactType, engagementDate, emailMetrics } =
+        engagement;
+
+      if (emailMetrics?.openedAt)
+        signals.email_opened.push(emailMetrics.openedAt);
+      if (emailMetrics?.clickedAt)
+        signals.email_clicked.push(emailMetrics.clickedAt);
+
+      if (engagementType === "response") {
+        signals.email_replied.push(emailMetrics?.respondedAt || engagementDate);
+      } else if (contactType === "form_submission") {
+        signals.form_submission.push(engagementDate);
+      } else if (engagementType === "meeting" || contactType === "meeting") {
+        signals.meeting.push(engagementDate);
+      } else if (engagementType === "unsubscribed") {
+        signals.unsubscribed.push(engagementDate);
+      } else if (engagementType === "bounced") {
+        signals.bounced.push(engagementDate);
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Whether a lead matches a firmographic rule
+   */
+  matchesFirmographicRule(lead, rule) {
+    const value = String(lead[rule.field] ?? "")
+      .trim()
+      .toLowerCase();
+
+    if (rule.operator === "exists") return value !== "";
+    if (value === "") return false;
+
+    return (rule.values || []).some((candidate) => {
+      const expected = String(candidate).trim().toLowerCase();
+      return rule.operator === "contains"
+        ? value.includes(expected)
+        : value === expected;
+    });
+  }
+
+  /**
+   * Score a lead with a scoring config (pure, nothing is saved)
+   * @param {Object} lead - Lead document
+   * @param {Array} engagements - The lead's EngagementHistory entries
+   * @param {Object} config - LeadScoring document
+   * @param {Date} now - Decay is measured up to this date
+   * @returns {Object} - { score, contributions: [{ ruleId, name, type, points, occurrences, rawPoints }] }
+   */
+  calculateScore(lead, engagements, config, now = new Date()) {
+    const signals = this.collectSignals(lead, engagements);
+    const halfLifeDays = config.decay?.enabled
+      ? config.decay.halfLifeDays || 30
+      : null;
+    const contributions = [];
+
+    for (const rule of config.rules || []) {
+      if (rule.isActive === false) continue;
+
+      if (rule.type === "firmographic") {
+        if (!this.matchesFirmographicRule(lead, rule)) continue;
+
+        contributions.push({
+          ruleId: rule._id,
+          name: rule.name,
+          type: rule.type,
+          points: rule.points,
+        });
+        continue;
+      }
+
+      const occurrences = signals[rule.signal] || [];
+      if (occurrences.length === 0) continue;
+
+      // Newest first, so the cap keeps the freshest occurrences
+      const ages = occurrences
+        .map((date) => Math.max(0, (now - new Date(date)) / DAY_MS))
+        .sort((a, b) => a - b);
+      const cap = Math.abs(rule.maxPoints ?? Infinity);
+
+      let rawPoints = 0;
+      let points = 0;
+      for (const age of ages) {
+        if (Math.abs(rawPoints + rule.points) > cap) break;
+        rawPoints += rule.points;
+        points += halfLifeDays
+          ? rule.points * Math.pow(0.5, age / halfLifeDays)
+          : rule.points;
+      }
+
+      points = Math.round(points * 10) / 10;
+      if (points === 0) continue;
+
+      contributions.push({
+        ruleId: rule._id,
+        name: rule.name,
+        type: rule.type,
+        points,
+        occurrences: occurrences.length,
+        rawPoints,
+      });
+    }
+
+    const total = contributions.reduce((sum, { points }) => sum + points, 0);
+
+    return {
+      score: Math.round(Math.max(0, Math.min(100, total))),
+      contributions,
+    };
+  }
+
+  /**
+   * Get the tenant's scoring config
+   */
+  async getConfig(tenantConnection) {
+    const { LeadScoring } = getTenantModels(tenantConnection);
+    return LeadScoring.getConfig();
+  }
+
+  /**
+   * Score leads and save their rule score and blended leadScore
+   * @param {Array} leads - Lead documents (updated in place)
+   * @param {Object} config - LeadScoring document (loaded when not given)
+   * @returns {Promise<Array>} - The leads
+   */
+  async scoreLeads(tenantConnection, leads, config = null) {
+    if (leads.length === 0) return leads;
+
+    const { Lead, EngagementHistory } = getTenantModels(tenantConnection);
+    const scoringConfig = config || (await this.getConfig(tenantConnection));
+
+    const engagementsByLead = new Map();
+    if (scoringConfig.enabled) {
+      const engagements = await EngagementHistory.find({
+        leadId: { $in: leads.map((lead) => lead._id) },
+      })
+        .select(ENGAGEMENT_FIELDS)
+        .lean();
+
+      for (const engagement of engagements) {
+        const key = String(engagement.leadId);
+        if (!engagementsByLead.has(key)) engagementsByLead.set(key, []);
+        engagementsByLead.get(key).push(engagement);
+      }
+    }
+
+    const now = new Date();
+    const operations = leads.map((lead) => {
+      if (scoringConfig.enabled) {
+        lead.ruleScore = {
+          ...this.calculateScore(
+            lead,
+            engagementsByLead.get(String(lead._id)) || [],
+            scoringConfig,
+            now
+          ),
+          configVersion: scoringConfig.version,
+          calculatedAt: now,
+        };
+      } else {
+        lead.ruleScore = undefined;
+      }
+      lead.blendLeadScore(scoringConfig.bantWeight);
+
+      return {
+        updateOne: {
+          filter: { _id: lead._id },
+          update: scoringConfig.enabled
+            ? { $set: { ruleScore: lead.ruleScore, leadScore: lead.leadScore } }
+            : {
+                $set: { leadScore: lead.leadScore },
+                $unset: { ruleScore: "" },
+              },
+        },
+      };
+    });
+
+    await Lead.bulkWrite(operations, { ordered: false });
+    return leads;
+  }
+
+  /**
+   * Score one lead
+   * @param {Object|String} leadOrId - Lead document or id
+   * @returns {Promise<Object|null>} - The lead, null when not found
+   */
+  async scoreLead(tenantConnection, leadOrId, config = null) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const lead =
+      leadOrId instanceof mongoose.Model
+        ? leadOrId
+        : await Lead.findById(leadOrId);
+    if (!lead) return null;
+
+    await this.scoreLeads(tenantConnection, [lead], config);
+    return lead;
+  }
+
+  // Re-score in the background after an event; callers shouldn't wait on it
+  refreshLeadScore(tenantConnection, leadId) {
+    this.scoreLead(tenantConnection, leadId).catch((error) =>
+      console.error(
+        `[SCORING] Score recalculation failed for lead ${leadId}:`,
+        error.message
+      )
+    );
+  }
+
+  /**
+   * Blend a lead's BANT and rule scores into leadScore with its tenant's
+   * bantWeight (does not save)
+   * @param {Object} lead - Lead document (its connection is the tenant's)
+   */
+  async applyLeadScore(lead) {
+    const LeadScoring = getTenantModel(
+      lead.constructor.db,
+      "LeadScoring",
+      leadScoringSchema
+    );
+    const config = await LeadScoring.getConfig();
+    return lead.blendLeadScore(config.bantWeight);
+  }
+
+  /**
+   * Re-score every lead of a tenant (after a config change and for decay)
+   * @returns {Promise<Object>} - { scored }
+   */
+  async rescoreAll(tenantConnection) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const config = await this.getConfig(tenantConnection);
+    let scored = 0;
+    let lastId = null;
+
+    for (;;) {
+      const leads = await Lead.find(lastId ? { _id: { $gt: lastId } } : {})
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+      if (leads.length === 0) break;
+
+      lastId = leads[leads.length - 1]._id;
+      await this.scoreLeads(tenantConnection, leads, config);
+      scored += leads.length;
+    }
+
+    return { scored };
+  }
+
+  /**
+   * Re-score the leads of every company, so behavioral points decay
+   */
+  async processDecay() {
+    if (this.isDecaying) return;
+    this.isDecaying = true;
+
+    try {
+      const companies = await Company.find().select("_id");
+
+      for (const company of companies) {
+        try {
+          const tenantConnection = await getTenantConnection(
+            company._id.toString()
+          );
+          const { scored } = await this.rescoreAll(tenantConnection);
+          console.log(
+            `[SCORING] Re-scored ${scored} leads for company ${company._id}`
+          );
+        } catch (error) {
+          console.error(
+            `[SCORING] Failed to re-score leads for company ${company._id}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("[SCORING] Score decay error:", error.message);
+    } finally {
+      this.isDecaying = false;
+    }
+  }
+
+  // ============================================
+  // Config
+  // ============================================
+
+  /**
+   * Check scoring rules before saving them
+   * @returns {Array} - Error messages, empty when valid
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) return ["rules must be an array"];
+
+    const errors = [];
+
+    rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+
+      if (!rule?.name || typeof rule.name !== "string") {
+        errors.push(`${label}: name is required`);
+      }
+      if (typeof rule?.points !== "number" || Math.abs(rule.points) > 100) {
+        errors.push(`${label}: points must be a number between -100 and 100`);
+      }
+
+      if (rule?.type === "firmographic") {
+        if (!FIRMOGRAPHIC_FIELDS.includes(rule.field)) {
+          errors.push(
+            `${label}: field must be one of ${FIRMOGRAPHIC_FIELDS.join(", ")}`
+          );
+        }
+        if (
+          rule.operator !== undefined &&
+          !["equals", "contains", "exists"].includes(rule.operator)
+        ) {
+          errors.push(`${label}: operator must be equals, contains or exists`);
+        }
+        if (
+          rule.operator !== "exists" &&
+          (!Array.isArray(rule.values) ||
+            rule.values.length === 0 ||
+            rule.values.some((value) => typeof value !== "string"))
+        ) {
+          errors.push(`${label}: values must be a non-empty list of strings`);
+        }
+      } else if (rule?.type === "behavioral") {
+        if (!BEHAVIORAL_SIGNALS.includes(rule.signal)) {
+          errors.push(
+            `${label}: signal must be one of ${BEHAVIORAL_SIGNALS.join(", ")}`
+          );
+        }
+        if (
+          rule.maxPoints !== undefined &&
+          rule.maxPoints !== null &&
+          typeof rule.maxPoints !== "number"
+        ) {
+          errors.push(`${label}: maxPoints must be a number`);
+        }
+      } else {
+        errors.push(`${label}: type must be firmographic or behavioral`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Update the scoring config (bumps its version when anything changes)
+   * @param {Object} updates - { enabled, rules, decay, bantWeight }
+   * @returns {Promise<Object>} - { config, changed }
+   */
+  async updateConfig(tenantConnection, updates) {
+    const config = await this.getConfig(tenantConnection);
+    const errors = [];
+
+    if (updates.rules !== undefined) {
+      errors.push(...this.validateRules(updates.rules));
+    }
+    if (updates.enabled !== undefined && typeof updates.enabled !== "boolean") {
+      errors.push("enabled must be a boolean");
+    }
+    if (
+      updates.bantWeight !== undefined &&
+      (typeof updates.bantWeight !== "number" ||
+        updates.bantWeight < 0 ||
+        updates.bantWeight > 100)
+    ) {
+      errors.push("bantWeight must be a number between 0 and 100");
+    }
+    if (
+      updates.decay?.halfLifeDays !== undefined &&
+      (typeof updates.decay.halfLifeDays !== "number" ||
+        updates.decay.halfLifeDays < 1)
+    ) {
+      errors.push("decay.halfLifeDays must be at least 1");
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(400, "Invalid lead scoring config", errors);
+    }
+
+    // Rules sent without their _id get a new one; that alone isn't a change
+    const snapshot = () => {
+      const { enabled, rules, decay, bantWeight } = config.toObject();
+      return JSON.stringify({
+        enabled,
+        decay,
+        bantWeight,
+        rules: rules.map(({ _id, ...rule }) => rule),
+      });
+    };
+    const before = snapshot();
+
+    if (updates.enabled !== undefined) config.enabled = updates.enabled;
+    if (updates.bantWeight !== undefined)
+      config.bantWeight = updates.bantWeight;
+    if (updates.rules !== undefined) config.rules = updates.rules;
+    for (const key of ["enabled", "halfLifeDays"]) {
+      if (updates.decay?.[key] !== undefined) {
+        config.set(`decay.${key}`, updates.decay[key]);
+      }
+    }
+
+    const changed = snapshot() !== before;
+
+    if (changed) {
+      config.version += 1;
+      await config.save();
+    }
+
+    return { config, changed };
+  }
+}
+
+const leadScoringService = new LeadScoringService();
+
+/**
+ * Schedule the daily re-score that applies score decay (1 AM)
+ */
+const initLeadScoringCron = () => {
+  cron.schedule(
+    "0 1 * * *",
+    async () => {
+      await leadScoringService.processDecay();
+    },
+    {
+      timezone: "Asia/Riyadh",
+    }
+  );
+
+  console.log("✅ Lead score decay initialized (runs daily at 1 AM)");
+};
+
+export { initLeadScoringCron };
+export default leadScoringService;
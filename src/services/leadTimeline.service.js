@@ -0,0 +1,470 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { ApiError } from "../utils/ApiError.js";
+
+/**
+ * Lead Timeline Service
+ * Merges a lead's activity from every source (contact history, engagements,
+ * follow-ups, next best actions, proposals, CRM sync, assignments and stage
+ * changes) into one chronological, cursor-paginated feed.
+ *
+ * Every event has the same shape:
+ * { id, type, subtype, occurredAt, title, description, actor, source, data }
+ * where `source` ({ model, field?, id }) points at the underlying record.
+ */
+
+export const TIMELINE_EVENT_TYPES = [
+  "lead",
+  "contact",
+  "engagement",
+  "follow_up",
+  "next_best_action",
+  "proposal",
+  "crm_sync",
+  "assignment",
+  "stage_change",
+];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const ENGAGEMENT_TITLES = {
+  email_sent: "Email sent",
+  email_opened: "Email opened",
+  response: "Reply received",
+  contact: "Contact logged",
+  meeting: "Meeting",
+  unsubscribed: "Unsubscribed from emails",
+  bounced: "Email bounced",
+};
+
+const CRM_SYNC_TITLES = {
+  synced: "Pushed to CRM",
+  imported: "Imported from CRM",
+  updated: "Updated from CRM",
+  failed: "CRM sync failed",
+};
+
+const capitalize = (value = "") =>
+  value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, " ");
+
+const buildEvent = ({
+  id,
+  type,
+  subtype = null,
+  occurredAt,
+  title,
+  description = null,
+  actor = null,
+  source,
+  data = {},
+}) => ({
+  id,
+  type,
+  subtype,
+  occurredAt: new Date(occurredAt),
+  title,
+  description,
+  actor: actor || null,
+  source,
+  data,
+});
+
+// Newest first; ties broken on id so the order is stable across pages
+const compareEvents = (a, b) =>
+  b.occurredAt - a.occurredAt || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+class LeadTimelineService {
+  /**
+   * Encode the position after an event
+   */
+  encodeCursor(event) {
+    return Buffer.from(
+      JSON.stringify({ t: event.occurredAt.toISOString(), id: event.id })
+    ).toString("base64url");
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      const occurredAt = new Date(t);
+      if (Number.isNaN(occurredAt.getTime()) || typeof id !== "string") {
+        throw new Error("Malformed cursor");
+      }
+      return { occurredAt, id };
+    } catch {
+      throw new ApiError(400, "Invalid timeline cursor");
+    }
+  }
+
+  /**
+   * Parse the `types` filter (comma-separated or array)
+   */
+  parseTypes(types) {
+    if (!types) return TIMELINE_EVENT_TYPES;
+
+    const requested = (Array.isArray(types) ? types : String(types).split(","))
+      .map((type) => type.trim())
+      .filter(Boolean);
+
+    const unknown = requested.filter(
+      (type) => !TIMELINE_EVENT_TYPES.includes(type)
+    );
+    if (unknown.length > 0) {
+      throw new ApiError(
+        400,
+        `Unknown timeline type(s): ${unknown.join(", ")}. Allowed: ${TIMELINE_EVENT_TYPES.join(", ")}`
+      );
+    }
+
+    return requested.length > 0 ? requested : TIMELINE_EVENT_TYPES;
+  }
+
+  /**
+   * Get a page of a lead's timeline
+   * @param {Object} tenantConnection
+   * @param {String} leadId
+   * @param {Object} options - { types, cursor, limit }
+   * @returns {Object|null} { events, pagination } or null if the lead doesn't exist
+   */
+  async getTimeline(tenantConnection, leadId, { types, cursor, limit } = {}) {
+    const { Lead } = getTenantModels(tenantConnection);
+
+    const selectedTypes = this.parseTypes(types);
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    const lead = await Lead.findById(leadId)
+      .select(
+        "fullName source platform createdAt contactHistory stageHistory assignmentHistory crmSyncHistory"
+      )
+      .lean();
+    if (!lead) return null;
+
+    // Each source returns at most pageSize + 1 events at or before the cursor;
+    // the merged page is then cut after the cursor position
+    const options = {
+      tenantConnection,
+      lead,
+      after,
+      before: after?.occurredAt || null,
+      limit: pageSize + 1,
+    };
+
+    const collectors = {
+      lead: () => this.getLeadEvents(options),
+      contact: () => this.getContactEvents(options),
+      engagement: () => this.getEngagementEvents(options),
+      follow_up: () => this.getFollowUpEvents(options),
+      next_best_action: () => this.getNextBestActionEvents(options),
+      proposal: () => this.getProposalEvents(options),
+      crm_sync: () => this.getCrmSyncEvents(options),
+      assignment: () => this.getAssignmentEvents(options),
+      stage_change: () => this.getStageEvents(options),
+    };
+
+    const results = await Promise.all(
+      selectedTypes.map((type) => collectors[type]())
+    );
+
+    const events = results
+      .flat()
+      .filter((event) => !after || compareEvents(after, event) < 0)
+      .sort(compareEvents);
+
+    const page = events.slice(0, pageSize);
+    const hasMore = events.length > pageSize;
+
+    return {
+      events: page,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+      },
+      types: selectedTypes,
+    };
+  }
+
+  // Keep embedded-array events at or before the cursor date
+  isBefore(date, before) {
+    return !before || new Date(date) <= before;
+  }
+
+  // Query condition for a collection's events after the cursor, using the
+  // same (occurredAt, id) order as compareEvents so a page never starts on
+  // rows already returned; event ids are "<prefix>:<_id>"
+  afterCursorQuery(field, prefix, after) {
+    if (!after) return {};
+
+    const t = after.occurredAt;
+    const [cursorPrefix, cursorId] = after.id.split(":");
+    if (cursorPrefix === prefix && mongoose.isValidObjectId(cursorId)) {
+      return {
+        $or: [
+          { [field]: { $lt: t } },
+          { [field]: t, _id: { $lt: new mongoose.Types.ObjectId(cursorId) } },
+        ],
+      };
+    }
+
+    // Ties with another source's event: lower ids come after it
+    return { [field]: `${prefix}:` < after.id ? { $lte: t } : { $lt: t } };
+  }
+
+  getLeadEvents({ lead, before }) {
+    if (!lead.createdAt || !this.isBefore(lead.createdAt, before)) return [];
+
+    return [
+      buildEvent({
+        id: `lead:${lead._id}`,
+        type: "lead",
+        subtype: "created",
+        occurredAt: lead.createdAt,
+        title: "Lead created",
+        description: lead.source ? `Source: ${capitalize(lead.source)}` : null,
+        source: { model: "Lead", id: lead._id },
+        data: { source: lead.source, platform: lead.platform },
+      }),
+    ];
+  }
+
+  getContactEvents({ lead, before }) {
+    return (lead.contactHistory || [])
+      .filter((entry) => this.isBefore(entry.timestamp, before))
+      .map((entry) =>
+        buildEvent({
+          id: `contact:${entry._id}`,
+          type: "contact",
+          subtype: entry.type,
+          occurredAt: entry.timestamp,
+          title: entry.subject || `${capitalize(entry.type)} logged`,
+          description: entry.content || null,
+          source: { model: "Lead", field: "contactHistory", id: entry._id },
+          data: { outcome: entry.outcome || null },
+        })
+      );
+  }
+
+  async getEngagementEvents({ tenantConnection, lead, after, limit }) {
+    const { EngagementHistory } = getTenantModels(tenantConnection);
+
+    const engagements = await EngagementHistory.find({
+      leadId: lead._id,
+      ...this.afterCursorQuery("engagementDate", "engagement", after),
+    })
+      .sort({ engagementDate: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return engagements.map((engagement) =>
+      buildEvent({
+        id: `engagement:${engagement._id}`,
+        type: "engagement",
+        subtype: engagement.engagementType,
+        occurredAt: engagement.engagementDate || engagement.createdAt,
+        title:
+          ENGAGEMENT_TITLES[engagement.engagementType] ||
+          capitalize(engagement.engagementType),
+        description:
+          engagement.emailMetrics?.subject || engagement.notes || null,
+        source: { model: "EngagementHistory", id: engagement._id },
+        data: {
+          contactType: engagement.contactType || null,
+          direction: engagement.direction || null,
+          outcome: engagement.outcome || null,
+          emailMetrics: engagement.emailMetrics || null,
+          metadata: engagement.metadata || null,
+        },
+      })
+    );
+  }
+
+  async getFollowUpEvents({ tenantConnection, lead, before }) {
+    const { FollowUp } = getTenantModels(tenantConnection);
+
+    const followUps = await FollowUp.find({ leadId: lead._id }).lean();
+
+    return followUps.flatMap((followUp) => {
+      const source = { model: "FollowUp", id: followUp._id };
+      const data = {
+        channel: followUp.channel,
+        status: followUp.status,
+        templateId: followUp.templateId || null,
+        responseReceived: !!followUp.responseReceived,
+      };
+      const events = [
+        buildEvent({
+          id: `follow_up:${followUp._id}:created`,
+          type: "follow_up",
+          subtype: followUp.scheduled ? "scheduled" : "created",
+          occurredAt: followUp.createdAt,
+          title: followUp.scheduled
+            ? "Follow-up scheduled"
+            : "Follow-up created",
+          description: followUp.subject || null,
+          source,
+          data: { ...data, scheduleDate: followUp.scheduleDate || null },
+        }),
+      ];
+
+      if (followUp.status === "submitted" && followUp.dateOfSubmission) {
+        events.push(
+          buildEvent({
+            id: `follow_up:${followUp._id}:sent`,
+            type: "follow_up",
+            subtype: "sent",
+            occurredAt: followUp.dateOfSubmission,
+            title: "Follow-up sent",
+            description: followUp.subject || null,
+            source,
+            data,
+          })
+        );
+      }
+
+      return events.filter((event) => this.isBefore(event.occurredAt, before));
+    });
+  }
+
+  async getNextBestActionEvents({ tenantConnection, lead, after, limit }) {
+    const { NextBestAction } = getTenantModels(tenantConnection);
+
+    const actions = await NextBestAction.find({
+      leadId: lead._id,
+      executedAt: { $exists: true },
+      ...this.afterCursorQuery("executedAt", "next_best_action", after),
+    })
+      .sort({ executedAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return actions.map((action) =>
+      buildEvent({
+        id: `next_best_action:${action._id}`,
+        type: "next_best_action",
+        subtype: action.actionType,
+        occurredAt: action.executedAt,
+        title: `Action executed: ${action.title}`,
+        description: action.outcomeNotes || action.description || null,
+        actor: action.executedBy,
+        source: { model: "NextBestAction", id: action._id },
+        data: {
+          actionType: action.actionType,
+          channel: action.channel,
+          priority: action.priority,
+          outcome: action.outcome,
+        },
+      })
+    );
+  }
+
+  async getProposalEvents({ tenantConnection, lead, before }) {
+    const { Proposal } = getTenantModels(tenantConnection);
+
+    const proposals = await Proposal.find({ leadId: lead._id })
+      .select("title status statusHistory generatedAt createdAt")
+      .lean();
+
+    return proposals.flatMap((proposal) => {
+      // Proposals created before status history was recorded only have a creation event
+      const history = proposal.statusHistory?.length
+        ? proposal.statusHistory
+        : [
+            {
+              _id: proposal._id,
+              status: proposal.status,
+              changedAt: proposal.generatedAt || proposal.createdAt,
+            },
+          ];
+
+      return history
+        .filter((entry) => this.isBefore(entry.changedAt, before))
+        .map((entry, index) =>
+          buildEvent({
+            id: `proposal:${proposal._id}:${entry._id}`,
+            type: "proposal",
+            subtype: entry.status,
+            occurredAt: entry.changedAt,
+            title:
+              index === 0 && entry.status === "draft"
+                ? `Proposal created: ${proposal.title}`
+                : `Proposal ${entry.status}: ${proposal.title}`,
+            actor: entry.changedBy,
+            source: { model: "Proposal", id: proposal._id },
+            data: { status: entry.status, currentStatus: proposal.status },
+          })
+        );
+    });
+  }
+
+  getCrmSyncEvents({ lead, before }) {
+    return (lead.crmSyncHistory || [])
+      .filter((entry) => this.isBefore(entry.syncedAt, before))
+      .map((entry) =>
+        buildEvent({
+          id: `crm_sync:${entry._id}`,
+          type: "crm_sync",
+          subtype: entry.status,
+          occurredAt: entry.syncedAt,
+          title: CRM_SYNC_TITLES[entry.status] || "CRM sync",
+          description: entry.error || null,
+          source: { model: "Lead", field: "crmSyncHistory", id: entry._id },
+          data: {
+            provider: entry.provider || null,
+            direction: entry.direction,
+            crmId: entry.crmId || null,
+          },
+        })
+      );
+  }
+
+  getAssignmentEvents({ lead, before }) {
+    return (lead.assignmentHistory || [])
+      .filter((entry) => this.isBefore(entry.assignedAt, before))
+      .map((entry) =>
+        buildEvent({
+          id: `assignment:${entry._id}`,
+          type: "assignment",
+          subtype: entry.assignedTo ? "assigned" : "unassigned",
+          occurredAt: entry.assignedAt,
+          title: entry.assignedTo ? "Lead assigned" : "Lead unassigned",
+          description: entry.notes || null,
+          actor: entry.assignedBy,
+          source: { model: "Lead", field: "assignmentHistory", id: entry._id },
+          data: { assignedTo: entry.assignedTo || null },
+        })
+      );
+  }
+
+  getStageEvents({ lead, before }) {
+    return (lead.stageHistory || [])
+      .filter((entry) => this.isBefore(entry.enteredAt, before))
+      .map((entry) =>
+        buildEvent({
+          id: `stage_change:${entry._id}`,
+          type: "stage_change",
+          subtype: entry.source,
+          occurredAt: entry.enteredAt,
+          title: entry.fromStageName
+            ? `Moved from ${entry.fromStageName} to ${entry.stageName}`
+            : `Entered ${entry.stageName}`,
+          actor: entry.changedBy,
+          source: { model: "Lead", field: "stageHistory", id: entry._id },
+          data: {
+            pipelineId: entry.pipelineId,
+            stageId: entry.stageId,
+            fromStageId: entry.fromStageId || null,
+          },
+        })
+      );
+  }
+}
+
+const leadTimelineService = new LeadTimelineService();
+export default leadTimelineService;
@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  LEAD_FILTER_FIELDS,
+  compileLeadFilter,
+  parseLeadFilter,
+} from "../utils/leadFilter.util.js";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "filter",
+  "sort",
+  "columns",
+  "visibility",
+];
+
+/**
+ * Lead View Service
+ * Per-user saved lead views (filter + sort + columns), optionally shared
+ * with the team, and resolution of views/filters for list, export and bulk actions.
+ */
+class LeadViewService {
+  /**
+   * Views visible to a user: their own plus team-shared ones
+   */
+  async getViews(tenantConnection, userId) {
+    const { LeadView } = getTenantModels(tenantConnection);
+
+    return LeadView.find(this.visibleTo(userId)).sort({ name: 1 });
+  }
+
+  /**
+   * Get a view the user can see
+   */
+  async getView(tenantConnection, viewId, userId) {
+    const { LeadView } = getTenantModels(tenantConnection);
+
+    if (!mongoose.Types.ObjectId.isValid(viewId)) {
+      throw new ApiError(400, "Invalid view ID");
+    }
+
+    const view = await LeadView.findOne({
+      _id: viewId,
+      ...this.visibleTo(userId),
+    });
+    if (!view) {
+      throw new ApiError(404, "View not found");
+    }
+    return view;
+  }
+
+  async createView(tenantConnection, data, userId) {
+    const { LeadView } = getTenantModels(tenantConnection);
+
+    const view = new LeadView({
+      ...this.pickEditable(data),
+      ownerId: userId,
+    });
+    this.validateView(view, userId);
+
+    return view.save();
+  }
+
+  /**
+   * Update a view (owner only)
+   */
+  async updateView(tenantConnection, viewId, data, userId) {
+    const view = await this.getOwnedView(tenantConnection, viewId, userId);
+
+    Object.assign(view, this.pickEditable(data));
+    this.validateView(view, userId);
+
+    return view.save();
+  }
+
+  /**
+   * Delete a view (owner only)
+   */
+  async deleteView(tenantConnection, viewId, userId) {
+    const view = await this.getOwnedView(tenantConnection, viewId, userId);
+    await view.deleteOne();
+  }
+
+  /**
+   * Resolve the filter and sort for a request that may reference a saved view
+   * and/or pass an ad-hoc filter (both apply when given)
+   * @param {Object} tenantConnection
+   * @param {Object} options - { viewId, filter, userId }
+   * @returns {Object} { filter, sort, view }
+   */
+  async resolveFilter(tenantConnection, { viewId, filter, userId }) {
+    const adHocFilter = parseLeadFilter(filter);
+    const view = viewId
+      ? await this.getView(tenantConnection, viewId, userId)
+      : null;
+
+    const filters = [view?.filter, adHocFilter].filter(Boolean);
+    const combined =
+      filters.length > 1
+        ? { op: "and", conditions: filters }
+        : filters[0] || null;
+
+    // Fail fast on a bad filter before it reaches a query
+    compileLeadFilter(combined, { userId });
+
+    return { filter: combined, sort: view?.sort || null, view };
+  }
+
+  /**
+   * Mongo sort object from a view sort ({ field, order })
+   */
+  toSortObject(sort) {
+    const path = LEAD_FILTER_FIELDS[sort?.field]?.path || "createdAt";
+    return { [path]: sort?.order === "asc" ? 1 : -1 };
+  }
+
+  async getOwnedView(tenantConnection, viewId, userId) {
+    const view = await this.getView(tenantConnection, viewId, userId);
+
+    if (String(view.ownerId) !== String(userId)) {
+      throw new ApiError(403, "Only the owner can change this view");
+    }
+    return view;
+  }
+
+  visibleTo(userId) {
+    return { $or: [{ ownerId: userId }, { visibility: "team" }] };
+  }
+
+  pickEditable(data = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) picked[field] = data[field];
+    }
+    if (picked.filter !== undefined) {
+      picked.filter = parseLeadFilter(picked.filter);
+    }
+    return picked;
+  }
+
+  validateView(view, userId) {
+    if (!view.name?.trim()) {
+      throw new ApiError(400, "View name is required");
+    }
+
+    const sortField = view.sort?.field;
+    if (
+      sortField &&
+      (!LEAD_FILTER_FIELDS[sortField] ||
+        LEAD_FILTER_FIELDS[sortField].dealHealth)
+    ) {
+      throw new ApiError(400, `Cannot sort by ${sortField}`);
+    }
+
+    compileLeadFilter(view.filter, { userId });
+  }
+}
+
+const leadViewService = new LeadViewService();
+export default leadViewService;
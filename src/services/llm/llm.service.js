@@ -0,0 +1,451 @@
+import crypto from "crypto";
+import { getTenantIdFromConnection } from "../../db/tenantConnection.js";
+import { getLlmProvider } from "./providers/index.js";
+import { parseJsonOutput, validateSchema } from "./structuredOutput.js";
+
+/**
+ * LLM Service
+ * The one place the app talks to a language model. Picks the provider
+ * (LLM_PROVIDER: openai | azure_openai | openai_compatible | stub), and
+ * adds timeouts, retries, structured (schema-checked) JSON output, a
+ * response cache keyed by a hash of the request, and per-tenant token and
+ * cost accounting.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+// Retries for 429s, 5xx responses, timeouts and network errors
+const MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 20 * 1000;
+
+// Extra attempts when a JSON answer doesn't parse or match its schema
+const MAX_OUTPUT_RETRIES = 1;
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// USD per 1M tokens [prompt, completion]; longest matching prefix wins
+const MODEL_PRICING = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "gpt-4-turbo": [10, 30],
+  "gpt-4": [30, 60],
+  "gpt-3.5-turbo": [0.5, 1.5],
+  "o4-mini": [1.1, 4.4],
+  "o3-mini": [1.1, 4.4],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) =>
+  Math.random() *
+  Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+
+// Retry-After (seconds) from an SDK error's headers, as ms
+const retryAfterMs = (error) => {
+  const headers = error.headers;
+  const value =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const isRetryable = (error) => {
+  if (error.code === "LLM_TIMEOUT") return true;
+  if (error.status === undefined) return error.name !== "AbortError";
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+const timeoutError = (ms) => {
+  const error = new Error(`LLM request timed out after ${ms}ms`);
+  error.code = "LLM_TIMEOUT";
+  error.status = 408;
+  return error;
+};
+
+/**
+ * Error for a JSON answer that can't be parsed or doesn't match its schema
+ */
+export class LlmOutputError extends Error {
+  constructor(message, { content, errors = [] } = {}) {
+    super(message);
+    this.name = "LlmOutputError";
+    this.content = content;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Tenant id for accounting: an id, or a tenant connection / model / document
+ * whose database is jazzam_company_<tenantId>
+ */
+export const resolveTenantId = (tenant) => {
+  if (!tenant) return null;
+  if (typeof tenant === "string") return tenant;
+
+  // Documents and models hold their connection; anything else without a
+  // database name (an ObjectId) is the id itself
+  const connection =
+    tenant.constructor?.db || (typeof tenant === "function" ? tenant.db : tenant);
+  if (typeof connection?.name !== "string") return String(tenant);
+  return getTenantIdFromConnection(connection) || connection.name;
+};
+
+/**
+ * USD cost of a call
+ */
+export const estimateCost = (model, { promptTokens = 0, completionTokens = 0 }) => {
+  const key = Object.keys(MODEL_PRICING)
+    .filter((prefix) => String(model || "").startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return 0;
+
+  const [promptPrice, completionPrice] = MODEL_PRICING[key];
+  return (promptTokens * promptPrice + completionTokens * completionPrice) / 1e6;
+};
+
+const emptyTotals = () => ({
+  calls: 0,
+  cachedCalls: 0,
+  failedCalls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  costUsd: 0,
+});
+
+const emptyUsage = () => ({ ...emptyTotals(), byTask: {} });
+
+const addUsage = (totals, { cached, failed, promptTokens, completionTokens, costUsd }) => {
+  totals.calls += 1;
+  if (cached) totals.cachedCalls += 1;
+  if (failed) totals.failedCalls += 1;
+  totals.promptTokens += promptTokens;
+  totals.completionTokens += completionTokens;
+  totals.costUsd += costUsd;
+};
+
+class LlmService {
+  constructor() {
+    this.cache = new Map();
+    this.usage = new Map();
+    this.usageListeners = [];
+    this.guards = [];
+  }
+
+  /**
+   * The provider adapter in use (LLM_PROVIDER, openai by default)
+   */
+  getProvider() {
+    const id = process.env.LLM_PROVIDER || "openai";
+    const provider = getLlmProvider(id);
+    if (!provider) throw new Error(`Unknown LLM provider: ${id}`);
+    return provider;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} options
+   * @param {Array} options.messages - [{ role, content }]
+   * @param {string} options.task - Feature making the call (bant, deal_health, ...)
+   * @param {string|Object} options.tenant - Tenant id or connection, for accounting
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {boolean} options.json - Ask for a JSON object
+   * @param {Object} options.schema - Expected JSON shape (see structuredOutput.js)
+   * @param {boolean} options.cache - Reuse an identical earlier answer (default true)
+   * @param {number} options.timeoutMs - Per attempt
+   * @param {Function} options.parse - content -> value; a throw keeps the
+   *   answer out of the cache
+   * @returns {Promise<Object>} - { content, value, model, usage, costUsd, cached }
+   */
+  async complete({
+    messages,
+    task = "completion",
+    tenant = null,
+    model = null,
+    temperature = 0.7,
+    maxTokens = 1000,
+    json = false,
+    schema = null,
+    cache = true,
+    timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    parse = (content) => content,
+  }) {
+    const provider = this.getProvider();
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider ${provider.id} is not configured`);
+    }
+
+    const request = {
+      model: model || provider.defaultModel(),
+      messages,
+      temperature,
+      maxTokens,
+      json,
+      schema,
+      task,
+    };
+    const tenantId = resolveTenantId(tenant);
+    const cacheKey = cache && this.cacheKey(provider.id, request);
+
+    const hit = cacheKey && this.getCached(cacheKey);
+    if (hit) {
+      this.recordUsage(tenantId, provider, task, hit, { cached: true });
+      return { ...hit, value: parse(hit.content), cached: true };
+    }
+
+    // Quotas etc.; a guard rejects the call by throwing
+    for (const guard of this.guards) {
+      await guard({ tenantId, task, provider: provider.id, model: request.model });
+    }
+
+    let result;
+    try {
+      result = await this.withRetries(provider, request, timeoutMs);
+    } catch (error) {
+      this.recordUsage(
+        tenantId,
+        provider,
+        task,
+        { model: request.model, usage: {} },
+        { failed: true }
+      );
+      throw error;
+    }
+
+    const response = {
+      content: result.content,
+      model: result.model || request.model,
+      usage: result.usage,
+      costUsd: provider.free
+        ? 0
+        : estimateCost(
+            provider.pricingModel?.(result.model || request.model) ||
+              result.model ||
+              request.model,
+            result.usage
+          ),
+    };
+
+    this.recordUsage(tenantId, provider, task, response);
+
+    const value = parse(response.content);
+    if (cacheKey) this.setCached(cacheKey, response);
+
+    return { ...response, value, cached: false };
+  }
+
+  /**
+   * Run a completion that must answer with JSON matching a schema
+   * Asks again once when the answer doesn't parse or validate; only valid
+   * answers are cached.
+   * @returns {Promise<Object>} - The parsed value
+   * @throws {LlmOutputError} When no valid answer came back
+   */
+  async completeJson({ schema = null, ...options }) {
+    const parse = (content) => {
+      let value;
+      try {
+        value = parseJsonOutput(content);
+      } catch (error) {
+        throw new LlmOutputError(`Invalid JSON from model: ${error.message}`, {
+          content,
+        });
+      }
+
+      const errors = validateSchema(value, schema);
+      if (errors.length > 0) {
+        throw new LlmOutputError(
+          `Model output does not match schema: ${errors.join("; ")}`,
+          { content, errors }
+        );
+      }
+      return value;
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { value } = await this.complete({
+          ...options,
+          schema,
+          json: true,
+          parse,
+        });
+        return value;
+      } catch (error) {
+        if (!(error instanceof LlmOutputError) || attempt >= MAX_OUTPUT_RETRIES) {
+          throw error;
+        }
+        console.warn(`[LLM] ${options.task} returned bad output, asking again: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Call the provider with a timeout, retrying transient failures
+   */
+  async withRetries(provider, request, timeoutMs) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(provider, request, timeoutMs);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+
+        const delay = retryAfterMs(error) ?? backoffDelay(attempt);
+        if (delay > MAX_RETRY_DELAY_MS) throw error;
+
+        console.warn(
+          `[LLM] ${request.task} attempt ${attempt + 1} failed (${error.status ?? error.message}), retrying in ${Math.round(delay)}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Provider call bounded by timeoutMs, whether or not the adapter
+   * honours the abort signal
+   */
+  async withTimeout(provider, request, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(timeoutError(timeoutMs));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        provider.complete({ ...request, timeoutMs, signal: controller.signal }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Cache key: hash of everything that shapes the answer
+   */
+  cacheKey(providerId, { model, messages, temperature, maxTokens, json, schema }) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([providerId, model, messages, temperature, maxTokens, json, schema])
+      )
+      .digest("hex");
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.response;
+  }
+
+  setCached(key, response) {
+    const ttl = Number(process.env.LLM_CACHE_TTL_MS ?? DEFAULT_CACHE_TTL_MS);
+    if (!(ttl > 0)) return;
+
+    // Map keeps insertion order, so the first key is the oldest
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { response, expiresAt: Date.now() + ttl });
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Add a call to its tenant's totals and tell the usage listeners
+   */
+  recordUsage(
+    tenantId,
+    provider,
+    task,
+    { model, usage = {}, costUsd = 0 },
+    { cached = false, failed = false } = {}
+  ) {
+    // Cache hits don't touch the provider, so they cost nothing
+    const entry = {
+      tenantId,
+      task,
+      provider: provider.id,
+      model,
+      cached,
+      failed,
+      promptTokens: cached ? 0 : usage.promptTokens || 0,
+      completionTokens: cached ? 0 : usage.completionTokens || 0,
+      costUsd: cached ? 0 : costUsd,
+    };
+
+    const key = tenantId || "_system";
+    const totals = this.usage.get(key) || emptyUsage();
+    addUsage(totals, entry);
+    totals.byTask[task] = totals.byTask[task] || emptyTotals();
+    addUsage(totals.byTask[task], entry);
+    this.usage.set(key, totals);
+
+    for (const listener of this.usageListeners) {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error("[LLM] Usage listener failed:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Run guard({ tenantId, task, provider, model }) before every call that
+   * reaches the provider (cache hits skip it)
+   */
+  useGuard(guard) {
+    this.guards.push(guard);
+  }
+
+  /**
+   * Call listener(entry) after every call, e.g. to persist usage
+   * entry: { tenantId, task, provider, model, cached, failed,
+   *          promptTokens, completionTokens, costUsd }
+   * @returns {Function} - Unsubscribe
+   */
+  onUsage(listener) {
+    this.usageListeners.push(listener);
+    return () => {
+      this.usageListeners = this.usageListeners.filter((fn) => fn !== listener);
+    };
+  }
+
+  /**
+   * Token and cost totals for a tenant since the process started
+   * @param {string|Object} tenant - Tenant id or connection
+   */
+  getUsage(tenant) {
+    return this.usage.get(resolveTenantId(tenant) || "_system") || emptyUsage();
+  }
+
+  resetUsage() {
+    this.usage.clear();
+  }
+}
+
+// Create singleton instance
+const llmService = new LlmService();
+
+export default llmService;
@@ -0,0 +1,27 @@
+import { AzureOpenAI } from "openai";
+import { createChatCompletionsProvider } from "./openai.provider.js";
+
+/**
+ * Azure OpenAI
+ * Requests go to a deployment (AZURE_OPENAI_DEPLOYMENT); AZURE_OPENAI_MODEL
+ * names the model behind it, for pricing.
+ */
+export default createChatCompletionsProvider({
+  id: "azure_openai",
+  label: "Azure OpenAI",
+  isConfigured: () =>
+    Boolean(
+      process.env.AZURE_OPENAI_ENDPOINT &&
+        process.env.AZURE_OPENAI_API_KEY &&
+        process.env.AZURE_OPENAI_DEPLOYMENT
+    ),
+  defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+  pricingModel: (model) => process.env.AZURE_OPENAI_MODEL || model,
+  createClient: () =>
+    new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+    }),
+});
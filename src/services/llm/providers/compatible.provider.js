@@ -0,0 +1,23 @@
+import OpenAI from "openai";
+import { createChatCompletionsProvider } from "./openai.provider.js";
+
+/**
+ * Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, LiteLLM, ...)
+ * at LLM_BASE_URL. Treated as free; set LLM_JSON_MODE=false for servers
+ * that reject response_format.
+ */
+export default createChatCompletionsProvider({
+  id: "openai_compatible",
+  label: "OpenAI-compatible endpoint",
+  free: true,
+  isConfigured: () =>
+    Boolean(process.env.LLM_BASE_URL && process.env.LLM_MODEL),
+  defaultModel: () => process.env.LLM_MODEL,
+  jsonMode: () => process.env.LLM_JSON_MODE !== "false",
+  createClient: () =>
+    new OpenAI({
+      baseURL: process.env.LLM_BASE_URL,
+      // Local servers usually don't check it, but the SDK wants one
+      apiKey: process.env.LLM_API_KEY || "not-needed",
+    }),
+});
@@ -0,0 +1,62 @@
+import openaiProvider from "./openai.provider.js";
+import azureOpenaiProvider from "./azureOpenai.provider.js";
+import compatibleProvider from "./compatible.provider.js";
+import stubProvider from "./stub.provider.js";
+
+/**
+ * LLM Provider Registry
+ * Each LLM backend is an adapter object; llm.service.js only talks to this
+ * interface, and LLM_PROVIDER picks the one in use.
+ *
+ * Adapter interface:
+ *   id, label
+ *   free?                            - no token cost (local models, the stub)
+ *   isConfigured()                   -> boolean (credentials/endpoint present)
+ *   defaultModel()                   -> model (or deployment) name
+ *   pricingModel?(model)             -> model name to look up prices for, when
+ *                                      the name used differs (Azure deployments)
+ *   complete({ model, messages, temperature, maxTokens, json, schema, task,
+ *              timeoutMs, signal })
+ *                                    -> { content, model, usage: { promptTokens,
+ *                                         completionTokens } }
+ *     messages: [{ role: system|user|assistant, content }]
+ *     json: ask for a JSON object; schema is the expected shape (see
+ *     structuredOutput.js), for adapters that can use it
+ *     Errors carry status (and headers) like the openai SDK's APIError, so
+ *     llm.service.js can tell retryable failures apart.
+ */
+
+const REQUIRED_METHODS = ["isConfigured", "defaultModel", "complete"];
+
+const providers = new Map();
+
+/**
+ * Register an LLM adapter
+ */
+export const registerLlmProvider = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(
+    (method) => typeof adapter[method] !== "function"
+  );
+
+  if (!adapter.id || missing.length > 0) {
+    throw new Error(
+      `Invalid LLM provider ${adapter.id || "(no id)"}: missing ${missing.join(", ") || "id"}`
+    );
+  }
+
+  providers.set(adapter.id, adapter);
+};
+
+/**
+ * Get an adapter, or null if unknown
+ */
+export const getLlmProvider = (id) => providers.get(id) || null;
+
+/**
+ * All registered adapters
+ */
+export const getLlmProviders = () => [...providers.values()];
+
+[openaiProvider, azureOpenaiProvider, compatibleProvider, stubProvider].forEach(
+  registerLlmProvider
+);
@@ -0,0 +1,56 @@
+import OpenAI from "openai";
+
+/**
+ * Adapter for any backend speaking the OpenAI chat completions API
+ * (OpenAI itself, Azure OpenAI, OpenAI-compatible local servers)
+ * @param {Object} options
+ * @param {Function} options.createClient - () -> openai SDK client
+ * @param {Function} options.jsonMode - () -> whether JSON calls send response_format
+ */
+export const createChatCompletionsProvider = ({
+  createClient,
+  jsonMode = () => true,
+  ...adapter
+}) => {
+  let client = null;
+
+  return {
+    ...adapter,
+
+    async complete({ model, messages, temperature, maxTokens, json, timeoutMs, signal }) {
+      // Retries are done (and counted) by llm.service.js
+      client = client || createClient();
+
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json && jsonMode() && { response_format: { type: "json_object" } }),
+        },
+        { timeout: timeoutMs, maxRetries: 0, signal }
+      );
+
+      return {
+        content: completion.choices[0]?.message?.content?.trim() || "",
+        model: completion.model || model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+};
+
+export default createChatCompletionsProvider({
+  id: "openai",
+  label: "OpenAI",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  defaultModel: () => process.env.OPENAI_MODEL || "gpt-4o-mini",
+  createClient: () =>
+    new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    }),
+});
@@ -0,0 +1,64 @@
+import { sampleFromSchema } from "../structuredOutput.js";
+
+/**
+ * Deterministic stub for tests and offline development (LLM_PROVIDER=stub)
+ * Answers JSON calls with a fixed value matching their schema and text
+ * calls with a placeholder, unless a response was set for the task with
+ * setResponse. Never touches the network and costs nothing.
+ */
+
+// task -> response (string, object, or fn(request) returning either)
+const responses = new Map();
+
+// Rough token count, enough for usage accounting in tests
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+const stubProvider = {
+  id: "stub",
+  label: "Offline stub",
+  free: true,
+
+  isConfigured: () => true,
+  defaultModel: () => "stub",
+
+  async complete(request) {
+    const { model, messages, json, schema, task } = request;
+    const fixture = responses.get(task);
+
+    let response;
+    if (fixture !== undefined) {
+      response = typeof fixture === "function" ? await fixture(request) : fixture;
+    } else if (json) {
+      response = sampleFromSchema(schema);
+    } else {
+      response = `[stub] ${task || "completion"}`;
+    }
+
+    const content =
+      typeof response === "string" ? response : JSON.stringify(response);
+
+    return {
+      content,
+      model,
+      usage: {
+        promptTokens: estimateTokens(
+          messages.map((message) => message.content).join("\n")
+        ),
+        completionTokens: estimateTokens(content),
+      },
+    };
+  },
+
+  /**
+   * Answer a task with a fixed response
+   */
+  setResponse(task, response) {
+    responses.set(task, response);
+  },
+
+  clearResponses() {
+    responses.clear();
+  },
+};
+
+export default stubProvider;
@@ -0,0 +1,135 @@
+/**
+ * Structured LLM output
+ * Pulls the JSON out of a model's answer and checks it against the shape
+ * the caller expects. Schemas are a small JSON Schema subset:
+ *   type (object|array|string|number|integer|boolean|null, or a list),
+ *   properties, required, items, enum, minimum, maximum, minItems
+ */
+
+/**
+ * The JSON value in a model's answer, ignoring code fences and any text
+ * around it
+ * @throws {SyntaxError} When there is no parseable JSON
+ */
+export const parseJsonOutput = (raw) => {
+  if (!raw || typeof raw !== "string") {
+    throw new SyntaxError("Empty model response");
+  }
+
+  const text = raw
+    .replace(/```(?:json)?\n?/gi, "")
+    .replace(/```/g, "")
+    .trim();
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Fall back to the outermost object/array in the text
+    const match = text.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && !Number.isNaN(value);
+  return typeOf(value) === type;
+};
+
+/**
+ * Check a value against a schema
+ * @returns {Array} - Error messages ("path: problem"), empty when valid
+ */
+export const validateSchema = (value, schema, path = "$") => {
+  if (!schema) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * A fixed value that satisfies a schema (used by the stub provider)
+ */
+export const sampleFromSchema = (schema = {}) => {
+  if (schema.enum) return schema.enum[0];
+
+  const [type] = [].concat(schema.type || "object");
+
+  switch (type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, propertySchema]) => [
+          key,
+          sampleFromSchema(propertySchema),
+        ])
+      );
+    case "array":
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () =>
+        sampleFromSchema(schema.items)
+      );
+    case "number":
+    case "integer": {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? Math.max(min, 100);
+      return Math.round((min + max) / 2);
+    }
+    case "boolean":
+      return false;
+    case "null":
+      return null;
+    default:
+      return "stub";
+  }
+};
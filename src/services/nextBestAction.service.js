@@ -1,14 +1,37 @@
 import { getTenantModels } from "../models/index.js";
-import OpenAI from "openai";
+import emailTemplateService from "./emailTemplate.service.js";
+import { htmlToText } from "../utils/templateRender.util.js";
+import llmService from "./llm/llm.service.js";
+import { isAiQuotaError } from "./aiUsage.service.js";
+
+// Shapes of the AI answers (see getAIAction / generateAIReasoning)
+const AI_ACTION_SCHEMA = {
+  type: "object",
+  required: ["actionType", "title", "channel", "priority"],
+  properties: {
+    actionType: { type: "string" },
+    title: { type: "string" },
+    description: { type: "string" },
+    channel: { type: "string" },
+    priority: { type: "string", enum: ["critical", "high", "medium", "low"] },
+    confidenceScore: { type: "number", minimum: 0, maximum: 100 },
+    timing: { type: "string" },
+    keyInsights: { type: "array", items: { type: "string" } },
+    suggestedMessage: { type: "string" },
+  },
+};
+
+const AI_REASONING_SCHEMA = {
+  type: "object",
+  required: ["analysis"],
+  properties: {
+    analysis: { type: "string" },
+    keyInsights: { type: "array", items: { type: "string" } },
+    suggestedMessage: { type: "string" },
+  },
+};
 
 class NextBestActionService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-  }
-
   /**
    * Generate next best action for a lead
    */
@@ -33,8 +56,17 @@ class NextBestActionService {
       // Generate action based on rules and AI
       const action = await this.determineAction(leadContext, lead, dealHealth);
 
+      // Suggest one of the tenant's email templates for email actions
+      if (!action.template && action.channel === "email") {
+        action.template = await this.getTemplateSuggestion(tenantConnection, action.type);
+      }
+
       // Generate AI-powered reasoning
-      const aiReasoning = await this.generateAIReasoning(leadContext, action);
+      const aiReasoning = await this.generateAIReasoning(
+        leadContext,
+        action,
+        tenantConnection
+      );
 
       // Create the next best action record
       const nextAction = await NextBestAction.create({
@@ -70,6 +102,29 @@ class NextBestActionService {
     }
   }
 
+  /**
+   * Reference an active email template tagged with the action type
+   */
+  async getTemplateSuggestion(tenantConnection, actionType) {
+    try {
+      const template = await emailTemplateService.findTemplateForAction(
+        tenantConnection,
+        actionType
+      );
+      if (!template) return null;
+
+      return {
+        templateId: template._id,
+        name: template.name,
+        subject: template.subject,
+        content: template.textBody || htmlToText(template.htmlBody),
+      };
+    } catch (error) {
+      console.error(`[NBA] Template lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Build context about the lead for decision making
    */
@@ -313,17 +368,15 @@ Please recommend the NEXT BEST ACTION with the following JSON format:
 Only respond with valid JSON, no additional text.
 `;
 
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
+      const actionData = await llmService.completeJson({
+        task: "next_best_action",
+        tenant: lead.constructor.db,
         messages: [{ role: "user", content: prompt }],
+        schema: AI_ACTION_SCHEMA,
         temperature: 0.7,
-        max_tokens: 1000,
+        maxTokens: 1000,
       });
 
-      const raw = response.choices[0].message.content;
-      const cleaned = this.sanitizeAIJson(raw);
-      const actionData = JSON.parse(cleaned);
-
       return {
         type: actionData.actionType,
         title: actionData.title,
@@ -338,6 +391,8 @@ Only respond with valid JSON, no additional text.
         suggestedMessage: actionData.suggestedMessage,
       };
     } catch (error) {
+      if (isAiQuotaError(error)) throw error;
+
       console.error(`[NBA] AI action generation failed: ${error.message}`);
       // Fallback to default action
       return {
@@ -356,7 +411,7 @@ Only respond with valid JSON, no additional text.
   /**
    * Generate AI reasoning for the action
    */
-  async generateAIReasoning(context, action) {
+  async generateAIReasoning(context, action, tenantConnection = null) {
     try {
       const prompt = `
 You are a sales expert. Provide detailed analysis for why this action is recommended.
@@ -381,17 +436,17 @@ Provide a JSON response with:
 Only JSON, no additional text.
 `;
 
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
+      return await llmService.completeJson({
+        task: "next_best_action_reasoning",
+        tenant: tenantConnection,
         messages: [{ role: "user", content: prompt }],
+        schema: AI_REASONING_SCHEMA,
         temperature: 0.7,
-        max_tokens: 500,
+        maxTokens: 500,
       });
-
-      const raw = response.choices[0].message.content;
-      const cleaned = this.sanitizeAIJson(raw);
-      return JSON.parse(cleaned);
     } catch (error) {
+      if (isAiQuotaError(error)) throw error;
+
       console.error(`[NBA] AI reasoning failed: ${error.message}`);
       return {
         analysis: "Based on current engagement metrics and lead health.",
@@ -620,6 +675,13 @@ Only JSON, no additional text.
           successCount++;
           await this.delay(500);
         } catch (error) {
+          // Out of AI quota: stop, and fail outright if nothing was generated
+          if (isAiQuotaError(error)) {
+            if (successCount === 0) throw error;
+            errorCount++;
+            break;
+          }
+
           console.error(
             `[NBA] Failed to generate action for lead ${lead._id}:`,
             error.message
@@ -643,27 +705,6 @@ Only JSON, no additional text.
   delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
-
-  /**
-   * Sanitize AI output that may include markdown code fences or surrounding text
-   * and extract the first JSON object found.
-   */
-  sanitizeAIJson(raw) {
-    if (!raw || typeof raw !== "string") return "{}";
-
-    // Remove common code fence markers
-    let text = raw.replace(/```(?:json)?\n?/gi, "").replace(/```/g, "");
-
-    // Try to locate a JSON object in the text
-    const match = text.match(/\{[\s\S]*\}/);
-    if (match && match[0]) {
-      return match[0].trim();
-    }
-
-    // Fallback: remove backticks and attempt to return the trimmed text
-    text = text.replace(/`/g, "").trim();
-    return text;
-  }
 }
 
 const nextBestActionService = new NextBestActionService();
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import { OutboundMessage } from "../models/outboundMessage.model.js";
+
+// Our generated ids: leadId-timestamp
+const OUR_MESSAGE_ID = /^([a-f0-9]{24})-(\d{10,})$/i;
+
+/**
+ * Outbound Message Service
+ * Persisted sent-message store used to attribute replies and bounces.
+ */
+class OutboundMessageService {
+  /**
+   * Record a sent lead email. Never throws: a failed write only costs
+   * reply attribution, not the send.
+   */
+  async recordSent(data) {
+    try {
+      return await OutboundMessage.findOneAndUpdate(
+        { messageId: data.messageId },
+        { $set: data },
+        { upsert: true, new: true, runValidators: true }
+      );
+    } catch (error) {
+      console.error(
+        `[OUTBOUND] Failed to record message ${data?.messageId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Find the email an inbound message refers to, using (in order)
+   * In-Reply-To / References message ids and the provider thread id
+   * @param {Object} options - { companyId, messageIds: String[], threadId }
+   * @returns {Object|null} outbound message
+   */
+  async findReferencedMessage({ companyId, messageIds = [], threadId }) {
+    const ids = [...new Set(messageIds.filter(Boolean))];
+    const companyFilter = companyId ? { companyId } : {};
+
+    if (ids.length > 0) {
+      const ourIds = ids
+        .map((id) => id.replace(/^<|>$/g, "").split("@")[0])
+        .filter((id) => OUR_MESSAGE_ID.test(id));
+
+      const message = await OutboundMessage.findOne({
+        ...companyFilter,
+        $or: [
+          { internetMessageId: { $in: ids } },
+          ...(ourIds.length > 0 ? [{ messageId: { $in: ourIds } }] : []),
+        ],
+      }).sort({ sentAt: -1 });
+
+      if (message) return message;
+    }
+
+    if (threadId) {
+      return OutboundMessage.findOne({ ...companyFilter, threadId }).sort({
+        sentAt: -1,
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Lead id encoded in one of our message ids (for emails sent before the
+   * store existed or whose record has expired)
+   */
+  getLeadIdFromMessageIds(messageIds = []) {
+    for (const id of messageIds) {
+      const match = id
+        ?.replace(/^<|>$/g, "")
+        .split("@")[0]
+        .match(OUR_MESSAGE_ID);
+      if (match && mongoose.Types.ObjectId.isValid(match[1])) return match[1];
+    }
+    return null;
+  }
+
+  async markBounced(messageId, bouncedAt = new Date()) {
+    return OutboundMessage.updateOne({ messageId }, { $set: { bouncedAt } });
+  }
+
+  async markReplied(outboundMessageId, repliedAt = new Date()) {
+    return OutboundMessage.updateOne(
+      { _id: outboundMessageId, repliedAt: { $exists: false } },
+      { $set: { repliedAt } }
+    );
+  }
+}
+
+/**
+ * Split a References / In-Reply-To header into its <message-id> tokens
+ * @param {...String} headers
+ * @returns {String[]}
+ */
+export const parseMessageIdHeaders = (...headers) =>
+  headers
+    .filter(Boolean)
+    .flatMap((header) => header.match(/<[^<>\s]+>/g) || []);
+
+const outboundMessageService = new OutboundMessageService();
+export default outboundMessageService;
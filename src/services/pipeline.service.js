@@ -0,0 +1,469 @@
+import { getTenantModels } from "../models/index.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Pipeline Service
+ * Per-tenant pipelines with ordered stages, and stage transitions for leads.
+ */
+class PipelineService {
+  /**
+   * List pipelines (creates the default pipeline on first use)
+   */
+  async getPipelines(tenantConnection, { includeInactive = false } = {}) {
+    const { Pipeline } = getTenantModels(tenantConnection);
+    await Pipeline.getDefault();
+
+    const query = includeInactive ? {} : { isActive: true };
+    return Pipeline.find(query).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  /**
+   * Get a pipeline by id, or the default pipeline when no id is given
+   */
+  async getPipeline(tenantConnection, pipelineId = null) {
+    const { Pipeline } = getTenantModels(tenantConnection);
+
+    if (!pipelineId) return Pipeline.getDefault();
+
+    const pipeline = await Pipeline.findById(pipelineId);
+    if (!pipeline) {
+      throw new ApiError(404, "Pipeline not found");
+    }
+    return pipeline;
+  }
+
+  /**
+   * Create a pipeline
+   */
+  async createPipeline(tenantConnection, data) {
+    const { Pipeline } = getTenantModels(tenantConnection);
+    const { name, description, stages, isDefault = false } = data;
+
+    const pipeline = new Pipeline({
+      name,
+      description,
+      stages: this.normalizeStages(stages),
+    });
+
+    await this.validatePipeline(pipeline);
+
+    if (isDefault) {
+      await Pipeline.updateMany(
+        { isDefault: true },
+        { $set: { isDefault: false } }
+      );
+      pipeline.isDefault = true;
+    }
+
+    await pipeline.save();
+    return pipeline;
+  }
+
+  /**
+   * Update a pipeline. Stages are matched by _id; stages that still hold
+   * leads cannot be removed unless `moveLeadsToStageId` is provided.
+   */
+  async updatePipeline(tenantConnection, pipelineId, data) {
+    const { Pipeline, Lead } = getTenantModels(tenantConnection);
+    const pipeline = await this.getPipeline(tenantConnection, pipelineId);
+
+    const { name, description, isActive, isDefault, stages, moveLeadsToStageId } =
+      data;
+
+    if (name !== undefined) pipeline.name = name;
+    if (description !== undefined) pipeline.description = description;
+
+    if (isActive !== undefined) {
+      if (!isActive && pipeline.isDefault) {
+        throw new ApiError(400, "The default pipeline cannot be deactivated");
+      }
+      pipeline.isActive = isActive;
+    }
+
+    if (stages !== undefined) {
+      const nextStages = this.normalizeStages(stages);
+      const keptIds = new Set(
+        nextStages.filter((stage) => stage._id).map((stage) => String(stage._id))
+      );
+      const removedStageIds = pipeline.stages
+        .filter((stage) => !keptIds.has(String(stage._id)))
+        .map((stage) => stage._id);
+
+      if (removedStageIds.length > 0) {
+        const leadsInRemoved = await Lead.countDocuments({
+          pipelineId: pipeline._id,
+          stageId: { $in: removedStageIds },
+        });
+
+        if (leadsInRemoved > 0) {
+          if (!moveLeadsToStageId || !keptIds.has(String(moveLeadsToStageId))) {
+            throw new ApiError(
+              409,
+              `${leadsInRemoved} leads are in stages being removed. Provide moveLeadsToStageId to move them.`
+            );
+          }
+        }
+      }
+
+      pipeline.stages = nextStages;
+      await this.validatePipeline(pipeline);
+
+      // Move leads out of removed stages (recorded as transitions)
+      if (removedStageIds.length > 0 && moveLeadsToStageId) {
+        const targetStage = pipeline.getStage(moveLeadsToStageId);
+        const leads = await Lead.find({
+          pipelineId: pipeline._id,
+          stageId: { $in: removedStageIds },
+        });
+        for (const lead of leads) {
+          await lead.moveToStage(pipeline, targetStage, { source: "system" });
+        }
+      }
+    }
+
+    if (isDefault === true && !pipeline.isDefault) {
+      await Pipeline.updateMany(
+        { isDefault: true },
+        { $set: { isDefault: false } }
+      );
+      pipeline.isDefault = true;
+      pipeline.isActive = true;
+    }
+
+    await pipeline.save();
+    return pipeline;
+  }
+
+  /**
+   * Delete a pipeline that has no leads and is not the default
+   */
+  async deletePipeline(tenantConnection, pipelineId) {
+    const { Pipeline, Lead } = getTenantModels(tenantConnection);
+    const pipeline = await this.getPipeline(tenantConnection, pipelineId);
+
+    if (pipeline.isDefault) {
+      throw new ApiError(400, "The default pipeline cannot be deleted");
+    }
+
+    const leadCount = await Lead.countDocuments({ pipelineId: pipeline._id });
+    if (leadCount > 0) {
+      throw new ApiError(
+        409,
+        `Pipeline still has ${leadCount} leads. Move them before deleting.`
+      );
+    }
+
+    await Pipeline.deleteOne({ _id: pipeline._id });
+    return pipeline;
+  }
+
+  /**
+   * Move a lead to a stage (optionally in another pipeline)
+   */
+  async moveLeadToStage(
+    tenantConnection,
+    lead,
+    { pipelineId = null, stageId },
+    { changedBy = null, source = "manual" } = {}
+  ) {
+    const pipeline = await this.getPipeline(
+      tenantConnection,
+      pipelineId || lead.pipelineId
+    );
+
+    const stage = pipeline.getStage(stageId);
+    if (!stage) {
+      throw new ApiError(400, "Stage not found in pipeline");
+    }
+
+    if (
+      String(lead.pipelineId) === String(pipeline._id) &&
+      String(lead.stageId) === String(stage._id)
+    ) {
+      return lead;
+    }
+
+    return lead.moveToStage(pipeline, stage, { changedBy, source });
+  }
+
+  /**
+   * Place leads created before pipelines existed into the default pipeline,
+   * using their status to pick the stage
+   */
+  async assignUnstagedLeads(tenantConnection) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const pipeline = await this.getPipeline(tenantConnection);
+
+    const unstagedCount = await Lead.countDocuments({
+      pipelineId: { $exists: false },
+    });
+    if (unstagedCount === 0) return 0;
+
+    const assign = (filter, stage) =>
+      Lead.updateMany(
+        { ...filter, pipelineId: { $exists: false } },
+        [
+          {
+            $set: {
+              pipelineId: pipeline._id,
+              stageId: stage._id,
+              stageEnteredAt: "$updatedAt",
+              stageHistory: [
+                {
+                  pipelineId: pipeline._id,
+                  stageId: stage._id,
+                  stageName: stage.name,
+                  enteredAt: "$updatedAt",
+                  source: "system",
+                },
+              ],
+            },
+          },
+        ],
+        { timestamps: false }
+      );
+
+    for (const stage of pipeline.getOrderedStages()) {
+      const statuses = [stage.status];
+      if (stage.isWon) statuses.push("win");
+      if (stage.isLost) statuses.push("lost");
+
+      const matched = [...new Set(statuses.filter(Boolean))];
+      if (matched.length) {
+        await assign({ status: { $in: matched } }, stage);
+      }
+    }
+
+    // Everything else starts in the first open stage
+    await assign({}, pipeline.getInitialStage());
+
+    console.log(
+      `[PIPELINE] Assigned ${unstagedCount} leads to pipeline ${pipeline.name}`
+    );
+    return unstagedCount;
+  }
+
+  /**
+   * Per-stage counts, forecast and time-in-stage for a pipeline
+   */
+  async getPipelineStats(tenantConnection, pipelineId = null, baseMatch = {}) {
+    const { Lead } = getTenantModels(tenantConnection);
+
+    await this.assignUnstagedLeads(tenantConnection);
+    const pipeline = await this.getPipeline(tenantConnection, pipelineId);
+    const now = new Date();
+
+    const [currentStats, historyStats] = await Promise.all([
+      Lead.aggregate([
+        { $match: { ...baseMatch, pipelineId: pipeline._id } },
+        {
+          $group: {
+            _id: "$stageId",
+            count: { $sum: 1 },
+            avgDaysInStage: {
+              $avg: {
+                $divide: [
+                  { $subtract: [now, { $ifNull: ["$stageEnteredAt", "$createdAt"] }] },
+                  DAY_MS,
+                ],
+              },
+            },
+            // Amounts of open CRM deals (see crm/deal.service.js)
+            openDealValue: {
+              $sum: {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ["$crmDeals", []] },
+                        as: "deal",
+                        cond: { $eq: ["$$deal.status", "open"] },
+                      },
+                    },
+                    as: "deal",
+                    in: { $ifNull: ["$$deal.amount", 0] },
+                  },
+                },
+              },
+            },
+            conversionValue: {
+              $sum: { $ifNull: ["$conversionData.conversionValue", 0] },
+            },
+          },
+        },
+      ]),
+      Lead.aggregate([
+        { $match: { ...baseMatch, pipelineId: pipeline._id } },
+        { $unwind: "$stageHistory" },
+        {
+          $match: {
+            "stageHistory.pipelineId": pipeline._id,
+            "stageHistory.exitedAt": { $ne: null },
+          },
+        },
+        {
+          $group: {
+            _id: "$stageHistory.stageId",
+            transitions: { $sum: 1 },
+            avgDaysSpent: {
+              $avg: {
+                $divide: [
+                  {
+                    $subtract: [
+                      "$stageHistory.exitedAt",
+                      "$stageHistory.enteredAt",
+                    ],
+                  },
+                  DAY_MS,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    const currentById = new Map(
+      currentStats.map((stat) => [String(stat._id), stat])
+    );
+    const historyById = new Map(
+      historyStats.map((stat) => [String(stat._id), stat])
+    );
+
+    let totalLeads = 0;
+    let weightedForecast = 0;
+    let wonLeads = 0;
+    let lostLeads = 0;
+    let pipelineValue = 0;
+    let weightedValue = 0;
+    let wonValue = 0;
+
+    const stages = pipeline.getOrderedStages().map((stage) => {
+      const current = currentById.get(String(stage._id));
+      const history = historyById.get(String(stage._id));
+      const count = current?.count || 0;
+
+      totalLeads += count;
+      weightedForecast += (count * (stage.probability || 0)) / 100;
+      if (stage.isWon) wonLeads += count;
+      if (stage.isLost) lostLeads += count;
+
+      // Won stages count closed revenue; other stages the open deal amounts
+      const value = stage.isWon
+        ? current?.conversionValue || 0
+        : stage.isLost
+          ? 0
+          : current?.openDealValue || 0;
+      if (stage.isWon) {
+        wonValue += value;
+      } else {
+        pipelineValue += value;
+        weightedValue += (value * (stage.probability || 0)) / 100;
+      }
+
+      return {
+        stageId: stage._id,
+        name: stage.name,
+        order: stage.order,
+        probability: stage.probability,
+        isWon: stage.isWon,
+        isLost: stage.isLost,
+        count,
+        value: Math.round(value * 100) / 100,
+        avgDaysInStage: Math.round((current?.avgDaysInStage || 0) * 10) / 10,
+        avgDaysSpent: Math.round((history?.avgDaysSpent || 0) * 10) / 10,
+        exits: history?.transitions || 0,
+      };
+    });
+
+    const closedLeads = wonLeads + lostLeads;
+
+    return {
+      pipelineId: pipeline._id,
+      name: pipeline.name,
+      totalLeads,
+      openLeads: totalLeads - closedLeads,
+      wonLeads,
+      lostLeads,
+      winRate: closedLeads ? Math.round((wonLeads / closedLeads) * 1000) / 10 : 0,
+      weightedForecast: Math.round(weightedForecast * 10) / 10,
+      // Deal amounts, in the CRMs' currencies
+      pipelineValue: Math.round(pipelineValue * 100) / 100,
+      weightedValue: Math.round(weightedValue * 100) / 100,
+      wonValue: Math.round(wonValue * 100) / 100,
+      stages,
+    };
+  }
+
+  /**
+   * Days the lead has been in its current stage
+   */
+  getDaysInCurrentStage(lead) {
+    const lastEntry = lead.stageHistory?.[lead.stageHistory.length - 1];
+    const enteredAt =
+      lead.stageEnteredAt || lastEntry?.enteredAt || lead.createdAt;
+
+    if (!enteredAt) return 0;
+    return Math.floor((Date.now() - new Date(enteredAt).getTime()) / DAY_MS);
+  }
+
+  /**
+   * Average days spent in stages the lead has already left
+   */
+  getAverageCompletedStageDays(lead) {
+    const completed = (lead.stageHistory || []).filter(
+      (entry) => entry.enteredAt && entry.exitedAt
+    );
+    if (completed.length === 0) return null;
+
+    const totalDays = completed.reduce(
+      (sum, entry) =>
+        sum + (new Date(entry.exitedAt) - new Date(entry.enteredAt)) / DAY_MS,
+      0
+    );
+    return totalDays / completed.length;
+  }
+
+  /**
+   * Validate a pipeline, surfacing schema errors as 400s
+   */
+  async validatePipeline(pipeline) {
+    try {
+      await pipeline.validate();
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+  }
+
+  /**
+   * Clean up incoming stage definitions
+   */
+  normalizeStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new ApiError(400, "stages must be a non-empty array");
+    }
+
+    return stages.map((stage, index) => {
+      if (!stage?.name) {
+        throw new ApiError(400, `Stage ${index + 1} is missing a name`);
+      }
+
+      return {
+        ...(stage._id && { _id: stage._id }),
+        name: stage.name,
+        order: stage.order ?? index,
+        probability: stage.probability ?? 0,
+        isWon: !!stage.isWon,
+        isLost: !!stage.isLost,
+        status: stage.status || null,
+        expectedDays: stage.expectedDays,
+        color: stage.color,
+      };
+    });
+  }
+}
+
+const pipelineService = new PipelineService();
+export default pipelineService;
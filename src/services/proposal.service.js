@@ -1,24 +1,17 @@
 // src/services/proposal.service.js
-import OpenAI from "openai";
 import { leadSchema } from "../models/lead.model.js"; // Adjust path if needed
 import { proposalSchema } from "../models/proposal.model.js"; // Adjust path if needed
 import { Document, Packer, Paragraph, TextRun, AlignmentType, HeadingLevel } from "docx";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import llmService from "./llm/llm.service.js";
+import { isAiQuotaError } from "./aiUsage.service.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class ProposalService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-    this.timeout = 30000; // 30 seconds timeout
-  }
-
   /**
    * Generate a personalized proposal for a lead
    * @param {String} leadId - Lead ID
@@ -40,8 +33,11 @@ async generateProposal(leadId, tenantConnection) {
     // Prepare context for AI
     const proposalContext = this.prepareProposalContext(lead);
 
-    // Call OpenAI API
-    const proposalContent = await this.callOpenAI(proposalContext, lead.bant.category);
+    const proposalContent = await this.callLLM(
+      proposalContext,
+      lead.bant.category,
+      tenantConnection
+    );
 
     // Generate Word document
     const wordFilePath = await this.generateWordDocument(proposalContent, lead, leadId);
@@ -62,6 +58,8 @@ async generateProposal(leadId, tenantConnection) {
     console.log(`[Proposal] Successfully generated proposal for lead ${leadId}`);
     return { success: true, proposal, filePath: wordFilePath };
   } catch (error) {
+    if (isAiQuotaError(error)) throw error;
+
     console.error(`[Proposal] Failed to generate proposal for lead ${leadId}:`, error.message);
     return { success: false, error: error.message };
   }
@@ -69,12 +67,13 @@ async generateProposal(leadId, tenantConnection) {
 
 
   /**
-   * Call OpenAI API to generate proposal
+   * Ask the LLM to write the proposal
    * @param {String} context - Prepared lead context
    * @param {String} bantCategory - BANT category (hot/warm/cold)
+   * @param {Object} tenantConnection - Tenant connection, for usage accounting
    * @returns {Promise<String>} - Generated proposal text
    */
-  async callOpenAI(context, bantCategory) {
+  async callLLM(context, bantCategory, tenantConnection = null) {
     const systemPrompt = `You are an expert sales proposal writer. Generate a personalized, professional proposal based on the lead's qualification data. Tailor the tone and content to the BANT category:
 - Hot: Enthusiastic, premium-focused, urgent call-to-action.
 - Warm: Balanced, value-driven, build trust.
@@ -84,17 +83,20 @@ Output ONLY the proposal text (no JSON or extra formatting). Make it concise (30
 
     const userPrompt = `Generate a proposal for this lead: ${context}`;
 
-    const completion = await this.openai.chat.completions.create({
-      model: this.model,
+    // Generating again should give a fresh draft, not the cached one
+    const { content } = await llmService.complete({
+      task: "proposal",
+      tenant: tenantConnection,
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: userPrompt },
       ],
       temperature: 0.7,
-      max_tokens: 1000,
+      maxTokens: 1000,
+      cache: false,
     });
 
-    return completion.choices[0].message.content.trim();
+    return content;
   }
 
   /**
@@ -200,13 +202,17 @@ Experience: ${lead.platformData?.experiences?.length || 0} years
    * @param {String} proposalId - Proposal ID
    * @param {String} status - New status
    * @param {Object} tenantConnection - Tenant DB connection
+   * @param {String} changedBy - User making the change
    * @returns {Promise<Object>} - Updated proposal
    */
-  async updateProposalStatus(proposalId, status, tenantConnection) {
+  async updateProposalStatus(proposalId, status, tenantConnection, changedBy = null) {
     const ProposalModel = tenantConnection.model("Proposal", proposalSchema);
     const proposal = await ProposalModel.findByIdAndUpdate(
       proposalId,
-      { status },
+      {
+        $set: { status },
+        $push: { statusHistory: { status, changedAt: new Date(), changedBy } },
+      },
       { new: true }
     );
     if (!proposal) throw new Error("Proposal not found");
@@ -0,0 +1,971 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import { getTenantModels } from "../models/index.js";
+import { Company } from "../models/company.model.js";
+import { getTenantConnection } from "../db/tenantConnection.js";
+import { ApiError } from "../utils/ApiError.js";
+import unifiedEmailService from "./email/unified.email.service.js";
+import dealHealthService from "./dealHealth.service.js";
+import emailTemplateService from "./emailTemplate.service.js";
+import {
+  buildTemplateContext,
+  renderTemplateString,
+} from "../utils/templateRender.util.js";
+
+const HOUR_MS = 1000 * 60 * 60;
+const CLAIM_LEASE_MS = 1000 * 60 * 10;
+const RETRY_DELAY_MS = HOUR_MS;
+const MAX_SEND_ATTEMPTS = 3;
+const BATCH_SIZE = 100;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Sequence Service
+ * Multi-step email sequences: enrollment, business-hour sending and stats.
+ * Enrollments stop automatically when the lead replies, bounces or unsubscribes.
+ */
+class SequenceService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  // ==============================================================
+  // Sequences
+  // ==============================================================
+
+  async getSequences(tenantConnection, { status } = {}) {
+    const { Sequence } = getTenantModels(tenantConnection);
+
+    const query = status ? { status } : { status: { $ne: "archived" } };
+    return Sequence.find(query).sort({ createdAt: -1 });
+  }
+
+  async getSequence(tenantConnection, sequenceId) {
+    const { Sequence } = getTenantModels(tenantConnection);
+
+    const sequence = await Sequence.findById(sequenceId);
+    if (!sequence) {
+      throw new ApiError(404, "Sequence not found");
+    }
+    return sequence;
+  }
+
+  async createSequence(tenantConnection, data, { createdBy = null } = {}) {
+    const { Sequence } = getTenantModels(tenantConnection);
+    const { name, description, steps, sendingWindow, status = "draft" } = data;
+
+    if (status === "archived") {
+      throw new ApiError(400, "A sequence cannot be created archived");
+    }
+
+    const normalizedSteps = this.normalizeSteps(steps);
+    await this.assertStepTemplates(tenantConnection, normalizedSteps);
+
+    const sequence = new Sequence({
+      name,
+      description,
+      status,
+      steps: normalizedSteps,
+      ...(sendingWindow && { sendingWindow }),
+      createdBy,
+    });
+
+    await this.validateSequence(sequence);
+    await sequence.save();
+    return sequence;
+  }
+
+  /**
+   * Update a sequence. Archiving stops every open enrollment.
+   */
+  async updateSequence(tenantConnection, sequenceId, data) {
+    const sequence = await this.getSequence(tenantConnection, sequenceId);
+    const { name, description, steps, sendingWindow, status } = data;
+
+    if (sequence.status === "archived" && status !== "archived") {
+      throw new ApiError(400, "Archived sequences cannot be changed");
+    }
+
+    if (name !== undefined) sequence.name = name;
+    if (description !== undefined) sequence.description = description;
+    if (steps !== undefined) {
+      const normalizedSteps = this.normalizeSteps(steps);
+      await this.assertStepTemplates(tenantConnection, normalizedSteps);
+      sequence.steps = normalizedSteps;
+    }
+    if (sendingWindow !== undefined) {
+      sequence.sendingWindow = {
+        ...sequence.sendingWindow?.toObject?.(),
+        ...sendingWindow,
+      };
+    }
+    if (status !== undefined) sequence.status = status;
+
+    await this.validateSequence(sequence);
+    await sequence.save();
+
+    if (sequence.status === "archived") {
+      const { SequenceEnrollment } = getTenantModels(tenantConnection);
+      await this.stopEnrollments(
+        SequenceEnrollment,
+        { sequenceId: sequence._id },
+        "sequence_archived"
+      );
+    }
+
+    return sequence;
+  }
+
+  /**
+   * Delete a sequence that never had enrollments (archive it otherwise)
+   */
+  async deleteSequence(tenantConnection, sequenceId) {
+    const { Sequence, SequenceEnrollment } = getTenantModels(tenantConnection);
+    const sequence = await this.getSequence(tenantConnection, sequenceId);
+
+    const enrollmentCount = await SequenceEnrollment.countDocuments({
+      sequenceId: sequence._id,
+    });
+    if (enrollmentCount > 0) {
+      throw new ApiError(
+        409,
+        `Sequence has ${enrollmentCount} enrollments. Archive it instead of deleting.`
+      );
+    }
+
+    await Sequence.deleteOne({ _id: sequence._id });
+    return sequence;
+  }
+
+  // ==============================================================
+  // Enrollments
+  // ==============================================================
+
+  /**
+   * Enroll leads in an active sequence. Leads that cannot be emailed or are
+   * already enrolled are skipped and reported back.
+   */
+  async enrollLeads(
+    tenantConnection,
+    sequenceId,
+    leadIds,
+    { enrolledBy = null } = {}
+  ) {
+    const { Lead, SequenceEnrollment } = getTenantModels(tenantConnection);
+    const sequence = await this.getSequence(tenantConnection, sequenceId);
+
+    if (sequence.status !== "active") {
+      throw new ApiError(400, "Leads can only be enrolled in active sequences");
+    }
+
+    const steps = sequence.getActiveSteps();
+    if (steps.length === 0) {
+      throw new ApiError(400, "Sequence has no active steps");
+    }
+
+    const uniqueIds = [...new Set(leadIds.map(String))];
+    const leads = await Lead.find({ _id: { $in: uniqueIds } }).select(
+      "email emailStatus"
+    );
+    const leadsById = new Map(leads.map((lead) => [String(lead._id), lead]));
+
+    const openEnrollments = await SequenceEnrollment.find({
+      sequenceId: sequence._id,
+      leadId: { $in: uniqueIds },
+      status: { $in: ["active", "paused"] },
+    }).select("leadId");
+    const alreadyEnrolled = new Set(
+      openEnrollments.map((enrollment) => String(enrollment.leadId))
+    );
+
+    const enrolled = [];
+    const skipped = [];
+    const now = new Date();
+    const firstRunAt = this.getNextSendTime(
+      new Date(now.getTime() + this.getStepDelayMs(steps[0])),
+      sequence.sendingWindow
+    );
+
+    for (const leadId of uniqueIds) {
+      const lead = leadsById.get(leadId);
+      const reason = !lead
+        ? "Lead not found"
+        : !lead.email
+          ? "Lead has no email address"
+          : lead.emailStatus?.emailBounced
+            ? "Lead email has bounced"
+            : lead.emailStatus?.emailUnsubscribed
+              ? "Lead has unsubscribed"
+              : alreadyEnrolled.has(leadId)
+                ? "Lead is already enrolled"
+                : null;
+
+      if (reason) {
+        skipped.push({ leadId, reason });
+        continue;
+      }
+
+      try {
+        const enrollment = await SequenceEnrollment.create({
+          sequenceId: sequence._id,
+          leadId: lead._id,
+          status: "active",
+          currentStep: 0,
+          nextRunAt: firstRunAt,
+          enrolledAt: now,
+          enrolledBy,
+        });
+        enrolled.push(enrollment.toStatusJSON());
+      } catch (error) {
+        // Unique index guards against concurrent enrollment of the same lead
+        if (error.code === 11000) {
+          skipped.push({ leadId, reason: "Lead is already enrolled" });
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    console.log(
+      `[SEQUENCE] Enrolled ${enrolled.length} leads in ${sequence.name} (${skipped.length} skipped)`
+    );
+
+    return { enrolled, skipped };
+  }
+
+  async getEnrollments(
+    tenantConnection,
+    { sequenceId, leadId, status, page = 1, limit = 20 } = {}
+  ) {
+    const { SequenceEnrollment } = getTenantModels(tenantConnection);
+
+    const query = {};
+    if (sequenceId) query.sequenceId = sequenceId;
+    if (leadId) query.leadId = leadId;
+    if (status) query.status = status;
+
+    const [enrollments, total] = await Promise.all([
+      SequenceEnrollment.find(query)
+        .populate("leadId", "fullName email company profilePic")
+        .populate("sequenceId", "name status")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SequenceEnrollment.countDocuments(query),
+    ]);
+
+    return {
+      enrollments,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getEnrollment(tenantConnection, enrollmentId) {
+    const { SequenceEnrollment } = getTenantModels(tenantConnection);
+
+    const enrollment = await SequenceEnrollment.findById(enrollmentId);
+    if (!enrollment) {
+      throw new ApiError(404, "Enrollment not found");
+    }
+    return enrollment;
+  }
+
+  async pauseEnrollment(tenantConnection, enrollmentId) {
+    const enrollment = await this.getEnrollment(tenantConnection, enrollmentId);
+
+    if (enrollment.status !== "active") {
+      throw new ApiError(400, `Cannot pause a ${enrollment.status} enrollment`);
+    }
+
+    enrollment.status = "paused";
+    await enrollment.save();
+    return enrollment;
+  }
+
+  /**
+   * Resume a paused enrollment; the next step is sent at the next open window
+   */
+  async resumeEnrollment(tenantConnection, enrollmentId) {
+    const { Lead } = getTenantModels(tenantConnection);
+    const enrollment = await this.getEnrollment(tenantConnection, enrollmentId);
+
+    if (enrollment.status !== "paused") {
+      throw new ApiError(
+        400,
+        `Cannot resume a ${enrollment.status} enrollment`
+      );
+    }
+
+    const sequence = await this.getSequence(
+      tenantConnection,
+      enrollment.sequenceId
+    );
+    if (sequence.status === "archived") {
+      throw new ApiError(400, "Sequence is archived");
+    }
+
+    const lead = await Lead.findById(enrollment.leadId).select("emailStatus");
+    const stopReason = this.getStopReason(lead);
+    if (stopReason) {
+      throw new ApiError(400, `Lead cannot be emailed (${stopReason})`);
+    }
+
+    enrollment.status = "active";
+    enrollment.nextRunAt = this.getNextSendTime(
+      new Date(Math.max(Date.now(), enrollment.nextRunAt?.getTime() || 0)),
+      sequence.sendingWindow
+    );
+
+    try {
+      await enrollment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, "Lead is already active in this sequence");
+      }
+      throw error;
+    }
+    return enrollment;
+  }
+
+  async stopEnrollment(tenantConnection, enrollmentId, reason = "manual") {
+    const enrollment = await this.getEnrollment(tenantConnection, enrollmentId);
+
+    if (!["active", "paused"].includes(enrollment.status)) {
+      throw new ApiError(400, `Enrollment is already ${enrollment.status}`);
+    }
+
+    this.markStopped(enrollment, reason);
+    await enrollment.save();
+    return enrollment;
+  }
+
+  /**
+   * Stop all open enrollments for a lead (reply, bounce, unsubscribe, deletion)
+   */
+  async stopEnrollmentsForLead(tenantConnection, leadId, reason) {
+    const { SequenceEnrollment } = getTenantModels(tenantConnection);
+
+    const stopped = await this.stopEnrollments(
+      SequenceEnrollment,
+      { leadId },
+      reason
+    );
+    if (stopped > 0) {
+      console.log(
+        `[SEQUENCE] Stopped ${stopped} enrollments for lead ${leadId} (${reason})`
+      );
+    }
+    return stopped;
+  }
+
+  /**
+   * Stop open enrollments of leads that have bounced or unsubscribed
+   */
+  async stopSuppressedEnrollments(tenantConnection) {
+    const { Lead, SequenceEnrollment } = getTenantModels(tenantConnection);
+
+    const leadIds = await SequenceEnrollment.distinct("leadId", {
+      status: { $in: ["active", "paused"] },
+    });
+    if (leadIds.length === 0) return 0;
+
+    const suppressedLeads = await Lead.find({
+      _id: { $in: leadIds },
+      $or: [
+        { "emailStatus.emailBounced": true },
+        { "emailStatus.emailUnsubscribed": true },
+      ],
+    }).select("emailStatus");
+
+    let stopped = 0;
+    for (const lead of suppressedLeads) {
+      stopped += await this.stopEnrollmentsForLead(
+        tenantConnection,
+        lead._id,
+        this.getStopReason(lead)
+      );
+    }
+    return stopped;
+  }
+
+  async stopEnrollments(SequenceEnrollment, filter, reason) {
+    const now = new Date();
+    const result = await SequenceEnrollment.updateMany(
+      { ...filter, status: { $in: ["active", "paused"] } },
+      {
+        $set: {
+          status: "stopped",
+          stopReason: reason,
+          stoppedAt: now,
+          nextRunAt: null,
+        },
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  markStopped(enrollment, reason) {
+    enrollment.status = "stopped";
+    enrollment.stopReason = reason;
+    enrollment.stoppedAt = new Date();
+    enrollment.nextRunAt = null;
+  }
+
+  // Reason a lead must not receive further sequence emails, if any
+  getStopReason(lead) {
+    if (!lead) return "lead_deleted";
+    if (lead.emailStatus?.emailBounced) return "bounced";
+    if (lead.emailStatus?.emailUnsubscribed) return "unsubscribed";
+    return null;
+  }
+
+  // ==============================================================
+  // Stats
+  // ==============================================================
+
+  /**
+   * Enrollment outcomes plus per-step sent/open/reply counts built from
+   * EngagementHistory
+   */
+  async getSequenceStats(tenantConnection, sequenceId) {
+    const { SequenceEnrollment, EngagementHistory } =
+      getTenantModels(tenantConnection);
+    const sequence = await this.getSequence(tenantConnection, sequenceId);
+
+    const [enrollmentStats, stepStats, repliedEnrollments] = await Promise.all([
+      SequenceEnrollment.aggregate([
+        { $match: { sequenceId: sequence._id } },
+        {
+          $group: {
+            _id: { status: "$status", stopReason: "$stopReason" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      EngagementHistory.aggregate([
+        { $match: { "metadata.sequenceId": sequence._id } },
+        {
+          $group: {
+            _id: "$metadata.stepId",
+            sent: { $sum: 1 },
+            opened: {
+              $sum: {
+                $cond: [{ $ifNull: ["$emailMetrics.openedAt", false] }, 1, 0],
+              },
+            },
+            replied: {
+              $sum: {
+                $cond: [
+                  { $ifNull: ["$emailMetrics.respondedAt", false] },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      SequenceEnrollment.countDocuments({
+        sequenceId: sequence._id,
+        stopReason: "replied",
+      }),
+    ]);
+
+    const enrollments = {
+      total: 0,
+      active: 0,
+      paused: 0,
+      completed: 0,
+      stopped: 0,
+      stopReasons: {},
+    };
+    for (const { _id, count } of enrollmentStats) {
+      enrollments.total += count;
+      enrollments[_id.status] = (enrollments[_id.status] || 0) + count;
+      if (_id.stopReason) {
+        enrollments.stopReasons[_id.stopReason] =
+          (enrollments.stopReasons[_id.stopReason] || 0) + count;
+      }
+    }
+
+    const rate = (part, whole) =>
+      whole ? Math.round((part / whole) * 1000) / 10 : 0;
+
+    const statsByStep = new Map(
+      stepStats.map((stat) => [String(stat._id), stat])
+    );
+
+    let totalSent = 0;
+    let totalOpened = 0;
+    let totalReplied = 0;
+
+    const steps = [...sequence.steps]
+      .sort((a, b) => a.order - b.order)
+      .map((step) => {
+        const stat = statsByStep.get(String(step._id));
+        const sent = stat?.sent || 0;
+        const opened = stat?.opened || 0;
+        const replied = stat?.replied || 0;
+
+        totalSent += sent;
+        totalOpened += opened;
+        totalReplied += replied;
+
+        return {
+          stepId: step._id,
+          order: step.order,
+          name: step.name,
+          templateId: step.templateId,
+          subject: step.subject,
+          isActive: step.isActive,
+          sent,
+          opened,
+          replied,
+          openRate: rate(opened, sent),
+          replyRate: rate(replied, sent),
+        };
+      });
+
+    return {
+      sequenceId: sequence._id,
+      name: sequence.name,
+      status: sequence.status,
+      enrollments,
+      emails: {
+        sent: totalSent,
+        opened: totalOpened,
+        replied: totalReplied,
+        openRate: rate(totalOpened, totalSent),
+        replyRate: rate(totalReplied, totalSent),
+      },
+      // Share of enrolled leads that replied at any point in the sequence
+      leadReplyRate: rate(repliedEnrollments, enrollments.total),
+      steps,
+    };
+  }
+
+  // ==============================================================
+  // Sending
+  // ==============================================================
+
+  /**
+   * Send due steps for every tenant with a connected mailbox
+   */
+  async processDueEnrollments() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const companies = await Company.find({
+        "mailboxes.0": { $exists: true },
+      }).select("_id companyName email website");
+
+      for (const company of companies) {
+        try {
+          const tenantConnection = await getTenantConnection(
+            company._id.toString()
+          );
+          await this.processTenantEnrollments(company, tenantConnection);
+        } catch (error) {
+          console.error(
+            `[SEQUENCE] Failed to process sequences for company ${company._id}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("[SEQUENCE] Sequence processing error:", error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async processTenantEnrollments(company, tenantConnection) {
+    const { Sequence, SequenceEnrollment } = getTenantModels(tenantConnection);
+
+    // Enrollments of draft/paused sequences wait until the sequence is active again
+    const sequences = await Sequence.find({ status: "active" });
+    if (sequences.length === 0) return;
+
+    const sequencesById = new Map(
+      sequences.map((sequence) => [String(sequence._id), sequence])
+    );
+
+    const due = await SequenceEnrollment.find({
+      sequenceId: { $in: sequences.map((sequence) => sequence._id) },
+      status: "active",
+      nextRunAt: { $lte: new Date() },
+    })
+      .sort({ nextRunAt: 1 })
+      .limit(BATCH_SIZE)
+      .select("_id nextRunAt");
+
+    for (const { _id, nextRunAt } of due) {
+      // Claim the enrollment so overlapping runs don't send the same step twice
+      const enrollment = await SequenceEnrollment.findOneAndUpdate(
+        { _id, status: "active", nextRunAt },
+        { $set: { nextRunAt: new Date(Date.now() + CLAIM_LEASE_MS) } },
+        { new: true }
+      );
+      if (!enrollment) continue;
+
+      try {
+        await this.processEnrollment(
+          company,
+          tenantConnection,
+          enrollment,
+          sequencesById.get(String(enrollment.sequenceId)),
+          nextRunAt
+        );
+      } catch (error) {
+        console.error(
+          `[SEQUENCE] Failed to process enrollment ${enrollment._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async processEnrollment(
+    company,
+    tenantConnection,
+    enrollment,
+    sequence,
+    scheduledAt
+  ) {
+    const { Lead, EngagementHistory } = getTenantModels(tenantConnection);
+    const steps = sequence.getActiveSteps();
+
+    if (enrollment.currentStep >= steps.length) {
+      return this.completeEnrollment(enrollment);
+    }
+
+    const lead = await Lead.findById(enrollment.leadId);
+    const stopReason = this.getStopReason(lead);
+    if (stopReason) {
+      this.markStopped(enrollment, stopReason);
+      return enrollment.save();
+    }
+
+    // Replies can arrive between reply-checker runs; never email after one
+    const replied = await EngagementHistory.exists({
+      leadId: lead._id,
+      engagementType: "response",
+      engagementDate: { $gte: enrollment.enrolledAt },
+    });
+    if (replied) {
+      this.markStopped(enrollment, "replied");
+      return enrollment.save();
+    }
+
+    const now = new Date();
+    const sendAt = this.getNextSendTime(now, sequence.sendingWindow);
+    if (sendAt > now) {
+      enrollment.nextRunAt = sendAt;
+      return enrollment.save();
+    }
+
+    const step = steps[enrollment.currentStep];
+    const trackingToken = `${lead._id}-${Date.now()}`;
+    let subject = step.subject;
+
+    let result;
+    try {
+      const content = await this.renderStep(
+        tenantConnection,
+        step,
+        lead,
+        company
+      );
+      subject = content.subject;
+
+      result = await unifiedEmailService.sendSequenceEmail(
+        company._id,
+        lead._id,
+        {
+          to: lead.email,
+          subject,
+          message: content.html,
+          trackingToken,
+          sequence: {
+            sequenceId: sequence._id,
+            enrollmentId: enrollment._id,
+            stepId: step._id,
+            stepOrder: step.order,
+          },
+        }
+      );
+      if (!result?.success) {
+        throw new Error(
+          result?.message || "Email provider rejected the message"
+        );
+      }
+    } catch (error) {
+      // The address was suppressed elsewhere (e.g. unsubscribed from another lead)
+      if (error.code === "EMAIL_SUPPRESSED") {
+        enrollment.lastError = error.message;
+        this.markStopped(enrollment, error.reason);
+        return enrollment.save();
+      }
+
+      enrollment.attempts += 1;
+      enrollment.lastError = error.message;
+
+      if (enrollment.attempts >= MAX_SEND_ATTEMPTS) {
+        enrollment.steps.push({
+          stepId: step._id,
+          order: step.order,
+          channel: step.channel,
+          status: "failed",
+          subject,
+          scheduledAt,
+          attempts: enrollment.attempts,
+          error: error.message,
+        });
+        this.markStopped(enrollment, "send_failed");
+        console.error(
+          `[SEQUENCE] Giving up on enrollment ${enrollment._id} step ${step.order}: ${error.message}`
+        );
+      } else {
+        enrollment.nextRunAt = this.getNextSendTime(
+          new Date(now.getTime() + RETRY_DELAY_MS * enrollment.attempts),
+          sequence.sendingWindow
+        );
+        console.warn(
+          `[SEQUENCE] Send failed for enrollment ${enrollment._id}, retrying at ${enrollment.nextRunAt.toISOString()}`
+        );
+      }
+      return enrollment.save();
+    }
+
+    enrollment.steps.push({
+      stepId: step._id,
+      order: step.order,
+      channel: step.channel,
+      status: "sent",
+      subject,
+      scheduledAt,
+      sentAt: now,
+      messageId: trackingToken,
+      providerMessageId: result.messageId,
+      attempts: enrollment.attempts + 1,
+    });
+    enrollment.currentStep += 1;
+    enrollment.attempts = 0;
+    enrollment.lastError = null;
+
+    if (enrollment.currentStep >= steps.length) {
+      this.completeEnrollment(enrollment, false);
+    } else {
+      const nextStep = steps[enrollment.currentStep];
+      enrollment.nextRunAt = this.getNextSendTime(
+        new Date(now.getTime() + this.getStepDelayMs(nextStep)),
+        sequence.sendingWindow
+      );
+    }
+    await enrollment.save();
+
+    await Lead.updateOne(
+      { _id: lead._id },
+      { $set: { "emailStatus.lastEmailSent": now } }
+    );
+
+    try {
+      await dealHealthService.logEngagement(tenantConnection, lead._id, {
+        engagementType: "email_sent",
+        emailMetrics: {
+          subject,
+          sentAt: now,
+          messageId: trackingToken,
+        },
+        contactType: "email",
+        direction: "outbound",
+        metadata: {
+          sequenceId: sequence._id,
+          enrollmentId: enrollment._id,
+          stepId: step._id,
+          stepOrder: step.order,
+          providerMessageId: result.messageId,
+        },
+      });
+    } catch (error) {
+      // The email is already out; don't let a health recalculation failure resend it
+      console.error(
+        `[SEQUENCE] Failed to log engagement for lead ${lead._id}:`,
+        error.message
+      );
+    }
+
+    console.log(
+      `[SEQUENCE] Sent step ${step.order + 1}/${steps.length} of ${sequence.name} to lead ${lead._id}`
+    );
+    return enrollment;
+  }
+
+  completeEnrollment(enrollment, save = true) {
+    enrollment.status = "completed";
+    enrollment.completedAt = new Date();
+    enrollment.nextRunAt = null;
+    return save ? enrollment.save() : enrollment;
+  }
+
+  // ==============================================================
+  // Helpers
+  // ==============================================================
+
+  getStepDelayMs(step) {
+    return ((step.delayDays || 0) * 24 + (step.delayHours || 0)) * HOUR_MS;
+  }
+
+  /**
+   * First moment at or after `date` that falls inside the sending window
+   */
+  getNextSendTime(date, sendingWindow) {
+    if (!sendingWindow?.enabled) return date;
+
+    const { timezone, days, startHour, endHour } = sendingWindow;
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "numeric",
+      hourCycle: "h23",
+    });
+
+    let candidate = new Date(date);
+    // Walk forward an hour at a time; a week always contains an open slot
+    for (let i = 0; i < 24 * 8; i++) {
+      const parts = formatter.formatToParts(candidate);
+      const weekday = WEEKDAYS.indexOf(
+        parts.find((part) => part.type === "weekday").value
+      );
+      const hour = Number(parts.find((part) => part.type === "hour").value);
+
+      if (days.includes(weekday) && hour >= startHour && hour < endHour) {
+        return candidate;
+      }
+
+      candidate = new Date(
+        Math.floor(candidate.getTime() / HOUR_MS + 1) * HOUR_MS
+      );
+    }
+
+    return date;
+  }
+
+  /**
+   * Render a step from its email template, or its inline subject/body
+   */
+  async renderStep(tenantConnection, step, lead, company) {
+    if (step.templateId) {
+      return emailTemplateService.renderForLead(
+        tenantConnection,
+        step.templateId,
+        lead,
+        company
+      );
+    }
+
+    const context = buildTemplateContext(lead, company);
+    return {
+      subject: renderTemplateString(step.subject, context),
+      html: renderTemplateString(step.body, context, { html: true }),
+    };
+  }
+
+  /**
+   * Check that every template referenced by the steps can be used
+   */
+  async assertStepTemplates(tenantConnection, steps) {
+    for (const step of steps) {
+      if (step.templateId) {
+        await emailTemplateService.assertTemplate(
+          tenantConnection,
+          step.templateId
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate a sequence, surfacing schema errors as 400s
+   */
+  async validateSequence(sequence) {
+    try {
+      await sequence.validate();
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+  }
+
+  /**
+   * Clean up incoming step definitions
+   */
+  normalizeSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new ApiError(400, "steps must be a non-empty array");
+    }
+
+    return steps.map((step, index) => {
+      if (!step?.templateId && (!step?.subject || !step?.body)) {
+        throw new ApiError(
+          400,
+          `Step ${index + 1} needs a templateId or a subject and body`
+        );
+      }
+      if (step._id && !mongoose.Types.ObjectId.isValid(step._id)) {
+        throw new ApiError(400, `Step ${index + 1} has an invalid _id`);
+      }
+      if (
+        step.templateId &&
+        !mongoose.Types.ObjectId.isValid(step.templateId)
+      ) {
+        throw new ApiError(400, `Step ${index + 1} has an invalid templateId`);
+      }
+
+      return {
+        ...(step._id && { _id: step._id }),
+        order: step.order ?? index,
+        name: step.name,
+        channel: step.channel || "email",
+        delayDays: step.delayDays ?? 0,
+        delayHours: step.delayHours ?? 0,
+        templateId: step.templateId || null,
+        subject: step.subject,
+        body: step.body,
+        isActive: step.isActive ?? true,
+      };
+    });
+  }
+}
+
+const sequenceService = new SequenceService();
+
+/**
+ * Schedule the sequence sender (every 5 minutes)
+ */
+const initSequenceCron = () => {
+  cron.schedule(
+    "*/5 * * * *",
+    async () => {
+      await sequenceService.processDueEnrollments();
+    },
+    {
+      timezone: "Asia/Riyadh",
+    }
+  );
+
+  console.log("✅ Sequence sender initialized (runs every 5 minutes)");
+
+  setTimeout(async () => {
+    await sequenceService.processDueEnrollments();
+  }, 5000);
+};
+
+export { initSequenceCron };
+export default sequenceService;
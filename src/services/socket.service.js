@@ -69,6 +69,20 @@ class SocketService {
     console.log(`📡 Emitted lead deleted event to room: ${room}`);
   }
 
+  /**
+   * Emit new notification event to company
+   * @param {String} companyId - Company ID
+   * @param {Object} notification - Notification document
+   */
+  emitNotification(companyId, notification) {
+    if (!this.io) return;
+
+    this.io.emit(`notifications-${companyId}`, {
+      action: "newNotification",
+      notification,
+    });
+  }
+
   /**
    * Emit CRM sync completed event
    * @param {String} companyId - Company ID
@@ -0,0 +1,112 @@
+/**
+ * Bounce / delivery status notification (DSN) parsing
+ * Recognizes bounce messages in connected mailboxes, classifies them as hard
+ * or soft and ties them back to the lead email that triggered them.
+ */
+
+const BOUNCE_SENDER =
+  /mailer-daemon|postmaster|mail delivery (?:subsystem|system)|microsoftexchange/i;
+
+const BOUNCE_SUBJECT =
+  /undeliver|delivery status notification|delivery (?:failure|has failed|incomplete)|returned mail|failure notice|mail delivery failed|could not be delivered|delivery delayed/i;
+
+// Permanent failures that some servers report without an enhanced status code
+const HARD_BOUNCE_PATTERNS =
+  /user unknown|unknown user|no such user|does not exist|doesn't exist|address rejected|invalid recipient|recipient not found|mailbox unavailable|account (?:has been )?disabled|address couldn't be found|not found/i;
+
+const SOFT_BOUNCE_PATTERNS =
+  /mailbox (?:is )?full|over quota|quota exceeded|temporar|try again later|delayed|deferred|greylist/i;
+
+// Message ids we generate: <leadId-timestamp@provider>
+const OUR_MESSAGE_ID =
+  /<?([a-f0-9]{24})-(\d{10,})@(?:jazzam\.ai|gmail\.com|outlook\.com|yahoo\.com)>?/i;
+
+/**
+ * Whether a message looks like a bounce / DSN
+ * @param {Object} message - { from, subject, contentType }
+ * @returns {Boolean}
+ */
+export const isBounceMessage = ({ from, subject, contentType } = {}) => {
+  if (/report-type\s*=\s*"?delivery-status/i.test(contentType || "")) {
+    return true;
+  }
+
+  // Replies to a bounce are not bounces
+  if (/^\s*re:/i.test(subject || "")) return false;
+
+  return BOUNCE_SENDER.test(from || "") || BOUNCE_SUBJECT.test(subject || "");
+};
+
+/**
+ * Classify a bounce from its status code, falling back to the diagnostic text
+ * @returns {"hard"|"soft"}
+ */
+const classifyBounce = (text, statusCode, action) => {
+  if (/^delayed$/i.test(action || "")) return "soft";
+  if (statusCode?.startsWith("5")) return "hard";
+  if (statusCode?.startsWith("4")) return "soft";
+
+  if (SOFT_BOUNCE_PATTERNS.test(text)) return "soft";
+  if (HARD_BOUNCE_PATTERNS.test(text)) return "hard";
+
+  // Unclassified failures are treated as soft; repeated soft bounces escalate
+  return "soft";
+};
+
+const matchLine = (text, pattern) => text.match(pattern)?.[1]?.trim() || null;
+
+/**
+ * Extract bounce details from the decoded text of a DSN
+ * (the delivery-status part and the returned original message / headers)
+ * @param {String} text
+ * @returns {Object|null} { bounceType, recipient, statusCode, diagnostic, leadId, messageId }
+ *   or null when the bounce can't be tied back to one of our emails
+ */
+export const parseBounce = (text) => {
+  if (!text) return null;
+
+  const headerLeadId = matchLine(text, /^X-Lead-ID:\s*([a-f0-9]{24})\b/im);
+  const trackingId = matchLine(
+    text,
+    /^X-Tracking-ID:\s*([a-f0-9]{24}-\d{10,})\b/im
+  );
+  const messageIdMatch = text.match(OUR_MESSAGE_ID);
+
+  const messageId =
+    trackingId ||
+    (messageIdMatch ? `${messageIdMatch[1]}-${messageIdMatch[2]}` : null);
+  const leadId = headerLeadId || messageId?.split("-")[0] || null;
+
+  if (!leadId) return null;
+
+  const statusCode =
+    matchLine(text, /^Status:\s*([245]\.\d{1,3}\.\d{1,3})/im) ||
+    matchLine(text, /\b([45]\.\d{1,3}\.\d{1,3})\b/) ||
+    matchLine(text, /\b([45]\d\d)[\s-]/);
+  const action = matchLine(text, /^Action:\s*(\w+)/im);
+
+  const recipient =
+    matchLine(
+      text,
+      /^Final-Recipient:\s*rfc822;\s*<?([^\s<>]+@[^\s<>]+)>?/im
+    ) ||
+    matchLine(
+      text,
+      /^Original-Recipient:\s*rfc822;\s*<?([^\s<>]+@[^\s<>]+)>?/im
+    ) ||
+    matchLine(text, /^X-Failed-Recipients:\s*<?([^\s<>,]+@[^\s<>,]+)>?/im);
+
+  const diagnostic = matchLine(
+    text,
+    /^Diagnostic-Code:\s*(?:smtp;\s*)?(.+)$/im
+  );
+
+  return {
+    bounceType: classifyBounce(diagnostic || text, statusCode, action),
+    recipient: recipient ? recipient.toLowerCase() : null,
+    statusCode,
+    diagnostic: diagnostic ? diagnostic.slice(0, 500) : null,
+    leadId,
+    messageId,
+  };
+};
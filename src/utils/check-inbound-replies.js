@@ -4,21 +4,10 @@ import { ImapFlow } from "imapflow";
 import { leadSchema } from "../models/lead.model.js";
 import dealHealthService from "../services/dealHealth.service.js";
 import { engagementHistorySchema } from "../models/engagementHistory.model.js";
+import outboundMessageService from "../services/outboundMessage.service.js";
 
-// In-memory cache for messageId to companyId mapping
-// In production, you should use a persistent storage like Redis or a DB collection
-const messageIdToCompanyMap = new Map();
-
-// Store messageId mapping when email is sent (call from email.service.js)
-export function storeMessageIdMapping(messageId, companyId, leadId) {
-    messageIdToCompanyMap.set(messageId, {
-        companyId,
-        leadId,
-        storedAt: new Date(),
-    });
-
-    console.log(`📧 Stored mapping: ${messageId} -> ${companyId}`);
-}
+// Sent messages are recorded in the OutboundMessage collection
+// (see services/outboundMessage.service.js) when the email is sent
 
 async function checkReplies() {
     const client = new ImapFlow({
@@ -70,9 +59,12 @@ async function checkReplies() {
                     // Lookup companyId from mapping or from database
                     let companyId = null;
 
-                    // Try cache first
-                    if (messageIdToCompanyMap.has(originalMessageId)) {
-                        companyId = messageIdToCompanyMap.get(originalMessageId).companyId;
+                    // Try the sent-message store first
+                    const outboundMessage = await outboundMessageService.findReferencedMessage({
+                        messageIds: [inReplyTo],
+                    });
+                    if (outboundMessage) {
+                        companyId = outboundMessage.companyId;
                     } else {
                         // Fallback: lookup from Lead document
                         const lead = await Lead.findById(leadId).select('companyId').lean();
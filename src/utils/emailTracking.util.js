@@ -0,0 +1,136 @@
+import crypto from "crypto";
+
+/**
+ * Outbound email tracking helpers
+ * Signed tokens for click redirects and unsubscribe links, link rewriting
+ * and List-Unsubscribe headers.
+ */
+
+const TRACKING_PATH = "/api/email";
+
+const getSecret = () =>
+  process.env.EMAIL_TRACKING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const sign = (data) =>
+  crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+
+/**
+ * Sign a small payload into a URL-safe token
+ * @param {Object} payload
+ * @returns {String}
+ */
+export const signTrackingToken = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * Verify a token and return its payload, or null if it was tampered with
+ * @param {String} token
+ * @returns {Object|null}
+ */
+export const verifyTrackingToken = (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  const [data, signature] = token.split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Redirect URL that records a click before sending the lead on
+ */
+export const buildClickUrl = ({ companyId, leadId, messageId, url }) =>
+  `${process.env.SERVER_URL}${TRACKING_PATH}/track/click/${signTrackingToken({
+    c: String(companyId),
+    l: String(leadId),
+    m: messageId,
+    u: url,
+  })}`;
+
+/**
+ * Unsubscribe landing / one-click URL for a lead
+ */
+export const buildUnsubscribeUrl = ({ companyId, leadId }) =>
+  `${process.env.SERVER_URL}${TRACKING_PATH}/unsubscribe/${signTrackingToken({
+    c: String(companyId),
+    l: String(leadId),
+  })}`;
+
+/**
+ * Route http(s) links in an HTML body through the click redirect
+ * @param {String} html
+ * @param {Object} options - { companyId, leadId, messageId }
+ * @returns {String}
+ */
+export const rewriteLinks = (html, { companyId, leadId, messageId }) => {
+  if (!html) return html;
+
+  const trackingPrefix = `${process.env.SERVER_URL}${TRACKING_PATH}/`;
+
+  return html.replace(
+    /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+    (match, prefix, quote, href) => {
+      const url = href.replace(/&amp;/g, "&");
+      if (url.startsWith(trackingPrefix)) return match;
+
+      const clickUrl = buildClickUrl({ companyId, leadId, messageId, url });
+      return `${prefix}${quote}${clickUrl}${quote}`;
+    }
+  );
+};
+
+/**
+ * Visible unsubscribe link, placed before </body> when present
+ */
+export const addUnsubscribeFooter = (html, unsubscribeUrl) => {
+  const footer = `
+    <p style="font-size:12px;color:#999;text-align:center;margin-top:24px;">
+      Don't want these emails? <a href="${unsubscribeUrl}" style="color:#999;">Unsubscribe</a>
+    </p>
+  `;
+
+  return /<\/body>/i.test(html || "")
+    ? html.replace(/<\/body>/i, `${footer}</body>`)
+    : `${html || ""}${footer}`;
+};
+
+/**
+ * RFC 8058 one-click unsubscribe headers
+ */
+export const buildUnsubscribeHeaders = (unsubscribeUrl) => ({
+  "List-Unsubscribe": `<${unsubscribeUrl}>`,
+  "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+});
+
+/**
+ * Apply click tracking and unsubscribe handling to an outbound lead email
+ * @param {String} html
+ * @param {Object} options - { companyId, leadId, messageId }
+ * @returns {{ html: String, headers: Object }}
+ */
+export const prepareTrackedEmail = (html, { companyId, leadId, messageId }) => {
+  const unsubscribeUrl = buildUnsubscribeUrl({ companyId, leadId });
+
+  return {
+    html: addUnsubscribeFooter(
+      rewriteLinks(html, { companyId, leadId, messageId }),
+      unsubscribeUrl
+    ),
+    headers: buildUnsubscribeHeaders(unsubscribeUrl),
+  };
+};
@@ -0,0 +1,355 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Lead filter query language
+ * Compiles a structured filter into a MongoDB $match for the leads collection.
+ *
+ * A filter is a group or a condition:
+ *   { op: "and" | "or", conditions: [filter, ...] }
+ *   { field: "bant.totalScore", operator: "between", value: [60, 100] }
+ *
+ * Example - hot or warm leads from the last 7 days with no assignee:
+ *   {
+ *     op: "and",
+ *     conditions: [
+ *       { field: "status", operator: "in", value: ["hot", "warm"] },
+ *       { field: "createdAt", operator: "last", value: { amount: 7, unit: "days" } },
+ *       { field: "assignedTo", operator: "exists", value: false }
+ *     ]
+ *   }
+ */
+
+// Filterable fields: public name -> { path, type }
+// `dealHealth.*` fields come from a $lookup added by buildLeadFilterPipeline
+export const LEAD_FILTER_FIELDS = {
+  status: { path: "status", type: "string" },
+  platform: { path: "platform", type: "string" },
+  source: { path: "source", type: "string" },
+  formId: { path: "formId", type: "objectId" },
+  fullName: { path: "fullName", type: "string" },
+  firstName: { path: "firstName", type: "string" },
+  lastName: { path: "lastName", type: "string" },
+  email: { path: "email", type: "string" },
+  phone: { path: "phone", type: "string" },
+  company: { path: "company", type: "string" },
+  companyIndustry: { path: "companyIndustry", type: "string" },
+  companySize: { path: "companySize", type: "string" },
+  jobTitle: { path: "jobTitle", type: "string" },
+  department: { path: "department", type: "string" },
+  location: { path: "location", type: "string" },
+  country: { path: "country", type: "string" },
+  city: { path: "city", type: "string" },
+  tags: { path: "tags.name", type: "string" },
+  assignedTo: { path: "assignedTo", type: "objectId" },
+  pipelineId: { path: "pipelineId", type: "objectId" },
+  stageId: { path: "stageId", type: "objectId" },
+  leadScore: { path: "leadScore", type: "number" },
+  "bant.totalScore": { path: "bant.totalScore", type: "number" },
+  "bant.category": { path: "bant.category", type: "string" },
+  "bant.qualifiedAt": { path: "bant.qualifiedAt", type: "date" },
+  leadOrigin: { path: "leadOrigin", type: "string" },
+  crmSyncStatus: { path: "crmSyncStatus", type: "string" },
+  "emailStatus.emailBounced": {
+    path: "emailStatus.emailBounced",
+    type: "boolean",
+  },
+  "emailStatus.emailUnsubscribed": {
+    path: "emailStatus.emailUnsubscribed",
+    type: "boolean",
+  },
+  "emailStatus.lastEmailSent": {
+    path: "emailStatus.lastEmailSent",
+    type: "date",
+  },
+  "conversionData.converted": {
+    path: "conversionData.converted",
+    type: "boolean",
+  },
+  "dealHealth.healthStatus": {
+    path: "dealHealth.healthStatus",
+    type: "string",
+    dealHealth: true,
+  },
+  "dealHealth.healthScore": {
+    path: "dealHealth.healthScore",
+    type: "number",
+    dealHealth: true,
+  },
+  stageEnteredAt: { path: "stageEnteredAt", type: "date" },
+  lastSyncedAt: { path: "lastSyncedAt", type: "date" },
+  createdAt: { path: "createdAt", type: "date" },
+  updatedAt: { path: "updatedAt", type: "date" },
+};
+
+// Operators allowed per field type
+const OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "contains", "starts_with", "exists"],
+  number: [
+    "eq",
+    "ne",
+    "in",
+    "nin",
+    "gt",
+    "gte",
+    "lt",
+    "lte",
+    "between",
+    "exists",
+  ],
+  date: ["gt", "gte", "lt", "lte", "between", "last", "not_last", "exists"],
+  boolean: ["eq", "ne", "exists"],
+  objectId: ["eq", "ne", "in", "nin", "exists"],
+};
+
+const RELATIVE_UNITS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000,
+  months: 30 * 24 * 60 * 60 * 1000,
+};
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a filter passed as a query-string JSON value or an object
+ */
+export const parseLeadFilter = (filter) => {
+  if (!filter) return null;
+  if (typeof filter === "object") return filter;
+
+  try {
+    return JSON.parse(filter);
+  } catch {
+    throw new ApiError(400, "filter must be valid JSON");
+  }
+};
+
+// Cast one value to the field type
+const castValue = (value, type, field, context) => {
+  switch (type) {
+    case "number": {
+      const number = Number(value);
+      if (value === null || value === "" || Number.isNaN(number)) {
+        throw new ApiError(400, `${field} expects a number`);
+      }
+      return number;
+    }
+    case "date": {
+      const date = new Date(value);
+      if (value === null || Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${field} expects a date`);
+      }
+      return date;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      throw new ApiError(400, `${field} expects true or false`);
+    case "objectId": {
+      // "me" is the requesting user (e.g. assignedTo = me)
+      const id = value === "me" ? context.userId : value;
+      if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, `${field} expects an id`);
+      }
+      return new mongoose.Types.ObjectId(String(id));
+    }
+    default:
+      if (typeof value !== "string" && typeof value !== "number") {
+        throw new ApiError(400, `${field} expects a string`);
+      }
+      return String(value);
+  }
+};
+
+const castList = (value, type, field, context) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ApiError(400, `${field} expects a non-empty array`);
+  }
+  return value.map((item) => castValue(item, type, field, context));
+};
+
+// { amount, unit } -> Date that many units ago
+const relativeDate = (value, field, now) => {
+  const amount = Number(value?.amount);
+  const unitMs = RELATIVE_UNITS[value?.unit];
+  if (!unitMs || !Number.isFinite(amount) || amount <= 0) {
+    throw new ApiError(
+      400,
+      `${field} expects { amount, unit } with unit one of ${Object.keys(RELATIVE_UNITS).join(", ")}`
+    );
+  }
+  return new Date(now.getTime() - amount * unitMs);
+};
+
+const compileCondition = (condition, context) => {
+  const { field, operator, value } = condition;
+  const definition = LEAD_FILTER_FIELDS[field];
+
+  if (!definition) {
+    throw new ApiError(400, `Unknown filter field: ${field}`);
+  }
+  if (!OPERATORS[definition.type].includes(operator)) {
+    throw new ApiError(
+      400,
+      `Operator "${operator}" is not supported for ${field}. Allowed: ${OPERATORS[definition.type].join(", ")}`
+    );
+  }
+  if (definition.dealHealth) context.needsDealHealth = true;
+
+  const { path, type } = definition;
+  const cast = (item) => castValue(item, type, field, context);
+
+  switch (operator) {
+    case "eq":
+      return { [path]: cast(value) };
+    case "ne":
+      return { [path]: { $ne: cast(value) } };
+    case "in":
+      return { [path]: { $in: castList(value, type, field, context) } };
+    case "nin":
+      return { [path]: { $nin: castList(value, type, field, context) } };
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte":
+      return { [path]: { [`$${operator}`]: cast(value) } };
+    case "between": {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new ApiError(400, `${field} between expects [from, to]`);
+      }
+      return { [path]: { $gte: cast(value[0]), $lte: cast(value[1]) } };
+    }
+    case "contains":
+      return {
+        [path]: { $regex: escapeRegex(String(cast(value))), $options: "i" },
+      };
+    case "starts_with":
+      return {
+        [path]: {
+          $regex: `^${escapeRegex(String(cast(value)))}`,
+          $options: "i",
+        },
+      };
+    case "exists": {
+      const exists = castValue(value ?? true, "boolean", field, context);
+      // Treat null and "" as missing
+      return exists
+        ? { [path]: { $exists: true, $nin: [null, ""] } }
+        : { [path]: { $in: [null, ""] } };
+    }
+    case "last":
+      return { [path]: { $gte: relativeDate(value, field, context.now) } };
+    case "not_last":
+      return { [path]: { $lt: relativeDate(value, field, context.now) } };
+    default:
+      throw new ApiError(400, `Unknown operator: ${operator}`);
+  }
+};
+
+const compileNode = (node, context, depth) => {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    throw new ApiError(400, "Each filter entry must be an object");
+  }
+  if (depth > MAX_DEPTH) {
+    throw new ApiError(
+      400,
+      `Filter groups can be nested at most ${MAX_DEPTH} levels`
+    );
+  }
+
+  if (node.op !== undefined || node.conditions !== undefined) {
+    const op = String(node.op || "and").toLowerCase();
+    if (!["and", "or"].includes(op)) {
+      throw new ApiError(400, `Unknown group operator: ${node.op}`);
+    }
+    if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+      throw new ApiError(
+        400,
+        "Filter groups need a non-empty conditions array"
+      );
+    }
+
+    const compiled = node.conditions.map((child) =>
+      compileNode(child, context, depth + 1)
+    );
+    return compiled.length === 1 ? compiled[0] : { [`$${op}`]: compiled };
+  }
+
+  context.conditionCount += 1;
+  if (context.conditionCount > MAX_CONDITIONS) {
+    throw new ApiError(
+      400,
+      `Filters can have at most ${MAX_CONDITIONS} conditions`
+    );
+  }
+  return compileCondition(node, context);
+};
+
+/**
+ * Compile a filter into a $match object
+ * @param {Object} filter - group or condition
+ * @param {Object} options - { userId } used for "me"
+ * @returns {{ match: Object, needsDealHealth: Boolean }}
+ */
+export const compileLeadFilter = (
+  filter,
+  { userId = null, now = new Date() } = {}
+) => {
+  if (!filter) return { match: {}, needsDealHealth: false };
+
+  const context = { userId, now, needsDealHealth: false, conditionCount: 0 };
+  const match = compileNode(filter, context, 1);
+
+  return { match, needsDealHealth: context.needsDealHealth };
+};
+
+/**
+ * Aggregation stages that apply a filter (with the deal health lookup when a
+ * condition needs it). Prepend to any leads pipeline.
+ * @param {Object} filter
+ * @param {Object} options - { userId, baseMatch }
+ * @returns {Array}
+ */
+export const buildLeadFilterPipeline = (
+  filter,
+  { userId, baseMatch = {} } = {}
+) => {
+  const { match, needsDealHealth } = compileLeadFilter(filter, { userId });
+  const combined = [baseMatch, match].filter(
+    (condition) => Object.keys(condition).length > 0
+  );
+  const matchStage = {
+    $match: combined.length > 1 ? { $and: combined } : combined[0] || {},
+  };
+
+  if (!needsDealHealth) return [matchStage];
+
+  return [
+    ...(Object.keys(baseMatch).length > 0 ? [{ $match: baseMatch }] : []),
+    {
+      $lookup: {
+        from: "dealhealths",
+        localField: "_id",
+        foreignField: "leadId",
+        as: "dealHealth",
+        pipeline: [
+          {
+            $project: {
+              healthScore: 1,
+              healthStatus: 1,
+              velocityMetrics: 1,
+              analysisCount: 1,
+            },
+          },
+        ],
+      },
+    },
+    { $addFields: { dealHealth: { $arrayElemAt: ["$dealHealth", 0] } } },
+    { $match: match },
+  ];
+};
@@ -0,0 +1,134 @@
+/**
+ * Lead matching helpers
+ * Normalizes identifying fields so the same person coming from different
+ * sources (platform forms, custom forms, CRM imports) produces the same keys.
+ */
+
+// Common legal suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = [
+  "inc",
+  "incorporated",
+  "llc",
+  "ltd",
+  "limited",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "gmbh",
+  "plc",
+  "llp",
+  "sa",
+  "ag",
+  "bv",
+  "pvt",
+];
+
+/**
+ * Lowercase, trim and drop "+tag" sub-addressing
+ * @param {String} email
+ * @returns {String|null}
+ */
+export const normalizeEmail = (email) => {
+  if (!email || typeof email !== "string") return null;
+
+  const value = email.trim().toLowerCase();
+  const [local, domain] = value.split("@");
+  if (!local || !domain) return null;
+
+  return `${local.split("+")[0]}@${domain}`;
+};
+
+/**
+ * Digits only, compared on the last 10 digits so country prefixes don't matter
+ * @param {String} phone
+ * @returns {String|null}
+ */
+export const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/\D/g, "");
+  if (digits.length < 7) return null;
+
+  return digits.slice(-10);
+};
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {String} value
+ * @returns {String|null}
+ */
+export const normalizeName = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  const normalized = value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return normalized || null;
+};
+
+/**
+ * Normalized company name without legal suffixes
+ * @param {String} company
+ * @returns {String|null}
+ */
+export const normalizeCompany = (company) => {
+  const normalized = normalizeName(company);
+  if (!normalized) return null;
+
+  const words = normalized
+    .split(" ")
+    .filter((word) => !COMPANY_SUFFIXES.includes(word));
+
+  return words.join(" ") || normalized;
+};
+
+// Bump when the keys are built differently, so stored keys are recomputed
+export const DEDUP_KEYS_VERSION = 1;
+
+/**
+ * CRM record key, "<provider>:<crmId>" (ids are only unique within a CRM)
+ * @param {String} provider
+ * @param {String} crmId
+ * @returns {String|null}
+ */
+export const buildCrmKey = (provider, crmId) => {
+  if (!provider || !crmId) return null;
+  return `${provider}:${String(crmId).trim()}`;
+};
+
+/**
+ * Build dedup keys for a lead (plain object or document)
+ * @param {Object} lead
+ * @returns {Object} { email, phone, nameCompany, crmIds, version }
+ */
+export const buildDedupKeys = (lead) => {
+  const fullName =
+    lead.fullName || [lead.firstName, lead.lastName].filter(Boolean).join(" ");
+  const name = normalizeName(fullName);
+  const company = normalizeCompany(lead.company);
+
+  // An id from an unknown CRM can't be told apart from another CRM's id
+  // and is left out
+  const crmIds = [
+    buildCrmKey(lead.crmProvider || lead.originCrmProvider, lead.crmId),
+    buildCrmKey(lead.originCrmProvider, lead.originCrmId),
+    ...(lead.crmLinks || []).map((link) =>
+      buildCrmKey(link.provider, link.crmId)
+    ),
+  ].filter(Boolean);
+
+  return {
+    email: normalizeEmail(lead.email),
+    phone: normalizePhone(lead.phone),
+    nameCompany: name && company ? `${name}|${company}` : null,
+    crmIds: [...new Set(crmIds)],
+    version: DEDUP_KEYS_VERSION,
+    computedAt: new Date(),
+  };
+};
@@ -1,11 +1,16 @@
 import { ImapFlow } from "imapflow";
+import mongoose from "mongoose";
 import { Company } from "../models/company.model.js";
 import { getTenantConnection } from "../db/tenantConnection.js";
 import { getTenantModels } from "../models/index.js";
 import dealHealthService from "../services/dealHealth.service.js";
+import sequenceService from "../services/sequence.service.js";
+import emailSuppressionService from "../services/emailSuppression.service.js";
+import outboundMessageService, { parseMessageIdHeaders } from "../services/outboundMessage.service.js";
 import gmailService from "../services/email/gmail.service.js";
 import outlookService from "../services/email/outlook.service.js";
 import { decrypt } from "./encryption.util.js";
+import { isBounceMessage, parseBounce } from "./bounce.util.js";
 
 /**
  * Check Gmail mailbox for replies
@@ -77,17 +82,36 @@ async function checkYahooMailbox(company, mailbox) {
 
     let lock = await client.getMailboxLock("INBOX");
     try {
+      const bounceUids = [];
+
       for await (let msg of client.fetch("UNSEEN", {
         envelope: true,
-        headers: ["in-reply-to", "X-Lead-ID", "X-Company-ID", "X-Mailbox-ID"],
+        headers: ["in-reply-to", "references", "X-Lead-ID", "X-Company-ID", "X-Mailbox-ID"],
       })) {
         try {
+          const from = (msg.envelope?.from || []).map(a => `${a.name || ''} <${a.address}>`).join(', ');
+          if (isBounceMessage({ from, subject: msg.envelope?.subject })) {
+            bounceUids.push(msg.uid);
+            continue;
+          }
+
           await processImapMessage(company, mailbox, msg);
           await client.messageFlagsAdd(msg.uid, ['\\Seen'], { uid: true });
         } catch (error) {
           console.error(`Error processing Yahoo message:`, error.message);
         }
       }
+
+      // Bounces need the full source, fetched once the listing is done
+      for (const uid of bounceUids) {
+        try {
+          const { source } = await client.fetchOne(uid, { source: true }, { uid: true });
+          await processBounce(company, mailbox, source.toString("utf8"));
+          await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+        } catch (error) {
+          console.error(`Error processing Yahoo bounce:`, error.message);
+        }
+      }
     } finally {
       lock.release();
     }
@@ -105,23 +129,26 @@ async function checkYahooMailbox(company, mailbox) {
  */
 async function processGmailMessage(company, mailbox, message) {
   const headers = message.payload.headers;
-  const inReplyToHeader = headers.find(h => h.name.toLowerCase() === 'in-reply-to');
-  const leadIdHeader = headers.find(h => h.name.toLowerCase() === 'x-lead-id');
-  
-  if (!inReplyToHeader) return;
-
-  const inReplyTo = inReplyToHeader.value;
-  const match = inReplyTo.match(/<([^>]+)@/);
-  if (!match) return;
 
-  const originalMessageId = match[1];
-  const parts = originalMessageId.split("-");
-  if (parts.length < 2) return;
-
-  const leadId = leadIdHeader?.value || parts[0];
-  const companyId = company._id.toString();
+  const bounceCandidate = {
+    from: findHeader(headers, 'from'),
+    subject: findHeader(headers, 'subject'),
+    contentType: findHeader(headers, 'content-type'),
+  };
+  if (isBounceMessage(bounceCandidate)) {
+    await processBounce(company, mailbox, getGmailMessageText(message.payload));
+    return;
+  }
 
-  await updateLeadResponse(companyId, leadId);
+  await processReply(company, mailbox, {
+    from: bounceCandidate.from,
+    messageIds: parseMessageIdHeaders(
+      findHeader(headers, 'in-reply-to'),
+      findHeader(headers, 'references')
+    ),
+    threadId: message.threadId,
+    leadIdHeader: findHeader(headers, 'x-lead-id'),
+  });
 }
 
 /**
@@ -129,69 +156,155 @@ async function processGmailMessage(company, mailbox, message) {
  */
 async function processOutlookMessage(company, mailbox, message) {
   const internetHeaders = message.internetMessageHeaders || [];
-  const inReplyToHeader = internetHeaders.find(h => h.name.toLowerCase() === 'in-reply-to');
-  const leadIdHeader = internetHeaders.find(h => h.name.toLowerCase() === 'x-lead-id');
-  
-  if (!inReplyToHeader) return;
-
-  const inReplyTo = inReplyToHeader.value;
-  const match = inReplyTo.match(/<([^>]+)@/);
-  if (!match) return;
 
-  const originalMessageId = match[1];
-  const parts = originalMessageId.split("-");
-  if (parts.length < 2) return;
-
-  const leadId = leadIdHeader?.value || parts[0];
-  const companyId = company._id.toString();
+  const bounceCandidate = {
+    from: `${message.from?.emailAddress?.name || ''} <${message.from?.emailAddress?.address || ''}>`,
+    subject: message.subject,
+    contentType: findHeader(internetHeaders, 'content-type'),
+  };
+  if (isBounceMessage(bounceCandidate)) {
+    // Non-delivery reports quote the original headers in the body
+    const headerText = internetHeaders.map(h => `${h.name}: ${h.value}`).join('\n');
+    await processBounce(company, mailbox, `${headerText}\n${message.body?.content || ''}`);
+    return;
+  }
 
-  await updateLeadResponse(companyId, leadId);
+  await processReply(company, mailbox, {
+    from: bounceCandidate.from,
+    messageIds: parseMessageIdHeaders(
+      findHeader(internetHeaders, 'in-reply-to'),
+      findHeader(internetHeaders, 'references')
+    ),
+    threadId: message.conversationId,
+    leadIdHeader: findHeader(internetHeaders, 'x-lead-id'),
+  });
 }
 
 /**
  * Process IMAP message (Yahoo)
  */
 async function processImapMessage(company, mailbox, msg) {
-  const inReplyTo = msg.envelope?.inReplyTo;
-  if (!inReplyTo) return;
+  // Requested headers come back as raw text; unfold before reading References
+  const rawHeaders = (msg.headers?.toString("utf8") || '').replace(/\r?\n[ \t]+/g, ' ');
+  const references = rawHeaders.match(/^references:\s*(.*)$/im)?.[1];
 
-  const match = inReplyTo.match(/<([^>]+)@/);
-  if (!match) return;
+  await processReply(company, mailbox, {
+    from: (msg.envelope?.from || []).map(a => a.address).join(', '),
+    messageIds: parseMessageIdHeaders(msg.envelope?.inReplyTo, references),
+  });
+}
 
-  const originalMessageId = match[1];
-  const parts = originalMessageId.split("-");
-  if (parts.length < 2) return;
+/**
+ * Attribute an inbound message to the lead email it replies to.
+ * Matches the persisted sent-message store on In-Reply-To/References ids,
+ * then on provider thread id, falling back to the lead id in our message ids.
+ */
+async function processReply(company, mailbox, { from, messageIds = [], threadId, leadIdHeader }) {
+  // Our own messages in a thread are not replies
+  if (from && from.toLowerCase().includes(mailbox.email.toLowerCase())) return;
+  if (messageIds.length === 0 && !threadId) return;
 
-  const leadId = parts[0];
   const companyId = company._id.toString();
 
-  await updateLeadResponse(companyId, leadId);
+  const outboundMessage = await outboundMessageService.findReferencedMessage({
+    companyId,
+    messageIds,
+    threadId,
+  });
+
+  const leadId =
+    outboundMessage?.leadId?.toString() ||
+    leadIdHeader ||
+    outboundMessageService.getLeadIdFromMessageIds(messageIds);
+  if (!leadId) return;
+
+  await updateLeadResponse(companyId, leadId, outboundMessage);
+}
+
+/**
+ * Header value by (case-insensitive) name from a [{ name, value }] list
+ */
+function findHeader(headers = [], name) {
+  return headers.find(h => h.name.toLowerCase() === name)?.value || '';
+}
+
+/**
+ * Decoded text of a Gmail message: headers and text of every MIME part,
+ * including the delivery-status and returned-message parts of a DSN
+ */
+function getGmailMessageText(part) {
+  if (!part) return '';
+
+  const headerText = (part.headers || []).map(h => `${h.name}: ${h.value}`).join('\n');
+  const bodyText = part.body?.data
+    ? Buffer.from(part.body.data, 'base64url').toString('utf8')
+    : '';
+  const childText = (part.parts || []).map(getGmailMessageText).join('\n');
+
+  return [headerText, bodyText, childText].filter(Boolean).join('\n');
+}
+
+/**
+ * Tie a bounce back to the lead email that caused it and record it
+ */
+async function processBounce(company, mailbox, text) {
+  const bounce = parseBounce(text);
+
+  if (!bounce) {
+    console.log(`⏭️ Bounce in ${mailbox.email} is not for a lead email, skipping`);
+    return;
+  }
+
+  await emailSuppressionService.recordBounce(company._id.toString(), bounce, {
+    source: mailbox.email,
+  });
 }
 
 /**
  * Update lead and follow-up with response received
+ * `outboundMessage` is the sent-message record the reply was matched to, if any
  */
-async function updateLeadResponse(companyId, leadId) {
+async function updateLeadResponse(companyId, leadId, outboundMessage = null) {
   try {
+    if (!mongoose.Types.ObjectId.isValid(leadId)) return;
+
     const tenantConnection = await getTenantConnection(companyId);
-    const { EngagementHistory, FollowUp } = getTenantModels(tenantConnection);
+    const { Lead, EngagementHistory, FollowUp } = getTenantModels(tenantConnection);
 
-    // Update engagement history
-    await EngagementHistory.findOneAndUpdate(
-      {
-        leadId,
-        engagementType: "email_sent",
-        direction: "outbound",
-      },
-      {
-        $set: {
-          engagementType: "responded",
-          "emailMetrics.respondedAt": new Date(),
-          direction: "inbound"
-        }
-      }
+    const lead = await Lead.exists({ _id: leadId });
+    if (!lead) return;
+
+    // A reply proves the address works; forget earlier soft bounces
+    await Lead.updateOne(
+      { _id: leadId, "emailStatus.softBounceCount": { $gt: 0 } },
+      { $set: { "emailStatus.softBounceCount": 0 } }
     );
 
+    const respondedAt = new Date();
+
+    // Mark the replied-to email as answered (the latest outbound one if unknown)
+    const answeredFilter = {
+      leadId,
+      engagementType: { $in: ["email_sent", "email_opened"] },
+      direction: "outbound",
+      "emailMetrics.respondedAt": { $exists: false },
+    };
+    const answered =
+      (outboundMessage &&
+        (await EngagementHistory.findOneAndUpdate(
+          { ...answeredFilter, "emailMetrics.messageId": outboundMessage.messageId },
+          { $set: { "emailMetrics.respondedAt": respondedAt } }
+        ))) ||
+      (await EngagementHistory.findOneAndUpdate(
+        answeredFilter,
+        { $set: { "emailMetrics.respondedAt": respondedAt } },
+        { sort: { engagementDate: -1 } }
+      ));
+
+    if (outboundMessage) {
+      await outboundMessageService.markReplied(outboundMessage._id, respondedAt);
+    }
+
     // Update follow-up
     const followUpUpdate = await FollowUp.findOneAndUpdate(
       { leadId },
@@ -206,8 +319,21 @@ async function updateLeadResponse(companyId, leadId) {
       console.log(`✅ Marked follow-up as responded for lead: ${leadId}`);
     }
 
-    // Recalculate deal health
-    await dealHealthService.calculateDealHealth(companyId, leadId);
+    // A reply ends any sequence the lead is enrolled in
+    await sequenceService.stopEnrollmentsForLead(tenantConnection, leadId, "replied");
+
+    // Log the reply (also recalculates deal health)
+    await dealHealthService.logEngagement(tenantConnection, leadId, {
+      engagementType: "response",
+      emailMetrics: {
+        respondedAt,
+      },
+      contactType: "email",
+      direction: "inbound",
+      ...(answered?.emailMetrics?.messageId && {
+        metadata: { inReplyTo: answered.emailMetrics.messageId },
+      }),
+    });
 
   } catch (error) {
     console.error(`Error updating lead response for ${leadId}:`, error.message);
@@ -256,6 +382,10 @@ async function checkAllMailboxes() {
               console.log(`Unknown provider ${mailbox.provider} for ${mailbox.email}`);
           }
         }
+
+        // Stop sequences for leads that have since bounced or unsubscribed
+        const tenantConnection = await getTenantConnection(company._id.toString());
+        await sequenceService.stopSuppressedEnrollments(tenantConnection);
       } catch (error) {
         console.error(`Failed to check mailboxes for company ${company._id}:`, error.message);
       }
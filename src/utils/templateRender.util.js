@@ -0,0 +1,151 @@
+/**
+ * Email template rendering helpers
+ * Fills {{lead.firstName}} / {{company.companyName}} style merge variables.
+ * A fallback can follow a pipe: {{lead.firstName | "there"}}
+ */
+
+// Merge variables available to templates, with a short description for the UI
+export const TEMPLATE_VARIABLES = {
+  "lead.firstName": "Lead first name",
+  "lead.lastName": "Lead last name",
+  "lead.fullName": "Lead full name",
+  "lead.email": "Lead email address",
+  "lead.phone": "Lead phone number",
+  "lead.company": "Lead company name",
+  "lead.companyIndustry": "Lead company industry",
+  "lead.companyWebsite": "Lead company website",
+  "lead.jobTitle": "Lead job title",
+  "lead.department": "Lead department",
+  "lead.location": "Lead location",
+  "lead.country": "Lead country",
+  "lead.city": "Lead city",
+  "company.companyName": "Your company name",
+  "company.email": "Your company email",
+  "company.website": "Your company website",
+};
+
+const VARIABLE_PATTERN =
+  /\{\{\s*([\w.]+)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'|([^}]*?)))?\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value for safe insertion into HTML
+ * @param {String} value
+ * @returns {String}
+ */
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Build the variable values for a lead and the sending company
+ * @param {Object} lead
+ * @param {Object} company
+ * @returns {Object} flat map of variable name -> value
+ */
+export const buildTemplateContext = (lead = {}, company = {}) => {
+  const leadData =
+    typeof lead?.toObject === "function" ? lead.toObject() : lead || {};
+  const nameParts = (leadData.fullName || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const leadValues = {
+    ...leadData,
+    firstName: leadData.firstName || nameParts[0],
+    lastName:
+      leadData.lastName ||
+      (nameParts.length > 1 ? nameParts.slice(1).join(" ") : ""),
+  };
+
+  const context = {};
+  for (const key of Object.keys(TEMPLATE_VARIABLES)) {
+    const [scope, field] = key.split(".");
+    const source = scope === "lead" ? leadValues : company || {};
+    const value = source?.[field];
+    context[key] =
+      value === undefined || value === null ? "" : String(value).trim();
+  }
+  return context;
+};
+
+/**
+ * Replace merge variables in a string
+ * @param {String} content - template text
+ * @param {Object} context - values from buildTemplateContext
+ * @param {Object} options
+ * @param {Boolean} options.html - escape values for HTML output
+ * @param {Set} options.missing - collects variables rendered as empty
+ * @returns {String}
+ */
+export const renderTemplateString = (
+  content,
+  context,
+  { html = false, missing = null } = {}
+) => {
+  if (!content) return "";
+
+  return String(content).replace(
+    VARIABLE_PATTERN,
+    (match, key, doubleQuoted, singleQuoted, bare) => {
+      if (!(key in TEMPLATE_VARIABLES)) return match;
+
+      const fallback = doubleQuoted ?? singleQuoted ?? bare?.trim() ?? "";
+      const value = context[key] || fallback;
+      if (!value && missing) missing.add(key);
+      return html ? escapeHtml(value) : value;
+    }
+  );
+};
+
+/**
+ * List variables used in template content
+ * @param {...String} contents
+ * @returns {{ variables: String[], unknown: String[] }}
+ */
+export const extractTemplateVariables = (...contents) => {
+  const variables = new Set();
+  const unknown = new Set();
+
+  for (const content of contents) {
+    if (!content) continue;
+    for (const [, key] of String(content).matchAll(VARIABLE_PATTERN)) {
+      (key in TEMPLATE_VARIABLES ? variables : unknown).add(key);
+    }
+  }
+
+  return { variables: [...variables], unknown: [...unknown] };
+};
+
+/**
+ * Plain-text version of an HTML body
+ * @param {String} html
+ * @returns {String}
+ */
+export const htmlToText = (html) => {
+  if (!html) return "";
+
+  return String(html)
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};